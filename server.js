@@ -2,34 +2,113 @@
  * server.js - ISMAA Bengaluru Portal Express.js Server
  * 
  * This is the main backend server providing REST API endpoints for:
- * - Member management (CRUD operations)
+ * - Member management (CRUD operations, paginated/filtered/sorted directory queries)
+ * - Validated CSV/Excel bulk member import with a dry-run preview
+ * - Audit-logged directory exports (CSV, vCard, printable PDF)
+ * - Profile visibility and per-field privacy enforced on member reads
+ * - Member photo uploads stored as resized, metadata-free image files
+ * - Member change history with field-level diffs and restore
+ * - Soft deletion with an admin recycle bin (restore, purge, automatic purge by maintenance)
+ * - Duplicate member detection with a side-by-side merge
+ * - Member employment history (positions over time) with "has worked at" search
+ * - Membership plans, dues payments (manual or through a payment gateway), PDF receipts and a dues dashboard
+ * - Membership IDs generated from an admin-configurable pattern, with bulk assignment of missing IDs
+ * - Digital membership cards (PNG/PDF) with a QR code checked by a public verification endpoint
+ * - Events with RSVPs, a waitlist with automatic promotion, CSV attendee lists and QR or name check-in
+ * - iCalendar files per event, personal feeds by secret link and a public chapter feed of events and dated notices
+ * - Invitation-based onboarding (members choose their own username and password)
+ * - Public alumni self-registration with an admin approval queue
  * - Lookup tables (branches, industries, companies)
+ * - Global full-text search across members, blogs and notices
  * - Blog and notice content management
- * - User authentication
+ * - User authentication with signed, revocable server-side sessions
+ * - TOTP two-factor authentication with an admin-mandatory policy
+ * - Self-service password reset via emailed single-use links
+ * - Admin-editable password policy (history, expiry, common-password checks)
  * - Database statistics
  * 
  * Key Features:
  * - SQLite database integration via DatabaseAPI
  * - CORS enabled for React frontend
- * - JSON parsing with large payload support (base64 images)
+ * - JSON parsing with large payload support (base64 spreadsheet imports and registration photos)
+ * - Bearer token authentication middleware on every non-public route
+ * - Role-based authorization guards driven by the Permissions matrix
  * - Centralized error handling
  * - Health check endpoint for monitoring
  * - Graceful shutdown handling
  * 
- * Dependencies: express, cors, DatabaseAPI
+ * Dependencies: express, cors, qrcode, DatabaseAPI, PhotoStore, AlumniEvents, EventCalendar, Permissions, MailTransport, PaymentGateway
  * Port: 3001 (configurable)
  */
 
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const QRCode = require('qrcode');
 const DatabaseAPI = require('./src/database/DatabaseAPI');
+const FullTextSearch = require('./src/database/FullTextSearch');
+const MemberImport = require('./src/database/MemberImport');
+const MemberExport = require('./src/database/MemberExport');
+const PhotoStore = require('./src/database/PhotoStore');
+const RecycleBin = require('./src/database/RecycleBin');
+const MemberDuplicates = require('./src/database/MemberDuplicates');
+const AlumniEvents = require('./src/database/AlumniEvents');
+const EventCalendar = require('./src/database/EventCalendar');
+const Permissions = require('./src/utils/Permissions');
+const { createMailTransport } = require('./src/utils/MailTransport');
+const { createPaymentGateway } = require('./src/utils/PaymentGateway');
+
+// Base URL of the React app, used to build links in outgoing emails
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:3000';
+
+// Routes reachable without a session token (method + exact path)
+const PUBLIC_ROUTES = [
+    'GET /health',
+    'POST /auth/login',
+    'POST /auth/password-reset/request',
+    'POST /auth/password-reset/confirm',
+    'GET /auth/password-policy',
+    // Invitation links - authorized by the signed invitation token
+    'GET /auth/invitation',
+    'POST /auth/invitation/accept',
+    // Self-registration - the update routes are authorized by the emailed application token
+    'GET /registration/options',
+    'POST /registration',
+    'GET /registration/application',
+    'PUT /registration/application',
+    // Second login step - authorized by the challenge token issued after the password check
+    'POST /auth/2fa/verify',
+    'POST /auth/2fa/enrol/start',
+    'POST /auth/2fa/enrol/confirm'
+];
+
+// Routes a signed-in user can still reach while their password must be changed
+// (temporary first-login password or expired password); everything else is refused
+const PASSWORD_CHANGE_ROUTES = [
+    'POST /auth/change-password',
+    'POST /auth/logout'
+];
+
+// Path prefixes reachable without a session token
+// Photos are loaded by <img> tags, which cannot send one; their URLs are unguessable
+// Membership card checks are authorized by the signed token in the card's QR code
+const PUBLIC_PATH_PREFIXES = [
+    'GET /photos/',
+    'GET /verify/',
+    // Calendar feeds - the chapter feed is public, personal feeds are authorized by the token in their link
+    'GET /calendar/'
+];
+
+// A new photo always gets a new URL, so browsers may keep photos for a year without revalidating
+const PHOTO_CACHE_CONTROL = 'private, max-age=31536000, immutable';
 
 class ISMAAServer {
     constructor(port = 3001) {
         this.app = express();
         this.port = port;
         this.dbAPI = new DatabaseAPI(); // High-level database operations interface
+        this.mailer = createMailTransport(); // Outgoing email (console/file in development)
+        this.paymentGateway = createPaymentGateway(); // Online dues payments; null when no gateway is configured
     }
 
     // Initialize server with database connection and middleware
@@ -39,8 +118,9 @@ class ISMAAServer {
         
         // Configure Express middleware
         this.app.use(cors()); // Enable CORS for React frontend communication
-        this.app.use(express.json({ limit: '10mb' })); // Parse JSON with large limit for base64 images
+        this.app.use(express.json({ limit: '10mb' })); // Large limit for base64 spreadsheet imports and registration photos
         this.app.use(express.urlencoded({ extended: true })); // Parse URL-encoded data
+        this.app.use((req, res, next) => this.authenticate(req, res, next)); // Attach req.user from bearer token
         
         // Setup all API routes
         this.setupRoutes();
@@ -58,83 +138,356 @@ class ISMAAServer {
         });
 
         // ===== MEMBER ENDPOINTS =====
-        // Get all members with their relationships (branch, industry, company, skills)
-        this.app.get('/members', async (req, res) => {
+        // Get one page of members with their relationships (branch, industry, company, skills)
+        // Query: search, batch, branch, industry, company, companyScope (current|ever), membershipType,
+        // duesStatus (admins), skills (repeated or comma separated), sort, order (asc|desc), page,
+        // pageSize (max 100), includePhotos=true
+        // Responds { members, total, page, pageSize, totalPages }
+        this.app.get('/members', this.authorize('members:read'), async (req, res) => {
+            let query;
             try {
-                const members = this.dbAPI.getAllMembers();
-                res.json(members);
+                query = DatabaseAPI.parseMemberQuery(req.query);
+            } catch (error) {
+                return res.status(400).json({ error: 'Invalid member query', details: error.message });
+            }
+            if (query.duesStatus && !Permissions.can(req.user, 'dues:manage')) {
+                return res.status(403).json({ error: 'Only administrators can filter members by dues status' });
+            }
+
+            try {
+                res.json(this.dbAPI.queryMembers(query, { viewer: req.user }));
             } catch (error) {
                 res.status(500).json({ error: 'Failed to fetch members', details: error.message });
             }
         });
 
+        // Filter values and counts for the member directory (registered before /members/:id)
+        this.app.get('/members/facets', this.authorize('members:read'), async (req, res) => {
+            try {
+                res.json(this.dbAPI.getMemberFacets());
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch member filters', details: error.message });
+            }
+        });
+
+        // Export the member directory as CSV, vCard or a printable PDF (registered before /members/:id)
+        // Query: format (csv, vcf, pdf), version (vCard 3.0 or 4.0), groupBy (PDF: batch or branch),
+        // plus the same filters and sorting as GET /members. Every export is audit-logged
+        this.app.get('/members/export', this.authorize('members:export'), async (req, res) => {
+            let query, options;
+            try {
+                query = DatabaseAPI.parseMemberQuery(req.query);
+                options = MemberExport.parseOptions(req.query);
+            } catch (error) {
+                return res.status(400).json({ error: 'Invalid export request', details: error.message });
+            }
+            if (query.duesStatus && !Permissions.can(req.user, 'dues:manage')) {
+                return res.status(403).json({ error: 'Only administrators can filter members by dues status' });
+            }
+
+            try {
+                const file = await this.dbAPI.exports.export(query, options, req.user);
+                const { search, batch, branch, industry, company, membershipType, duesStatus, skills } = query;
+                const clientInfo = {
+                    ip: req.ip || req.connection.remoteAddress,
+                    userAgent: req.get('User-Agent')
+                };
+                await this.dbAPI.auth.logSecurityEvent(req.user.id, 'member_export', true, clientInfo, JSON.stringify({
+                    format: options.format,
+                    members: file.count,
+                    filters: Object.fromEntries(
+                        Object.entries({ search, batch, branch, industry, company, membershipType, duesStatus, skills })
+                            .filter(([, value]) => value && value.length > 0)
+                    )
+                }));
+
+                res.set('Content-Type', file.contentType);
+                res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+                res.set('Cache-Control', 'no-store');
+                res.send(file.content);
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to export members', details: error.message });
+            }
+        });
+
+        // Likely duplicate members, highest score first - Admin only (registered before /members/:id)
+        // Query: minScore (0-100, default MemberDuplicates.MIN_SCORE)
+        // Responds { candidates: [{ score, reasons, members: [profile, profile] }] }
+        this.app.get('/members/duplicates', this.authorize('members:merge'), async (req, res) => {
+            const minScore = req.query.minScore === undefined ? MemberDuplicates.MIN_SCORE : Number(req.query.minScore);
+            if (!Number.isInteger(minScore) || minScore < 0 || minScore > 100) {
+                return res.status(400).json({ error: 'Invalid duplicate search', details: 'minScore must be a whole number from 0 to 100' });
+            }
+
+            try {
+                res.json({ candidates: this.dbAPI.duplicates.findCandidates({ minScore }) });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to find duplicate members', details: error.message });
+            }
+        });
+
         // Get specific member by ID (supports both legacy and new IDs)
-        this.app.get('/members/:id', async (req, res) => {
+        // Private profiles are not found and hidden fields are null for other members
+        this.app.get('/members/:id', this.authorize('members:read'), async (req, res) => {
             try {
-                const member = this.dbAPI.getMemberById(req.params.id);
+                const member = this.dbAPI.getMemberById(req.params.id, req.user);
                 if (!member) {
                     return res.status(404).json({ error: 'Member not found' });
                 }
-                res.json(member);
+                // Let the client know whether the caller may edit this profile
+                const canEdit = Permissions.can(req.user, 'members:update', this.ownsMember(req));
+                res.json({ ...member, canEdit });
             } catch (error) {
                 res.status(500).json({ error: 'Failed to fetch member', details: error.message });
             }
         });
 
         // Create new member - Admin only
-        this.app.post('/members', async (req, res) => {
+        // No account is created; members with an email are invited to set one up themselves
+        // (pass sendInvitation: false to invite later from the member list)
+        this.app.post('/members', this.authorize('members:create'), async (req, res) => {
             try {
-                // Note: In a production app, you would validate user session/token here
-                // For now, we rely on frontend access control
-                
-                // Create member first
-                const memberResult = this.dbAPI.createMember(req.body);
+                const { sendInvitation = true, ...memberData } = req.body;
+                const memberResult = await this.dbAPI.createMember(memberData, req.user.id);
                 const newMember = this.dbAPI.getMemberById(memberResult.id);
                 
-                // Create user account for the member with auto-generated credentials
-                let userCredentials = null;
-                try {
-                    const memberData = {
-                        name: newMember.name,
-                        email: newMember.email,
-                        memberId: newMember.id
-                    };
-                    
-                    userCredentials = await this.dbAPI.createUserFromMember(memberData);
-                    
-                    // Log user creation for audit
-                    console.log(`✅ User account created for member: ${newMember.name}`);
-                    console.log(`   Username: ${userCredentials.username}`);
-                    console.log(`   Password: ${userCredentials.temporaryPassword}`);
-                    
-                } catch (userError) {
-                    console.error('Failed to create user account for member:', userError.message);
-                    // Don't fail the member creation if user creation fails
-                }
-                
-                // Return member data with user credentials if created
-                const response = {
-                    ...newMember,
-                    userAccount: userCredentials ? {
-                        username: userCredentials.username,
-                        password: userCredentials.temporaryPassword,
-                        systemGenerated: userCredentials.systemGenerated
-                    } : null
-                };
+                let invitation = null;
+                let invitationError = null;
+                if (sendInvitation && newMember.email) {
+                    try {
+                        invitation = await this.sendMemberInvitation(memberResult.id, req.user.id);
+                    } catch (inviteError) {
+                        // Don't fail the member creation; the admin can resend from the member list
+                        console.error('Failed to invite member:', inviteError.message);
+                        invitationError = inviteError.message;
+                    }
+                }
+                
+                res.status(201).json({ ...newMember, invitation, invitationError });
                 
-                res.status(201).json(response);
             } catch (error) {
                 res.status(400).json({ error: 'Failed to create member', details: error.message });
             }
         });
 
+        // Bulk import members from a CSV or Excel file - Admin only
+        // Body: { file: { name, data (base64) }, mapping, dryRun (default true), skipInvalid, accountMode }
+        // A dry run returns the per-row validation preview; otherwise valid rows are created in one
+        // transaction and then invited (accountMode 'invite') or given accounts with setup links ('account')
+        this.app.post('/members/import', this.authorize('members:create'), async (req, res) => {
+            try {
+                const { file, mapping = null, dryRun = true, skipInvalid = false, accountMode = 'none' } = req.body;
+                if (!MemberImport.ACCOUNT_MODES.includes(accountMode)) {
+                    return res.status(400).json({ success: false, error: 'Invalid account mode' });
+                }
+
+                const preview = await this.dbAPI.imports.preview(file, mapping);
+                if (dryRun) {
+                    return res.json({ success: true, dryRun: true, ...preview });
+                }
+                if (preview.errorRows > 0 && !skipInvalid) {
+                    return res.status(422).json({
+                        success: false,
+                        error: `${preview.errorRows} row(s) have errors. Fix them or choose to skip invalid rows`,
+                        ...preview
+                    });
+                }
+
+                const { imported, skipped } = this.dbAPI.imports.commit(preview, { skipInvalid, actorId: req.user.id });
+
+                // Accounts are best-effort: the members are already saved, failures are reported per member
+                const accounts = { sent: 0, failed: [] };
+                if (accountMode !== 'none') {
+                    for (const member of imported.filter(member => member.email)) {
+                        try {
+                            if (accountMode === 'invite') {
+                                await this.sendMemberInvitation(member.id, req.user.id);
+                            } else {
+                                await this.sendAccountSetupEmail(await this.dbAPI.imports.createAccount(member, req.user.id));
+                            }
+                            accounts.sent++;
+                        } catch (accountError) {
+                            console.error(`Failed to set up an account for imported member ${member.email}:`, accountError.message);
+                            accounts.failed.push({ row: member.row, name: member.name, error: accountError.message });
+                        }
+                    }
+                }
+
+                res.status(201).json({
+                    success: true,
+                    dryRun: false,
+                    importedCount: imported.length,
+                    skipped,
+                    imported,
+                    accounts,
+                    message: `Imported ${imported.length} member(s)${skipped ? `, skipped ${skipped} invalid row(s)` : ''}`
+                });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Change history of a member, newest first, with the fields each change touched - Admin only
+        // Responds [{ id, action, changedAt, changedBy, restoredFrom, restorable, changes: [{ field, label, from, to }] }]
+        this.app.get('/members/:id/history', this.authorize('members:history'), async (req, res) => {
+            try {
+                const history = this.dbAPI.getMemberHistory(req.params.id);
+                if (!history) {
+                    return res.status(404).json({ error: 'Member not found' });
+                }
+                res.json(history);
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch member history', details: error.message });
+            }
+        });
+
+        // Restore the profile a revision left the member with - Admin only
+        this.app.post('/members/:id/history/:revisionId/restore', this.authorize('members:history'), async (req, res) => {
+            try {
+                const result = this.dbAPI.restoreMemberRevision(req.params.id, req.params.revisionId, req.user.id);
+                if (!result) {
+                    return res.status(404).json({ success: false, error: 'Member not found' });
+                }
+                res.json({ success: true, member: this.dbAPI.getMemberById(req.params.id), message: 'Previous version restored' });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Merge a duplicate into this member - Admin only
+        // Body: { duplicateId, choices: { field: 'survivor' | 'duplicate' } }; skills are combined,
+        // the duplicate's account moves to this member and the duplicate is removed
+        this.app.post('/members/:id/merge', this.authorize('members:merge'), async (req, res) => {
+            try {
+                if (!this.dbAPI.getMemberById(req.params.id)) {
+                    return res.status(404).json({ success: false, error: 'Member not found' });
+                }
+
+                const { duplicateId, choices = {} } = req.body;
+                const result = this.dbAPI.duplicates.merge(req.params.id, duplicateId, choices, req.user.id);
+                res.json({
+                    success: true,
+                    member: this.dbAPI.getMemberById(result.id),
+                    movedAccounts: result.movedAccounts,
+                    message: `${result.mergedName} merged into this member`
+                });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Employment history of a member, current positions first
+        this.app.get('/members/:id/positions', this.authorize('members:read'), async (req, res) => {
+            try {
+                if (!this.dbAPI.getMemberById(req.params.id, req.user)) {
+                    return res.status(404).json({ error: 'Member not found' });
+                }
+                res.json(this.dbAPI.positions.list(this.dbAPI.positions.resolveMember(req.params.id)));
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch employment history', details: error.message });
+            }
+        });
+
+        // Add a position - Admin or the member themselves
+        // Body: { company, industry, title, startDate, endDate (YYYY or YYYY-MM), current }
+        this.app.post('/members/:id/positions', this.authorize('members:update', req => this.ownsMember(req)), async (req, res) => {
+            try {
+                const result = this.dbAPI.positions.add(req.params.id, req.body, req.user.id);
+                if (!result) {
+                    return res.status(404).json({ success: false, error: 'Member not found' });
+                }
+                res.status(201).json({ success: true, ...result, message: 'Position added' });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Edit a position - Admin or the member themselves
+        this.app.put('/members/:id/positions/:positionId', this.authorize('members:update', req => this.ownsMember(req)), async (req, res) => {
+            try {
+                if (!this.dbAPI.positions.resolveMember(req.params.id)) {
+                    return res.status(404).json({ success: false, error: 'Member not found' });
+                }
+                const result = this.dbAPI.positions.update(req.params.id, req.params.positionId, req.body, req.user.id);
+                if (!result) {
+                    return res.status(404).json({ success: false, error: 'Position not found' });
+                }
+                res.json({ success: true, ...result, message: 'Position updated' });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Delete a position - Admin or the member themselves
+        this.app.delete('/members/:id/positions/:positionId', this.authorize('members:update', req => this.ownsMember(req)), async (req, res) => {
+            try {
+                if (!this.dbAPI.positions.resolveMember(req.params.id)) {
+                    return res.status(404).json({ success: false, error: 'Member not found' });
+                }
+                const result = this.dbAPI.positions.remove(req.params.id, req.params.positionId, req.user.id);
+                if (!result) {
+                    return res.status(404).json({ success: false, error: 'Position not found' });
+                }
+                res.json({ success: true, ...result, message: 'Position deleted' });
+            } catch (error) {
+                res.status(500).json({ success: false, error: 'Failed to delete position', details: error.message });
+            }
+        });
+
+        // Upload a member photo - Admin or own profile only
+        // Body: the image file itself (Content-Type image/jpeg, image/png or image/webp, up to 5 MB)
+        // Stored as a full size and a thumbnail without EXIF data; responds { success, photo, photoThumbnail }
+        this.app.post('/members/:id/photo', this.authorize('members:update', req => this.ownsMember(req)), (req, res, next) => {
+            express.raw({ type: 'image/*', limit: PhotoStore.MAX_PHOTO_BYTES })(req, res, error => {
+                if (!error) return next();
+                res.status(error.status === 413 ? 413 : 400).json({
+                    success: false,
+                    error: error.status === 413 ? 'Photo is too large (maximum 5 MB)' : 'Photo upload failed'
+                });
+            });
+        }, async (req, res) => {
+            try {
+                const photo = await this.dbAPI.setMemberPhoto(req.params.id, req.body);
+                if (!photo) {
+                    return res.status(404).json({ success: false, error: 'Member not found' });
+                }
+                res.json({ success: true, ...photo });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Remove a member photo - Admin or own profile only
+        this.app.delete('/members/:id/photo', this.authorize('members:update', req => this.ownsMember(req)), async (req, res) => {
+            try {
+                if (!this.dbAPI.removeMemberPhoto(req.params.id)) {
+                    return res.status(404).json({ success: false, error: 'Member not found' });
+                }
+                res.json({ success: true, message: 'Photo removed' });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Photo files, by the photo and photoThumbnail URLs in member records (public, see PUBLIC_PATH_PREFIXES)
+        this.app.get('/photos/:file', (req, res) => {
+            const filePath = this.dbAPI.photos.filePath(req.params.file);
+            if (!filePath) {
+                return res.status(404).json({ error: 'Photo not found' });
+            }
+            res.sendFile(filePath, { cacheControl: false, headers: { 'Cache-Control': PHOTO_CACHE_CONTROL } }, error => {
+                if (error && !res.headersSent) {
+                    res.status(404).json({ error: 'Photo not found' });
+                }
+            });
+        });
+
         // Update member - Admin or own profile only
-        this.app.put('/members/:id', async (req, res) => {
+        this.app.put('/members/:id', this.authorize('members:update', req => this.ownsMember(req)), async (req, res) => {
             try {
-                // Note: In a production app, you would validate user session/token here
-                // For now, we rely on frontend access control
-                
-                const result = this.dbAPI.updateMember(req.params.id, req.body);
+                // Members editing their own profile cannot change their membership ID or type
+                const selfService = Permissions.getGrant(req.user.role, 'members:update') !== 'any';
+                const result = this.dbAPI.updateMember(req.params.id, req.body, { actorId: req.user.id, selfService });
                 if (!result.updated) {
                     return res.status(404).json({ error: 'Member not found' });
                 }
@@ -145,28 +498,21 @@ class ISMAAServer {
             }
         });
 
-        this.app.delete('/members/:id', async (req, res) => {
+        this.app.delete('/members/:id', this.authorize('members:delete'), async (req, res) => {
             try {
                 // Enhanced member deletion with consistency checks
-                const adminUserId = req.user?.id; // Assume user ID is available from auth middleware
+                const adminUserId = req.user.id; // Set by authentication middleware
+                // The member's user account, if any, goes to the recycle bin with them
                 const result = this.dbAPI.deleteMember(req.params.id, adminUserId);
                 
                 if (!result.success) {
-                    if (result.hasUser) {
-                        return res.status(400).json({ 
-                            error: result.error,
-                            hasUser: true,
-                            userId: result.userId,
-                            username: result.username,
-                            message: 'Use user deletion endpoint for members with user accounts'
-                        });
-                    }
                     return res.status(404).json({ error: result.error });
                 }
                 
                 res.json({ 
                     message: result.message,
                     deletedMember: result.deletedMember,
+                    deletedUsers: result.deletedUsers,
                     success: true
                 });
             } catch (error) {
@@ -175,13 +521,9 @@ class ISMAAServer {
         });
 
         // New endpoint for cascading user deletion
-        this.app.delete('/users/:id', async (req, res) => {
+        this.app.delete('/users/:id', this.authorize('users:delete'), async (req, res) => {
             try {
-                const adminUserId = req.user?.id; // Assume user ID is available from auth middleware
-                
-                if (!adminUserId) {
-                    return res.status(401).json({ error: 'Authentication required' });
-                }
+                const adminUserId = req.user.id; // Set by authentication middleware
                 
                 const result = await this.dbAPI.auth.deleteUserWithCascade(req.params.id, adminUserId);
                 
@@ -201,8 +543,58 @@ class ISMAAServer {
             }
         });
 
+        // Recycle bin (admin only): deleted members, user accounts, blogs and notices
+        this.app.get('/admin/recycle-bin', this.authorize('recycle-bin:manage'), async (req, res) => {
+            try {
+                const type = req.query.type || null;
+                if (type && !RecycleBin.isType(type)) {
+                    return res.status(400).json({ success: false, error: `type must be one of: ${Object.keys(RecycleBin.BIN_TYPES).join(', ')}` });
+                }
+
+                res.json({
+                    items: this.dbAPI.recycleBin.list(type),
+                    purgeAfterDays: this.dbAPI.recycleBin.getPurgeAfterDays()
+                });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch the recycle bin', details: error.message });
+            }
+        });
+
+        this.app.post('/admin/recycle-bin/:type/:id/restore', this.authorize('recycle-bin:manage'), async (req, res) => {
+            try {
+                if (!RecycleBin.isType(req.params.type)) {
+                    return res.status(404).json({ success: false, error: 'Item not found in the recycle bin' });
+                }
+
+                const result = this.dbAPI.recycleBin.restore(req.params.type, req.params.id, req.user.id);
+                if (!result) {
+                    return res.status(404).json({ success: false, error: 'Item not found in the recycle bin' });
+                }
+                res.json({ success: true, message: `${result.title} restored` });
+            } catch (error) {
+                res.status(500).json({ success: false, error: 'Failed to restore item', details: error.message });
+            }
+        });
+
+        // Permanently delete an item in the recycle bin
+        this.app.delete('/admin/recycle-bin/:type/:id', this.authorize('recycle-bin:manage'), async (req, res) => {
+            try {
+                if (!RecycleBin.isType(req.params.type)) {
+                    return res.status(404).json({ success: false, error: 'Item not found in the recycle bin' });
+                }
+
+                const result = this.dbAPI.recycleBin.purge(req.params.type, req.params.id);
+                if (!result) {
+                    return res.status(404).json({ success: false, error: 'Item not found in the recycle bin' });
+                }
+                res.json({ success: true, message: `${result.title} permanently deleted` });
+            } catch (error) {
+                res.status(500).json({ success: false, error: 'Failed to purge item', details: error.message });
+            }
+        });
+
         // System health and consistency endpoints
-        this.app.get('/system/health', async (req, res) => {
+        this.app.get('/system/health', this.authorize('system:health'), async (req, res) => {
             try {
                 const healthReport = this.dbAPI.auth.getSystemHealthReport();
                 res.json(healthReport);
@@ -211,7 +603,7 @@ class ISMAAServer {
             }
         });
 
-        this.app.get('/system/consistency-check', async (req, res) => {
+        this.app.get('/system/consistency-check', this.authorize('system:health'), async (req, res) => {
             try {
                 const consistencyResults = this.dbAPI.auth.validateDataConsistency();
                 res.json(consistencyResults);
@@ -221,82 +613,1046 @@ class ISMAAServer {
         });
 
         // Lookup tables routes (for dynamic dropdowns)
-        this.app.get('/branches', async (req, res) => {
+        this.app.get('/branches', this.authorize('lookups:read'), async (req, res) => {
             try {
                 const branches = this.dbAPI.getBranches();
                 res.json(branches);
             } catch (error) {
-                res.status(500).json({ error: 'Failed to fetch branches', details: error.message });
+                res.status(500).json({ error: 'Failed to fetch branches', details: error.message });
+            }
+        });
+
+        this.app.get('/industries', this.authorize('lookups:read'), async (req, res) => {
+            try {
+                const industries = this.dbAPI.getIndustries();
+                res.json(industries);
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch industries', details: error.message });
+            }
+        });
+
+        this.app.get('/companies', this.authorize('lookups:read'), async (req, res) => {
+            try {
+                const companies = this.dbAPI.getCompanies();
+                res.json(companies);
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch companies', details: error.message });
+            }
+        });
+
+        // ===== MEMBERSHIP DUES ENDPOINTS =====
+
+        // Membership plans; admins can ask for plans no longer offered with ?all=true
+        this.app.get('/membership-plans', this.authorize('members:read'), async (req, res) => {
+            try {
+                const includeInactive = req.query.all === 'true' && Permissions.can(req.user, 'dues:manage');
+                res.json(this.dbAPI.dues.listPlans(includeInactive));
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch membership plans', details: error.message });
+            }
+        });
+
+        // Create a plan - Admin only
+        // Body: { name, description, fee (rupees), durationMonths (empty for lifetime), isActive }
+        this.app.post('/membership-plans', this.authorize('dues:manage'), async (req, res) => {
+            try {
+                const plan = this.dbAPI.dues.savePlan(null, req.body);
+                res.status(201).json({ success: true, plan, message: `Plan ${plan.name} created` });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Edit a plan, or stop offering it with isActive: false - Admin only
+        this.app.put('/membership-plans/:planId', this.authorize('dues:manage'), async (req, res) => {
+            try {
+                const plan = this.dbAPI.dues.savePlan(req.params.planId, req.body);
+                if (!plan) {
+                    return res.status(404).json({ success: false, error: 'Plan not found' });
+                }
+                res.json({ success: true, plan, message: `Plan ${plan.name} updated` });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Membership status and payments of a member - Admin or the member themselves
+        this.app.get('/members/:id/dues', this.authorize('dues:read', req => this.ownsMember(req)), async (req, res) => {
+            try {
+                const dues = this.dbAPI.dues.getDues(req.params.id);
+                if (!dues) {
+                    return res.status(404).json({ error: 'Member not found' });
+                }
+                res.json({ ...dues, onlinePayment: !!this.paymentGateway });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch membership dues', details: error.message });
+            }
+        });
+
+        // Record a payment received outside the portal - Admin only
+        // Body: { planId, amount (rupees, defaults to the plan fee), method, reference, paidOn (YYYY-MM-DD), notes }
+        this.app.post('/members/:id/payments', this.authorize('dues:manage'), async (req, res) => {
+            try {
+                const payment = this.dbAPI.dues.recordPayment(req.params.id, req.body, req.user.id);
+                if (!payment) {
+                    return res.status(404).json({ success: false, error: 'Member not found' });
+                }
+                res.status(201).json({ success: true, payment, message: `Payment recorded, receipt ${payment.receiptNumber}` });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Pay a plan's fee online - Admin or the member themselves
+        // Body: { planId }; responds { payment, checkoutUrl } - the gateway returns the member to their profile
+        // Responds 503 when no payment gateway is configured
+        this.app.post('/members/:id/payments/checkout', this.authorize('dues:pay', req => this.ownsMember(req)), async (req, res) => {
+            if (!this.paymentGateway) {
+                return res.status(503).json({ success: false, error: 'Online payment is not available; please pay the chapter directly' });
+            }
+            try {
+                const returnUrlFor = paymentId => `${APP_BASE_URL}/member/${encodeURIComponent(req.params.id)}?duesPayment=${paymentId}`;
+                const result = await this.dbAPI.dues.startCheckout(req.params.id, req.body.planId, this.paymentGateway, returnUrlFor, req.user.id);
+                if (!result) {
+                    return res.status(404).json({ success: false, error: 'Member not found' });
+                }
+                res.status(201).json({ success: true, ...result });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Check an online payment with the gateway after checkout - Admin or the member themselves
+        this.app.post('/members/:id/payments/:paymentId/confirm', this.authorize('dues:pay', req => this.ownsMember(req)), async (req, res) => {
+            try {
+                const payment = await this.dbAPI.dues.confirmCheckout(req.params.id, req.params.paymentId, this.paymentGateway);
+                if (!payment) {
+                    return res.status(404).json({ success: false, error: 'Payment not found' });
+                }
+                const messages = {
+                    completed: `Payment received, receipt ${payment.receiptNumber}`,
+                    pending: 'The payment has not been completed yet',
+                    failed: 'The payment did not go through'
+                };
+                res.json({ success: true, payment, message: messages[payment.status] || `Payment ${payment.status}` });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Void a payment recorded by mistake - Admin only
+        // Body: { reason }
+        this.app.post('/members/:id/payments/:paymentId/void', this.authorize('dues:manage'), async (req, res) => {
+            try {
+                const payment = this.dbAPI.dues.voidPayment(req.params.id, req.params.paymentId, req.body.reason, req.user.id);
+                if (!payment) {
+                    return res.status(404).json({ success: false, error: 'Payment not found' });
+                }
+                res.json({ success: true, payment, message: 'Payment voided' });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // PDF receipt of a completed payment - Admin or the member themselves
+        this.app.get('/members/:id/payments/:paymentId/receipt', this.authorize('dues:read', req => this.ownsMember(req)), async (req, res) => {
+            try {
+                const receipt = await this.dbAPI.dues.receipt(req.params.id, req.params.paymentId);
+                if (!receipt) {
+                    return res.status(404).json({ error: 'Receipt not found' });
+                }
+                res.set('Content-Type', 'application/pdf');
+                res.set('Content-Disposition', `attachment; filename="${receipt.filename}"`);
+                res.set('Cache-Control', 'no-store');
+                res.send(receipt.content);
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to create the receipt', details: error.message });
+            }
+        });
+
+        // Membership card with a QR verification code - Admin or the member themselves
+        // Query: format=png (default) or pdf
+        this.app.get('/members/:id/card', this.authorize('cards:read', req => this.ownsMember(req)), async (req, res) => {
+            try {
+                const verifyUrlFor = token => `${APP_BASE_URL}/verify/${token}`;
+                const card = await this.dbAPI.cards.render(req.params.id, req.query.format || 'png', verifyUrlFor);
+                if (!card) {
+                    return res.status(404).json({ error: 'Member not found' });
+                }
+                res.set('Content-Type', card.contentType);
+                res.set('Content-Disposition', `attachment; filename="${card.filename}"`);
+                res.set('Cache-Control', 'no-store');
+                res.send(card.content);
+            } catch (error) {
+                res.status(400).json({ error: 'Failed to create the membership card', details: error.message });
+            }
+        });
+
+        // Check a scanned membership card (public, see PUBLIC_PATH_PREFIXES)
+        // Responds with the name, membership ID and type on the card and whether the membership is current
+        this.app.get('/verify/:token', async (req, res) => {
+            try {
+                const result = this.dbAPI.cards.verify(req.params.token);
+                if (!result) {
+                    return res.status(404).json({ success: false, valid: false, error: 'This is not a genuine ISMAA Bengaluru membership card' });
+                }
+                res.json({ success: true, ...result });
+            } catch (error) {
+                res.status(500).json({ success: false, error: 'Failed to verify the membership card' });
+            }
+        });
+
+        // Dues dashboard: members per status, money collected, expiring and lapsed members - Admin only
+        this.app.get('/admin/dues', this.authorize('dues:manage'), async (req, res) => {
+            try {
+                res.json(this.dbAPI.dues.dashboard());
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch the dues dashboard', details: error.message });
+            }
+        });
+
+        // ===== EVENT ENDPOINTS =====
+
+        // Upcoming (default) or past events, with the viewer's RSVP
+        // Query: scope=upcoming|past
+        this.app.get('/events', this.authorize('events:read'), async (req, res) => {
+            try {
+                res.json(this.dbAPI.events.listEvents(req.query.scope, req.user.member_id));
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch events', details: error.message });
+            }
+        });
+
+        this.app.get('/events/:id', this.authorize('events:read'), async (req, res) => {
+            try {
+                const event = this.dbAPI.events.getEvent(req.params.id, req.user.member_id);
+                if (!event) {
+                    return res.status(404).json({ error: 'Event not found' });
+                }
+                res.json(event);
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch the event', details: error.message });
+            }
+        });
+
+        // Create an event - Admin only
+        // Body: { title, description, venue, startsAt, endsAt, rsvpDeadline (YYYY-MM-DDTHH:MM), capacity, fee (rupees) }
+        this.app.post('/events', this.authorize('events:manage'), async (req, res) => {
+            try {
+                const { event } = this.dbAPI.events.saveEvent(null, req.body, req.user.id);
+                res.status(201).json({ success: true, event, message: `Event ${event.title} created` });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Update an event - Admin only; members a higher capacity takes off the waitlist are emailed
+        this.app.put('/events/:id', this.authorize('events:manage'), async (req, res) => {
+            try {
+                const result = this.dbAPI.events.saveEvent(req.params.id, req.body, req.user.id);
+                if (!result) {
+                    return res.status(404).json({ success: false, error: 'Event not found' });
+                }
+                await this.notifyPromotedMembers(result.event, result.promoted);
+                res.json({ success: true, event: result.event, message: `Event ${result.event.title} updated` });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Cancel an event and email everyone going or waitlisted - Admin only
+        this.app.post('/events/:id/cancel', this.authorize('events:manage'), async (req, res) => {
+            try {
+                const result = this.dbAPI.events.cancelEvent(req.params.id);
+                if (!result) {
+                    return res.status(404).json({ success: false, error: 'Event not found' });
+                }
+                const { event } = result;
+                await this.notifyEventMembers(result.attendees, `Cancelled: ${event.title}`, [
+                    `${event.title} on ${AlumniEvents.describeTime(event.startsAt)} at ${event.venue} has been cancelled.`,
+                    'We are sorry for the inconvenience.'
+                ]);
+                res.json({ success: true, event, message: `Event cancelled; ${result.attendees.length} member(s) notified` });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // RSVP to an event as yourself: a place while there is one, otherwise the waitlist
+        this.app.post('/events/:id/rsvp', this.authorize('events:rsvp'), async (req, res) => {
+            if (!req.user.member_id) {
+                return res.status(400).json({ success: false, error: 'Your account is not linked to a member profile, so you cannot RSVP' });
+            }
+            try {
+                const rsvp = this.dbAPI.events.rsvp(req.params.id, req.user.member_id);
+                if (!rsvp) {
+                    return res.status(404).json({ success: false, error: 'Event not found' });
+                }
+                res.json({
+                    success: true,
+                    rsvp,
+                    message: rsvp.status === 'going' ? 'You are going' : `The event is full; you are number ${rsvp.waitlistPosition} on the waitlist`
+                });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Cancel your own RSVP; your place goes to the first member on the waitlist
+        this.app.delete('/events/:id/rsvp', this.authorize('events:rsvp'), async (req, res) => {
+            try {
+                const result = req.user.member_id && this.dbAPI.events.cancelRsvp(req.params.id, req.user.member_id);
+                if (!result) {
+                    return res.status(404).json({ success: false, error: 'You have not RSVPed to this event' });
+                }
+                await this.notifyPromotedMembers(this.dbAPI.events.getEvent(req.params.id), result.promoted);
+                res.json({ success: true, rsvp: result.rsvp, message: 'Your RSVP was cancelled' });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Everyone who responded, or a CSV of them - Admin only
+        // Query: format=csv
+        this.app.get('/events/:id/attendees', this.authorize('events:manage'), async (req, res) => {
+            try {
+                if (req.query.format === 'csv') {
+                    const csv = this.dbAPI.events.attendeesCsv(req.params.id);
+                    if (!csv) {
+                        return res.status(404).json({ error: 'Event not found' });
+                    }
+                    res.set('Content-Type', 'text/csv; charset=utf-8');
+                    res.set('Content-Disposition', `attachment; filename="${csv.filename}"`);
+                    res.set('Cache-Control', 'no-store');
+                    return res.send(csv.content);
+                }
+
+                const list = this.dbAPI.events.attendees(req.params.id);
+                if (!list) {
+                    return res.status(404).json({ error: 'Event not found' });
+                }
+                res.json(list);
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch attendees', details: error.message });
+            }
+        });
+
+        // Remove an attendee - Admin only; their place goes to the waitlist
+        this.app.delete('/events/:id/attendees/:memberId', this.authorize('events:manage'), async (req, res) => {
+            try {
+                const result = this.dbAPI.events.removeAttendee(req.params.id, req.params.memberId);
+                if (!result) {
+                    return res.status(404).json({ success: false, error: 'RSVP not found' });
+                }
+                await this.notifyPromotedMembers(this.dbAPI.events.getEvent(req.params.id), result.promoted);
+                res.json({ success: true, rsvp: result.rsvp, message: 'RSVP cancelled' });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // Check a member in at the door - Admin only
+        // Body: { code } (scanned membership card QR) or { memberId }; walkIn: true admits members without a place
+        // Responds 409 when the member has no place and walkIn was not set
+        this.app.post('/events/:id/check-in', this.authorize('events:manage'), async (req, res) => {
+            try {
+                const result = this.dbAPI.events.checkIn(req.params.id, req.body, req.user.id);
+                if (!result) {
+                    return res.status(404).json({ success: false, error: 'Event not found' });
+                }
+                if (result.outcome === 'not-registered') {
+                    return res.status(409).json({ success: false, error: result.message, outcome: result.outcome, member: result.member });
+                }
+                res.json({ success: true, ...result });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        // One event as an iCalendar file, to add it to a calendar app
+        this.app.get('/events/:id/calendar', this.authorize('events:read'), async (req, res) => {
+            try {
+                const file = this.dbAPI.calendar.eventFile(req.params.id, APP_BASE_URL);
+                if (!file) {
+                    return res.status(404).json({ error: 'Event not found' });
+                }
+                res.set('Content-Type', 'text/calendar; charset=utf-8');
+                res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+                res.send(file.content);
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to build the calendar file', details: error.message });
+            }
+        });
+
+        // Calendar feeds (public, see PUBLIC_PATH_PREFIXES): chapter.ics, or <token>.ics for a personal feed
+        // Calendar apps poll these, so they are always rebuilt from the current events and notices
+        this.app.get('/calendar/:file', async (req, res) => {
+            try {
+                const name = req.params.file.replace(/\.ics$/, '');
+                const content = name === 'chapter'
+                    ? this.dbAPI.calendar.chapterFeed(APP_BASE_URL)
+                    : this.dbAPI.calendar.userFeed(name, APP_BASE_URL);
+                if (content === null) {
+                    return res.status(404).json({ error: 'Calendar feed not found' });
+                }
+                res.set('Content-Type', 'text/calendar; charset=utf-8');
+                res.set('Cache-Control', 'no-cache');
+                res.send(content);
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to build the calendar feed', details: error.message });
+            }
+        });
+
+        // Whether you have a personal calendar feed link, and the chapter feed path
+        this.app.get('/auth/calendar-feed', async (req, res) => {
+            try {
+                res.json({ ...this.dbAPI.calendar.feedStatus(req.user.id), chapterFeedPath: '/calendar/chapter.ics' });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch your calendar feed', details: error.message });
+            }
+        });
+
+        // Create your personal calendar feed link; any earlier link stops working
+        // The link is only shown in this response
+        this.app.post('/auth/calendar-feed', async (req, res) => {
+            try {
+                const token = this.dbAPI.calendar.createFeedToken(req.user.id);
+                res.json({
+                    success: true,
+                    feedPath: `/calendar/${token}.ics`,
+                    ...this.dbAPI.calendar.feedStatus(req.user.id),
+                    message: 'Calendar feed link created'
+                });
+            } catch (error) {
+                res.status(500).json({ success: false, error: 'Failed to create a calendar feed link', details: error.message });
+            }
+        });
+
+        this.app.delete('/auth/calendar-feed', async (req, res) => {
+            try {
+                if (!this.dbAPI.calendar.revokeFeedToken(req.user.id)) {
+                    return res.status(404).json({ success: false, error: 'You have no calendar feed link' });
+                }
+                res.json({ success: true, message: 'Calendar feed link turned off' });
+            } catch (error) {
+                res.status(500).json({ success: false, error: 'Failed to turn off the calendar feed link', details: error.message });
+            }
+        });
+
+        // Events a member responded to and whether they attended - Admin or the member themselves
+        this.app.get('/members/:id/events', this.authorize('attendance:read', req => this.ownsMember(req)), async (req, res) => {
+            try {
+                const attendance = this.dbAPI.events.memberAttendance(req.params.id);
+                if (!attendance) {
+                    return res.status(404).json({ error: 'Member not found' });
+                }
+                res.json(attendance);
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch event attendance', details: error.message });
+            }
+        });
+
+        // ===== SEARCH ENDPOINTS =====
+
+        // Ranked full-text search, grouped by type (members, blogs, notices)
+        // Query: q, types (comma separated, default all the caller may read), limit (per type, max 25)
+        this.app.get('/search', async (req, res) => {
+            try {
+                const requested = typeof req.query.types === 'string'
+                    ? req.query.types.split(',').map(type => type.trim())
+                    : Object.keys(FullTextSearch.SEARCH_TYPES);
+                const types = requested.filter(type => FullTextSearch.SEARCH_TYPES[type] &&
+                    Permissions.can(req.user, FullTextSearch.SEARCH_TYPES[type].permission));
+
+                res.json(this.dbAPI.search.search(req.query.q, { types, limit: req.query.limit, viewer: req.user }));
+            } catch (error) {
+                res.status(500).json({ error: 'Search failed', details: error.message });
+            }
+        });
+
+        // ===== INVITATION ENDPOINTS =====
+
+        // Invitation and account status per member, keyed by member ID (admin only)
+        this.app.get('/admin/invitations', this.authorize('members:invite'), async (req, res) => {
+            try {
+                res.json(this.dbAPI.invitations.getAll());
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch invitations', details: error.message });
+            }
+        });
+
+        // Invite a member, or resend their invitation with a fresh link (admin only)
+        this.app.post('/members/:id/invitation', this.authorize('members:invite'), async (req, res) => {
+            try {
+                const invitation = await this.sendMemberInvitation(req.params.id, req.user.id);
+                res.json({ 
+                    success: true, 
+                    invitation, 
+                    message: `Invitation sent to ${invitation.email}` 
+                });
+            } catch (error) {
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // Revoke a member's pending invitation so the emailed link stops working (admin only)
+        this.app.delete('/members/:id/invitation', this.authorize('members:invite'), async (req, res) => {
+            try {
+                const revoked = this.dbAPI.invitations.revoke(req.params.id, req.user.id);
+                if (!revoked) {
+                    return res.status(404).json({ 
+                        success: false, 
+                        error: 'No pending invitation for this member' 
+                    });
+                }
+                res.json({ success: true, message: 'Invitation revoked' });
+            } catch (error) {
+                res.status(500).json({ 
+                    success: false, 
+                    error: 'Failed to revoke invitation', 
+                    details: error.message 
+                });
+            }
+        });
+
+        // Details for the invitation accept page (public, token required)
+        this.app.get('/auth/invitation', async (req, res) => {
+            try {
+                const invitation = this.dbAPI.invitations.describe(req.query.token);
+                if (!invitation) {
+                    return res.status(404).json({ 
+                        success: false, 
+                        error: 'This invitation link is invalid or has expired' 
+                    });
+                }
+                res.json({ success: true, ...invitation });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch invitation', details: error.message });
+            }
+        });
+
+        // Create the member's account with their chosen username and password (public, token required)
+        this.app.post('/auth/invitation/accept', async (req, res) => {
+            try {
+                const { token, username, password } = req.body;
+                
+                if (!token || !username || !password) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        error: 'Invitation token, username and password are required' 
+                    });
+                }
+
+                const clientInfo = {
+                    ip: req.ip || req.connection.remoteAddress,
+                    userAgent: req.get('User-Agent')
+                };
+
+                const result = await this.dbAPI.invitations.accept(token, { username, password }, clientInfo);
+                res.status(201).json(result);
+            } catch (error) {
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // ===== SELF-REGISTRATION ENDPOINTS =====
+
+        // Branch and industry choices for the registration form (public)
+        this.app.get('/registration/options', async (req, res) => {
+            try {
+                res.json({ 
+                    branches: this.dbAPI.getBranches(), 
+                    industries: this.dbAPI.getIndustries() 
+                });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch registration options', details: error.message });
+            }
+        });
+
+        // Submit a membership application for admin review (public)
+        this.app.post('/registration', async (req, res) => {
+            try {
+                const clientInfo = {
+                    ip: req.ip || req.connection.remoteAddress,
+                    userAgent: req.get('User-Agent')
+                };
+
+                if (this.dbAPI.applications.isSubmissionLimited(clientInfo.ip)) {
+                    return res.status(429).json({ 
+                        success: false, 
+                        error: 'Too many applications from this network. Please try again later.' 
+                    });
+                }
+
+                // The response is the same whether or not the email is already registered;
+                // only the address owner learns which it was (at most once a day)
+                const { application, emailInUse } = await this.dbAPI.applications.submit(req.body, clientInfo);
+                if (emailInUse) {
+                    if (emailInUse.notify) {
+                        await this.notifyEmailOwner(emailInUse);
+                    }
+                } else {
+                    await this.notifyApplicant(application, 'We received your ISMAA Bengaluru Portal application', [
+                        'Thank you for applying to join the ISMAA Bengaluru Portal.',
+                        'An administrator will review your application and email you with the outcome.'
+                    ]);
+                }
+
+                res.status(201).json({ 
+                    success: true, 
+                    message: 'Application submitted. You will receive an email once an administrator has reviewed it.' 
+                });
+            } catch (error) {
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // Application opened from a "more information needed" email (public, token required)
+        this.app.get('/registration/application', async (req, res) => {
+            try {
+                const application = this.dbAPI.applications.getForApplicant(req.query.token);
+                if (!application) {
+                    return res.status(404).json({ 
+                        success: false, 
+                        error: 'This link is invalid or has expired' 
+                    });
+                }
+                res.json({ success: true, application });
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch application', details: error.message });
+            }
+        });
+
+        // Update an application with the requested information and resubmit it (public, token required)
+        this.app.put('/registration/application', async (req, res) => {
+            try {
+                const { token, ...fields } = req.body;
+                const application = this.dbAPI.applications.updateFromApplicant(token, fields);
+                res.json({ 
+                    success: true, 
+                    application, 
+                    message: 'Thank you. Your application has been returned to the review queue.' 
+                });
+            } catch (error) {
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // Review queue - status=open (default), all, pending, info_requested, approved or rejected (admin only)
+        this.app.get('/admin/applications', this.authorize('applications:review'), async (req, res) => {
+            try {
+                res.json(this.dbAPI.applications.list(req.query.status || 'open'));
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch applications', details: error.message });
+            }
+        });
+
+        // Approve an application, creating the member and their user account (admin only)
+        // Responds 409 with the matching members when the applicant may be a duplicate;
+        // resend with confirmDuplicate: true to approve anyway
+        this.app.post('/admin/applications/:id/approve', this.authorize('applications:review'), async (req, res) => {
+            try {
+                const result = await this.dbAPI.applications.approve(req.params.id, req.user.id, {
+                    confirmDuplicate: req.body.confirmDuplicate === true
+                });
+
+                if (!result.success) {
+                    return res.status(409).json(result);
+                }
+
+                await this.notifyApplicant(result.application, 'Your ISMAA Bengaluru Portal application was approved', [
+                    'Your application has been approved and your account is ready.',
+                    `Sign in with your username (${result.username}) and the password you chose:`,
+                    '',
+                    `${APP_BASE_URL}/login`
+                ]);
+
+                res.json({ 
+                    success: true, 
+                    ...result, 
+                    message: `${result.application.name} is now a member` 
+                });
+            } catch (error) {
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // Reject an application with a reason emailed to the applicant (admin only)
+        this.app.post('/admin/applications/:id/reject', this.authorize('applications:review'), async (req, res) => {
+            try {
+                const application = this.dbAPI.applications.reject(req.params.id, req.user.id, req.body.reason);
+                await this.notifyApplicant(application, 'Your ISMAA Bengaluru Portal application', [
+                    'Thank you for your interest in the ISMAA Bengaluru Portal.',
+                    'Unfortunately your application was not approved, for the following reason:',
+                    '',
+                    application.reviewMessage
+                ]);
+
+                res.json({ success: true, application, message: 'Application rejected' });
+            } catch (error) {
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // Ask the applicant for more information via an emailed update link (admin only)
+        this.app.post('/admin/applications/:id/request-info', this.authorize('applications:review'), async (req, res) => {
+            try {
+                const { application, token } = this.dbAPI.applications.requestInfo(req.params.id, req.user.id, req.body.message);
+                await this.notifyApplicant(application, 'More information needed for your ISMAA Bengaluru Portal application', [
+                    'An administrator reviewing your application needs more information:',
+                    '',
+                    application.reviewMessage,
+                    '',
+                    'Open the link below to update your application:',
+                    '',
+                    `${APP_BASE_URL}/register?application=${encodeURIComponent(token)}`
+                ]);
+
+                res.json({ success: true, application, message: `Information requested from ${application.email}` });
+            } catch (error) {
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // ===== AUTHENTICATION & USER MANAGEMENT ENDPOINTS =====
+        
+        // User authentication - enhanced with security features
+        this.app.post('/auth/login', async (req, res) => {
+            try {
+                const { username, password } = req.body;
+                
+                if (!username || !password) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        error: 'Username and password are required' 
+                    });
+                }
+
+                // Collect client information for security logging
+                const clientInfo = {
+                    ip: req.ip || req.connection.remoteAddress,
+                    userAgent: req.get('User-Agent')
+                };
+
+                const result = await this.dbAPI.authenticateUser(username, password, clientInfo);
+                
+                if (result.throttled) {
+                    res.set('Retry-After', String(result.retryAfter));
+                    res.status(429).json(result);
+                } else if (result.twoFactorRequired) {
+                    // Password accepted; the session is issued after the second step
+                    res.json(result);
+                } else if (result.success) {
+                    this.respondWithSession(res, result, clientInfo);
+                } else {
+                    res.status(401).json(result);
+                }
+            } catch (error) {
+                res.status(500).json({ 
+                    success: false, 
+                    error: 'Authentication failed', 
+                    details: error.message 
+                });
+            }
+        });
+
+        // Request a password reset link (public)
+        // Always responds the same way so account existence is not revealed
+        this.app.post('/auth/password-reset/request', async (req, res) => {
+            try {
+                const { identifier } = req.body;
+                
+                if (!identifier) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        error: 'Username or email is required' 
+                    });
+                }
+
+                const clientInfo = {
+                    ip: req.ip || req.connection.remoteAddress,
+                    userAgent: req.get('User-Agent')
+                };
+
+                const reset = await this.dbAPI.auth.createPasswordResetToken(identifier.trim(), clientInfo);
+                if (reset) {
+                    await this.sendPasswordResetEmail(reset);
+                }
+
+                res.json({ 
+                    success: true, 
+                    message: 'If an account matches, a password reset link has been sent to its email address.' 
+                });
+            } catch (error) {
+                res.status(500).json({ 
+                    success: false, 
+                    error: 'Failed to process password reset request', 
+                    details: error.message 
+                });
+            }
+        });
+
+        // Complete a password reset with the emailed token (public)
+        this.app.post('/auth/password-reset/confirm', async (req, res) => {
+            try {
+                const { token, newPassword } = req.body;
+                
+                if (!token || !newPassword) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        error: 'Reset token and new password are required' 
+                    });
+                }
+
+                const clientInfo = {
+                    ip: req.ip || req.connection.remoteAddress,
+                    userAgent: req.get('User-Agent')
+                };
+
+                const result = await this.dbAPI.auth.resetPasswordWithToken(token, newPassword, clientInfo);
+                res.json(result);
+            } catch (error) {
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // Current password policy (public) so password forms can show the rules before submitting
+        this.app.get('/auth/password-policy', async (req, res) => {
+            try {
+                res.json(this.dbAPI.auth.passwordPolicy.getPolicy());
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch password policy', details: error.message });
+            }
+        });
+
+        // ===== TWO-FACTOR AUTHENTICATION ENDPOINTS =====
+
+        // Second login step: authenticator code or recovery code (public, challenge token required)
+        this.app.post('/auth/2fa/verify', async (req, res) => {
+            try {
+                const { challengeToken, code, recoveryCode } = req.body;
+                
+                if (!challengeToken || (!code && !recoveryCode)) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        error: 'Verification code is required' 
+                    });
+                }
+
+                const clientInfo = {
+                    ip: req.ip || req.connection.remoteAddress,
+                    userAgent: req.get('User-Agent')
+                };
+
+                const result = await this.dbAPI.auth.verifyTwoFactorLogin(challengeToken, { code, recoveryCode }, clientInfo);
+                if (result.success) {
+                    this.respondWithSession(res, result, clientInfo);
+                } else {
+                    res.status(401).json(result);
+                }
+            } catch (error) {
+                res.status(500).json({ 
+                    success: false, 
+                    error: 'Verification failed', 
+                    details: error.message 
+                });
+            }
+        });
+
+        // Two-factor status for the signed-in user
+        this.app.get('/auth/2fa/status', async (req, res) => {
+            try {
+                res.json(this.dbAPI.auth.getTwoFactorStatus(req.user.id));
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch two-factor status', details: error.message });
+            }
+        });
+
+        // Start authenticator enrolment - returns the secret, otpauth URI and a QR code image
+        this.app.post('/auth/2fa/enrol/start', async (req, res) => {
+            try {
+                const enrolee = this.resolveTwoFactorEnrolee(req);
+                if (!enrolee) {
+                    return res.status(401).json({ error: 'Authentication required' });
+                }
+
+                const enrolment = this.dbAPI.auth.beginTwoFactorEnrolment(enrolee.userId);
+                const qrCode = await QRCode.toDataURL(enrolment.otpauthUrl);
+
+                res.set('Cache-Control', 'no-store');
+                res.json({ success: true, ...enrolment, qrCode });
+            } catch (error) {
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // Confirm enrolment with a first code; recovery codes are returned once
+        // When enrolling mid-login (mandatory policy) this also completes the sign in
+        this.app.post('/auth/2fa/enrol/confirm', async (req, res) => {
+            try {
+                const enrolee = this.resolveTwoFactorEnrolee(req);
+                if (!enrolee) {
+                    return res.status(401).json({ error: 'Authentication required' });
+                }
+
+                const clientInfo = {
+                    ip: req.ip || req.connection.remoteAddress,
+                    userAgent: req.get('User-Agent')
+                };
+
+                const result = await this.dbAPI.auth.confirmTwoFactorEnrolment(enrolee.userId, req.body.code, clientInfo);
+                res.set('Cache-Control', 'no-store');
+
+                if (enrolee.duringLogin) {
+                    const login = await this.dbAPI.auth.completeLogin(enrolee.userId, clientInfo);
+                    return this.respondWithSession(res, { ...login, recoveryCodes: result.recoveryCodes }, clientInfo);
+                }
+                res.json(result);
+            } catch (error) {
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // Disable two-factor authentication (requires a current code or a recovery code)
+        this.app.post('/auth/2fa/disable', async (req, res) => {
+            try {
+                const { code, recoveryCode } = req.body;
+                const clientInfo = {
+                    ip: req.ip || req.connection.remoteAddress,
+                    userAgent: req.get('User-Agent')
+                };
+
+                const result = await this.dbAPI.auth.disableTwoFactor(req.user.id, { code, recoveryCode }, clientInfo);
+                res.json(result);
+            } catch (error) {
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // Replace recovery codes (requires a current authenticator code)
+        this.app.post('/auth/2fa/recovery-codes', async (req, res) => {
+            try {
+                const clientInfo = {
+                    ip: req.ip || req.connection.remoteAddress,
+                    userAgent: req.get('User-Agent')
+                };
+
+                const result = await this.dbAPI.auth.regenerateRecoveryCodes(req.user.id, req.body.code, clientInfo);
+                res.set('Cache-Control', 'no-store');
+                res.json(result);
+            } catch (error) {
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // ===== SESSION ENDPOINTS =====
+
+        // End the current session on the server
+        this.app.post('/auth/logout', async (req, res) => {
+            try {
+                const clientInfo = {
+                    ip: req.ip || req.connection.remoteAddress,
+                    userAgent: req.get('User-Agent')
+                };
+
+                const result = await this.dbAPI.auth.logout(req.user.id, req.user.sessionId, clientInfo);
+                res.json(result);
+            } catch (error) {
+                res.status(500).json({ success: false, error: 'Logout failed', details: error.message });
             }
         });
 
-        this.app.get('/industries', async (req, res) => {
+        // Active sessions for the signed-in user
+        this.app.get('/auth/sessions', async (req, res) => {
             try {
-                const industries = this.dbAPI.getIndustries();
-                res.json(industries);
+                res.json(this.dbAPI.auth.getActiveSessions(req.user.id, req.user.sessionId));
             } catch (error) {
-                res.status(500).json({ error: 'Failed to fetch industries', details: error.message });
+                res.status(500).json({ error: 'Failed to fetch sessions', details: error.message });
             }
         });
 
-        this.app.get('/companies', async (req, res) => {
+        // Revoke one of the signed-in user's sessions
+        this.app.delete('/auth/sessions/:id', async (req, res) => {
             try {
-                const companies = this.dbAPI.getCompanies();
-                res.json(companies);
+                const clientInfo = {
+                    ip: req.ip || req.connection.remoteAddress,
+                    userAgent: req.get('User-Agent')
+                };
+
+                const result = await this.dbAPI.auth.revokeSession(req.user.id, req.params.id, req.user.id, clientInfo);
+                res.json(result);
             } catch (error) {
-                res.status(500).json({ error: 'Failed to fetch companies', details: error.message });
+                res.status(404).json({ 
+                    success: false, 
+                    error: error.message 
+                });
             }
         });
 
-        // ===== AUTHENTICATION & USER MANAGEMENT ENDPOINTS =====
-        
-        // User authentication - enhanced with security features
-        this.app.post('/auth/login', async (req, res) => {
+        // Revoke every session the signed-in user holds, including this one
+        this.app.post('/auth/logout-everywhere', async (req, res) => {
             try {
-                const { username, password } = req.body;
-                
-                if (!username || !password) {
-                    return res.status(400).json({ 
-                        success: false, 
-                        error: 'Username and password are required' 
-                    });
-                }
-
-                // Collect client information for security logging
                 const clientInfo = {
                     ip: req.ip || req.connection.remoteAddress,
                     userAgent: req.get('User-Agent')
                 };
 
-                const result = await this.dbAPI.authenticateUser(username, password, clientInfo);
-                
-                if (result.success) {
-                    res.json(result);
-                } else {
-                    res.status(401).json(result);
-                }
+                const result = await this.dbAPI.auth.logoutEverywhere(req.user.id, clientInfo);
+                res.json(result);
             } catch (error) {
-                res.status(500).json({ 
-                    success: false, 
-                    error: 'Authentication failed', 
-                    details: error.message 
-                });
+                res.status(500).json({ success: false, error: 'Failed to revoke sessions', details: error.message });
             }
         });
 
-        // Change password endpoint
+        // Change password endpoint - always acts on the authenticated user
         this.app.post('/auth/change-password', async (req, res) => {
             try {
-                const { userId, currentPassword, newPassword } = req.body;
+                const { currentPassword, newPassword } = req.body;
                 
-                if (!userId || !newPassword) {
+                if (!newPassword) {
                     return res.status(400).json({ 
                         success: false, 
-                        error: 'User ID and new password are required' 
+                        error: 'New password is required' 
                     });
                 }
 
-                const result = await this.dbAPI.changePassword(userId, currentPassword, newPassword);
+                const result = await this.dbAPI.changePassword(req.user.id, currentPassword, newPassword);
                 res.json(result);
             } catch (error) {
                 res.status(400).json({ 
@@ -306,19 +1662,19 @@ class ISMAAServer {
             }
         });
 
-        // Change username endpoint (one-time only)
+        // Change username endpoint (one-time only) - always acts on the authenticated user
         this.app.post('/auth/change-username', async (req, res) => {
             try {
-                const { userId, newUsername } = req.body;
+                const { newUsername } = req.body;
                 
-                if (!userId || !newUsername) {
+                if (!newUsername) {
                     return res.status(400).json({ 
                         success: false, 
-                        error: 'User ID and new username are required' 
+                        error: 'New username is required' 
                     });
                 }
 
-                const result = await this.dbAPI.changeUsername(userId, newUsername);
+                const result = await this.dbAPI.changeUsername(req.user.id, newUsername);
                 res.json(result);
             } catch (error) {
                 res.status(400).json({ 
@@ -329,7 +1685,7 @@ class ISMAAServer {
         });
 
         // Update user settings
-        this.app.put('/auth/settings/:userId', async (req, res) => {
+        this.app.put('/auth/settings/:userId', this.authorize('users:update', req => this.ownsUserRecord(req)), async (req, res) => {
             try {
                 const userId = req.params.userId;
                 const settings = req.body;
@@ -345,7 +1701,7 @@ class ISMAAServer {
         });
 
         // Get user profile
-        this.app.get('/auth/profile/:userId', async (req, res) => {
+        this.app.get('/auth/profile/:userId', this.authorize('users:read', req => this.ownsUserRecord(req)), async (req, res) => {
             try {
                 const userId = req.params.userId;
                 const user = this.dbAPI.getUserById(userId);
@@ -363,7 +1719,7 @@ class ISMAAServer {
         });
 
         // Update user profile
-        this.app.put('/auth/profile/:userId', async (req, res) => {
+        this.app.put('/auth/profile/:userId', this.authorize('users:update', req => this.ownsUserRecord(req)), async (req, res) => {
             try {
                 const userId = req.params.userId;
                 const profileData = req.body;
@@ -407,29 +1763,28 @@ class ISMAAServer {
         // ===== ADMIN-ONLY USER MANAGEMENT ENDPOINTS =====
 
         // Get all users (admin only)
-        this.app.get('/admin/users/:adminId', async (req, res) => {
+        this.app.get('/admin/users', this.authorize('users:read'), async (req, res) => {
             try {
-                const adminId = req.params.adminId;
-                const users = this.dbAPI.getAllUsers(adminId);
+                const users = this.dbAPI.getAllUsers();
                 res.json(users);
             } catch (error) {
-                res.status(403).json({ error: error.message });
+                res.status(500).json({ error: 'Failed to fetch users', details: error.message });
             }
         });
 
         // Create new user (admin only)
-        this.app.post('/admin/users', async (req, res) => {
+        this.app.post('/admin/users', this.authorize('users:create'), async (req, res) => {
             try {
-                const { adminId, userData } = req.body;
+                const { userData } = req.body;
                 
-                if (!adminId || !userData) {
+                if (!userData) {
                     return res.status(400).json({ 
                         success: false, 
-                        error: 'Admin ID and user data are required' 
+                        error: 'User data is required' 
                     });
                 }
 
-                const result = await this.dbAPI.createUser(userData, adminId);
+                const result = await this.dbAPI.createUser(userData, req.user.id);
                 res.status(201).json(result);
             } catch (error) {
                 res.status(400).json({ 
@@ -440,21 +1795,208 @@ class ISMAAServer {
         });
 
         // Admin password reset
-        this.app.post('/admin/reset-password', async (req, res) => {
+        this.app.post('/admin/reset-password', this.authorize('users:reset-password'), async (req, res) => {
+            try {
+                const { targetUserId, newPassword } = req.body;
+                
+                if (!targetUserId) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        error: 'Target user ID is required' 
+                    });
+                }
+
+                // The temporary password is revealed once in this response and never stored
+                const result = await this.dbAPI.adminResetPassword(req.user.id, targetUserId, newPassword);
+                res.set('Cache-Control', 'no-store');
+                res.json(result);
+            } catch (error) {
+                res.status(error.message === 'User not found' ? 404 : 400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // Email a user an expiring link to choose their own password
+        this.app.post('/admin/send-setup-link', this.authorize('users:reset-password'), async (req, res) => {
+            try {
+                const { targetUserId } = req.body;
+                
+                if (!targetUserId) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        error: 'Target user ID is required' 
+                    });
+                }
+
+                const setup = await this.dbAPI.auth.createAccountSetupToken(targetUserId, req.user.id);
+                if (!setup) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        error: 'User not found or has no email address' 
+                    });
+                }
+
+                await this.sendAccountSetupEmail(setup);
+                res.json({ 
+                    success: true, 
+                    expiresAt: setup.expiresAt,
+                    message: `Setup link sent to ${setup.user.email}` 
+                });
+            } catch (error) {
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // Reset a user's two-factor authentication (lost authenticator and recovery codes)
+        this.app.post('/admin/reset-2fa', this.authorize('users:reset-password'), async (req, res) => {
+            try {
+                const { targetUserId } = req.body;
+                
+                if (!targetUserId) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        error: 'Target user ID is required' 
+                    });
+                }
+
+                const result = await this.dbAPI.auth.adminResetTwoFactor(req.user.id, targetUserId);
+                res.json(result);
+            } catch (error) {
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // Sign a user out of every device (admin only)
+        this.app.post('/admin/force-logout', this.authorize('users:revoke-sessions'), async (req, res) => {
             try {
-                const { adminId, targetUserId, newPassword } = req.body;
+                const { targetUserId } = req.body;
                 
-                if (!adminId || !targetUserId) {
+                if (!targetUserId) {
                     return res.status(400).json({ 
                         success: false, 
-                        error: 'Admin ID and target user ID are required' 
+                        error: 'Target user ID is required' 
                     });
                 }
 
-                const result = await this.dbAPI.adminResetPassword(adminId, targetUserId, newPassword);
+                const result = await this.dbAPI.auth.adminRevokeSessions(req.user.id, targetUserId);
                 res.json(result);
             } catch (error) {
-                res.status(403).json({ 
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // Security policy settings (admin only)
+        this.app.get('/admin/settings/security', this.authorize('system:settings'), async (req, res) => {
+            try {
+                res.json(this.getSecurityPolicy());
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch security settings', details: error.message });
+            }
+        });
+
+        this.app.put('/admin/settings/security', this.authorize('system:settings'), async (req, res) => {
+            try {
+                const { requireAdminTwoFactor } = req.body;
+                
+                if (typeof requireAdminTwoFactor !== 'boolean') {
+                    return res.status(400).json({ 
+                        success: false, 
+                        error: 'requireAdminTwoFactor must be true or false' 
+                    });
+                }
+
+                this.dbAPI.settings.set('security.requireAdminTwoFactor', requireAdminTwoFactor, req.user.id);
+                res.json({ success: true, ...this.getSecurityPolicy() });
+            } catch (error) {
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // How long deleted items stay in the recycle bin before maintenance purges them (admin only)
+        this.app.put('/admin/settings/recycle-bin', this.authorize('system:settings'), async (req, res) => {
+            try {
+                const purgeAfterDays = this.dbAPI.recycleBin.setPurgeAfterDays(req.body.purgeAfterDays, req.user.id);
+                res.json({ success: true, purgeAfterDays });
+            } catch (error) {
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // How many days before its end a membership counts as expiring (admin only)
+        this.app.put('/admin/settings/dues', this.authorize('dues:manage'), async (req, res) => {
+            try {
+                const expiringWithinDays = this.dbAPI.dues.setExpiringWithinDays(req.body.expiringWithinDays, req.user.id);
+                res.json({ success: true, expiringWithinDays });
+            } catch (error) {
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // Membership ID pattern, an example ID and how many members have none (admin only)
+        this.app.get('/admin/settings/membership-ids', this.authorize('system:settings'), async (req, res) => {
+            try {
+                res.json(this.dbAPI.membershipIds.getSettings());
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch membership ID settings', details: error.message });
+            }
+        });
+
+        // Change the pattern of new membership IDs (admin only) - body: { pattern }
+        this.app.put('/admin/settings/membership-ids', this.authorize('system:settings'), async (req, res) => {
+            try {
+                this.dbAPI.membershipIds.setPattern(req.body.pattern, req.user.id);
+                res.json({ success: true, ...this.dbAPI.membershipIds.getSettings() });
+            } catch (error) {
+                res.status(400).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // Give every member without a membership ID the next one from the pattern (admin only)
+        this.app.post('/admin/membership-ids/assign', this.authorize('system:settings'), async (req, res) => {
+            try {
+                const { assigned, skipped } = this.dbAPI.membershipIds.assignMissing(req.user.id);
+                res.json({
+                    success: true,
+                    assigned,
+                    skipped,
+                    message: `Assigned ${assigned.length} membership ID(s)`
+                        + (skipped.length > 0 ? `; ${skipped.length} member(s) skipped for lack of a passout batch` : '')
+                });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Update the password policy (admin only) - accepts any subset of the policy fields
+        this.app.put('/admin/settings/password-policy', this.authorize('system:settings'), async (req, res) => {
+            try {
+                const policy = this.dbAPI.auth.passwordPolicy.updatePolicy(req.body, req.user.id);
+                res.json({ success: true, ...policy });
+            } catch (error) {
+                res.status(400).json({ 
                     success: false, 
                     error: error.message 
                 });
@@ -462,22 +2004,53 @@ class ISMAAServer {
         });
 
         // Get security log (admin only)
-        this.app.get('/admin/security-log/:adminId', async (req, res) => {
+        this.app.get('/admin/security-log', this.authorize('security-log:read'), async (req, res) => {
             try {
-                const adminId = req.params.adminId;
                 const { targetUserId, limit } = req.query;
                 
-                const logs = this.dbAPI.getSecurityLog(adminId, targetUserId, limit);
+                const logs = this.dbAPI.getSecurityLog(targetUserId, limit);
                 res.json(logs);
             } catch (error) {
-                res.status(403).json({ error: error.message });
+                res.status(500).json({ error: 'Failed to fetch security log', details: error.message });
+            }
+        });
+
+        // Sign-in sources (IPs and usernames) currently refused by login throttling (admin only)
+        this.app.get('/admin/login-throttle', this.authorize('security-log:read'), async (req, res) => {
+            try {
+                res.json(this.dbAPI.auth.throttle.getThrottledSources());
+            } catch (error) {
+                res.status(500).json({ error: 'Failed to fetch throttled sources', details: error.message });
+            }
+        });
+
+        // Lift throttling for one source before its back-off expires (admin only)
+        this.app.post('/admin/login-throttle/release', this.authorize('security-log:manage'), async (req, res) => {
+            try {
+                const { scope, source } = req.body;
+                
+                if (!['ip', 'identifier'].includes(scope) || !source) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        error: 'Scope (ip or identifier) and source are required' 
+                    });
+                }
+
+                const released = this.dbAPI.auth.throttle.release(scope, source);
+                res.json({ success: true, released, message: `Throttling lifted for ${source}` });
+            } catch (error) {
+                res.status(500).json({ 
+                    success: false, 
+                    error: 'Failed to release throttled source', 
+                    details: error.message 
+                });
             }
         });
 
         // ===== PRIVACY SETTINGS ENDPOINTS =====
 
         // Get user privacy settings
-        this.app.get('/privacy/:userId', async (req, res) => {
+        this.app.get('/privacy/:userId', this.authorize('users:read', req => this.ownsUserRecord(req)), async (req, res) => {
             try {
                 const userId = req.params.userId;
                 const settings = this.dbAPI.getUserPrivacySettings(userId);
@@ -493,7 +2066,7 @@ class ISMAAServer {
         });
 
         // Update user privacy settings
-        this.app.put('/privacy/:userId', async (req, res) => {
+        this.app.put('/privacy/:userId', this.authorize('users:update', req => this.ownsUserRecord(req)), async (req, res) => {
             try {
                 const userId = req.params.userId;
                 const privacySettings = req.body;
@@ -509,7 +2082,7 @@ class ISMAAServer {
         });
 
         // Blogs routes
-        this.app.get('/blogs', async (req, res) => {
+        this.app.get('/blogs', this.authorize('blogs:read'), async (req, res) => {
             try {
                 const blogs = this.dbAPI.getAllBlogs();
                 res.json(blogs);
@@ -518,18 +2091,19 @@ class ISMAAServer {
             }
         });
 
-        this.app.post('/blogs', async (req, res) => {
+        this.app.post('/blogs', this.authorize('blogs:create'), async (req, res) => {
             try {
-                const result = this.dbAPI.createBlog(req.body);
+                // Blog ownership is tracked by author username
+                const result = this.dbAPI.createBlog({ ...req.body, author: this.resolveBlogAuthor(req) });
                 res.status(201).json(result);
             } catch (error) {
                 res.status(500).json({ error: 'Failed to create blog', details: error.message });
             }
         });
 
-        this.app.put('/blogs/:id', async (req, res) => {
+        this.app.put('/blogs/:id', this.authorize('blogs:update', req => this.ownsBlog(req)), async (req, res) => {
             try {
-                const result = this.dbAPI.updateBlog(req.params.id, req.body);
+                const result = this.dbAPI.updateBlog(req.params.id, { ...req.body, author: this.resolveBlogAuthor(req) });
                 if (result.updated) {
                     res.json(result);
                 } else {
@@ -540,11 +2114,11 @@ class ISMAAServer {
             }
         });
 
-        this.app.delete('/blogs/:id', async (req, res) => {
+        this.app.delete('/blogs/:id', this.authorize('blogs:delete', req => this.ownsBlog(req)), async (req, res) => {
             try {
-                const result = this.dbAPI.deleteBlog(req.params.id);
+                const result = this.dbAPI.deleteBlog(req.params.id, req.user.id);
                 if (result.deleted) {
-                    res.json({ message: 'Blog deleted successfully', id: req.params.id });
+                    res.json({ message: 'Blog moved to the recycle bin', id: req.params.id });
                 } else {
                     res.status(404).json({ error: 'Blog not found' });
                 }
@@ -554,7 +2128,7 @@ class ISMAAServer {
         });
 
         // Notices routes
-        this.app.get('/notices', async (req, res) => {
+        this.app.get('/notices', this.authorize('notices:read'), async (req, res) => {
             try {
                 const notices = this.dbAPI.getAllNotices();
                 res.json(notices);
@@ -563,7 +2137,13 @@ class ISMAAServer {
             }
         });
 
-        this.app.post('/notices', async (req, res) => {
+        // Body: { title, content, category, priority, author, calendarDate (optional YYYY-MM-DD for the calendar feed) }
+        this.app.post('/notices', this.authorize('notices:create'), async (req, res) => {
+            try {
+                EventCalendar.parseCalendarDate(req.body.calendarDate);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
             try {
                 const result = this.dbAPI.createNotice(req.body);
                 res.status(201).json(result);
@@ -572,7 +2152,12 @@ class ISMAAServer {
             }
         });
 
-        this.app.put('/notices/:id', async (req, res) => {
+        this.app.put('/notices/:id', this.authorize('notices:update'), async (req, res) => {
+            try {
+                EventCalendar.parseCalendarDate(req.body.calendarDate);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
             try {
                 const result = this.dbAPI.updateNotice(req.params.id, req.body);
                 if (result.updated) {
@@ -585,11 +2170,11 @@ class ISMAAServer {
             }
         });
 
-        this.app.delete('/notices/:id', async (req, res) => {
+        this.app.delete('/notices/:id', this.authorize('notices:delete'), async (req, res) => {
             try {
-                const result = this.dbAPI.deleteNotice(req.params.id);
+                const result = this.dbAPI.deleteNotice(req.params.id, req.user.id);
                 if (result.deleted) {
-                    res.json({ message: 'Notice deleted successfully', id: req.params.id });
+                    res.json({ message: 'Notice moved to the recycle bin', id: req.params.id });
                 } else {
                     res.status(404).json({ error: 'Notice not found' });
                 }
@@ -599,7 +2184,7 @@ class ISMAAServer {
         });
 
         // Database statistics route
-        this.app.get('/stats', async (req, res) => {
+        this.app.get('/stats', this.authorize('stats:read'), async (req, res) => {
             try {
                 const stats = this.dbAPI.dbManager.getStats();
                 res.json(stats);
@@ -611,7 +2196,7 @@ class ISMAAServer {
         // ===== HEALTH SYSTEM ENDPOINTS =====
         
         // Comprehensive health analysis
-        this.app.post('/api/health/comprehensive-analysis', async (req, res) => {
+        this.app.post('/api/health/comprehensive-analysis', this.authorize('system:health'), async (req, res) => {
             try {
                 const { spawn } = require('child_process');
                 const path = require('path');
@@ -660,7 +2245,7 @@ class ISMAAServer {
         });
 
         // Run specific test category
-        this.app.post('/api/health/run-tests', async (req, res) => {
+        this.app.post('/api/health/run-tests', this.authorize('system:health'), async (req, res) => {
             try {
                 const { category } = req.body;
                 const { spawn } = require('child_process');
@@ -716,7 +2301,7 @@ class ISMAAServer {
         });
 
         // Run specific maintenance function
-        this.app.post('/api/maintenance/run-function', async (req, res) => {
+        this.app.post('/api/maintenance/run-function', this.authorize('system:maintenance'), async (req, res) => {
             try {
                 const { functionName } = req.body;
                 const { spawn } = require('child_process');
@@ -750,6 +2335,9 @@ class ISMAAServer {
                                 case 'deepCleanup':
                                     result = await maintenanceTool.deepCleanup();
                                     break;
+                                case 'purgeDeletedRecords':
+                                    result = await maintenanceTool.purgeDeletedRecords();
+                                    break;
                                 default:
                                     result = { error: 'Unknown function: ${functionName}' };
                             }
@@ -809,6 +2397,223 @@ class ISMAAServer {
         });
     }
 
+    // Authentication middleware - resolves the bearer token to req.user
+    // Rejects requests to non-public routes that carry no valid session, and
+    // holds users who must change their password to the password change routes
+    authenticate(req, res, next) {
+        const header = req.get('Authorization') || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+
+        if (token) {
+            const user = this.dbAPI.auth.resolveSessionToken(token);
+            if (user) {
+                req.user = user;
+            }
+        }
+
+        const route = `${req.method} ${req.path}`;
+        const isPublic = PUBLIC_ROUTES.includes(route) || PUBLIC_PATH_PREFIXES.some(prefix => route.startsWith(prefix));
+
+        if (req.user?.passwordChangeRequired && !isPublic && !PASSWORD_CHANGE_ROUTES.includes(route)) {
+            return res.status(403).json({
+                success: false,
+                error: 'You must change your password before continuing',
+                passwordChangeRequired: true
+            });
+        }
+
+        if (req.user || isPublic) {
+            return next();
+        }
+
+        res.status(401).json({ error: 'Authentication required' });
+    }
+
+    // Send a completed login with a freshly issued session token
+    // The client sends the token as a Bearer header on every request
+    respondWithSession(res, result, clientInfo) {
+        const session = this.dbAPI.auth.issueSessionToken(result.user, clientInfo);
+        res.json({ ...result, token: session.token, expiresAt: session.expiresAt });
+    }
+
+    // Resolve who is enrolling in 2FA: the signed-in user, or a user part-way through
+    // login whose role requires 2FA (identified by an 'enrol' challenge token)
+    resolveTwoFactorEnrolee(req) {
+        if (req.user) {
+            return { userId: req.user.id, duringLogin: false };
+        }
+
+        const user = this.dbAPI.auth.resolveTwoFactorChallenge(req.body.challengeToken, 'enrol');
+        return user ? { userId: user.id, duringLogin: true } : null;
+    }
+
+    // Current security policy as exposed to the admin settings UI
+    getSecurityPolicy() {
+        return {
+            requireAdminTwoFactor: this.dbAPI.settings.get('security.requireAdminTwoFactor') === true
+        };
+    }
+
+    // Email a password reset link built from the raw (unhashed) token
+    async sendPasswordResetEmail({ user, token, expiresAt }) {
+        const resetLink = `${APP_BASE_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+        await this.mailer.send({
+            to: user.email,
+            subject: 'Reset your ISMAA Bengaluru Portal password',
+            text: [
+                `Hello ${user.name},`,
+                '',
+                `We received a request to reset the password for your account (${user.username}).`,
+                'Open the link below to choose a new password:',
+                '',
+                resetLink,
+                '',
+                `This link can be used once and expires at ${new Date(expiresAt).toUTCString()}.`,
+                'If you did not request a reset, you can ignore this email.'
+            ].join('\n')
+        });
+    }
+
+    // Email an account setup (invitation) link so the user chooses their own password
+    async sendAccountSetupEmail({ user, token, expiresAt }) {
+        const setupLink = `${APP_BASE_URL}/reset-password?token=${encodeURIComponent(token)}&setup=1`;
+
+        await this.mailer.send({
+            to: user.email,
+            subject: 'Set up your ISMAA Bengaluru Portal account',
+            text: [
+                `Hello ${user.name},`,
+                '',
+                'An account has been prepared for you on the ISMAA Bengaluru Portal.',
+                `Your username is: ${user.username}`,
+                '',
+                'Open the link below to choose your password and sign in:',
+                '',
+                setupLink,
+                '',
+                `This link can be used once and expires at ${new Date(expiresAt).toUTCString()}.`
+            ].join('\n')
+        });
+    }
+
+    // Create or refresh a member's invitation and email the link
+    // Returns the invitation as listed for admins (the token only goes in the email)
+    async sendMemberInvitation(memberId, adminId) {
+        const { invitation, token, member } = this.dbAPI.invitations.invite(memberId, adminId);
+        const inviteLink = `${APP_BASE_URL}/invite?token=${encodeURIComponent(token)}`;
+
+        await this.mailer.send({
+            to: member.email,
+            subject: 'You are invited to the ISMAA Bengaluru Portal',
+            text: [
+                `Hello ${member.name},`,
+                '',
+                'You have been added to the ISMAA Bengaluru member directory.',
+                'Open the link below to choose your username and password:',
+                '',
+                inviteLink,
+                '',
+                `This link expires at ${new Date(invitation.expiresAt).toUTCString()}.`,
+                'If you were not expecting this invitation, you can ignore this email.'
+            ].join('\n')
+        });
+
+        return invitation;
+    }
+
+    // Email members about an event (promotion off the waitlist, cancellation)
+    // Delivery failures are logged rather than failing the action that was already saved
+    async notifyEventMembers(members, subject, paragraphs) {
+        for (const member of members.filter(member => member.email)) {
+            try {
+                await this.mailer.send({
+                    to: member.email,
+                    subject,
+                    text: [`Hello ${member.name},`, '', ...paragraphs].join('\n')
+                });
+            } catch (error) {
+                console.error(`Failed to email member ${member.email}:`, error.message);
+            }
+        }
+    }
+
+    async notifyPromotedMembers(event, promoted) {
+        await this.notifyEventMembers(promoted, `You have a place at ${event.title}`, [
+            `A place opened up at ${event.title} on ${AlumniEvents.describeTime(event.startsAt)} at ${event.venue}, and you have been moved off the waitlist.`,
+            `If you can no longer come, please cancel your RSVP so that someone else can have the place: ${APP_BASE_URL}/events`
+        ]);
+    }
+
+    // Email a registration applicant about their application
+    // Delivery failures are logged rather than failing the action that was already saved
+    async notifyApplicant(application, subject, paragraphs) {
+        try {
+            await this.mailer.send({
+                to: application.email,
+                subject,
+                text: [`Hello ${application.name},`, '', ...paragraphs].join('\n')
+            });
+        } catch (error) {
+            console.error(`Failed to email applicant ${application.email}:`, error.message);
+        }
+    }
+
+    // Tell the owner of an email that someone tried to register with it
+    // emailInUse.reason is 'account' or 'application' (see MemberApplications.submit)
+    async notifyEmailOwner(emailInUse) {
+        if (emailInUse.reason === 'account') {
+            await this.notifyApplicant(emailInUse, 'Your ISMAA Bengaluru Portal account already exists', [
+                'Someone tried to register for the ISMAA Bengaluru Portal with this email address, but it already has an account.',
+                `If this was you, sign in or use "Forgot password" to choose a new password: ${APP_BASE_URL}/login`,
+                'If it was not you, you can ignore this email; no new account was created.'
+            ]);
+        } else {
+            await this.notifyApplicant(emailInUse, 'Your ISMAA Bengaluru Portal application is already under review', [
+                'Someone tried to apply to the ISMAA Bengaluru Portal with this email address, but an application for it is already awaiting review.',
+                'An administrator will email you with the outcome of that application. The new submission was not stored.'
+            ]);
+        }
+    }
+
+    // Authorization guard factory - checks req.user against the role permission matrix
+    // isOwner(req) is consulted only when the role holds an 'own' grant for the permission
+    authorize(permission, isOwner = null) {
+        return (req, res, next) => {
+            const grant = Permissions.getGrant(req.user?.role, permission);
+
+            if (grant === 'any' || (grant === 'own' && isOwner && isOwner(req))) {
+                return next();
+            }
+
+            res.status(403).json({
+                success: false,
+                error: 'Forbidden',
+                details: `Missing permission: ${permission}`
+            });
+        };
+    }
+
+    // Ownership resolvers used by 'own' grants
+    ownsMember(req) {
+        return this.dbAPI.isMemberOwnedBy(req.params.id, req.user.id);
+    }
+
+    ownsUserRecord(req) {
+        return String(req.params.userId) === String(req.user.id);
+    }
+
+    ownsBlog(req) {
+        return this.dbAPI.getBlogAuthor(req.params.id) === req.user.username;
+    }
+
+    // Members always author blogs as themselves; admins may attribute them to others
+    resolveBlogAuthor(req) {
+        return Permissions.getGrant(req.user.role, 'blogs:update') === 'any' && req.body.author
+            ? req.body.author
+            : req.user.username;
+    }
+
     errorHandler(error, req, res, next) {
         console.error('Server Error:', error);
         res.status(500).json({ 
@@ -828,6 +2633,9 @@ class ISMAAServer {
                 console.log('📊 Database: SQLite with ACID compliance');
                 console.log('🔄 API endpoints ready');
                 console.log('💡 Try: http://localhost:3001/health');
+                if (!process.env.SESSION_SECRET) {
+                    console.warn('⚠️  SESSION_SECRET not set - session tokens and invitation links will not survive a restart');
+                }
             });
             
             // Graceful shutdown
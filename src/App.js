@@ -28,6 +28,16 @@ import MemberDetail from './components/MemberDetail';
 import EditMember from './components/EditMember';
 import BlogsNotices from './components/BlogsNotices';
 import Login from './components/Login';
+import PasswordReset from './components/PasswordReset';
+import AcceptInvitation from './components/AcceptInvitation';
+import Registration from './components/Registration';
+import ApplicationQueue from './components/ApplicationQueue';
+import RecycleBin from './components/RecycleBin';
+import DuplicateMembers from './components/DuplicateMembers';
+import DuesDashboard from './components/DuesDashboard';
+import VerifyMembership from './components/VerifyMembership';
+import Events from './components/Events';
+import EventAttendees from './components/EventAttendees';
 import './App.css';
 
 // Higher-order component to protect routes from unauthenticated access
@@ -60,6 +70,21 @@ const AppContent = () => {
           <Route path="/login" element={
             isAuthenticated ? <Navigate to="/" replace /> : <Login />
           } />
+
+          {/* Public routes - Self-service password reset (request link, then set password) */}
+          <Route path="/forgot-password" element={<PasswordReset />} />
+          <Route path="/reset-password" element={<PasswordReset />} />
+
+          {/* Public route - New members accept their emailed invitation and create an account */}
+          <Route path="/invite" element={<AcceptInvitation />} />
+
+          {/* Public route - Partners check a scanned membership card */}
+          <Route path="/verify/:token" element={<VerifyMembership />} />
+
+          {/* Public route - Alumni apply for membership, or update an application returned for more information */}
+          <Route path="/register" element={
+            isAuthenticated ? <Navigate to="/" replace /> : <Registration />
+          } />
           
           {/* Protected routes - Require authentication */}
           {/* Dashboard/Home page with overview statistics */}
@@ -96,6 +121,47 @@ const AppContent = () => {
               <BlogsNotices />
             </ProtectedRoute>
           } />
+
+          {/* Membership application review queue (admin only) */}
+          <Route path="/applications" element={
+            <ProtectedRoute>
+              <ApplicationQueue />
+            </ProtectedRoute>
+          } />
+
+          {/* Duplicate member finder and merge (admin only) */}
+          <Route path="/duplicates" element={
+            <ProtectedRoute>
+              <DuplicateMembers />
+            </ProtectedRoute>
+          } />
+
+          {/* Events with RSVPs; attendee lists and check-in (admin only) */}
+          <Route path="/events" element={
+            <ProtectedRoute>
+              <Events />
+            </ProtectedRoute>
+          } />
+
+          <Route path="/events/:id/attendees" element={
+            <ProtectedRoute>
+              <EventAttendees />
+            </ProtectedRoute>
+          } />
+
+          {/* Membership dues, renewals and plans (admin only) */}
+          <Route path="/dues" element={
+            <ProtectedRoute>
+              <DuesDashboard />
+            </ProtectedRoute>
+          } />
+
+          {/* Deleted members, accounts, blogs and notices (admin only) */}
+          <Route path="/recycle-bin" element={
+            <ProtectedRoute>
+              <RecycleBin />
+            </ProtectedRoute>
+          } />
         </Routes>
       </main>
     </div>
@@ -0,0 +1,214 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Accept Invitation Component
+// =====================================================
+//
+// Account setup for newly added members, opened from the emailed
+// invitation link (/invite?token=...).
+//
+// Invitation Flow:
+// 1. Admin adds a member (or resends from the member list)
+// 2. Backend emails a signed, expiring invitation link
+// 3. Member picks a username and password here
+// 4. Success: member is sent to the sign in page
+//
+// Revoked, superseded (resent) and expired links are refused by the
+// backend, so the form is only shown for a link that still works.
+//
+// Dependencies: React Router, Portal API, AuthContext, PasswordRequirements, Login.css
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { apiFetch } from '../utils/apiClient';
+import { useAuth } from '../context/AuthContext';
+import PasswordRequirements, { meetsPasswordPolicy } from './PasswordRequirements';
+import './Login.css';
+
+/**
+ * Invitation accept page - loads the invitation, then collects credentials
+ */
+const AcceptInvitation = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [invitation, setInvitation] = useState(null);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [completed, setCompleted] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [passwordPolicy, setPasswordPolicy] = useState(null);
+  const { getPasswordPolicy } = useAuth();
+
+  useEffect(() => {
+    const loadInvitation = async () => {
+      if (!token) {
+        setError('This invitation link is incomplete. Open the link from your email again.');
+        setLoading(false);
+        return;
+      }
+
+      try {
+        const response = await apiFetch(`/auth/invitation?token=${encodeURIComponent(token)}`);
+        const result = await response.json();
+
+        if (result.success) {
+          setInvitation(result);
+          setUsername(result.suggestedUsername || '');
+          setPasswordPolicy(await getPasswordPolicy());
+        } else {
+          setError(result.error);
+        }
+      } catch (err) {
+        setError('Could not load your invitation. Please check your connection and try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadInvitation();
+  }, [token]);
+
+  /**
+   * Create the account with the chosen username and password
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await apiFetch('/auth/invitation/accept', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, username: username.trim(), password })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setMessage(`${result.message} Your username is ${result.username}.`);
+        setCompleted(true);
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      setError('Account setup failed. Please check your connection and try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-content">
+        <div className="login-form-section">
+          <div className="login-card">
+            <div className="login-header">
+              <h1>✉️ Join the ISMAA Portal</h1>
+              <p>
+                {invitation
+                  ? `Welcome, ${invitation.name}. Choose how you will sign in.`
+                  : 'Set up your member account'}
+              </p>
+            </div>
+
+            {completed ? (
+              <div className="login-form">
+                <div className="success">{message}</div>
+                <Link to="/login" className="btn btn-primary login-btn">Go to Sign In</Link>
+              </div>
+            ) : invitation ? (
+              <form onSubmit={handleSubmit} className="login-form">
+                {error && <div className="error">{error}</div>}
+
+                <div className="form-group">
+                  <label htmlFor="email" className="form-label">Email</label>
+                  <input type="email" id="email" value={invitation.email} className="form-input" disabled />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="username" className="form-label">Username</label>
+                  <input
+                    type="text"
+                    id="username"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    className="form-input"
+                    required
+                    pattern="[a-zA-Z0-9_]{3,20}"
+                    title="3-20 letters, numbers or underscores"
+                    placeholder="Choose a username"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="password" className="form-label">Password</label>
+                  <input
+                    type="password"
+                    id="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="form-input"
+                    required
+                    placeholder="Choose a password"
+                  />
+                  <PasswordRequirements password={password} policy={passwordPolicy} />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="confirmPassword" className="form-label">Confirm Password</label>
+                  <input
+                    type="password"
+                    id="confirmPassword"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    className="form-input"
+                    required
+                    placeholder="Re-enter the password"
+                  />
+                </div>
+
+                <p className="section-note">
+                  This invitation expires on {new Date(invitation.expiresAt).toLocaleString()}.
+                </p>
+
+                <button
+                  type="submit"
+                  className="btn btn-primary login-btn"
+                  disabled={loading || !meetsPasswordPolicy(password, passwordPolicy)}
+                >
+                  {loading ? 'Creating account...' : 'Create Account'}
+                </button>
+              </form>
+            ) : (
+              <div className="login-form">
+                {loading ? (
+                  <div className="loading">Checking your invitation...</div>
+                ) : (
+                  <div className="error">{error}</div>
+                )}
+                {!loading && (
+                  <p className="section-note">Ask a portal administrator to send you a new invitation.</p>
+                )}
+              </div>
+            )}
+
+            <div className="login-links">
+              <Link to="/login">← Back to Sign In</Link>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitation;
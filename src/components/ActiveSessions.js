@@ -0,0 +1,113 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Active Sessions Component
+// =====================================================
+//
+// Profile Security tab section listing the devices signed in to the
+// current account:
+// - Device, IP address, sign-in time and last activity per session
+// - Revoking an individual session (revoking this one signs out here too)
+// - "Log out everywhere" to end every session at once
+//
+// Dependencies: AuthContext
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * Signed-in devices for the current user
+ */
+const ActiveSessions = () => {
+  const { getSessions, revokeSession, logoutEverywhere, logout } = useAuth();
+
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const loadSessions = async () => {
+    setSessions(await getSessions());
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    if (session.current && !window.confirm('This is the session you are using now. Sign out of this device?')) {
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    const result = await revokeSession(session.id);
+    if (result.success) {
+      if (session.current) {
+        logout();
+        return;
+      }
+      await loadSessions();
+    } else {
+      setError(result.error);
+    }
+
+    setLoading(false);
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) {
+      return;
+    }
+
+    setLoading(true);
+    const result = await logoutEverywhere();
+    if (!result.success) {
+      setError(result.error);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="active-sessions">
+      <div className="section-header">
+        <h3>Your Sessions</h3>
+        <button onClick={handleLogoutEverywhere} disabled={loading} className="btn btn-danger">
+          Log Out Everywhere
+        </button>
+      </div>
+
+      {error && <div className="error-text">{error}</div>}
+
+      {sessions.length === 0 ? (
+        <p className="section-note">No active sessions found.</p>
+      ) : (
+        <ul className="session-list">
+          {sessions.map(session => (
+            <li key={session.id} className={`session-item ${session.current ? 'current' : ''}`}>
+              <div className="session-details">
+                <strong>{session.device}</strong>
+                {session.current && <span className="status-badge active">This device</span>}
+                <span className="session-meta">
+                  {session.ipAddress || 'Unknown IP'} · Signed in {new Date(session.createdAt).toLocaleString()}
+                </span>
+                <span className="session-meta">
+                  Last active {new Date(session.lastSeenAt).toLocaleString()}
+                </span>
+              </div>
+              <button
+                onClick={() => handleRevoke(session)}
+                disabled={loading}
+                className="btn btn-sm btn-secondary"
+              >
+                {session.current ? 'Sign Out' : 'Revoke'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -11,7 +11,7 @@
 // - Custom option creation for flexible data entry
 // - Real-time form validation and error handling
 // - Skills management with comma-separated input
-// - Photo upload with base64 encoding
+// - Photo upload, sent to the photo store once the member is created
 // - Responsive modal interface
 //
 // Form Sections:
@@ -24,7 +24,7 @@
 // - Auto-populated dropdowns from database lookup tables
 // - "Add Custom" options for new branches/industries/companies
 // - Real-time validation with user feedback
-// - Image upload with preview and base64 conversion
+// - Image upload with preview
 //
 // Data Management:
 // - Integrates with DatabaseAPI for member creation
@@ -37,6 +37,7 @@
 // =====================================================
 
 import React, { useState, useEffect } from 'react';
+import { apiFetch, uploadMemberPhoto } from '../utils/apiClient';
 
 /**
  * AddMember component providing comprehensive member registration interface
@@ -58,6 +59,10 @@ const AddMember = ({ onClose, onAdd }) => {
     membershipType: 'Member'
   });
   
+  // Photo chosen for upload, with a local preview URL
+  const [photoFile, setPhotoFile] = useState(null);
+  const [photoPreview, setPhotoPreview] = useState(null);
+  
   // UI state management
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -80,9 +85,9 @@ const AddMember = ({ onClose, onAdd }) => {
     const fetchDropdownOptions = async () => {
       try {
         const [branchesResponse, industriesResponse, companiesResponse] = await Promise.all([
-          fetch('http://localhost:3001/branches'),
-          fetch('http://localhost:3001/industries'),
-          fetch('http://localhost:3001/companies')
+          apiFetch('/branches'),
+          apiFetch('/industries'),
+          apiFetch('/companies')
         ]);
 
         if (branchesResponse.ok) {
@@ -158,6 +163,15 @@ const AddMember = ({ onClose, onAdd }) => {
     }));
   };
 
+  const handlePhotoChange = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      if (photoPreview) URL.revokeObjectURL(photoPreview);
+      setPhotoFile(file);
+      setPhotoPreview(URL.createObjectURL(file));
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -175,7 +189,7 @@ const AddMember = ({ onClose, onAdd }) => {
         id: Date.now() // Simple ID generation for demo
       };
 
-      const response = await fetch('http://localhost:3001/members', {
+      const response = await apiFetch('/members', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -184,10 +198,22 @@ const AddMember = ({ onClose, onAdd }) => {
       });
 
       if (!response.ok) {
-        throw new Error('Failed to add member');
+        // e.g. a membership ID that does not follow the pattern
+        const failure = await response.json().catch(() => ({}));
+        throw new Error(failure.details || 'Failed to add member');
       }
 
       const addedMember = await response.json();
+
+      // The photo is uploaded to the new member; the member is kept even if it is rejected
+      let photoError = null;
+      if (photoFile) {
+        const photoResult = await uploadMemberPhoto(addedMember.id, photoFile)
+          .catch(() => ({ success: false, error: 'Photo upload failed' }));
+        if (!photoResult.success) {
+          photoError = photoResult.error;
+        }
+      }
       
       // Wait a moment for data to be fully written to database
       await new Promise(resolve => setTimeout(resolve, 200));
@@ -198,15 +224,26 @@ const AddMember = ({ onClose, onAdd }) => {
                           member.industry && !industries.includes(member.industry) ||
                           member.company && !companies.includes(member.company);
       
-      // Create success message with user credentials if available
+      // Members set up their own account from the emailed invitation
       let successMessage = `✅ ${memberName} has been added successfully!`;
+      if (addedMember.membershipID) {
+        successMessage += `\nMembership ID: ${addedMember.membershipID}`;
+      }
       
-      if (addedMember.userAccount) {
-        successMessage += `\n\n🔐 Login Credentials Created:`;
-        successMessage += `\nUsername: ${addedMember.userAccount.username}`;
-        successMessage += `\nPassword: ${addedMember.userAccount.password}`;
-        successMessage += `\n\n⚠️ Please share these credentials with the member securely.`;
-        successMessage += `\nThe member must change their password on first login.`;
+      if (addedMember.invitation) {
+        successMessage += `\n\n✉️ An invitation to create their account has been emailed to ${addedMember.invitation.email}.`;
+        successMessage += `\nThe link expires on ${new Date(addedMember.invitation.expiresAt).toLocaleString()}.`;
+      } else if (addedMember.invitationError) {
+        successMessage += `\n\n⚠️ The invitation could not be sent: ${addedMember.invitationError}`;
+        successMessage += `\nYou can send it again from the member list.`;
+      } else {
+        successMessage += `\n\n💡 No invitation was sent because the member has no email address.`;
+        successMessage += `\nAdd one and send an invitation from the member list.`;
+      }
+      
+      if (photoError) {
+        successMessage += `\n\n⚠️ The photo was not saved: ${photoError}`;
+        successMessage += `\nYou can add it again by editing the member.`;
       }
       
       if (hasNewValues) {
@@ -217,9 +254,6 @@ const AddMember = ({ onClose, onAdd }) => {
       }
 
       console.log('✅ Member added successfully');
-      if (addedMember.userAccount) {
-        console.log('🔐 User credentials:', addedMember.userAccount);
-      }
       
       alert(successMessage);
 
@@ -244,6 +278,24 @@ const AddMember = ({ onClose, onAdd }) => {
           {error && <div className="error-message">⚠️ {error}</div>}
 
           <form onSubmit={handleSubmit} className="modal-form">
+          {/* Photo Upload */}
+          <div className="photo-upload">
+            <label className="photo-upload-btn">
+              {photoPreview ? (
+                <img src={photoPreview} alt="Preview" className="photo-preview" />
+              ) : (
+                <div style={{ padding: '20px', color: '#6c757d', textAlign: 'center' }}>
+                  📷<br />Add a photo
+                </div>
+              )}
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/webp"
+                onChange={handlePhotoChange}
+              />
+            </label>
+          </div>
+
           {/* Form Fields */}
           <div className="form-sections">
             {/* Personal Information Section */}
@@ -490,7 +542,7 @@ const AddMember = ({ onClose, onAdd }) => {
               
               <div className="form-grid">
                 <div className="form-group">
-                  <label htmlFor="membershipID" className="form-label required">Membership ID</label>
+                  <label htmlFor="membershipID" className="form-label">Membership ID</label>
                   <input
                     type="text"
                     id="membershipID"
@@ -498,8 +550,7 @@ const AddMember = ({ onClose, onAdd }) => {
                     value={member.membershipID}
                     onChange={handleChange}
                     className="form-input"
-                    placeholder="e.g., ISMAA-BLR-001"
-                    required
+                    placeholder="Leave blank to assign the next ID"
                   />
                 </div>
 
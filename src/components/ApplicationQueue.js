@@ -0,0 +1,247 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Application Queue Component
+// =====================================================
+//
+// Admin review queue for membership applications submitted through the
+// public registration form (/register).
+//
+// Review Actions:
+// - Approve: creates the member and their user account with the
+//   credentials the applicant chose; possible duplicates need a second
+//   confirmation
+// - Reject: emails the applicant the reason given
+// - Request Info: emails the applicant a link to update and resubmit
+//
+// Each application lists existing members and other applications that
+// share its email, or its name and passout batch, so duplicates are
+// caught before approval.
+//
+// Dependencies: AuthContext, React Router, App.css
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const STATUS_FILTERS = [
+  { value: 'open', label: 'Awaiting review' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'info_requested', label: 'Information requested' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'all', label: 'All applications' }
+];
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  info_requested: 'Info requested',
+  approved: 'Approved',
+  rejected: 'Rejected'
+};
+
+/**
+ * Membership application review queue (admin only)
+ */
+const ApplicationQueue = () => {
+  const { user, getApplications, approveApplication, rejectApplication, requestApplicationInfo } = useAuth();
+  const [applications, setApplications] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('open');
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null); // Application with an action in progress
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const isAdmin = user?.role === 'admin';
+
+  useEffect(() => {
+    if (isAdmin) {
+      loadApplications();
+    }
+  }, [statusFilter]);
+
+  const loadApplications = async () => {
+    setLoading(true);
+    setApplications(await getApplications(statusFilter));
+    setLoading(false);
+  };
+
+  /**
+   * Run a review action, then refresh the queue and report the outcome
+   */
+  const runAction = async (application, action) => {
+    setBusyId(application.id);
+    setMessage('');
+    setError('');
+
+    const result = await action();
+    setBusyId(null);
+
+    if (result.success) {
+      setMessage(result.message);
+      await loadApplications();
+    } else if (!result.requiresConfirmation) {
+      setError(result.error);
+    }
+    return result;
+  };
+
+  const handleApprove = async (application) => {
+    const result = await runAction(application, () => approveApplication(application.id));
+
+    if (result.requiresConfirmation) {
+      const matches = result.duplicates.map(duplicate => `• ${duplicate.name} (matched on ${duplicate.matchedOn})`).join('\n');
+      if (window.confirm(`${result.error}\n\n${matches}`)) {
+        await runAction(application, () => approveApplication(application.id, true));
+      }
+    }
+  };
+
+  const handleReject = async (application) => {
+    const reason = window.prompt(`Reason for rejecting ${application.name}'s application (emailed to the applicant):`);
+    if (reason === null) return;
+    await runAction(application, () => rejectApplication(application.id, reason));
+  };
+
+  const handleRequestInfo = async (application) => {
+    const requestMessage = window.prompt(`What information do you need from ${application.name}? (emailed with a link to update the application)`);
+    if (requestMessage === null) return;
+    await runAction(application, () => requestApplicationInfo(application.id, requestMessage));
+  };
+
+  if (!isAdmin) {
+    return <div className="error">Only administrators can review membership applications.</div>;
+  }
+
+  return (
+    <div>
+      <div className="members-page-header">
+        <h1>📥 Membership Applications</h1>
+        <p>Review alumni who applied through the registration form</p>
+      </div>
+
+      <div className="controls">
+        <div className="filters-row">
+          <div className="filter-group">
+            <label>Status</label>
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="filter-select"
+            >
+              {STATUS_FILTERS.map(filter => (
+                <option key={filter.value} value={filter.value}>{filter.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {message && <div className="success">{message}</div>}
+      {error && <div className="error">{error}</div>}
+
+      {loading ? (
+        <div className="loading">Loading applications...</div>
+      ) : applications.length === 0 ? (
+        <div className="no-results">
+          <h3>No applications to show</h3>
+          <p>New applications appear here as soon as they are submitted</p>
+        </div>
+      ) : (
+        <div className="application-list">
+          {applications.map(application => (
+            <div key={application.id} className="application-card">
+              <div className="application-header">
+                {application.photo ? (
+                  <img src={application.photo} alt={application.name} className="application-photo" />
+                ) : (
+                  <div className="application-photo placeholder">👤</div>
+                )}
+                <div>
+                  <h3>{application.name}</h3>
+                  <p>{application.email}{application.phone && ` · ${application.phone}`}</p>
+                </div>
+                <span className={`application-status status-${application.status}`}>
+                  {STATUS_LABELS[application.status]}
+                </span>
+              </div>
+
+              <div className="application-details">
+                <p><strong>Batch:</strong> {application.passoutBatch} · <strong>Branch:</strong> {application.branch}</p>
+                {(application.industry || application.company) && (
+                  <p><strong>Work:</strong> {[application.company, application.industry].filter(Boolean).join(', ')}</p>
+                )}
+                {application.skills.length > 0 && (
+                  <p><strong>Skills:</strong> {application.skills.join(', ')}</p>
+                )}
+                {application.address && <p><strong>Address:</strong> {application.address}</p>}
+                <p><strong>Username:</strong> {application.username}</p>
+                <p className="application-dates">
+                  Applied {new Date(application.createdAt).toLocaleString()}
+                  {application.updatedAt !== application.createdAt && ` · updated ${new Date(application.updatedAt).toLocaleString()}`}
+                </p>
+                {application.reviewMessage && (
+                  <p><strong>{application.status === 'rejected' ? 'Rejection reason' : 'Information requested'}:</strong> {application.reviewMessage}</p>
+                )}
+                {application.applicantNote && (
+                  <p><strong>Applicant's note:</strong> {application.applicantNote}</p>
+                )}
+              </div>
+
+              {application.duplicates.length > 0 && (
+                <div className="application-duplicates">
+                  <strong>⚠️ Possible duplicates</strong>
+                  <ul>
+                    {application.duplicates.map(duplicate => (
+                      <li key={`${duplicate.type}-${duplicate.id}`}>
+                        {duplicate.type === 'member' ? (
+                          <Link to={`/member/${duplicate.id}`}>Member: {duplicate.name}</Link>
+                        ) : (
+                          <span>Application #{duplicate.id}: {duplicate.name} ({STATUS_LABELS[duplicate.status]})</span>
+                        )}
+                        {' '}· same {duplicate.matchedOn}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {['pending', 'info_requested'].includes(application.status) && (
+                <div className="member-actions">
+                  <button
+                    className="btn btn-primary"
+                    onClick={() => handleApprove(application)}
+                    disabled={busyId === application.id}
+                  >
+                    ✅ Approve
+                  </button>
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => handleRequestInfo(application)}
+                    disabled={busyId === application.id}
+                  >
+                    ❓ Request Info
+                  </button>
+                  <button
+                    className="btn btn-danger"
+                    onClick={() => handleReject(application)}
+                    disabled={busyId === application.id}
+                  >
+                    Reject
+                  </button>
+                </div>
+              )}
+              {application.status === 'approved' && application.memberId && (
+                <div className="member-actions">
+                  <Link to={`/member/${application.memberId}`} className="btn btn-secondary">View Member</Link>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApplicationQueue;
@@ -12,10 +12,13 @@
 // - Rich content creation with categorization and tagging
 // - Priority-based notice system with visual indicators
 // - Responsive modal interface for content editing
+// - Deep links from global search (?tab=blogs|notices&item=<id>) open the tab
+//   and scroll the item into view
 //
 // Content Types:
 // - Blogs: Educational articles with tags and categories
-// - Notices: Administrative announcements with priority levels
+// - Notices: Administrative announcements with priority levels; a notice
+//   with a calendar date is also listed in the chapter calendar feed
 //
 // User Permissions:
 // - All users: Create, edit, delete own blogs
@@ -33,7 +36,9 @@
 // =====================================================
 
 import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { apiFetch } from '../utils/apiClient';
 
 /**
  * BlogsNotices component managing educational content and administrative announcements
@@ -48,8 +53,13 @@ const BlogsNotices = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   
+  // Deep link from global search: which tab to open and which item to bring into view
+  const [searchParams] = useSearchParams();
+  const linkedTab = searchParams.get('tab');
+  const linkedItem = searchParams.get('item');
+
   // UI state management
-  const [activeTab, setActiveTab] = useState('notices');
+  const [activeTab, setActiveTab] = useState(linkedTab === 'blogs' ? 'blogs' : 'notices');
   const [showAddModal, setShowAddModal] = useState(false);
   const [editingItem, setEditingItem] = useState(null);
   const [modalType, setModalType] = useState('blog'); // 'blog' or 'notice'
@@ -60,7 +70,8 @@ const BlogsNotices = () => {
     content: '',
     category: '',
     tags: '',
-    priority: 'medium'
+    priority: 'medium',
+    calendarDate: ''
   });
 
   // Check if current user has administrative privileges
@@ -70,11 +81,25 @@ const BlogsNotices = () => {
     fetchData();
   }, []);
 
+  // Follow search links while already on this page, then scroll the linked item into view
+  useEffect(() => {
+    if (linkedTab === 'blogs' || linkedTab === 'notices') {
+      setActiveTab(linkedTab);
+    }
+  }, [linkedTab, linkedItem]);
+
+  useEffect(() => {
+    if (!loading && linkedItem) {
+      const element = document.getElementById(`${activeTab === 'blogs' ? 'blog' : 'notice'}-${linkedItem}`);
+      element?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [loading, activeTab, linkedItem]);
+
   const fetchData = async () => {
     try {
       const [blogsRes, noticesRes] = await Promise.all([
-        fetch('http://localhost:3001/blogs'),
-        fetch('http://localhost:3001/notices')
+        apiFetch('/blogs'),
+        apiFetch('/notices')
       ]);
 
       if (!blogsRes.ok || !noticesRes.ok) {
@@ -107,7 +132,8 @@ const BlogsNotices = () => {
       content: '',
       category: type === 'blog' ? 'education' : 'announcement',
       tags: '',
-      priority: 'medium'
+      priority: 'medium',
+      calendarDate: ''
     });
     setShowAddModal(true);
   };
@@ -126,7 +152,8 @@ const BlogsNotices = () => {
       content: item.content,
       category: item.category,
       tags: type === 'blog' ? item.tags?.join(', ') || '' : '',
-      priority: item.priority || 'medium'
+      priority: item.priority || 'medium',
+      calendarDate: item.calendarDate || ''
     });
     setShowAddModal(true);
   };
@@ -157,7 +184,7 @@ const BlogsNotices = () => {
       
       if (editingItem) {
         // Update existing item
-        const response = await fetch(`http://localhost:3001/${endpoint}/${editingItem.id}`, {
+        const response = await apiFetch(`/${endpoint}/${editingItem.id}`, {
           method: 'PUT',
           headers: {
             'Content-Type': 'application/json',
@@ -166,7 +193,8 @@ const BlogsNotices = () => {
         });
 
         if (!response.ok) {
-          throw new Error(`Failed to update ${modalType}`);
+          const failure = await response.json().catch(() => ({}));
+          throw new Error(failure.error || `Failed to update ${modalType}`);
         }
 
         const updatedItem = await response.json();
@@ -174,11 +202,12 @@ const BlogsNotices = () => {
         if (modalType === 'blog') {
           setBlogs(prev => prev.map(blog => blog.id === editingItem.id ? updatedItem : blog));
         } else {
-          setNotices(prev => prev.map(notice => notice.id === editingItem.id ? updatedItem : notice));
+          // The notice endpoints answer with the id only
+          setNotices(prev => prev.map(notice => notice.id === editingItem.id ? { ...itemData, ...updatedItem } : notice));
         }
       } else {
         // Create new item
-        const response = await fetch(`http://localhost:3001/${endpoint}`, {
+        const response = await apiFetch(`/${endpoint}`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -187,7 +216,8 @@ const BlogsNotices = () => {
         });
 
         if (!response.ok) {
-          throw new Error(`Failed to create ${modalType}`);
+          const failure = await response.json().catch(() => ({}));
+          throw new Error(failure.error || `Failed to create ${modalType}`);
         }
 
         const createdItem = await response.json();
@@ -195,7 +225,7 @@ const BlogsNotices = () => {
         if (modalType === 'blog') {
           setBlogs(prev => [createdItem, ...prev]);
         } else {
-          setNotices(prev => [createdItem, ...prev]);
+          setNotices(prev => [{ ...itemData, ...createdItem }, ...prev]);
         }
       }
 
@@ -214,13 +244,13 @@ const BlogsNotices = () => {
       return;
     }
     
-    if (!window.confirm(`Are you sure you want to delete this ${type}?`)) {
+    if (!window.confirm(`Delete this ${type}? An administrator can restore it from the recycle bin.`)) {
       return;
     }
 
     try {
       const endpoint = type === 'blog' ? 'blogs' : 'notices';
-      const response = await fetch(`http://localhost:3001/${endpoint}/${id}`, {
+      const response = await apiFetch(`/${endpoint}/${id}`, {
         method: 'DELETE',
       });
 
@@ -323,7 +353,11 @@ const BlogsNotices = () => {
             </div>
           ) : (
             blogs.map(blog => (
-              <article key={blog.id} className="blog-card">
+              <article
+                key={blog.id}
+                id={`blog-${blog.id}`}
+                className={`blog-card ${activeTab === 'blogs' && String(blog.id) === linkedItem ? 'linked-item' : ''}`}
+              >
                 <div className="blog-header">
                   <div className="blog-meta">
                     <span className="blog-category">
@@ -394,7 +428,11 @@ const BlogsNotices = () => {
             </div>
           ) : (
             notices.map(notice => (
-              <div key={notice.id} className={`notice-card priority-${notice.priority}`}>
+              <div
+                key={notice.id}
+                id={`notice-${notice.id}`}
+                className={`notice-card priority-${notice.priority} ${activeTab === 'notices' && String(notice.id) === linkedItem ? 'linked-item' : ''}`}
+              >
                 <div className="notice-header">
                   <div className="notice-meta">
                     <span className="notice-category">
@@ -436,6 +474,11 @@ const BlogsNotices = () => {
                   <span className="notice-date">
                     📅 {formatDate(notice.date)}
                   </span>
+                  {notice.calendarDate && (
+                    <span className="notice-date" title="Listed in the chapter calendar feed">
+                      📆 On {formatDate(`${notice.calendarDate}T00:00`)}
+                    </span>
+                  )}
                   <span className="notice-author">
                     👨‍💼 By {notice.author}
                   </span>
@@ -547,6 +590,20 @@ const BlogsNotices = () => {
                 </div>
               )}
 
+              {modalType === 'notice' && (
+                <div className="form-group">
+                  <label htmlFor="calendarDate">Calendar date</label>
+                  <input
+                    type="date"
+                    id="calendarDate"
+                    name="calendarDate"
+                    value={formData.calendarDate}
+                    onChange={handleFormChange}
+                  />
+                  <small>Optional: dated notices are listed in the chapter calendar feed</small>
+                </div>
+              )}
+
               <div className="form-actions">
                 <button type="button" className="btn btn-secondary" onClick={() => setShowAddModal(false)}>
                   Cancel
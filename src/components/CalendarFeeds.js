@@ -0,0 +1,136 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Calendar Feeds Component
+// =====================================================
+//
+// Calendar subscriptions on the events page:
+// - the public chapter feed of every event and dated notice
+// - the user's personal feed of the events they RSVPed to, behind a
+//   secret link. The link is shown once, when it is created; creating a
+//   new one or turning it off stops the old link working.
+//
+// Calendar apps subscribe through webcal:// links and refresh the feeds
+// on their own schedule.
+//
+// Dependencies: AuthContext, apiClient, App.css
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { API_BASE_URL } from '../utils/apiClient';
+
+// Calendar apps open webcal:// links as subscriptions rather than one-off imports
+const webcalUrl = (url) => url.replace(/^https?:/, 'webcal:');
+
+/**
+ * One feed link with subscribe and copy buttons
+ */
+const FeedLink = ({ url, label }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch (error) {
+      console.error('Clipboard copy failed:', error);
+    }
+  };
+
+  return (
+    <div className="calendar-feed-link">
+      <input className="form-input" value={url} readOnly aria-label={label} onFocus={(e) => e.target.select()} />
+      <a className="btn btn-primary btn-sm" href={webcalUrl(url)}>📆 Subscribe</a>
+      <button type="button" className="btn btn-secondary btn-sm" onClick={handleCopy}>
+        {copied ? '✅ Copied' : '📋 Copy'}
+      </button>
+    </div>
+  );
+};
+
+/**
+ * Chapter and personal calendar feed subscriptions
+ */
+const CalendarFeeds = () => {
+  const { getCalendarFeed, createCalendarFeed, disableCalendarFeed } = useAuth();
+  const [feed, setFeed] = useState(null);
+  const [feedUrl, setFeedUrl] = useState(null); // Personal link, only known right after it is created
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadFeed = async () => {
+      setFeed(await getCalendarFeed());
+    };
+    loadFeed();
+  }, []);
+
+  const handleCreate = async () => {
+    if (feed.subscribed && !window.confirm('Create a new link? Calendars subscribed with your current link will stop updating.')) {
+      return;
+    }
+    setBusy(true);
+    setError('');
+    const result = await createCalendarFeed();
+    setBusy(false);
+    if (result.success) {
+      setFeedUrl(`${API_BASE_URL}${result.feedPath}`);
+      setFeed(prev => ({ ...prev, subscribed: true, createdAt: result.createdAt }));
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleDisable = async () => {
+    if (!window.confirm('Turn off your calendar feed link? Calendars subscribed with it will stop updating.')) return;
+    setBusy(true);
+    setError('');
+    const result = await disableCalendarFeed();
+    setBusy(false);
+    if (result.success) {
+      setFeedUrl(null);
+      setFeed(prev => ({ ...prev, subscribed: false, createdAt: null }));
+    } else {
+      setError(result.error);
+    }
+  };
+
+  if (!feed) return <div className="loading">Loading calendar feeds...</div>;
+
+  return (
+    <div className="application-card calendar-feeds">
+      <h3>📆 Calendar feeds</h3>
+      {error && <div className="error">{error}</div>}
+
+      <h4>Chapter calendar</h4>
+      <p className="section-note">Every ISMAA Bengaluru event and dated notice. This feed is public.</p>
+      <FeedLink url={`${API_BASE_URL}${feed.chapterFeedPath}`} label="Chapter calendar feed link" />
+
+      <h4>My events</h4>
+      <p className="section-note">
+        The events you RSVPed to, including those you are waitlisted for. Keep this link private:
+        anyone with it can see your events.
+      </p>
+      {feedUrl ? (
+        <>
+          <FeedLink url={feedUrl} label="Personal calendar feed link" />
+          <p className="section-note">Subscribe or copy the link now; it will not be shown again.</p>
+        </>
+      ) : feed.subscribed && (
+        <p className="section-note">You created a feed link on {new Date(feed.createdAt).toLocaleDateString()}.</p>
+      )}
+      <div className="member-actions">
+        <button type="button" className="btn btn-secondary btn-sm" onClick={handleCreate} disabled={busy}>
+          {feed.subscribed ? 'Create a new link' : 'Create my feed link'}
+        </button>
+        {feed.subscribed && (
+          <button type="button" className="btn btn-danger btn-sm" onClick={handleDisable} disabled={busy}>
+            Turn off
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CalendarFeeds;
@@ -0,0 +1,323 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Dues Dashboard Component
+// =====================================================
+//
+// Admin overview of membership dues:
+// - members per membership status (active, expiring, lapsed, lifetime,
+//   never paid) and the money collected this year and in the last 30 days
+// - members whose membership is expiring or has lapsed, to follow up
+// - the most recent payments
+// - membership plans: fee, duration (or lifetime) and whether they are
+//   still offered
+//
+// Payments themselves are recorded on each member's page (MemberDues).
+//
+// Dependencies: AuthContext, MemberDues, App.css
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { DUES_STATUS_LABELS, formatRupees, formatDay } from './MemberDues';
+
+const EMPTY_PLAN = { name: '', description: '', fee: '', durationMonths: '12', lifetime: false, isActive: true };
+
+/**
+ * Dues dashboard with plan management (admin only)
+ */
+const DuesDashboard = () => {
+  const { user, getDuesDashboard, getMembershipPlans, saveMembershipPlan, updateDuesSettings } = useAuth();
+  const [dashboard, setDashboard] = useState(null);
+  const [plans, setPlans] = useState([]);
+  const [editingPlanId, setEditingPlanId] = useState(null); // Plan being edited, 'new', or null
+  const [planForm, setPlanForm] = useState(EMPTY_PLAN);
+  const [windowInput, setWindowInput] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const isAdmin = user?.role === 'admin';
+
+  useEffect(() => {
+    if (isAdmin) {
+      loadDashboard();
+    }
+  }, []);
+
+  const loadDashboard = async () => {
+    setLoading(true);
+    const [overview, allPlans] = await Promise.all([getDuesDashboard(), getMembershipPlans(true)]);
+    setDashboard(overview);
+    setPlans(allPlans);
+    setWindowInput(overview ? String(overview.expiringWithinDays) : '');
+    setLoading(false);
+  };
+
+  const startEditingPlan = (plan) => {
+    setEditingPlanId(plan ? plan.id : 'new');
+    setPlanForm(plan ? {
+      name: plan.name,
+      description: plan.description || '',
+      fee: String(plan.fee),
+      durationMonths: plan.lifetime ? '' : String(plan.durationMonths),
+      lifetime: plan.lifetime,
+      isActive: plan.isActive
+    } : EMPTY_PLAN);
+    setMessage('');
+    setError('');
+  };
+
+  const handlePlanChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setPlanForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handlePlanSave = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    setError('');
+
+    const { lifetime, ...plan } = planForm;
+    const result = await saveMembershipPlan(editingPlanId === 'new' ? null : editingPlanId, {
+      ...plan,
+      durationMonths: lifetime ? null : plan.durationMonths
+    });
+    if (result.success) {
+      setMessage(result.message);
+      setEditingPlanId(null);
+      await loadDashboard();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleWindowSave = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    setError('');
+
+    const result = await updateDuesSettings(Number(windowInput));
+    if (result.success) {
+      setMessage(`Memberships ending within ${result.expiringWithinDays} day(s) now count as expiring`);
+      await loadDashboard();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  if (!isAdmin) {
+    return <div className="error">Only administrators can manage membership dues.</div>;
+  }
+  if (loading) return <div className="loading">Loading dues dashboard...</div>;
+  if (!dashboard) return <div className="error">The dues dashboard could not be loaded.</div>;
+
+  const renderMembers = (members, emptyText) => (members.length === 0 ? (
+    <p className="section-note">{emptyText}</p>
+  ) : (
+    <ul className="dues-member-list">
+      {members.map(member => (
+        <li key={member.id}>
+          <Link to={`/member/${member.id}`}>{member.name}</Link>
+          <span>{[member.passoutBatch && `Batch ${member.passoutBatch}`, member.email].filter(Boolean).join(' · ')}</span>
+          <span className="dues-member-date">{formatDay(member.expiresOn)}</span>
+        </li>
+      ))}
+    </ul>
+  ));
+
+  return (
+    <div>
+      <div className="members-page-header">
+        <h1>💳 Membership Dues</h1>
+        <p>Who has paid, who is due for renewal, and the plans members pay for</p>
+      </div>
+
+      {message && <div className="success">{message}</div>}
+      {error && <div className="error">{error}</div>}
+
+      <div className="dues-summary">
+        {Object.entries(DUES_STATUS_LABELS).map(([status, label]) => (
+          <div key={status} className={`dues-summary-card dues-${status}`}>
+            <div className="dues-summary-count">{dashboard.counts[status]}</div>
+            <div>{label}</div>
+          </div>
+        ))}
+        <div className="dues-summary-card">
+          <div className="dues-summary-count">{formatRupees(dashboard.collected.thisYear)}</div>
+          <div>Collected this year</div>
+        </div>
+        <div className="dues-summary-card">
+          <div className="dues-summary-count">{formatRupees(dashboard.collected.last30Days)}</div>
+          <div>Last 30 days</div>
+        </div>
+      </div>
+
+      <div className="grid grid-2">
+        <div className="application-card">
+          <h3>Expiring within {dashboard.expiringWithinDays} days ({dashboard.expiring.length})</h3>
+          {renderMembers(dashboard.expiring, 'No memberships are about to expire')}
+          <form className="dues-window-row" onSubmit={handleWindowSave}>
+            <label htmlFor="dues-window" className="section-note">Count as expiring within (days)</label>
+            <input
+              id="dues-window"
+              type="number"
+              min="1"
+              max="365"
+              value={windowInput}
+              onChange={(e) => setWindowInput(e.target.value)}
+              className="filter-select"
+            />
+            <button
+              type="submit"
+              className="btn btn-secondary btn-sm"
+              disabled={windowInput === '' || Number(windowInput) === dashboard.expiringWithinDays}
+            >
+              Save
+            </button>
+          </form>
+        </div>
+        <div className="application-card">
+          <h3>Lapsed ({dashboard.counts.lapsed})</h3>
+          {renderMembers(dashboard.lapsed, 'No lapsed memberships')}
+        </div>
+      </div>
+
+      <div className="application-card">
+        <div className="application-header">
+          <h3>Membership plans</h3>
+          {editingPlanId === null && (
+            <button className="btn btn-primary btn-sm" onClick={() => startEditingPlan(null)}>
+              + New Plan
+            </button>
+          )}
+        </div>
+
+        {editingPlanId !== null && (
+          <form className="dues-record-form" onSubmit={handlePlanSave}>
+            <div className="grid grid-2">
+              <div className="form-group">
+                <label htmlFor="plan-name" className="form-label">Name</label>
+                <input id="plan-name" name="name" value={planForm.name} onChange={handlePlanChange} className="form-input" required />
+              </div>
+              <div className="form-group">
+                <label htmlFor="plan-fee" className="form-label">Fee (₹)</label>
+                <input
+                  id="plan-fee"
+                  name="fee"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={planForm.fee}
+                  onChange={handlePlanChange}
+                  className="form-input"
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="plan-duration" className="form-label">Duration (months)</label>
+                <input
+                  id="plan-duration"
+                  name="durationMonths"
+                  type="number"
+                  min="1"
+                  max="120"
+                  value={planForm.durationMonths}
+                  onChange={handlePlanChange}
+                  className="form-input"
+                  disabled={planForm.lifetime}
+                  required={!planForm.lifetime}
+                />
+                <label className="dues-checkbox">
+                  <input type="checkbox" name="lifetime" checked={planForm.lifetime} onChange={handlePlanChange} />
+                  Lifetime membership
+                </label>
+              </div>
+              <div className="form-group">
+                <label htmlFor="plan-description" className="form-label">Description</label>
+                <input id="plan-description" name="description" value={planForm.description} onChange={handlePlanChange} className="form-input" />
+                <label className="dues-checkbox">
+                  <input type="checkbox" name="isActive" checked={planForm.isActive} onChange={handlePlanChange} />
+                  Offered to members
+                </label>
+              </div>
+            </div>
+            <div className="member-actions">
+              <button type="submit" className="btn btn-primary btn-sm">Save Plan</button>
+              <button type="button" className="btn btn-secondary btn-sm" onClick={() => setEditingPlanId(null)}>Cancel</button>
+            </div>
+          </form>
+        )}
+
+        {plans.length === 0 ? (
+          <p className="section-note">No plans yet. Create one so members can pay their dues.</p>
+        ) : (
+          <table className="dues-table">
+            <thead>
+              <tr>
+                <th>Plan</th>
+                <th>Fee</th>
+                <th>Duration</th>
+                <th>Collected this year</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {plans.map(plan => {
+                const collected = dashboard.collected.byPlan.find(entry => entry.plan === plan.name);
+                return (
+                  <tr key={plan.id} className={plan.isActive ? '' : 'dues-plan-inactive'}>
+                    <td>
+                      {plan.name}{!plan.isActive && ' (no longer offered)'}
+                      {plan.description && <div className="section-note">{plan.description}</div>}
+                    </td>
+                    <td>{formatRupees(plan.fee)}</td>
+                    <td>{plan.lifetime ? 'Lifetime' : `${plan.durationMonths} month(s)`}</td>
+                    <td>{collected ? `${formatRupees(collected.total)} (${collected.payments})` : '—'}</td>
+                    <td>
+                      <button className="btn btn-secondary btn-sm" onClick={() => startEditingPlan(plan)}>Edit</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="application-card">
+        <h3>Recent payments</h3>
+        {dashboard.recentPayments.length === 0 ? (
+          <p className="section-note">No payments recorded yet.</p>
+        ) : (
+          <table className="dues-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Member</th>
+                <th>Plan</th>
+                <th>Amount</th>
+                <th>Status</th>
+                <th>Receipt</th>
+              </tr>
+            </thead>
+            <tbody>
+              {dashboard.recentPayments.map(payment => (
+                <tr key={payment.id} className={`dues-payment-${payment.status}`}>
+                  <td>{formatDay(payment.paidAt || payment.createdAt)}</td>
+                  <td>{payment.memberId ? <Link to={`/member/${payment.memberId}`}>{payment.payerName}</Link> : payment.payerName}</td>
+                  <td>{payment.plan}</td>
+                  <td>{formatRupees(payment.amount)}</td>
+                  <td>{payment.status}</td>
+                  <td>{payment.receiptNumber || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DuesDashboard;
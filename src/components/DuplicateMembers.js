@@ -0,0 +1,271 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Duplicate Members Component
+// =====================================================
+//
+// Admin page listing pairs of members that look like the same alumnus,
+// scored on email, phone, name and batch with branch.
+//
+// Comparing a pair shows both records side by side. The admin picks the
+// record to keep and, per field, which value it ends up with; skills
+// from both records are always kept. Merging moves the other record's
+// user account to the kept member and removes the other record.
+//
+// Dependencies: AuthContext, App.css
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { photoUrl } from '../utils/apiClient';
+
+// Fields the admin chooses a value for, in display order
+const MERGE_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'address', label: 'Address' },
+  { key: 'passoutBatch', label: 'Passout Batch' },
+  { key: 'branch', label: 'Branch' },
+  { key: 'industry', label: 'Industry' },
+  { key: 'company', label: 'Company' },
+  { key: 'membershipID', label: 'Membership ID' },
+  { key: 'membershipType', label: 'Membership Type' },
+  { key: 'photo', label: 'Photo' }
+];
+
+const SIDES = [0, 1];
+
+const valueOf = (member, field) => (field === 'photo' ? member.photoThumbnail : member[field]);
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Default value choices when `keep` is the record kept: its own values, or the other's where it has none
+ */
+const defaultChoices = (pair, keep) => Object.fromEntries(MERGE_FIELDS.map(({ key }) => [
+  key,
+  isEmpty(valueOf(pair.members[keep], key)) ? 1 - keep : keep
+]));
+
+/**
+ * Duplicate finder with side-by-side merge (admin only)
+ */
+const DuplicateMembers = () => {
+  const { user, getDuplicateMembers, mergeMembers } = useAuth();
+  const [candidates, setCandidates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null); // Pair being compared
+  const [keep, setKeep] = useState(0); // Index of the record kept in the selected pair
+  const [choices, setChoices] = useState({}); // field -> index of the record whose value is kept
+  const [merging, setMerging] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const isAdmin = user?.role === 'admin';
+
+  useEffect(() => {
+    if (isAdmin) {
+      loadCandidates();
+    }
+  }, []);
+
+  const loadCandidates = async () => {
+    setLoading(true);
+    setCandidates(await getDuplicateMembers());
+    setLoading(false);
+  };
+
+  const openPair = (pair) => {
+    setSelected(pair);
+    setKeep(0);
+    setChoices(defaultChoices(pair, 0));
+    setMessage('');
+    setError('');
+  };
+
+  const changeKeep = (index) => {
+    setKeep(index);
+    setChoices(defaultChoices(selected, index));
+  };
+
+  const handleMerge = async () => {
+    const survivor = selected.members[keep];
+    const duplicate = selected.members[1 - keep];
+    if (!window.confirm(`Merge ${duplicate.name} into ${survivor.name}? ${duplicate.name}'s record will be removed.`)) {
+      return;
+    }
+
+    setMerging(true);
+    setError('');
+    const result = await mergeMembers(survivor.id, duplicate.id, Object.fromEntries(
+      Object.entries(choices).map(([field, index]) => [field, index === keep ? 'survivor' : 'duplicate'])
+    ));
+    setMerging(false);
+
+    if (result.success) {
+      setMessage(result.message);
+      setSelected(null);
+      await loadCandidates();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const renderValue = (member, field) => {
+    const value = valueOf(member, field);
+    if (isEmpty(value)) return <span className="duplicate-empty">—</span>;
+    if (field === 'photo') return <img src={photoUrl(value)} alt={member.name} className="duplicate-photo" />;
+    return value;
+  };
+
+  if (!isAdmin) {
+    return <div className="error">Only administrators can merge duplicate members.</div>;
+  }
+
+  const bothHaveAccounts = selected && selected.members.every(member => member.accounts.length > 0);
+  const combinedSkills = selected
+    ? [...new Set(selected.members.flatMap(member => member.skills))].sort((a, b) => a.localeCompare(b))
+    : [];
+
+  return (
+    <div>
+      <div className="members-page-header">
+        <h1>🔀 Duplicate Members</h1>
+        <p>Members who look like the same alumnus entered twice, most likely first</p>
+      </div>
+
+      {message && <div className="success">{message}</div>}
+      {error && <div className="error">{error}</div>}
+
+      {selected ? (
+        <div className="application-card duplicate-compare">
+          <div className="application-header">
+            <h3>Compare and merge</h3>
+            <button className="btn btn-secondary btn-sm" onClick={() => setSelected(null)}>
+              ← Back to list
+            </button>
+          </div>
+
+          <table className="duplicate-table">
+            <thead>
+              <tr>
+                <th>Keep record</th>
+                {SIDES.map(index => (
+                  <th key={index}>
+                    <label className="duplicate-choice">
+                      <input
+                        type="radio"
+                        name="keep"
+                        checked={keep === index}
+                        onChange={() => changeKeep(index)}
+                      />
+                      <Link to={`/member/${selected.members[index].id}`}>{selected.members[index].name}</Link>
+                    </label>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {MERGE_FIELDS.map(({ key, label }) => (
+                <tr key={key}>
+                  <td>{label}</td>
+                  {SIDES.map(index => (
+                    <td key={index} className={choices[key] === index ? 'duplicate-chosen' : ''}>
+                      <label className="duplicate-choice">
+                        <input
+                          type="radio"
+                          name={`field-${key}`}
+                          checked={choices[key] === index}
+                          onChange={() => setChoices({ ...choices, [key]: index })}
+                        />
+                        {renderValue(selected.members[index], key)}
+                      </label>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              <tr>
+                <td>Skills</td>
+                <td colSpan={2} className="duplicate-chosen">
+                  {combinedSkills.length > 0 ? combinedSkills.join(', ') : <span className="duplicate-empty">—</span>}
+                  <span className="section-note"> (skills from both records are kept)</span>
+                </td>
+              </tr>
+              <tr>
+                <td>User account</td>
+                {SIDES.map(index => (
+                  <td key={index}>
+                    {selected.members[index].accounts.length > 0
+                      ? `@${selected.members[index].accounts.join(', @')}`
+                      : <span className="duplicate-empty">None</span>}
+                  </td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+
+          {bothHaveAccounts ? (
+            <div className="error">
+              Both records have a user account. Delete one of the accounts before merging.
+            </div>
+          ) : (
+            <p className="section-note">
+              {selected.members[1 - keep].name}'s record will be removed
+              {selected.members[1 - keep].accounts.length > 0 && ' and their user account moved to the kept record'}.
+              The merge is recorded in the kept member's history.
+            </p>
+          )}
+
+          <div className="member-actions">
+            <button
+              className="btn btn-primary"
+              onClick={handleMerge}
+              disabled={merging || bothHaveAccounts}
+            >
+              {merging ? 'Merging...' : '🔀 Merge'}
+            </button>
+          </div>
+        </div>
+      ) : loading ? (
+        <div className="loading">Looking for duplicates...</div>
+      ) : candidates.length === 0 ? (
+        <div className="no-results">
+          <h3>No likely duplicates found</h3>
+          <p>Members are compared on email, phone, name and batch with branch</p>
+        </div>
+      ) : (
+        <div className="application-list">
+          {candidates.map(pair => (
+            <div key={`${pair.members[0].id}-${pair.members[1].id}`} className="application-card">
+              <div className="application-header">
+                <div>
+                  <h3>{pair.members[0].name} · {pair.members[1].name}</h3>
+                  <p>{pair.reasons.join(', ')}</p>
+                </div>
+                <span className="duplicate-score" title="Likelihood score out of 100">{pair.score}</span>
+              </div>
+
+              <div className="duplicate-summary">
+                {pair.members.map(member => (
+                  <div key={member.id}>
+                    <strong>{member.name}</strong>
+                    <div>{[member.email, member.phone, member.passoutBatch && `Batch ${member.passoutBatch}`, member.branch]
+                      .filter(Boolean).join(' · ')}</div>
+                  </div>
+                ))}
+              </div>
+
+              <div className="member-actions">
+                <button className="btn btn-primary" onClick={() => openPair(pair)}>
+                  Compare & Merge
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DuplicateMembers;
@@ -13,18 +13,20 @@
 // - Success/failure feedback with navigation options
 // - Photo upload and management with preview
 // - Skills management with add/remove functionality
+// - Employment history editing (EmploymentTimeline), saved per position
 //
 // Form Sections:
 // - Personal Information: Name, email, phone, address
 // - Academic Information: Branch, graduation batch
 // - Professional Information: Industry, company
-// - Membership Details: ID, type, skills, photo
+// - Membership Details: ID and type (admins only), skills, photo
+// - Experience: Past and current positions
 //
 // Data Management:
 // - Fetches existing member data on component mount
 // - Updates member records through Portal API
 // - Manages lookup table relationships
-// - Handles photo upload with base64 encoding
+// - Uploads a new photo to the photo store (or removes it) after saving
 // - Skill relationship management (add/remove)
 //
 // Navigation Features:
@@ -33,13 +35,15 @@
 // - Breadcrumb navigation for user orientation
 // - Cancel operation with unsaved changes warning
 //
-// Dependencies: React Router, Portal API, React hooks
+// Dependencies: React Router, Portal API, React hooks, AuthContext, EmploymentTimeline
 // Author: ISMAA Portal Team
 // =====================================================
 
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { apiFetch, photoUrl, uploadMemberPhoto } from '../utils/apiClient';
+import EmploymentTimeline from './EmploymentTimeline';
 
 /**
  * EditMember component providing comprehensive member profile editing
@@ -48,7 +52,7 @@ import { useAuth } from '../context/AuthContext';
 const EditMember = () => {
   const { id } = useParams(); // Extract member ID from URL parameters
   const navigate = useNavigate();
-  const { user } = useAuth(); // Get current user for access control
+  const { isAdmin } = useAuth();
   
   // Access control state
   const [hasAccess, setHasAccess] = useState(false);
@@ -76,6 +80,11 @@ const EditMember = () => {
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
   
+  // Photo changes are sent separately from the member fields when saving
+  const [photoFile, setPhotoFile] = useState(null);
+  const [photoPreview, setPhotoPreview] = useState(null);
+  const [removePhoto, setRemovePhoto] = useState(false);
+  
   // Lookup data from database
   const [branches, setBranches] = useState([]);
   const [industries, setIndustries] = useState([]);
@@ -97,9 +106,9 @@ const EditMember = () => {
     try {
       console.log(`🔄 EditMember: Fetching dropdown options (attempt ${retryCount + 1})...`);
       const [branchesResponse, industriesResponse, companiesResponse] = await Promise.all([
-        fetch('http://localhost:3001/branches'),
-        fetch('http://localhost:3001/industries'),
-        fetch('http://localhost:3001/companies')
+        apiFetch('/branches'),
+        apiFetch('/industries'),
+        apiFetch('/companies')
       ]);
 
       let branchesData = [];
@@ -143,17 +152,15 @@ const EditMember = () => {
 
   const fetchMember = async () => {
     try {
-      const response = await fetch(`http://localhost:3001/members/${id}`);
+      const response = await apiFetch(`/members/${id}`);
       if (!response.ok) {
         throw new Error('Member not found');
       }
-      const data = await response.json();
-      
-      // Access control check: Admin can edit anyone, regular users can only edit their own profile
-      const isAdmin = user?.role === 'admin';
-      const isOwnProfile = user?.member_id == id; // Note: using == for flexible comparison
+      const { canEdit, ...data } = await response.json();
       
-      if (!isAdmin && !isOwnProfile) {
+      // Access control check: the server reports whether the current user may edit
+      // this profile (admins can edit anyone, members only their own profile)
+      if (!canEdit) {
         setError('Access denied. You can only edit your own profile.');
         setHasAccess(false);
         setAccessChecked(true);
@@ -190,15 +197,32 @@ const EditMember = () => {
   const handlePhotoChange = (e) => {
     const file = e.target.files[0];
     if (file) {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        setMember(prev => ({
-          ...prev,
-          photo: e.target.result
-        }));
-      };
-      reader.readAsDataURL(file);
+      if (photoPreview) URL.revokeObjectURL(photoPreview);
+      setPhotoFile(file);
+      setPhotoPreview(URL.createObjectURL(file));
+      setRemovePhoto(false);
+    }
+  };
+
+  const handleRemovePhoto = () => {
+    if (photoPreview) URL.revokeObjectURL(photoPreview);
+    setPhotoFile(null);
+    setPhotoPreview(null);
+    setRemovePhoto(true);
+  };
+
+  // Upload or remove the photo; resolves to an error message or null
+  const savePhoto = async () => {
+    if (photoFile) {
+      const result = await uploadMemberPhoto(id, photoFile)
+        .catch(() => ({ success: false, error: 'Photo upload failed' }));
+      return result.success ? null : result.error;
+    }
+    if (removePhoto && member.photo) {
+      const response = await apiFetch(`/members/${id}/photo`, { method: 'DELETE' });
+      return response.ok ? null : 'Photo could not be removed';
     }
+    return null;
   };
 
   const handleSubmit = async (e) => {
@@ -207,7 +231,7 @@ const EditMember = () => {
     setError(null);
 
     try {
-      const response = await fetch(`http://localhost:3001/members/${id}`, {
+      const response = await apiFetch(`/members/${id}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
@@ -215,8 +239,19 @@ const EditMember = () => {
         body: JSON.stringify(member),
       });
 
+      if (response.status === 403) {
+        throw new Error('Access denied. You can only edit your own profile.');
+      }
+
       if (!response.ok) {
-        throw new Error('Failed to update member');
+        // e.g. a membership ID that does not follow the pattern
+        const failure = await response.json().catch(() => ({}));
+        throw new Error(failure.details || 'Failed to update member');
+      }
+
+      const photoError = await savePhoto();
+      if (photoError) {
+        throw new Error(`Member details were saved, but not the photo: ${photoError}`);
       }
 
       // Wait a moment for data to be fully written to database
@@ -275,8 +310,8 @@ const EditMember = () => {
             {/* Photo Upload */}
             <div className="photo-upload">
               <label className="photo-upload-btn">
-                {member.photo ? (
-                  <img src={member.photo} alt="Preview" className="photo-preview" />
+                {photoPreview || (member.photo && !removePhoto) ? (
+                  <img src={photoPreview || photoUrl(member.photo)} alt="Preview" className="photo-preview" />
                 ) : (
                   <div style={{ padding: '20px', color: '#6c757d', textAlign: 'center' }}>
                     📷<br />Click to upload photo
@@ -284,10 +319,15 @@ const EditMember = () => {
                 )}
                 <input
                   type="file"
-                  accept="image/*"
+                  accept="image/jpeg,image/png,image/webp"
                   onChange={handlePhotoChange}
                 />
               </label>
+              {(photoPreview || (member.photo && !removePhoto)) && (
+                <button type="button" className="btn btn-secondary btn-sm" onClick={handleRemovePhoto}>
+                  Remove photo
+                </button>
+              )}
             </div>
 
             <div className="grid grid-2">
@@ -424,41 +464,43 @@ const EditMember = () => {
               </div>
             </div>
 
-            <div className="grid grid-2">
-              <div className="form-group">
-                <label htmlFor="membershipID" className="form-label">Membership ID</label>
-                <input
-                  type="text"
-                  id="membershipID"
-                  name="membershipID"
-                  value={member.membershipID}
-                  onChange={handleChange}
-                  className="form-input"
-                  placeholder="e.g., ISMAA-BLR-001"
-                  required
-                />
-              </div>
-
-              <div className="form-group">
-                <label htmlFor="membershipType" className="form-label">Membership Type</label>
-                <select
-                  id="membershipType"
-                  name="membershipType"
-                  value={member.membershipType}
-                  onChange={handleChange}
-                  className="form-input"
-                  required
-                >
-                  <option value="President">President</option>
-                  <option value="Vice-President">Vice-President</option>
-                  <option value="Treasurer">Treasurer</option>
-                  <option value="Secretary">Secretary</option>
-                  <option value="Office-Bearer">Office-Bearer</option>
-                  <option value="Member">Member</option>
-                  <option value="Non-Member">Non-Member</option>
-                </select>
+            {/* Membership ID and type are assigned by admins; the server ignores them on members' own edits */}
+            {isAdmin() && (
+              <div className="grid grid-2">
+                <div className="form-group">
+                  <label htmlFor="membershipID" className="form-label">Membership ID</label>
+                  <input
+                    type="text"
+                    id="membershipID"
+                    name="membershipID"
+                    value={member.membershipID || ''}
+                    onChange={handleChange}
+                    className="form-input"
+                    placeholder="e.g., ISMAA-BLR-2015-001"
+                  />
+                </div>
+  
+                <div className="form-group">
+                  <label htmlFor="membershipType" className="form-label">Membership Type</label>
+                  <select
+                    id="membershipType"
+                    name="membershipType"
+                    value={member.membershipType}
+                    onChange={handleChange}
+                    className="form-input"
+                    required
+                  >
+                    <option value="President">President</option>
+                    <option value="Vice-President">Vice-President</option>
+                    <option value="Treasurer">Treasurer</option>
+                    <option value="Secretary">Secretary</option>
+                    <option value="Office-Bearer">Office-Bearer</option>
+                    <option value="Member">Member</option>
+                    <option value="Non-Member">Non-Member</option>
+                  </select>
+                </div>
               </div>
-            </div>
+            )}
 
             <div className="form-group">
               <label htmlFor="address" className="form-label">Home Address</label>
@@ -491,6 +533,15 @@ const EditMember = () => {
               />
             </div>
           </form>
+
+          {/* Positions are saved as they are edited; the current one sets the company and industry above */}
+          <EmploymentTimeline
+            memberId={id}
+            editable
+            companies={companies}
+            industries={industries}
+            onChange={({ company, industry }) => setMember(prev => ({ ...prev, company: company || '', industry: industry || '' }))}
+          />
         </div>
 
         <div className="edit-member-actions">
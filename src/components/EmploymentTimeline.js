@@ -0,0 +1,254 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Employment Timeline Component
+// =====================================================
+//
+// A member's employment history as a timeline: company, job title,
+// industry and the years (or months) each position lasted, current
+// positions first.
+//
+// With `editable` (edit page), positions can be added, edited and
+// deleted right away, without the Save Changes button. The member's
+// current company and industry follow their current position, so the
+// new values are passed to onChange for the surrounding form.
+//
+// Dependencies: AuthContext, App.css
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const EMPTY_POSITION = {
+  company: '',
+  industry: '',
+  title: '',
+  startDate: '',
+  endDate: '',
+  current: false
+};
+
+/**
+ * "2019-03" -> "Mar 2019", "2019" -> "2019"
+ */
+const formatDate = (value) => {
+  if (!value) return '';
+  const [year, month] = value.split('-');
+  return month
+    ? new Date(Number(year), Number(month) - 1).toLocaleDateString(undefined, { month: 'short', year: 'numeric' })
+    : year;
+};
+
+const formatPeriod = (position) => {
+  const end = position.current ? 'Present' : formatDate(position.endDate);
+  const start = formatDate(position.startDate);
+  if (!start && !end) return '';
+  return `${start || '?'} – ${end || '?'}`;
+};
+
+/**
+ * Employment history of one member
+ * onChange receives { company, industry } after an edit changes the member's current position
+ */
+const EmploymentTimeline = ({ memberId, editable = false, companies = [], industries = [], onChange }) => {
+  const { getMemberPositions, addMemberPosition, updateMemberPosition, deleteMemberPosition } = useAuth();
+  const [positions, setPositions] = useState(null);
+  const [editing, setEditing] = useState(null); // Position id being edited, 'new', or null
+  const [form, setForm] = useState(EMPTY_POSITION);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadPositions = async () => {
+      setPositions(await getMemberPositions(memberId));
+    };
+    loadPositions();
+  }, [memberId]);
+
+  const startEditing = (position) => {
+    setEditing(position ? position.id : 'new');
+    setForm(position
+      ? Object.fromEntries(Object.keys(EMPTY_POSITION).map(key => [key, position[key] ?? EMPTY_POSITION[key]]))
+      : EMPTY_POSITION);
+    setError('');
+  };
+
+  const handleFormChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+      ...(name === 'current' && checked ? { endDate: '' } : {})
+    }));
+  };
+
+  /**
+   * Apply the result of an add, edit or delete
+   */
+  const applyResult = (result) => {
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    setPositions(result.positions);
+    setEditing(null);
+    if (onChange) {
+      onChange({ company: result.company, industry: result.industry });
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    const result = editing === 'new'
+      ? await addMemberPosition(memberId, form)
+      : await updateMemberPosition(memberId, editing, form);
+    setSaving(false);
+    applyResult(result);
+  };
+
+  const handleDelete = async (position) => {
+    if (!window.confirm(`Delete the position at ${position.company} from the employment history?`)) {
+      return;
+    }
+    setError('');
+    applyResult(await deleteMemberPosition(memberId, position.id));
+  };
+
+  if (positions === null) return <div className="loading">Loading employment history...</div>;
+  if (!editable && positions.length === 0) return null;
+
+  const renderForm = () => (
+    <div className="employment-form">
+      <div className="grid grid-2">
+        <div className="form-group">
+          <label htmlFor="position-company" className="form-label">Company</label>
+          <input
+            type="text"
+            id="position-company"
+            name="company"
+            list="position-companies"
+            value={form.company}
+            onChange={handleFormChange}
+            className="form-input"
+          />
+          <datalist id="position-companies">
+            {companies.map(company => <option key={company} value={company} />)}
+          </datalist>
+        </div>
+        <div className="form-group">
+          <label htmlFor="position-title" className="form-label">Job Title</label>
+          <input
+            type="text"
+            id="position-title"
+            name="title"
+            value={form.title}
+            onChange={handleFormChange}
+            className="form-input"
+            placeholder="e.g., Senior Engineer"
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="position-industry" className="form-label">Industry</label>
+          <input
+            type="text"
+            id="position-industry"
+            name="industry"
+            list="position-industries"
+            value={form.industry}
+            onChange={handleFormChange}
+            className="form-input"
+          />
+          <datalist id="position-industries">
+            {industries.map(industry => <option key={industry} value={industry} />)}
+          </datalist>
+        </div>
+        <div className="form-group employment-dates">
+          <div>
+            <label htmlFor="position-start" className="form-label">From</label>
+            <input
+              type="text"
+              id="position-start"
+              name="startDate"
+              value={form.startDate}
+              onChange={handleFormChange}
+              className="form-input"
+              placeholder="YYYY or YYYY-MM"
+            />
+          </div>
+          <div>
+            <label htmlFor="position-end" className="form-label">To</label>
+            <input
+              type="text"
+              id="position-end"
+              name="endDate"
+              value={form.endDate}
+              onChange={handleFormChange}
+              className="form-input"
+              placeholder="YYYY or YYYY-MM"
+              disabled={form.current}
+            />
+          </div>
+        </div>
+      </div>
+      <label className="employment-current">
+        <input type="checkbox" name="current" checked={form.current} onChange={handleFormChange} />
+        I currently work here
+      </label>
+      <div className="member-actions">
+        <button type="button" className="btn btn-primary btn-sm" onClick={handleSave} disabled={saving || !form.company.trim()}>
+          {saving ? 'Saving...' : 'Save Position'}
+        </button>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={() => setEditing(null)}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="employment-timeline">
+      <h3 className="section-header">💼 Experience</h3>
+      {error && <div className="error">{error}</div>}
+
+      {positions.length === 0 && editing !== 'new' && (
+        <p className="section-note">No positions added yet.</p>
+      )}
+
+      <ul className="employment-list">
+        {positions.map(position => (
+          <li key={position.id} className={`employment-entry${position.current ? ' employment-current-entry' : ''}`}>
+            {editing === position.id ? renderForm() : (
+              <>
+                <div className="employment-title">
+                  {position.title ? `${position.title} · ` : ''}<strong>{position.company}</strong>
+                  {position.current && <span className="employment-badge">Current</span>}
+                </div>
+                <div className="employment-meta">
+                  {[formatPeriod(position), position.industry].filter(Boolean).join(' · ')}
+                </div>
+                {editable && (
+                  <div className="employment-actions">
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={() => startEditing(position)}>
+                      Edit
+                    </button>
+                    <button type="button" className="btn btn-danger btn-sm" onClick={() => handleDelete(position)}>
+                      Delete
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {editable && (editing === 'new' ? renderForm() : (
+        <button type="button" className="btn btn-secondary btn-sm" onClick={() => startEditing(null)}>
+          + Add Position
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default EmploymentTimeline;
@@ -0,0 +1,281 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Event Attendees Component
+// =====================================================
+//
+// Attendee list and check-in screen of one event (admin only):
+// - everyone who responded: going, the waitlist in order, cancellations
+// - CSV export of the list
+// - check-in by scanning the QR code on a member's card, either with a
+//   handheld scanner (it types into the scan field) or with the device
+//   camera where the browser can read QR codes, or by name from the list
+// - members without a place (not RSVPed, waitlisted, cancelled) can be
+//   checked in as walk-ins after confirming
+// - removing an attendee gives their place to the waitlist
+//
+// Dependencies: React Router, AuthContext, Events, App.css
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { formatEventTime } from './Events';
+
+const RSVP_LABELS = {
+  going: 'Going',
+  waitlisted: 'Waitlisted',
+  cancelled: 'Cancelled'
+};
+
+// Browsers that can read QR codes from the camera (Chrome on Android, among others)
+const cameraScanSupported = () => 'BarcodeDetector' in window && !!navigator.mediaDevices?.getUserMedia;
+
+/**
+ * Attendee list with check-in for one event
+ */
+const EventAttendees = () => {
+  const { id } = useParams();
+  const { isAdmin, getEventAttendees, downloadEventAttendees, removeEventAttendee, checkInToEvent } = useAuth();
+  const [list, setList] = useState(undefined); // null when the event could not be loaded
+  const [search, setSearch] = useState('');
+  const [code, setCode] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const [walkIn, setWalkIn] = useState(null); // { entry, message } of a member without a place
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const videoRef = useRef(null);
+  const codeRef = useRef(null);
+
+  const admin = isAdmin();
+
+  useEffect(() => {
+    if (admin) {
+      loadAttendees();
+    }
+  }, [id]);
+
+  const loadAttendees = async () => {
+    setList(await getEventAttendees(id));
+  };
+
+  const handleCheckIn = async (entry) => {
+    setBusy(true);
+    setMessage('');
+    setError('');
+    setWalkIn(null);
+    const result = await checkInToEvent(id, entry);
+    setBusy(false);
+
+    if (result.success) {
+      setMessage(`${result.outcome === 'already-checked-in' ? '⚠️' : '✅'} ${result.message}`);
+      await loadAttendees();
+    } else if (result.outcome === 'not-registered') {
+      setWalkIn({ entry, message: result.error });
+    } else {
+      setError(result.error);
+    }
+    codeRef.current?.focus();
+  };
+
+  const handleScanSubmit = (e) => {
+    e.preventDefault();
+    if (code.trim()) {
+      handleCheckIn({ code: code.trim() });
+      setCode('');
+    }
+  };
+
+  // Read QR codes from the camera until one is found
+  useEffect(() => {
+    if (!scanning) return undefined;
+
+    let stream = null;
+    let timer = null;
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      .then(cameraStream => {
+        stream = cameraStream;
+        videoRef.current.srcObject = stream;
+        videoRef.current.play();
+        timer = setInterval(async () => {
+          const codes = await detector.detect(videoRef.current).catch(() => []);
+          if (codes.length > 0) {
+            setScanning(false);
+            handleCheckIn({ code: codes[0].rawValue });
+          }
+        }, 400);
+      })
+      .catch(() => {
+        setError('The camera could not be opened');
+        setScanning(false);
+      });
+
+    return () => {
+      clearInterval(timer);
+      if (stream) stream.getTracks().forEach(track => track.stop());
+    };
+  }, [scanning]);
+
+  const handleRemove = async (attendee) => {
+    if (!window.confirm(`Cancel the RSVP of ${attendee.name}?`)) return;
+    setMessage('');
+    setError('');
+    const result = await removeEventAttendee(id, attendee.memberId);
+    if (result.success) {
+      setMessage(result.message);
+      await loadAttendees();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleExport = async () => {
+    setError('');
+    const result = await downloadEventAttendees(id);
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  if (!admin) {
+    return <div className="error">Only administrators can see attendee lists.</div>;
+  }
+  if (list === undefined) return <div className="loading">Loading attendees...</div>;
+  if (list === null) return <div className="error">Event not found</div>;
+
+  const { event, attendees } = list;
+  const query = search.trim().toLowerCase();
+  const shown = query
+    ? attendees.filter(attendee => [attendee.name, attendee.email, attendee.membershipID]
+      .some(value => value && value.toLowerCase().includes(query)))
+    : attendees;
+
+  return (
+    <div>
+      <div className="members-page-header">
+        <h1>🎟️ {event.title}</h1>
+        <p>{formatEventTime(event.startsAt, event.endsAt)} · {event.venue}{event.status === 'cancelled' && ' · Cancelled'}</p>
+      </div>
+
+      <div className="dues-summary">
+        <div className="dues-summary-card">
+          <div className="dues-summary-count">{event.goingCount}{event.capacity !== null && ` / ${event.capacity}`}</div>
+          <div>Going</div>
+        </div>
+        <div className="dues-summary-card">
+          <div className="dues-summary-count">{event.waitlistCount}</div>
+          <div>Waitlisted</div>
+        </div>
+        <div className="dues-summary-card">
+          <div className="dues-summary-count">{event.checkedInCount}</div>
+          <div>Checked in</div>
+        </div>
+      </div>
+
+      {message && <div className="success">{message}</div>}
+      {error && <div className="error">{error}</div>}
+      {walkIn && (
+        <div className="event-walk-in">
+          <span>{walkIn.message}.</span>
+          <button className="btn btn-primary btn-sm" onClick={() => handleCheckIn({ ...walkIn.entry, walkIn: true })} disabled={busy}>
+            Check in as walk-in
+          </button>
+          <button className="btn btn-secondary btn-sm" onClick={() => setWalkIn(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {event.status === 'scheduled' && (
+        <div className="application-card">
+          <h3>Check-in</h3>
+          <form className="event-check-in" onSubmit={handleScanSubmit}>
+            <input
+              ref={codeRef}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="form-input"
+              placeholder="Scan a membership card QR code"
+              aria-label="Membership card QR code"
+              autoFocus
+            />
+            <button type="submit" className="btn btn-primary btn-sm" disabled={busy || !code.trim()}>Check in</button>
+            {cameraScanSupported() && (
+              <button type="button" className="btn btn-secondary btn-sm" onClick={() => setScanning(!scanning)}>
+                {scanning ? 'Stop camera' : '📷 Scan with camera'}
+              </button>
+            )}
+          </form>
+          {scanning && <video ref={videoRef} className="event-scanner" muted playsInline />}
+        </div>
+      )}
+
+      <div className="application-card">
+        <div className="application-header">
+          <h3>Attendees ({attendees.length})</h3>
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="filter-select"
+            placeholder="Search by name, email or ID"
+          />
+          <button className="btn btn-secondary btn-sm" onClick={handleExport}>⬇️ Export CSV</button>
+        </div>
+
+        {shown.length === 0 ? (
+          <p className="section-note">{attendees.length === 0 ? 'Nobody has RSVPed yet.' : 'No attendees match your search.'}</p>
+        ) : (
+          <table className="dues-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Batch</th>
+                <th>Membership ID</th>
+                <th>RSVP</th>
+                <th>Checked in</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map(attendee => (
+                <tr key={attendee.memberId} className={`event-attendee-${attendee.status}`}>
+                  <td><Link to={`/member/${attendee.memberId}`}>{attendee.name}</Link></td>
+                  <td>{attendee.passoutBatch}</td>
+                  <td>{attendee.membershipID}</td>
+                  <td>
+                    {RSVP_LABELS[attendee.status]}
+                    {attendee.waitlistPosition && ` (#${attendee.waitlistPosition})`}
+                    {attendee.walkIn && ' (walk-in)'}
+                    {attendee.promoted && !attendee.walkIn && ' (from waitlist)'}
+                  </td>
+                  <td>
+                    {attendee.checkedInAt
+                      ? new Date(attendee.checkedInAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })
+                      : event.status === 'scheduled' && (
+                        <button
+                          className="btn btn-primary btn-sm"
+                          onClick={() => handleCheckIn({ memberId: attendee.memberId })}
+                          disabled={busy}
+                        >
+                          Check in
+                        </button>
+                      )}
+                  </td>
+                  <td>
+                    {attendee.status !== 'cancelled' && (
+                      <button className="btn btn-danger btn-sm" onClick={() => handleRemove(attendee)}>Remove</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <Link to="/events" className="btn btn-secondary">📅 All Events</Link>
+    </div>
+  );
+};
+
+export default EventAttendees;
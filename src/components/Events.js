@@ -0,0 +1,345 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Events Component
+// =====================================================
+//
+// Upcoming and past events (meetups, talks, reunions) with RSVPs:
+// - members RSVP until the deadline; once an event is full they join
+//   the waitlist and are moved up automatically (and emailed) when a
+//   place frees up
+// - members cancel their RSVP to give their place to the waitlist
+// - admins create, edit and cancel events, and open the attendee list
+//   and check-in screen (EventAttendees)
+// - events download as .ics files, and the calendar feeds can be
+//   subscribed to (CalendarFeeds)
+//
+// Event times are Bengaluru local time and are shown as entered.
+//
+// Dependencies: AuthContext, MemberDues, CalendarFeeds, App.css
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { formatRupees } from './MemberDues';
+import CalendarFeeds from './CalendarFeeds';
+
+const EMPTY_EVENT = { title: '', venue: '', startsAt: '', endsAt: '', rsvpDeadline: '', capacity: '', fee: '', description: '' };
+
+// Event times are local date-times (YYYY-MM-DDTHH:MM); format them without a time zone shift
+const formatDateTime = (value, options) => new Date(`${value}:00Z`).toLocaleString(undefined, { timeZone: 'UTC', ...options });
+
+export const formatEventTime = (startsAt, endsAt = null) => {
+  const start = formatDateTime(startsAt, { dateStyle: 'medium', timeStyle: 'short' });
+  if (!endsAt) return start;
+  const end = endsAt.slice(0, 10) === startsAt.slice(0, 10)
+    ? formatDateTime(endsAt, { timeStyle: 'short' })
+    : formatDateTime(endsAt, { dateStyle: 'medium', timeStyle: 'short' });
+  return `${start} – ${end}`;
+};
+
+/**
+ * Events list with RSVPs, and event management for admins
+ */
+const Events = () => {
+  const { isAdmin, getEvents, saveEvent, cancelEvent, rsvpToEvent, cancelEventRsvp, downloadEventCalendar } = useAuth();
+  const [scope, setScope] = useState('upcoming');
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingEventId, setEditingEventId] = useState(null); // Event being edited, 'new', or null
+  const [showFeeds, setShowFeeds] = useState(false);
+  const [form, setForm] = useState(EMPTY_EVENT);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const admin = isAdmin();
+
+  useEffect(() => {
+    loadEvents();
+  }, [scope]);
+
+  const loadEvents = async () => {
+    setLoading(true);
+    setEvents(await getEvents(scope));
+    setLoading(false);
+  };
+
+  /**
+   * Run a change, then refresh the list and report the outcome
+   */
+  const runAction = async (action, onSuccess) => {
+    setBusy(true);
+    setMessage('');
+    setError('');
+    const result = await action();
+    setBusy(false);
+
+    if (result.success) {
+      setMessage(result.message || '');
+      if (onSuccess) onSuccess(result);
+      await loadEvents();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const startEditing = (event) => {
+    setEditingEventId(event ? event.id : 'new');
+    setForm(event ? {
+      title: event.title,
+      venue: event.venue,
+      startsAt: event.startsAt,
+      endsAt: event.endsAt || '',
+      rsvpDeadline: event.rsvpDeadline || '',
+      capacity: event.capacity === null ? '' : String(event.capacity),
+      fee: event.fee ? String(event.fee) : '',
+      description: event.description || ''
+    } : EMPTY_EVENT);
+    setMessage('');
+    setError('');
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    runAction(
+      () => saveEvent(editingEventId === 'new' ? null : editingEventId, form),
+      () => setEditingEventId(null)
+    );
+  };
+
+  const handleCancelEvent = (event) => {
+    if (window.confirm(`Cancel ${event.title}? Everyone who RSVPed will be emailed.`)) {
+      runAction(() => cancelEvent(event.id));
+    }
+  };
+
+  const handleAddToCalendar = async (event) => {
+    setError('');
+    const result = await downloadEventCalendar(event.id);
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  const renderRsvp = (event) => {
+    const rsvp = event.myRsvp?.status === 'cancelled' ? null : event.myRsvp;
+    const canChange = event.status === 'scheduled' && scope === 'upcoming';
+
+    if (rsvp) {
+      return (
+        <>
+          <span className={`event-rsvp event-rsvp-${rsvp.status}`}>
+            {rsvp.status === 'going' ? '✅ You are going' : `⏳ Waitlisted (#${rsvp.waitlistPosition})`}
+          </span>
+          {canChange && (
+            <button className="btn btn-secondary btn-sm" onClick={() => runAction(() => cancelEventRsvp(event.id))} disabled={busy}>
+              {rsvp.status === 'going' ? 'Cancel RSVP' : 'Leave waitlist'}
+            </button>
+          )}
+        </>
+      );
+    }
+    if (event.rsvpOpen) {
+      return (
+        <button className="btn btn-primary btn-sm" onClick={() => runAction(() => rsvpToEvent(event.id))} disabled={busy}>
+          {event.spotsLeft === 0 ? 'Join waitlist' : 'RSVP'}
+        </button>
+      );
+    }
+    return event.status === 'scheduled' && scope === 'upcoming' && <span className="section-note">RSVPs closed</span>;
+  };
+
+  return (
+    <div>
+      <div className="members-page-header">
+        <h1>📅 Events</h1>
+        <p>Meetups and gatherings of ISMAA Bengaluru members</p>
+      </div>
+
+      {message && <div className="success">{message}</div>}
+      {error && <div className="error">{error}</div>}
+
+      <div className="events-toolbar">
+        <div className="tab-navigation">
+          <button className={`tab-btn ${scope === 'upcoming' ? 'active' : ''}`} onClick={() => setScope('upcoming')}>
+            Upcoming
+          </button>
+          <button className={`tab-btn ${scope === 'past' ? 'active' : ''}`} onClick={() => setScope('past')}>
+            Past
+          </button>
+        </div>
+        <div className="member-actions">
+          <button className="btn btn-secondary" onClick={() => setShowFeeds(!showFeeds)}>
+            📆 Calendar feeds
+          </button>
+          {admin && editingEventId === null && (
+            <button className="btn btn-primary" onClick={() => startEditing(null)}>
+              + New Event
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showFeeds && <CalendarFeeds />}
+
+      {editingEventId !== null && (
+        <form className="application-card event-form" onSubmit={handleSave}>
+          <h3>{editingEventId === 'new' ? 'New event' : 'Edit event'}</h3>
+          <div className="grid grid-2">
+            <div className="form-group">
+              <label htmlFor="event-title" className="form-label">Title</label>
+              <input id="event-title" name="title" value={form.title} onChange={handleChange} className="form-input" required />
+            </div>
+            <div className="form-group">
+              <label htmlFor="event-venue" className="form-label">Venue</label>
+              <input id="event-venue" name="venue" value={form.venue} onChange={handleChange} className="form-input" required />
+            </div>
+            <div className="form-group">
+              <label htmlFor="event-starts" className="form-label">Starts</label>
+              <input
+                id="event-starts"
+                name="startsAt"
+                type="datetime-local"
+                value={form.startsAt}
+                onChange={handleChange}
+                className="form-input"
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="event-ends" className="form-label">Ends (optional)</label>
+              <input
+                id="event-ends"
+                name="endsAt"
+                type="datetime-local"
+                value={form.endsAt}
+                onChange={handleChange}
+                className="form-input"
+                min={form.startsAt}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="event-deadline" className="form-label">RSVP deadline (optional)</label>
+              <input
+                id="event-deadline"
+                name="rsvpDeadline"
+                type="datetime-local"
+                value={form.rsvpDeadline}
+                onChange={handleChange}
+                className="form-input"
+                max={form.startsAt}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="event-capacity" className="form-label">Capacity (empty for no limit)</label>
+              <input
+                id="event-capacity"
+                name="capacity"
+                type="number"
+                min="1"
+                value={form.capacity}
+                onChange={handleChange}
+                className="form-input"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="event-fee" className="form-label">Fee (₹, empty if free)</label>
+              <input
+                id="event-fee"
+                name="fee"
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.fee}
+                onChange={handleChange}
+                className="form-input"
+              />
+            </div>
+          </div>
+          <div className="form-group">
+            <label htmlFor="event-description" className="form-label">Description</label>
+            <textarea
+              id="event-description"
+              name="description"
+              value={form.description}
+              onChange={handleChange}
+              className="form-input"
+              rows="4"
+            />
+          </div>
+          <div className="member-actions">
+            <button type="submit" className="btn btn-primary btn-sm" disabled={busy}>Save Event</button>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => setEditingEventId(null)}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="loading">Loading events...</div>
+      ) : events.length === 0 ? (
+        <div className="empty-state">
+          <h3>📅 No {scope} events</h3>
+          {scope === 'upcoming' && <p>New meetups will be listed here.</p>}
+        </div>
+      ) : (
+        <div className="event-list">
+          {events.map(event => (
+            <div key={event.id} className={`application-card event-card ${event.status === 'cancelled' ? 'event-cancelled' : ''}`}>
+              <div className="application-header">
+                <div>
+                  <h3>{event.title}</h3>
+                  <p>{formatEventTime(event.startsAt, event.endsAt)}</p>
+                  <p>📍 {event.venue}</p>
+                </div>
+                {event.status === 'cancelled' && <span className="application-status event-status-cancelled">Cancelled</span>}
+              </div>
+
+              {event.description && <p className="event-description">{event.description}</p>}
+
+              <div className="event-facts">
+                <span>
+                  👥 {event.goingCount}{event.capacity !== null && ` / ${event.capacity}`} going
+                  {event.waitlistCount > 0 && ` · ${event.waitlistCount} waitlisted`}
+                </span>
+                <span>💰 {event.fee > 0 ? `${formatRupees(event.fee)}, paid at the event` : 'Free'}</span>
+                {event.rsvpDeadline && <span>⏰ RSVP by {formatEventTime(event.rsvpDeadline)}</span>}
+              </div>
+
+              <div className="member-actions">
+                {renderRsvp(event)}
+                {scope === 'upcoming' && event.status === 'scheduled' && (
+                  <button className="btn btn-secondary btn-sm" onClick={() => handleAddToCalendar(event)}>
+                    📆 Add to calendar
+                  </button>
+                )}
+                {admin && (
+                  <>
+                    <Link to={`/events/${event.id}/attendees`} className="btn btn-secondary btn-sm">
+                      Attendees & Check-in
+                    </Link>
+                    {event.status === 'scheduled' && (
+                      <>
+                        <button className="btn btn-secondary btn-sm" onClick={() => startEditing(event)}>Edit</button>
+                        <button className="btn btn-danger btn-sm" onClick={() => handleCancelEvent(event)} disabled={busy}>
+                          Cancel Event
+                        </button>
+                      </>
+                    )}
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Events;
@@ -0,0 +1,213 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Global Search Component
+// =====================================================
+//
+// Header search box covering members, blogs and notices. Results come from
+// the server's full-text index (GET /search), ranked and grouped by type,
+// with the matching words highlighted.
+//
+// Keyboard:
+// - "/" focuses the search box from anywhere on the page
+// - Arrow Up/Down move through the results
+// - Enter opens the highlighted result
+// - Escape closes the results
+//
+// Dependencies: React Router, Portal API, App.css
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { apiFetch } from '../utils/apiClient';
+
+const SEARCH_DELAY = 250; // ms of typing pause before searching
+const MIN_QUERY_LENGTH = 2;
+
+const GROUP_LABELS = {
+  members: '👥 Members',
+  blogs: '📝 Blogs',
+  notices: '📢 Notices'
+};
+
+/**
+ * Render snippet segments with the matched words highlighted
+ */
+const Highlighted = ({ segments }) => (
+  <>
+    {segments.map((segment, index) => (
+      segment.match ? <mark key={index}>{segment.text}</mark> : <span key={index}>{segment.text}</span>
+    ))}
+  </>
+);
+
+/**
+ * Search box with a grouped, keyboard-navigable results dropdown
+ */
+const GlobalSearch = () => {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [loading, setLoading] = useState(false);
+  const inputRef = useRef(null);
+  const containerRef = useRef(null);
+  const latestRequest = useRef(0);
+
+  // Flattened results in display order, for keyboard navigation
+  const flatResults = results
+    ? Object.keys(GROUP_LABELS).flatMap(type => (results[type] || []).map(result => ({ ...result, type })))
+    : [];
+
+  // Search once typing pauses
+  useEffect(() => {
+    const text = query.trim();
+    if (text.length < MIN_QUERY_LENGTH) {
+      setResults(null);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const timer = setTimeout(async () => {
+      const requestId = ++latestRequest.current;
+      try {
+        const response = await apiFetch(`/search?q=${encodeURIComponent(text)}`);
+        const data = response.ok ? await response.json() : null;
+        if (requestId !== latestRequest.current) return;
+        setResults(data ? data.results : {});
+        setActiveIndex(-1);
+      } catch (error) {
+        console.error('Search error:', error);
+      } finally {
+        if (requestId === latestRequest.current) setLoading(false);
+      }
+    }, SEARCH_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  // "/" focuses the search box unless the user is already typing somewhere
+  useEffect(() => {
+    const handleShortcut = (event) => {
+      const tag = event.target.tagName;
+      if (event.key === '/' && !['INPUT', 'TEXTAREA', 'SELECT'].includes(tag) && !event.target.isContentEditable) {
+        event.preventDefault();
+        inputRef.current?.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleShortcut);
+    return () => document.removeEventListener('keydown', handleShortcut);
+  }, []);
+
+  // Close the results when clicking elsewhere
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const openResult = (result) => {
+    setIsOpen(false);
+    setQuery('');
+    inputRef.current?.blur();
+    navigate(result.url);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setIsOpen(false);
+      inputRef.current?.blur();
+      return;
+    }
+    if (flatResults.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(index => (index + 1) % flatResults.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? flatResults.length - 1 : index - 1));
+    } else if (e.key === 'Enter' && activeIndex >= 0) {
+      e.preventDefault();
+      openResult(flatResults[activeIndex]);
+    }
+  };
+
+  const showDropdown = isOpen && query.trim().length >= MIN_QUERY_LENGTH;
+  let position = -1; // Running index across groups, matching flatResults
+
+  return (
+    <div className="global-search" ref={containerRef}>
+      <input
+        ref={inputRef}
+        type="search"
+        className="global-search-input"
+        placeholder="🔍 Search  ( / )"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onKeyDown={handleKeyDown}
+        role="combobox"
+        aria-expanded={showDropdown}
+        aria-controls="global-search-results"
+        aria-activedescendant={activeIndex >= 0 ? `global-search-result-${activeIndex}` : undefined}
+        aria-label="Search members, blogs and notices"
+      />
+
+      {showDropdown && (
+        <div className="global-search-results" id="global-search-results" role="listbox">
+          {loading && !results && <div className="global-search-empty">Searching...</div>}
+          {results && flatResults.length === 0 && !loading && (
+            <div className="global-search-empty">No matches for "{query.trim()}"</div>
+          )}
+          {results && Object.keys(GROUP_LABELS).map(type => (
+            (results[type] || []).length > 0 && (
+              <div key={type} className="global-search-group">
+                <div className="global-search-group-label">{GROUP_LABELS[type]}</div>
+                {results[type].map(result => {
+                  position += 1;
+                  const index = position;
+                  return (
+                    <div
+                      key={`${type}-${result.id}`}
+                      id={`global-search-result-${index}`}
+                      role="option"
+                      aria-selected={index === activeIndex}
+                      className={`global-search-result ${index === activeIndex ? 'active' : ''}`}
+                      onMouseEnter={() => setActiveIndex(index)}
+                      onMouseDown={(e) => e.preventDefault()}
+                      onClick={() => openResult(result)}
+                    >
+                      <div className="global-search-title">
+                        {result.title}
+                        {result.subtitle && <span className="global-search-subtitle">{result.subtitle}</span>}
+                      </div>
+                      {result.snippet.length > 0 && (
+                        <div className="global-search-snippet">
+                          <Highlighted segments={result.snippet} />
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GlobalSearch;
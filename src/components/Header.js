@@ -7,6 +7,7 @@
 //
 // Features:
 // - Responsive navigation menu with active link highlighting
+// - Global search across members, blogs and notices (GlobalSearch)
 // - User authentication display with login/logout functionality
 // - Dark/light theme toggle with visual feedback
 // - User profile access through dropdown interface
@@ -16,6 +17,9 @@
 // - Home: Main landing page with member statistics
 // - Members: Complete member directory with search/filter
 // - Blogs & Notices: Content management for announcements
+// - Events: Meetups with RSVPs (attendee lists and check-in for admins)
+// - Applications: Membership application review queue (admin only)
+// - Dues: Membership dues and renewals dashboard (admin only)
 // - Add Member: Administrative function for member registration
 //
 // Authentication Integration:
@@ -28,15 +32,16 @@
 // - Consistent styling across all portal pages
 // - User preference preservation across sessions
 //
-// Dependencies: AuthContext, ThemeContext, React Router, UserProfile
+// Dependencies: AuthContext, ThemeContext, React Router, UserProfile, GlobalSearch
 // Author: ISMAA Portal Team
 // =====================================================
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
 import UserProfile from './UserProfile';
+import GlobalSearch from './GlobalSearch';
 
 /**
  * Header component providing main site navigation and user controls
@@ -45,10 +50,17 @@ import UserProfile from './UserProfile';
 const Header = () => {
   const location = useLocation();
   const navigate = useNavigate();
-  const { user, logout } = useAuth();
+  const { user, logout, mustChangePassword } = useAuth();
   const { isDarkMode, toggleTheme } = useTheme();
   const [showUserProfile, setShowUserProfile] = useState(false);
 
+  // Open the profile straight away when a first-login or expired password must be changed
+  useEffect(() => {
+    if (mustChangePassword()) {
+      setShowUserProfile(true);
+    }
+  }, [user]);
+
   /**
    * Handle user logout with proper cleanup and redirection
    * Redirects to login page after clearing authentication
@@ -93,7 +105,38 @@ const Header = () => {
             >
               📝 Blogs & Notices
             </Link>
+            <Link 
+              to="/events" 
+              className={`nav-link ${location.pathname.startsWith('/events') ? 'active' : ''}`}
+            >
+              📅 Events
+            </Link>
+            {user?.role === 'admin' && (
+              <Link 
+                to="/applications" 
+                className={`nav-link ${location.pathname === '/applications' ? 'active' : ''}`}
+              >
+                📥 Applications
+              </Link>
+            )}
+            {user?.role === 'admin' && (
+              <Link 
+                to="/dues" 
+                className={`nav-link ${location.pathname === '/dues' ? 'active' : ''}`}
+              >
+                💳 Dues
+              </Link>
+            )}
+            {user?.role === 'admin' && (
+              <Link 
+                to="/recycle-bin" 
+                className={`nav-link ${location.pathname === '/recycle-bin' ? 'active' : ''}`}
+              >
+                🗑️ Recycle Bin
+              </Link>
+            )}
           </nav>
+          <GlobalSearch />
           <div className="user-menu">
             <button 
               onClick={toggleTheme} 
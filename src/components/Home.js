@@ -36,6 +36,7 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { apiFetch } from '../utils/apiClient';
 
 /**
  * Home dashboard component displaying portal overview and statistics
@@ -67,9 +68,9 @@ const Home = () => {
     try {
       // Parallel API calls for efficient data loading
       const [membersRes, blogsRes, noticesRes] = await Promise.all([
-        fetch('http://localhost:3001/members'),
-        fetch('http://localhost:3001/blogs'),
-        fetch('http://localhost:3001/notices')
+        apiFetch('/members?pageSize=1'), // Only the total is needed
+        apiFetch('/blogs'),
+        apiFetch('/notices')
       ]);
 
       // Validate all responses before processing
@@ -98,7 +99,7 @@ const Home = () => {
           .slice(0, 5);
 
         setStats({
-          totalMembers: members.length,
+          totalMembers: members.total,
           totalBlogs: blogs.length,
           totalNotices: notices.length,
           recentActivity: allActivity
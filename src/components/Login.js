@@ -17,8 +17,10 @@
 // 1. User enters credentials (username/password)
 // 2. Form validation prevents invalid submissions
 // 3. AuthContext handles API authentication request
-// 4. Success: Redirect to home dashboard
-// 5. Failure: Display error message with retry option
+// 4. Two-factor accounts enter an authenticator or recovery code;
+//    admins required to use 2FA but not yet enrolled set it up here
+// 5. Success: Redirect to home dashboard
+// 6. Failure: Display error message with retry option
 //
 // Security Features:
 // - Form validation prevents empty submissions
@@ -29,6 +31,7 @@
 // User Experience:
 // - Loading indicators during authentication
 // - Clear error messages for failed attempts
+// - "Forgot password?" link to self-service reset
 // - Automatic focus management
 // - Responsive design for all device sizes
 //
@@ -37,8 +40,9 @@
 // =====================================================
 
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import TwoFactorSetup from './TwoFactorSetup';
 import './Login.css';
 
 /**
@@ -52,8 +56,13 @@ const Login = () => {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   
+  // Second step state - set when the password was accepted but 2FA is required
+  const [twoFactor, setTwoFactor] = useState(null); // { step: 'verify' | 'enrol', challengeToken }
+  const [verificationCode, setVerificationCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  
   // Context and navigation hooks
-  const { login } = useAuth();
+  const { login, verifyTwoFactor, establishSession } = useAuth();
   const navigate = useNavigate();
 
   /**
@@ -68,7 +77,9 @@ const Login = () => {
     // Attempt authentication through AuthContext
     const result = await login(username, password);
     
-    if (result.success) {
+    if (result.twoFactorRequired) {
+      setTwoFactor({ step: result.twoFactorStep, challengeToken: result.challengeToken });
+    } else if (result.success) {
       // Redirect to home page on successful login
       navigate('/', { replace: true });
     } else {
@@ -78,6 +89,47 @@ const Login = () => {
     setLoading(false);
   };
 
+  /**
+   * Submit the authenticator code (or recovery code) for the second step
+   */
+  const handleVerifySubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const value = verificationCode.trim();
+    const result = await verifyTwoFactor(
+      twoFactor.challengeToken,
+      useRecoveryCode ? { recoveryCode: value } : { code: value }
+    );
+
+    if (result.success) {
+      navigate('/', { replace: true });
+    } else {
+      setError(result.error);
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Return to the password step (e.g. after the challenge expired)
+   */
+  const handleStartOver = () => {
+    setTwoFactor(null);
+    setVerificationCode('');
+    setUseRecoveryCode(false);
+    setPassword('');
+    setError('');
+  };
+
+  const headings = {
+    verify: { title: '🔐 Two-Step Verification', text: 'Enter the code from your authenticator app' },
+    enrol: { title: '🔐 Set Up Two-Step Verification', text: 'Your account requires two-factor authentication' }
+  };
+  const heading = twoFactor
+    ? headings[twoFactor.step]
+    : { title: '🎓 Portal Sign In', text: 'Please sign in to access the system' };
+
   return (
     <div className="login-container">
       <div className="login-content">
@@ -102,47 +154,117 @@ const Login = () => {
         <div className="login-form-section">
           <div className="login-card">
             <div className="login-header">
-              <h1>🎓 Portal Sign In</h1>
-              <p>Please sign in to access the system</p>
+              <h1>{heading.title}</h1>
+              <p>{heading.text}</p>
             </div>
 
-            <form onSubmit={handleSubmit} className="login-form">
-              {error && <div className="error">{error}</div>}
-              
-              <div className="form-group">
-                <label htmlFor="username" className="form-label">Username</label>
-                <input
-                  type="text"
-                  id="username"
-                  value={username}
-                  onChange={(e) => setUsername(e.target.value)}
-                  className="form-input"
-                  required
-                  placeholder="Enter your username"
+            {twoFactor?.step === 'enrol' && (
+              <div className="login-form">
+                <TwoFactorSetup
+                  challengeToken={twoFactor.challengeToken}
+                  onComplete={(result) => {
+                    establishSession(result);
+                    navigate('/', { replace: true });
+                  }}
+                  onCancel={handleStartOver}
                 />
               </div>
+            )}
 
-              <div className="form-group">
-                <label htmlFor="password" className="form-label">Password</label>
-                <input
-                  type="password"
-                  id="password"
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  className="form-input"
-                  required
-                  placeholder="Enter your password"
-                />
-              </div>
+            {twoFactor?.step === 'verify' && (
+              <form onSubmit={handleVerifySubmit} className="login-form">
+                {error && <div className="error">{error}</div>}
 
-              <button
-                type="submit"
-                className="btn btn-primary login-btn"
-                disabled={loading}
-              >
-                {loading ? 'Signing In...' : 'Sign In'}
-              </button>
-            </form>
+                <div className="form-group">
+                  <label htmlFor="verificationCode" className="form-label">
+                    {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+                  </label>
+                  <input
+                    type="text"
+                    id="verificationCode"
+                    value={verificationCode}
+                    onChange={(e) => setVerificationCode(e.target.value)}
+                    className="form-input"
+                    inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                    autoComplete="one-time-code"
+                    autoFocus
+                    required
+                    placeholder={useRecoveryCode ? 'XXXXX-XXXXX' : '6-digit code'}
+                  />
+                </div>
+
+                <button
+                  type="submit"
+                  className="btn btn-primary login-btn"
+                  disabled={loading}
+                >
+                  {loading ? 'Verifying...' : 'Verify'}
+                </button>
+
+                <div className="login-links">
+                  <button
+                    type="button"
+                    className="link-button"
+                    onClick={() => {
+                      setUseRecoveryCode(!useRecoveryCode);
+                      setVerificationCode('');
+                    }}
+                  >
+                    {useRecoveryCode ? 'Use authenticator app instead' : 'Use a recovery code'}
+                  </button>
+                  <button type="button" className="link-button" onClick={handleStartOver}>
+                    Start over
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {!twoFactor && (
+              <form onSubmit={handleSubmit} className="login-form">
+                {error && <div className="error">{error}</div>}
+              
+                <div className="form-group">
+                  <label htmlFor="username" className="form-label">Username</label>
+                  <input
+                    type="text"
+                    id="username"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    className="form-input"
+                    required
+                    placeholder="Enter your username"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="password" className="form-label">Password</label>
+                  <input
+                    type="password"
+                    id="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="form-input"
+                    required
+                    placeholder="Enter your password"
+                  />
+                </div>
+
+                <button
+                  type="submit"
+                  className="btn btn-primary login-btn"
+                  disabled={loading}
+                >
+                  {loading ? 'Signing In...' : 'Sign In'}
+                </button>
+              </form>
+            )}
+
+            {!twoFactor && (
+              <div className="login-links">
+                <Link to="/forgot-password">Forgot password?</Link>
+                <Link to="/register">New here? Apply for membership</Link>
+              </div>
+            )}
           </div>
         </div>
       </div>
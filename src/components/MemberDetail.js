@@ -19,13 +19,20 @@
 // - Academic Background: Branch, graduation batch, college
 // - Professional Information: Current role, company, industry
 // - Skills & Expertise: Technical and professional skills
+// - Experience: Employment history timeline (EmploymentTimeline)
 // - Membership Details: ID, type, status information
+// - Membership Dues: status, expiry, payments and receipts, paying online
+//   (admins and the member themselves; MemberDues)
+// - Events: RSVPs and attendance (admins and the member themselves; MemberEvents)
+// - Membership card download (PNG/PDF) with a QR verification code
+//   (admins and the member themselves, once the member has a membership ID)
 //
 // Navigation Features:
 // - URL parameter-based member identification
 // - Breadcrumb navigation for context
 // - Quick edit access for authorized users
 // - Back to member list functionality
+// - Change history with restore for admins (MemberHistory)
 //
 // Error Handling:
 // - Member not found scenarios
@@ -33,12 +40,18 @@
 // - Loading state management
 // - Graceful degradation for missing data
 //
-// Dependencies: React Router, Portal API, React hooks
+// Dependencies: React Router, Portal API, React hooks, AuthContext, MemberHistory, EmploymentTimeline, MemberDues, MemberEvents
 // Author: ISMAA Portal Team
 // =====================================================
 
 import React, { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
+import { apiFetch, photoUrl } from '../utils/apiClient';
+import { useAuth } from '../context/AuthContext';
+import MemberHistory from './MemberHistory';
+import EmploymentTimeline from './EmploymentTimeline';
+import MemberDues from './MemberDues';
+import MemberEvents from './MemberEvents';
 
 /**
  * MemberDetail component displaying comprehensive member profile information
@@ -46,11 +59,13 @@ import { useParams, Link } from 'react-router-dom';
  */
 const MemberDetail = () => {
   const { id } = useParams(); // Extract member ID from URL parameters
+  const { isAdmin, downloadMembershipCard } = useAuth();
   
   // Component state management
   const [member, setMember] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [cardError, setCardError] = useState('');
 
   // Fetch member data when component mounts or ID changes
   useEffect(() => {
@@ -63,7 +78,7 @@ const MemberDetail = () => {
    */
   const fetchMember = async () => {
     try {
-      const response = await fetch(`http://localhost:3001/members/${id}`);
+      const response = await apiFetch(`/members/${id}`);
       if (!response.ok) {
         throw new Error('Member not found');
       }
@@ -76,10 +91,23 @@ const MemberDetail = () => {
     }
   };
 
+  const handleCardDownload = async (format) => {
+    setCardError('');
+    const result = await downloadMembershipCard(member.id, format);
+    if (!result.success) {
+      setCardError(result.error);
+    }
+  };
+
   const getInitials = (name) => {
     return name.split(' ').map(n => n[0]).join('').toUpperCase();
   };
 
+  // Fields the member hid arrive as null (admins and the member still get the value)
+  const showField = (field) => {
+    return member[field] ?? (member.hiddenFields?.includes(field) ? 'Hidden by member' : '');
+  };
+
   if (loading) return <div className="loading">Loading member details...</div>;
   if (error) return <div className="error">Error: {error}</div>;
   if (!member) return <div className="error">Member not found</div>;
@@ -96,14 +124,14 @@ const MemberDetail = () => {
         <div className="member-detail-header">
           <div className="member-detail-avatar">
             {member.photo ? (
-              <img src={member.photo} alt={member.name} className="avatar-image" />
+              <img src={photoUrl(member.photo)} alt={member.name} className="avatar-image" />
             ) : (
               getInitials(member.name)
             )}
           </div>
           <div className="member-detail-info">
             <h1 className="member-detail-name">{member.name}</h1>
-            <p className="member-detail-email">{member.email}</p>
+            <p className="member-detail-email">{showField('email')}</p>
           </div>
         </div>
 
@@ -118,17 +146,17 @@ const MemberDetail = () => {
 
             <div className="detail-group">
               <label className="detail-label">Email Address</label>
-              <div className="detail-value">{member.email}</div>
+              <div className="detail-value">{showField('email')}</div>
             </div>
 
             <div className="detail-group">
               <label className="detail-label">Phone Number</label>
-              <div className="detail-value">{member.phone}</div>
+              <div className="detail-value">{showField('phone')}</div>
             </div>
 
             <div className="detail-group">
               <label className="detail-label">Home Address</label>
-              <div className="detail-value">{member.address}</div>
+              <div className="detail-value">{showField('address')}</div>
             </div>
           </div>
 
@@ -188,14 +216,45 @@ const MemberDetail = () => {
           </div>
         </div>
 
+        <div className="member-detail-experience">
+          <EmploymentTimeline memberId={member.id} />
+        </div>
+
+        <div className="member-detail-dues">
+          <MemberDues memberId={member.id} />
+        </div>
+
+        <div className="member-detail-events">
+          <MemberEvents memberId={member.id} />
+        </div>
+
+        {cardError && <div className="error">{cardError}</div>}
         <div className="member-detail-actions">
           <Link to={`/edit/${member.id}`} className="btn btn-primary">
             ✏️ Edit Member
           </Link>
+          {/* Cards are for admins and the member themselves, the same people who may edit the profile */}
+          {member.canEdit && member.membershipID && (
+            <>
+              <button className="btn btn-secondary" onClick={() => handleCardDownload('png')}>
+                🪪 Card (PNG)
+              </button>
+              <button className="btn btn-secondary" onClick={() => handleCardDownload('pdf')}>
+                🪪 Card (PDF)
+              </button>
+            </>
+          )}
           <Link to="/members" className="btn btn-secondary">
             👥 View All Members
           </Link>
         </div>
+
+        {isAdmin() && (
+          <MemberHistory
+            memberId={member.id}
+            onRestored={(restored) => setMember(prev => ({ ...prev, ...restored }))}
+          />
+        )}
       </div>
     </div>
   );
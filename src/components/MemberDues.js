@@ -0,0 +1,325 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Member Dues Component
+// =====================================================
+//
+// Membership dues panel on the member detail page, shown to admins and
+// to the member themselves: membership status and expiry, the payments
+// made with their receipts, and paying a plan online.
+//
+// Paying online sends the member to the payment gateway, which brings
+// them back to this page with ?duesPayment=<id>; the payment is then
+// checked with the gateway and the panel refreshed.
+//
+// Admins also record payments received outside the portal (cash, bank
+// transfer, UPI, cheque) and void payments recorded by mistake.
+//
+// Dependencies: AuthContext, App.css
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+export const DUES_STATUS_LABELS = {
+  active: 'Active',
+  expiring: 'Expiring soon',
+  lapsed: 'Lapsed',
+  lifetime: 'Lifetime',
+  none: 'Never paid'
+};
+
+const PAYMENT_METHOD_LABELS = {
+  cash: 'Cash',
+  bank_transfer: 'Bank transfer',
+  upi: 'UPI',
+  cheque: 'Cheque',
+  card: 'Card',
+  online: 'Online',
+  other: 'Other'
+};
+
+// Methods an admin can record; online payments come from the gateway
+const MANUAL_METHODS = Object.keys(PAYMENT_METHOD_LABELS).filter(method => method !== 'online');
+
+export const formatRupees = (amount) => `₹${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+export const formatDay = (date) => (date ? new Date(`${date.slice(0, 10)}T00:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC' }) : '');
+
+export const planLabel = (plan) => `${plan.name} · ${formatRupees(plan.fee)} · ${plan.lifetime ? 'lifetime' : `${plan.durationMonths} month(s)`}`;
+
+const EMPTY_PAYMENT = { planId: '', amount: '', method: 'cash', reference: '', paidOn: '', notes: '' };
+
+/**
+ * Membership status and payments of one member (admin or the member themselves)
+ */
+const MemberDues = ({ memberId }) => {
+  const {
+    isAdmin, getMemberDues, getMembershipPlans, recordDuesPayment, startDuesCheckout,
+    confirmDuesPayment, voidDuesPayment, downloadDuesReceipt
+  } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [dues, setDues] = useState(undefined); // null when the viewer may not see this member's dues
+  const [plans, setPlans] = useState([]);
+  const [checkoutPlanId, setCheckoutPlanId] = useState('');
+  const [payment, setPayment] = useState(EMPTY_PAYMENT);
+  const [showRecordForm, setShowRecordForm] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const admin = isAdmin();
+
+  const loadDues = async () => {
+    setDues(await getMemberDues(memberId));
+  };
+
+  useEffect(() => {
+    const initialize = async () => {
+      // Back from the payment gateway: check the payment before showing the panel
+      const returnedPaymentId = new URLSearchParams(location.search).get('duesPayment');
+      if (returnedPaymentId) {
+        const result = await confirmDuesPayment(memberId, returnedPaymentId);
+        if (result.success && result.payment.status === 'completed') {
+          setMessage(result.message);
+        } else {
+          setError(result.message || result.error);
+        }
+        navigate(location.pathname, { replace: true });
+      }
+
+      await loadDues();
+      setPlans(await getMembershipPlans());
+    };
+    initialize();
+  }, [memberId]);
+
+  /**
+   * Run a change, then refresh the panel and report the outcome
+   */
+  const runAction = async (action, onSuccess) => {
+    setBusy(true);
+    setMessage('');
+    setError('');
+    const result = await action();
+    setBusy(false);
+
+    if (result.success) {
+      setMessage(result.message || '');
+      if (onSuccess) onSuccess(result);
+      await loadDues();
+    } else {
+      setError(result.error);
+    }
+    return result;
+  };
+
+  const handleCheckout = async () => {
+    setBusy(true);
+    setError('');
+    const result = await startDuesCheckout(memberId, Number(checkoutPlanId));
+    if (result.success) {
+      window.location.assign(result.checkoutUrl);
+    } else {
+      setBusy(false);
+      setError(result.error);
+    }
+  };
+
+  const handleRecord = (e) => {
+    e.preventDefault();
+    runAction(
+      () => recordDuesPayment(memberId, { ...payment, planId: Number(payment.planId) }),
+      () => {
+        setPayment(EMPTY_PAYMENT);
+        setShowRecordForm(false);
+      }
+    );
+  };
+
+  const handleVoid = (entry) => {
+    const reason = window.prompt(`Why is the ${formatRupees(entry.amount)} payment${entry.receiptNumber ? ` (${entry.receiptNumber})` : ''} being voided?`);
+    if (reason && reason.trim()) {
+      runAction(() => voidDuesPayment(memberId, entry.id, reason));
+    }
+  };
+
+  const handleReceipt = async (entry) => {
+    setError('');
+    const result = await downloadDuesReceipt(memberId, entry.id);
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  const handlePaymentChange = (e) => {
+    const { name, value } = e.target;
+    setPayment(prev => ({ ...prev, [name]: value }));
+  };
+
+  if (dues === undefined) return <div className="loading">Loading membership dues...</div>;
+  if (dues === null) return null;
+
+  const checkoutPlan = plans.find(plan => plan.id === Number(checkoutPlanId));
+  const recordPlan = plans.find(plan => plan.id === Number(payment.planId));
+  const payablePlans = plans.filter(plan => plan.fee > 0);
+
+  return (
+    <div className="member-dues">
+      <h3 className="section-header">💳 Membership Dues</h3>
+      {message && <div className="success">{message}</div>}
+      {error && <div className="error">{error}</div>}
+
+      <div className="dues-status-row">
+        <span className={`dues-status dues-${dues.status}`}>{DUES_STATUS_LABELS[dues.status]}</span>
+        <span className="dues-expiry">
+          {dues.status === 'lifetime' && 'Lifetime membership'}
+          {dues.status === 'none' && 'No dues paid yet'}
+          {dues.status === 'lapsed' && `Membership ended on ${formatDay(dues.expiresOn)}`}
+          {(dues.status === 'active' || dues.status === 'expiring') && `Membership valid until ${formatDay(dues.expiresOn)}`}
+        </span>
+      </div>
+
+      {dues.onlinePayment && dues.status !== 'lifetime' && payablePlans.length > 0 && (
+        <div className="dues-checkout">
+          <select
+            value={checkoutPlanId}
+            onChange={(e) => setCheckoutPlanId(e.target.value)}
+            className="filter-select"
+            aria-label="Plan to pay"
+          >
+            <option value="">Choose a plan to pay online...</option>
+            {payablePlans.map(plan => <option key={plan.id} value={plan.id}>{planLabel(plan)}</option>)}
+          </select>
+          <button className="btn btn-primary btn-sm" onClick={handleCheckout} disabled={busy || !checkoutPlan}>
+            {checkoutPlan ? `Pay ${formatRupees(checkoutPlan.fee)}` : 'Pay'}
+          </button>
+        </div>
+      )}
+
+      {dues.payments.length > 0 ? (
+        <table className="dues-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Plan</th>
+              <th>Amount</th>
+              <th>Method</th>
+              <th>Covers</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {dues.payments.map(entry => (
+              <tr key={entry.id} className={`dues-payment-${entry.status}`}>
+                <td>{formatDay(entry.paidAt || entry.createdAt)}</td>
+                <td>{entry.plan}</td>
+                <td>{formatRupees(entry.amount)}</td>
+                <td>{PAYMENT_METHOD_LABELS[entry.method]}{entry.reference && ` (${entry.reference})`}</td>
+                <td>
+                  {entry.status === 'completed' && (entry.periodEnd
+                    ? `${formatDay(entry.periodStart)} – ${formatDay(entry.periodEnd)}`
+                    : 'Lifetime')}
+                </td>
+                <td title={entry.notes || ''}>{entry.status}</td>
+                <td className="dues-actions">
+                  {entry.status === 'completed' && (
+                    <button className="btn btn-secondary btn-sm" onClick={() => handleReceipt(entry)}>
+                      Receipt
+                    </button>
+                  )}
+                  {admin && entry.status !== 'void' && (
+                    <button className="btn btn-danger btn-sm" onClick={() => handleVoid(entry)} disabled={busy}>
+                      Void
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="section-note">No payments yet.</p>
+      )}
+
+      {admin && (showRecordForm ? (
+        <form className="dues-record-form" onSubmit={handleRecord}>
+          <h4>Record a payment</h4>
+          <div className="grid grid-2">
+            <div className="form-group">
+              <label htmlFor="dues-plan" className="form-label">Plan</label>
+              <select id="dues-plan" name="planId" value={payment.planId} onChange={handlePaymentChange} className="form-input" required>
+                <option value="">Select a plan</option>
+                {plans.map(plan => <option key={plan.id} value={plan.id}>{planLabel(plan)}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="dues-amount" className="form-label">Amount (₹)</label>
+              <input
+                type="number"
+                id="dues-amount"
+                name="amount"
+                min="0"
+                step="0.01"
+                value={payment.amount}
+                onChange={handlePaymentChange}
+                className="form-input"
+                placeholder={recordPlan ? `${recordPlan.fee} (plan fee)` : 'Plan fee'}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="dues-method" className="form-label">Method</label>
+              <select id="dues-method" name="method" value={payment.method} onChange={handlePaymentChange} className="form-input">
+                {MANUAL_METHODS.map(method => <option key={method} value={method}>{PAYMENT_METHOD_LABELS[method]}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="dues-paid-on" className="form-label">Paid on</label>
+              <input
+                type="date"
+                id="dues-paid-on"
+                name="paidOn"
+                value={payment.paidOn}
+                onChange={handlePaymentChange}
+                className="form-input"
+                max={new Date().toISOString().slice(0, 10)}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="dues-reference" className="form-label">Reference</label>
+              <input
+                type="text"
+                id="dues-reference"
+                name="reference"
+                value={payment.reference}
+                onChange={handlePaymentChange}
+                className="form-input"
+                placeholder="Cheque number or transaction ID"
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="dues-notes" className="form-label">Notes</label>
+              <input type="text" id="dues-notes" name="notes" value={payment.notes} onChange={handlePaymentChange} className="form-input" />
+            </div>
+          </div>
+          <div className="member-actions">
+            <button type="submit" className="btn btn-primary btn-sm" disabled={busy || !payment.planId}>
+              Record Payment
+            </button>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => setShowRecordForm(false)}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button className="btn btn-secondary btn-sm" onClick={() => setShowRecordForm(true)}>
+          + Record Payment
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default MemberDues;
@@ -0,0 +1,69 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Member Events Component
+// =====================================================
+//
+// Event attendance panel on the member detail page, shown to admins and
+// to the member themselves: the events the member RSVPed to, most recent
+// first, and whether they attended.
+//
+// Dependencies: AuthContext, Events, App.css
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { formatEventTime } from './Events';
+
+/**
+ * Attendance label of one event in a member's history
+ */
+const attendanceLabel = (event) => {
+  if (event.attended) return event.walkIn ? 'Attended (walk-in)' : 'Attended';
+  if (event.eventStatus === 'cancelled') return 'Event cancelled';
+  if (event.rsvp === 'waitlisted') return event.past ? 'Waitlisted' : 'On the waitlist';
+  return event.past ? 'Did not attend' : 'Going';
+};
+
+/**
+ * Events a member responded to (admin or the member themselves)
+ */
+const MemberEvents = ({ memberId }) => {
+  const { getMemberAttendance } = useAuth();
+  const [attendance, setAttendance] = useState(undefined); // null when the viewer may not see it
+
+  useEffect(() => {
+    const loadAttendance = async () => {
+      setAttendance(await getMemberAttendance(memberId));
+    };
+    loadAttendance();
+  }, [memberId]);
+
+  if (attendance === undefined) return <div className="loading">Loading events...</div>;
+  if (attendance === null) return null;
+
+  return (
+    <div className="member-events">
+      <h3 className="section-header">📅 Events</h3>
+      {attendance.events.length === 0 ? (
+        <p className="section-note">No event RSVPs yet.</p>
+      ) : (
+        <>
+          <p className="section-note">Attended {attendance.attended} of {attendance.events.length} event(s)</p>
+          <ul className="event-attendance-list">
+            {attendance.events.map(event => (
+              <li key={event.eventId}>
+                <strong>{event.title}</strong>
+                <span>{formatEventTime(event.startsAt)} · {event.venue}</span>
+                <span className={`event-attendance event-attendance-${event.attended ? 'attended' : event.past ? 'missed' : 'upcoming'}`}>
+                  {attendanceLabel(event)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MemberEvents;
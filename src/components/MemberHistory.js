@@ -0,0 +1,139 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Member History Component
+// =====================================================
+//
+// Admin panel on the member detail page listing every recorded change
+// to the member's profile: who made it, when, and the fields it changed
+// with their old and new values.
+//
+// Any earlier version can be restored; the restore is itself recorded
+// as a new change, so it can be undone the same way.
+//
+// Dependencies: AuthContext, App.css
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  restore: 'Restored',
+  merge: 'Merged',
+  delete: 'Deleted'
+};
+
+const formatValue = (value) => {
+  if (value === null) return '—';
+  return Array.isArray(value) ? value.join(', ') : String(value);
+};
+
+/**
+ * Change history of one member (admin only)
+ * onRestored receives the member as it is after a restore
+ */
+const MemberHistory = ({ memberId, onRestored }) => {
+  const { getMemberHistory, restoreMemberRevision } = useAuth();
+  const [revisions, setRevisions] = useState(null);
+  const [expanded, setExpanded] = useState(false);
+  const [restoring, setRestoring] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadHistory = async () => {
+    setRevisions(await getMemberHistory(memberId));
+  };
+
+  // Load when the panel is first opened
+  useEffect(() => {
+    if (expanded && revisions === null) {
+      loadHistory();
+    }
+  }, [expanded]);
+
+  const handleRestore = async (revision) => {
+    const when = new Date(revision.changedAt).toLocaleString();
+    if (!window.confirm(`Restore this member's profile as it was after the change on ${when}?`)) {
+      return;
+    }
+
+    setRestoring(revision.id);
+    setError('');
+    const result = await restoreMemberRevision(memberId, revision.id);
+    setRestoring(null);
+
+    if (result.success) {
+      onRestored(result.member);
+      await loadHistory();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <div className="member-history">
+      <button className="btn btn-secondary member-history-toggle" onClick={() => setExpanded(!expanded)}>
+        📜 {expanded ? 'Hide History' : 'History'}
+      </button>
+
+      {expanded && (
+        <div className="member-history-panel">
+          {error && <div className="error">{error}</div>}
+          {revisions === null && <div className="loading">Loading history...</div>}
+          {revisions && revisions.length === 0 && (
+            <p className="section-note">No changes have been recorded for this member yet.</p>
+          )}
+
+          {revisions && revisions.map((revision, index) => (
+            <div key={revision.id} className={`member-history-entry history-${revision.action}`}>
+              <div className="member-history-header">
+                <span className="member-history-action">{ACTION_LABELS[revision.action]}</span>
+                <span className="member-history-meta">
+                  {new Date(revision.changedAt).toLocaleString()}
+                  {' · '}
+                  {revision.changedBy ? revision.changedBy.name : 'System'}
+                  {revision.restoredFrom && ` · back to the version of change #${revision.restoredFrom}`}
+                  {revision.mergedFrom && ` · with duplicate ${revision.mergedFrom.name || `#${revision.mergedFrom.id}`}`}
+                </span>
+                {/* The newest revision is the current profile, so only older ones are offered */}
+                {revision.restorable && index > 0 && (
+                  <button
+                    className="btn btn-secondary btn-sm"
+                    onClick={() => handleRestore(revision)}
+                    disabled={restoring !== null}
+                  >
+                    {restoring === revision.id ? 'Restoring...' : '↩️ Restore this version'}
+                  </button>
+                )}
+              </div>
+
+              {revision.changes.length > 0 && (
+                <table className="member-history-changes">
+                  <thead>
+                    <tr>
+                      <th>Field</th>
+                      <th>Before</th>
+                      <th>After</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {revision.changes.map(change => (
+                      <tr key={change.field}>
+                        <td>{change.label}</td>
+                        <td className="history-before">{formatValue(change.from)}</td>
+                        <td className="history-after">{formatValue(change.to)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              <span className="member-history-id">#{revision.id}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MemberHistory;
@@ -0,0 +1,273 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Member Import Component
+// =====================================================
+//
+// Admin modal for importing members in bulk from a CSV or Excel (.xlsx)
+// spreadsheet, opened from the member directory.
+//
+// Import Flow:
+// 1. Admin picks a file; the server suggests a member field per column
+// 2. A dry run validates every row and shows a preview with its errors
+// 3. Column mappings can be changed, which re-runs the dry run
+// 4. Import creates all valid rows in one transaction, optionally
+//    inviting the new members or creating their accounts
+//
+// Nothing is saved until the Import button is pressed; rows with errors
+// block the import unless the admin chooses to skip them.
+//
+// Dependencies: AuthContext, App.css
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const PREVIEW_LIMIT = 200; // Rows rendered in the preview table
+
+const ACCOUNT_OPTIONS = [
+  { value: 'none', label: 'No accounts', hint: 'Invite members later from the member list' },
+  { value: 'invite', label: 'Send invitations', hint: 'Members choose their own username and password' },
+  { value: 'account', label: 'Create accounts', hint: 'Usernames are generated; members get a link to set a password' }
+];
+
+/**
+ * Bulk member import modal (admin only)
+ */
+const MemberImport = ({ onClose, onImported }) => {
+  const { importMembers } = useAuth();
+  const [file, setFile] = useState(null); // { name, data } with base64 contents
+  const [preview, setPreview] = useState(null);
+  const [skipInvalid, setSkipInvalid] = useState(false);
+  const [accountMode, setAccountMode] = useState('none');
+  const [errorsOnly, setErrorsOnly] = useState(false);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  /**
+   * Validate the file without saving anything
+   */
+  const runDryRun = async (selectedFile, mapping = null) => {
+    setLoading(true);
+    setError('');
+    const response = await importMembers({ file: selectedFile, mapping });
+    setLoading(false);
+
+    if (response.success) {
+      setPreview(response);
+    } else {
+      setError(response.error);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+
+    setPreview(null);
+    setResult(null);
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const selectedFile = { name: selected.name, data: e.target.result };
+      setFile(selectedFile);
+      runDryRun(selectedFile);
+    };
+    reader.readAsDataURL(selected);
+  };
+
+  const handleMappingChange = (column, field) => {
+    const mapping = preview.mapping.map((current, index) => (index === column ? field : current));
+    runDryRun(file, mapping);
+  };
+
+  const handleImport = async () => {
+    setLoading(true);
+    setError('');
+    const response = await importMembers({
+      file,
+      mapping: preview.mapping,
+      dryRun: false,
+      skipInvalid,
+      accountMode
+    });
+    setLoading(false);
+
+    if (response.success) {
+      setResult(response);
+      onImported();
+    } else {
+      setError(response.error);
+    }
+  };
+
+  const visibleRows = preview
+    ? preview.rows.filter(row => !errorsOnly || row.errors.length > 0).slice(0, PREVIEW_LIMIT)
+    : [];
+  const canImport = preview && preview.validRows > 0 && (preview.errorRows === 0 || skipInvalid);
+
+  return (
+    <div className="modal-overlay">
+      <div className="member-import-modal">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h3>📥 Import Members</h3>
+            <button className="close-btn" onClick={onClose}>×</button>
+          </div>
+
+          <div className="modal-form">
+            {error && <div className="error">{error}</div>}
+
+            {result ? (
+              <div className="import-result">
+                <div className="success">{result.message}</div>
+                {result.accounts.sent > 0 && (
+                  <p>
+                    {accountMode === 'invite' ? 'Invitations' : 'Account setup links'} emailed to {result.accounts.sent} member(s).
+                  </p>
+                )}
+                {result.accounts.failed.length > 0 && (
+                  <div className="import-account-failures">
+                    <strong>Could not set up accounts for:</strong>
+                    <ul>
+                      {result.accounts.failed.map(failure => (
+                        <li key={failure.row}>Row {failure.row}: {failure.name} ({failure.error})</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+                <div className="form-actions">
+                  <button className="btn btn-primary" onClick={onClose}>Done</button>
+                </div>
+              </div>
+            ) : (
+              <>
+                <div className="form-group">
+                  <label htmlFor="importFile">Spreadsheet (.csv or .xlsx)</label>
+                  <input
+                    type="file"
+                    id="importFile"
+                    accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                    onChange={handleFileChange}
+                    disabled={loading}
+                  />
+                  <p className="section-note">
+                    The first row must hold the column headers. Each row becomes one member; only Name is required.
+                  </p>
+                </div>
+
+                {loading && <div className="loading">{preview ? 'Working...' : 'Checking the file...'}</div>}
+
+                {preview && (
+                  <>
+                    <h4>Columns</h4>
+                    <div className="import-mapping">
+                      {preview.headers.map((header, column) => (
+                        <div key={column} className="import-mapping-column">
+                          <span className="import-mapping-header">{header || `Column ${column + 1}`}</span>
+                          <select
+                            value={preview.mapping[column]}
+                            onChange={(e) => handleMappingChange(column, e.target.value)}
+                            disabled={loading}
+                            className="filter-select"
+                          >
+                            <option value="">Ignore</option>
+                            {Object.entries(preview.fields).map(([field, label]) => (
+                              <option key={field} value={field}>{label}</option>
+                            ))}
+                          </select>
+                        </div>
+                      ))}
+                    </div>
+
+                    <div className="import-summary">
+                      <span>{preview.totalRows} row(s)</span>
+                      <span className="import-valid">✅ {preview.validRows} ready</span>
+                      {preview.errorRows > 0 && <span className="import-invalid">⚠️ {preview.errorRows} with errors</span>}
+                      {preview.errorRows > 0 && (
+                        <label className="import-toggle">
+                          <input type="checkbox" checked={errorsOnly} onChange={(e) => setErrorsOnly(e.target.checked)} />
+                          Show only rows with errors
+                        </label>
+                      )}
+                    </div>
+
+                    <div className="import-preview">
+                      <table>
+                        <thead>
+                          <tr>
+                            <th>Row</th>
+                            <th>Name</th>
+                            <th>Email</th>
+                            <th>Batch</th>
+                            <th>Branch</th>
+                            <th>Type</th>
+                            <th>Status</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {visibleRows.map(row => (
+                            <tr key={row.row} className={row.errors.length > 0 ? 'import-row-error' : ''}>
+                              <td>{row.row}</td>
+                              <td>{row.member.name}</td>
+                              <td>{row.member.email}</td>
+                              <td>{row.member.passoutBatch}</td>
+                              <td>{row.member.branch}</td>
+                              <td>{row.member.membershipType}</td>
+                              <td>
+                                {row.errors.length > 0
+                                  ? row.errors.map(message => <div key={message} className="import-error">{message}</div>)
+                                  : '✅'}
+                                {row.warnings.map(message => <div key={message} className="import-warning">{message}</div>)}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      {preview.rows.length > PREVIEW_LIMIT && (
+                        <p className="section-note">Showing the first {PREVIEW_LIMIT} rows; every row is checked.</p>
+                      )}
+                    </div>
+
+                    {preview.errorRows > 0 && (
+                      <label className="import-toggle">
+                        <input type="checkbox" checked={skipInvalid} onChange={(e) => setSkipInvalid(e.target.checked)} />
+                        Skip the {preview.errorRows} row(s) with errors and import the rest
+                      </label>
+                    )}
+
+                    <h4>Accounts</h4>
+                    <div className="import-account-options">
+                      {ACCOUNT_OPTIONS.map(option => (
+                        <label key={option.value} className="import-toggle">
+                          <input
+                            type="radio"
+                            name="accountMode"
+                            value={option.value}
+                            checked={accountMode === option.value}
+                            onChange={(e) => setAccountMode(e.target.value)}
+                          />
+                          <span><strong>{option.label}</strong> - {option.hint}</span>
+                        </label>
+                      ))}
+                    </div>
+                  </>
+                )}
+
+                <div className="form-actions">
+                  <button className="btn btn-secondary" onClick={onClose} disabled={loading}>Cancel</button>
+                  <button className="btn btn-primary" onClick={handleImport} disabled={loading || !canImport}>
+                    {preview && canImport
+                      ? `Import ${preview.validRows} member(s)`
+                      : 'Import'}
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MemberImport;
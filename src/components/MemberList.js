@@ -4,54 +4,123 @@
  * This component provides comprehensive member management functionality:
  * - Member listing with search and filtering capabilities
  * - Advanced filters: name, batch, branch, industry, membership type, skills
+ * - Company filter for members currently at, or who have ever worked at, a company
+ * - Membership dues filter: active, expiring, lapsed, lifetime, never paid (admin only)
+ * - Server-side filtering, sorting and pagination (only the current page is loaded)
  * - Add new member modal integration
+ * - CSV/Excel bulk import modal (admin only)
+ * - Links to the duplicate member finder and the dues dashboard (admin only)
+ * - Export of the filtered directory as CSV, vCard or a printable PDF
  * - Member deletion with admin privileges
+ * - Invitation status per member with resend/revoke (admin only)
  * - Responsive design with pagination and sorting
  * 
  * Key Features:
- * - Real-time search across multiple fields
+ * - Debounced full-text search by name, email, company, skills and more
  * - Multi-select skills filtering with dropdown UI
  * - Role-based access control (admin vs regular user)
  * - Optimistic UI updates for better UX
  * - Error handling and loading states
  * 
- * Dependencies: React Router (navigation), AuthContext (permissions), AddMember component
- * API Integration: Fetches from /members endpoint, supports DELETE operations
+ * Dependencies: React Router (navigation), AuthContext (permissions), AddMember and MemberImport components
+ * API Integration: Fetches pages from /members (query parameters for filters, sort and page),
+ * filter options and statistics from /members/facets, exports from /members/export, supports DELETE operations;
+ * invitation status from /admin/invitations (admin only)
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import AddMember from './AddMember';
+import MemberImport from './MemberImport';
+import { apiFetch, photoUrl } from '../utils/apiClient';
+import { DUES_STATUS_LABELS } from './MemberDues';
+
+const PAGE_SIZE = 24; // Members per page
+const SEARCH_DELAY = 300; // ms of typing pause before the search is sent
+
+const SORT_OPTIONS = [
+  { value: 'name', label: 'Name' },
+  { value: 'passoutBatch', label: 'Batch' },
+  { value: 'branch', label: 'Branch' },
+  { value: 'industry', label: 'Industry' },
+  { value: 'company', label: 'Company' },
+  { value: 'membershipType', label: 'Membership Type' }
+];
+
+// Export formats offered for the filtered directory (query parameters for /members/export)
+const EXPORT_OPTIONS = [
+  { value: 'csv', label: 'CSV spreadsheet', params: { format: 'csv' } },
+  { value: 'vcf4', label: 'Contacts (vCard 4.0)', params: { format: 'vcf', version: '4.0' } },
+  { value: 'vcf3', label: 'Contacts (vCard 3.0, older apps)', params: { format: 'vcf', version: '3.0' } },
+  { value: 'pdf-batch', label: 'PDF directory by batch', params: { format: 'pdf', groupBy: 'batch' } },
+  { value: 'pdf-branch', label: 'PDF directory by branch', params: { format: 'pdf', groupBy: 'branch' } }
+];
 
 const MemberList = () => {
-  const { user } = useAuth(); // Get current user for permission checks
+  const { user, getInvitations, sendInvitation, revokeInvitation } = useAuth(); // Current user and invitation admin
   
   // Core data state
-  const [members, setMembers] = useState([]); // All members from API
+  const [members, setMembers] = useState([]); // Members on the current page
+  const [totalMembers, setTotalMembers] = useState(0); // Members matching the current filters
+  const [totalPages, setTotalPages] = useState(0); // Pages for the current filters
+  const [facets, setFacets] = useState(null); // Filter options and directory-wide counts
   const [loading, setLoading] = useState(true); // Loading state for initial fetch
   const [error, setError] = useState(null); // Error state for API failures
+  const [invitations, setInvitations] = useState({}); // Onboarding status by member ID (admin only)
+  const [invitingMemberId, setInvitingMemberId] = useState(null); // Member whose invitation is being changed
   
   // Search and filter state
-  const [searchTerm, setSearchTerm] = useState(''); // General name/email search
+  const [searchTerm, setSearchTerm] = useState(''); // Full-text search (name, email, company, skills...)
+  const [debouncedSearch, setDebouncedSearch] = useState(''); // Search term sent to the server
   const [searchBatch, setSearchBatch] = useState(''); // Graduation batch filter
   const [searchBranch, setSearchBranch] = useState(''); // Engineering branch filter
   const [searchIndustry, setSearchIndustry] = useState(''); // Current industry filter
+  const [searchCompany, setSearchCompany] = useState(''); // Company filter
+  const [companyScope, setCompanyScope] = useState('current'); // 'current' company or 'ever' worked at
   const [searchMembershipType, setSearchMembershipType] = useState(''); // Membership type filter
+  const [searchDuesStatus, setSearchDuesStatus] = useState(''); // Membership dues status filter (admin only)
   const [selectedSkills, setSelectedSkills] = useState([]); // Multi-select skills filter
+  const [sortBy, setSortBy] = useState('name'); // Sort field
+  const [sortOrder, setSortOrder] = useState('asc'); // Sort direction
+  const [page, setPage] = useState(1); // Current page (1-based)
   
   // UI state
   const [showSkillsDropdown, setShowSkillsDropdown] = useState(false); // Skills dropdown visibility
   const [showAddModal, setShowAddModal] = useState(false); // Add member modal visibility
+  const [showImportModal, setShowImportModal] = useState(false); // Bulk import modal visibility
+  const [exporting, setExporting] = useState(false); // Export download in progress
 
   // Check if current user has admin privileges for delete operations
   const isAdmin = user?.role === 'admin';
 
-  // Fetch members from API on component mount
+  // Only the newest page request may update the list (earlier ones can arrive late)
+  const latestRequest = useRef(0);
+
+  // Fetch filter options and statistics on component mount
   useEffect(() => {
-    fetchMembers();
+    fetchFacets();
+    if (isAdmin) {
+      getInvitations().then(setInvitations);
+    }
   }, []);
 
+  // Send the search once typing pauses, instead of on every keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim()), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Any filter or sort change starts again from the first page
+  useEffect(() => {
+    setPage(1);
+  }, [debouncedSearch, searchBatch, searchBranch, searchIndustry, searchCompany, companyScope, searchMembershipType, searchDuesStatus, selectedSkills, sortBy, sortOrder]);
+
+  // Fetch the current page whenever the query changes
+  useEffect(() => {
+    fetchMembers();
+  }, [debouncedSearch, searchBatch, searchBranch, searchIndustry, searchCompany, companyScope, searchMembershipType, searchDuesStatus, selectedSkills, sortBy, sortOrder, page]);
+
   // Handle clicking outside skills dropdown to close it
   // Prevents dropdown from staying open when user clicks elsewhere
   useEffect(() => {
@@ -67,14 +136,37 @@ const MemberList = () => {
     }
   }, [showSkillsDropdown]);
 
+  // Query parameters for the current filters and sort, shared by the page fetch and exports
+  const buildQueryParams = (extra) => {
+    const params = new URLSearchParams({ sort: sortBy, order: sortOrder, ...extra });
+    if (debouncedSearch) params.set('search', debouncedSearch);
+    if (searchBatch) params.set('batch', searchBatch);
+    if (searchBranch) params.set('branch', searchBranch);
+    if (searchIndustry) params.set('industry', searchIndustry);
+    if (searchCompany) {
+      params.set('company', searchCompany);
+      params.set('companyScope', companyScope);
+    }
+    if (searchMembershipType) params.set('membershipType', searchMembershipType);
+    if (searchDuesStatus) params.set('duesStatus', searchDuesStatus);
+    selectedSkills.forEach(skill => params.append('skills', skill));
+    return params;
+  };
+
   const fetchMembers = async () => {
+    const params = buildQueryParams({ page, pageSize: PAGE_SIZE, includePhotos: 'true' });
+    const requestId = ++latestRequest.current;
+
     try {
-      const response = await fetch('http://localhost:3001/members');
+      const response = await apiFetch(`/members?${params}`);
       if (!response.ok) {
         throw new Error('Failed to fetch members');
       }
       const data = await response.json();
-      setMembers(data);
+      if (requestId !== latestRequest.current) return;
+      setMembers(data.members);
+      setTotalMembers(data.total);
+      setTotalPages(data.totalPages);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -82,39 +174,105 @@ const MemberList = () => {
     }
   };
 
-  const getInitials = (name) => {
-    return name.split(' ').map(n => n[0]).join('').toUpperCase();
-  };
+  // Download every member matching the current filters in the chosen format
+  const handleExport = async (optionValue) => {
+    const option = EXPORT_OPTIONS.find(exportOption => exportOption.value === optionValue);
+    if (!option) return;
 
-  // Get all unique skills from all members
-  const getAllSkills = () => {
-    const allSkills = members.reduce((acc, member) => {
-      if (member.skills && Array.isArray(member.skills)) {
-        // Normalize each skill: trim whitespace and filter out empty skills
-        const normalizedSkills = member.skills
-          .map(skill => skill ? skill.toString().trim() : '')
-          .filter(skill => skill.length > 0);
-        acc.push(...normalizedSkills);
+    setExporting(true);
+    try {
+      const response = await apiFetch(`/members/export?${buildQueryParams(option.params)}`);
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.details || result.error || 'Export failed');
       }
-      return acc;
-    }, []);
-
-    // Create a Map to handle case-insensitive deduplication while preserving original case
-    const skillsMap = new Map();
-    
-    allSkills.forEach(skill => {
-      const lowerKey = skill.toLowerCase();
-      if (!skillsMap.has(lowerKey)) {
-        skillsMap.set(lowerKey, skill);
+
+      const filename = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '')?.[1] || 'ismaa-members';
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Filter options and statistics for the whole directory
+  const fetchFacets = async () => {
+    try {
+      const response = await apiFetch('/members/facets');
+      if (response.ok) {
+        setFacets(await response.json());
       }
-    });
+    } catch (err) {
+      console.error('Failed to fetch member filters:', err);
+    }
+  };
+
+  // Reload the page, filter options and invitation status after members are added or removed
+  const refreshMembers = async () => {
+    await Promise.all([fetchMembers(), fetchFacets()]);
+    if (isAdmin) {
+      setInvitations(await getInvitations());
+    }
+  };
+
+  // Invite a member, or resend their invitation with a fresh link (admin only)
+  const handleSendInvitation = async (member) => {
+    setInvitingMemberId(member.id);
+    const result = await sendInvitation(member.id);
+    setInvitingMemberId(null);
+
+    if (result.success) {
+      setInvitations(prev => ({ ...prev, [member.id]: { ...result.invitation, hasAccount: false } }));
+      alert(`✉️ ${result.message}`);
+    } else {
+      alert(`Failed to send invitation: ${result.error}`);
+    }
+  };
+
+  // Revoke a pending invitation so the emailed link stops working (admin only)
+  const handleRevokeInvitation = async (member) => {
+    if (!window.confirm(`Revoke the invitation sent to ${member.name}? The emailed link will stop working.`)) {
+      return;
+    }
+
+    setInvitingMemberId(member.id);
+    const result = await revokeInvitation(member.id);
+    setInvitingMemberId(null);
+
+    if (result.success) {
+      setInvitations(await getInvitations());
+    } else {
+      alert(`Failed to revoke invitation: ${result.error}`);
+    }
+  };
+
+  // Badge label for a member's onboarding state
+  const getInvitationLabel = (invitation) => {
+    if (invitation.hasAccount) return 'Account active';
+    return {
+      pending: 'Invite pending',
+      expired: 'Invite expired',
+      accepted: 'Invite accepted',
+      revoked: 'Invite revoked',
+      not_invited: 'Not invited'
+    }[invitation.status];
+  };
 
-    // Return unique skills sorted alphabetically (case-insensitive)
-    return Array.from(skillsMap.values()).sort((a, b) => 
-      a.toLowerCase().localeCompare(b.toLowerCase())
-    );
+  const getInitials = (name) => {
+    return name.split(' ').map(n => n[0]).join('').toUpperCase();
   };
 
+  // Get all unique skills held by any member (server sorts them case-insensitively)
+  const getAllSkills = () => facets?.skills || [];
+
   // Handle skills selection
   const handleSkillToggle = (skill) => {
     setSelectedSkills(prev => {
@@ -132,7 +290,9 @@ const MemberList = () => {
     setSearchBatch('');
     setSearchBranch('');
     setSearchIndustry('');
+    setSearchCompany('');
     setSearchMembershipType('');
+    setSearchDuesStatus('');
     setSelectedSkills([]);
   };
 
@@ -143,68 +303,28 @@ const MemberList = () => {
       return;
     }
 
-    if (!window.confirm('Are you sure you want to delete this member? This will also delete their user account and clean up all associated data. This action cannot be undone.')) {
+    if (!window.confirm('Move this member to the recycle bin? Their user account, if they have one, goes with them and can no longer sign in. An administrator can restore both from the recycle bin.')) {
       return;
     }
 
     try {
-      // Get the member being deleted to find their associated user
-      const memberToDelete = members.find(m => m.id === memberId);
-      if (!memberToDelete) {
-        throw new Error('Member not found');
-      }
+      // The server moves the member and their user account to the recycle bin together
+      const response = await apiFetch(`/members/${memberId}`, {
+        method: 'DELETE',
+      });
+      const result = await response.json();
 
-      // First, try to find and delete the associated user account (cascading deletion)
-      // This will also delete the member record as part of the cascade
-      let deletionSuccessful = false;
-      
-      try {
-        // Try to find the user associated with this member
-        const usersResponse = await fetch('http://localhost:3001/users');
-        if (usersResponse.ok) {
-          const users = await usersResponse.json();
-          const associatedUser = users.find(user => user.member_id === memberId);
-          
-          if (associatedUser) {
-            // Delete the user (which will cascade to delete the member)
-            const userDeleteResponse = await fetch(`http://localhost:3001/users/${associatedUser.id}`, {
-              method: 'DELETE',
-            });
-            
-            if (userDeleteResponse.ok) {
-              deletionSuccessful = true;
-              console.log(`Successfully deleted user ${associatedUser.username} and associated member`);
-            }
-          }
-        }
-      } catch (userDeleteError) {
-        console.log('Could not delete via user cascade, trying member deletion:', userDeleteError.message);
-      }
-
-      // If user-based cascading deletion didn't work, fall back to member deletion
-      if (!deletionSuccessful) {
-        const response = await fetch(`http://localhost:3001/members/${memberId}`, {
-          method: 'DELETE',
-        });
-
-        if (!response.ok) {
-          throw new Error('Failed to delete member');
-        }
-        deletionSuccessful = true;
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to delete member');
       }
 
-      if (deletionSuccessful) {
-        // Remove member from local state
-        const updatedMembers = members.filter(member => member.id !== memberId);
-        setMembers(updatedMembers);
+      // Remove member from local state
+      setMembers(members.filter(member => member.id !== memberId));
+      refreshMembers();
 
-        // Force a complete refresh to ensure consistency
-        setTimeout(() => {
-          fetchMembers();
-        }, 500);
-
-        alert('Member and associated user account deleted successfully');
-      }
+      alert(result.deletedUsers?.length > 0
+        ? `${result.deletedMember} and user account ${result.deletedUsers.join(', ')} moved to the recycle bin`
+        : `${result.deletedMember} moved to the recycle bin`);
 
     } catch (err) {
       setError('Failed to delete member: ' + err.message);
@@ -212,46 +332,19 @@ const MemberList = () => {
     }
   };
 
-  const filteredMembers = members.filter(member => {
-    // Search only by name and email - handle null email safely
-    const matchesSearch = searchTerm === '' || 
-      (member.name && member.name.toLowerCase().includes(searchTerm.toLowerCase())) ||
-      (member.email && member.email.toLowerCase().includes(searchTerm.toLowerCase()));
-    
-    // Filter by batch - handle null passoutBatch safely
-    const matchesBatch = searchBatch === '' || 
-      (member.passoutBatch && member.passoutBatch.includes(searchBatch));
-    
-    // Filter by branch - handle null branch safely
-    const matchesBranch = searchBranch === '' || 
-      (member.branch && member.branch.toLowerCase().includes(searchBranch.toLowerCase()));
-    
-    // Filter by industry - handle null industry safely
-    const matchesIndustry = searchIndustry === '' || 
-      (member.industry && member.industry.toLowerCase().includes(searchIndustry.toLowerCase()));
-    
-    // Filter by skills (must match ALL selected skills) - handle null/empty skills safely
-    const matchesSkills = selectedSkills.length === 0 || 
-      selectedSkills.every(selectedSkill => 
-        member.skills && Array.isArray(member.skills) && member.skills.some(skill => 
-          skill && skill.toLowerCase().includes(selectedSkill.toLowerCase())
-        )
-      );
-    
-    // Filter by membership type - handle null membershipType safely
-    const matchesMembershipType = searchMembershipType === '' || 
-      (member.membershipType && member.membershipType.toLowerCase().includes(searchMembershipType.toLowerCase()));
-    
-    return matchesSearch && matchesBatch && matchesBranch && matchesIndustry && matchesSkills && matchesMembershipType;
-  });
-
+  // Directory-wide statistics (independent of the current filters)
   const stats = {
-    total: members.length,
-    branches: new Set(members.map(s => s.branch).filter(branch => branch !== null && branch !== undefined)).size,
-    industries: new Set(members.map(s => s.industry).filter(industry => industry !== null && industry !== undefined)).size,
-    nonMembers: members.filter(s => s.membershipType === 'Non-Member').length
+    total: facets?.total ?? 0,
+    branches: facets?.branches.length ?? 0,
+    industries: facets?.industries.length ?? 0,
+    nonMembers: facets?.membershipTypes['Non-Member'] ?? 0
   };
 
+  const hasActiveFilters = debouncedSearch || searchBatch || searchBranch || searchIndustry || searchCompany ||
+    searchMembershipType || searchDuesStatus || selectedSkills.length > 0;
+  const firstShown = (page - 1) * PAGE_SIZE + 1;
+  const lastShown = (page - 1) * PAGE_SIZE + members.length;
+
   if (loading) return <div className="loading">Loading members...</div>;
   if (error) return <div className="error">Error: {error}</div>;
 
@@ -291,7 +384,7 @@ const MemberList = () => {
               <input
                 type="text"
                 className="search-input"
-                placeholder="🔍 Search by name or email..."
+                placeholder="🔍 Search by name, email, company or skills..."
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
               />
@@ -306,6 +399,18 @@ const MemberList = () => {
                 >
                   ➕ Add Member
                 </button>
+                <button 
+                  className="btn btn-secondary add-btn import-btn"
+                  onClick={() => setShowImportModal(true)}
+                >
+                  📥 Import
+                </button>
+                <Link to="/duplicates" className="btn btn-secondary add-btn import-btn">
+                  🔀 Duplicates
+                </Link>
+                <Link to="/dues" className="btn btn-secondary add-btn import-btn">
+                  💳 Dues
+                </Link>
               </div>
             )}
           </div>
@@ -321,12 +426,36 @@ const MemberList = () => {
                 className="filter-select"
               >
                 <option value="">All Industries</option>
-                {[...new Set(members.map(m => m.industry).filter(industry => industry !== null && industry !== undefined))].sort().map(industry => (
+                {(facets?.industries || []).map(industry => (
                   <option key={industry} value={industry}>{industry}</option>
                 ))}
               </select>
             </div>
 
+            {/* Company Filter: current company, or any company in the employment history */}
+            <div className="filter-group">
+              <label>Company</label>
+              <select
+                value={searchCompany}
+                onChange={(e) => setSearchCompany(e.target.value)}
+                className="filter-select"
+              >
+                <option value="">All Companies</option>
+                {(facets?.companies || []).map(company => (
+                  <option key={company} value={company}>{company}</option>
+                ))}
+              </select>
+              <select
+                value={companyScope}
+                onChange={(e) => setCompanyScope(e.target.value)}
+                className="filter-select company-scope-select"
+                disabled={!searchCompany}
+              >
+                <option value="current">Currently at</option>
+                <option value="ever">Has ever worked at</option>
+              </select>
+            </div>
+
             {/* Batch Filter */}
             <div className="filter-group">
               <label>Batch</label>
@@ -336,7 +465,7 @@ const MemberList = () => {
                 className="filter-select"
               >
                 <option value="">All Batches</option>
-                {[...new Set(members.map(m => m.passoutBatch).filter(batch => batch !== null && batch !== undefined))].sort().map(batch => (
+                {(facets?.batches || []).map(batch => (
                   <option key={batch} value={batch}>{batch}</option>
                 ))}
               </select>
@@ -351,7 +480,7 @@ const MemberList = () => {
                 className="filter-select"
               >
                 <option value="">All Branches</option>
-                {[...new Set(members.map(m => m.branch).filter(branch => branch !== null && branch !== undefined))].sort().map(branch => (
+                {(facets?.branches || []).map(branch => (
                   <option key={branch} value={branch}>{branch}</option>
                 ))}
               </select>
@@ -376,6 +505,23 @@ const MemberList = () => {
               </select>
             </div>
 
+            {/* Dues Status Filter - Only for admin users */}
+            {isAdmin && (
+              <div className="filter-group">
+                <label>Dues</label>
+                <select
+                  value={searchDuesStatus}
+                  onChange={(e) => setSearchDuesStatus(e.target.value)}
+                  className="filter-select"
+                >
+                  <option value="">All Members</option>
+                  {Object.entries(DUES_STATUS_LABELS).map(([status, label]) => (
+                    <option key={status} value={status}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {/* Skills Multi-Select */}
             <div className="filter-group skills-dropdown">
               <label>Skills</label>
@@ -421,6 +567,30 @@ const MemberList = () => {
               </div>
             </div>
 
+            {/* Sort Order */}
+            <div className="filter-group">
+              <label>Sort By</label>
+              <div className="sort-controls">
+                <select
+                  value={sortBy}
+                  onChange={(e) => setSortBy(e.target.value)}
+                  className="filter-select"
+                >
+                  {SORT_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  className="sort-order-btn"
+                  onClick={() => setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc')}
+                  title={sortOrder === 'asc' ? 'Ascending - click for descending' : 'Descending - click for ascending'}
+                >
+                  {sortOrder === 'asc' ? '↑' : '↓'}
+                </button>
+              </div>
+            </div>
+
             {/* Clear Filters Button */}
             <div className="filter-group">
               <button
@@ -434,7 +604,7 @@ const MemberList = () => {
           </div>
 
           {/* Active Filters Display */}
-          {(searchTerm || searchIndustry || searchBatch || searchBranch || selectedSkills.length > 0) && (
+          {(searchTerm || searchIndustry || searchCompany || searchBatch || searchBranch || searchMembershipType || searchDuesStatus || selectedSkills.length > 0) && (
             <div className="active-filters">
               <span className="filters-label">Active filters:</span>
               {searchTerm && (
@@ -449,6 +619,12 @@ const MemberList = () => {
                   <button onClick={() => setSearchIndustry('')}>×</button>
                 </span>
               )}
+              {searchCompany && (
+                <span className="filter-tag">
+                  {companyScope === 'ever' ? 'Has worked at' : 'Company'}: {searchCompany}
+                  <button onClick={() => setSearchCompany('')}>×</button>
+                </span>
+              )}
               {searchBatch && (
                 <span className="filter-tag">
                   Batch: {searchBatch}
@@ -461,6 +637,18 @@ const MemberList = () => {
                   <button onClick={() => setSearchBranch('')}>×</button>
                 </span>
               )}
+              {searchMembershipType && (
+                <span className="filter-tag">
+                  Type: {searchMembershipType}
+                  <button onClick={() => setSearchMembershipType('')}>×</button>
+                </span>
+              )}
+              {searchDuesStatus && (
+                <span className="filter-tag">
+                  Dues: {DUES_STATUS_LABELS[searchDuesStatus]}
+                  <button onClick={() => setSearchDuesStatus('')}>×</button>
+                </span>
+              )}
               {selectedSkills.map(skill => (
                 <span key={skill} className="filter-tag">
                   Skill: {skill}
@@ -472,14 +660,32 @@ const MemberList = () => {
         </div>
       </div>
 
+      {totalMembers > 0 && (
+        <div className="results-summary">
+          <span>Showing {firstShown}–{lastShown} of {totalMembers} {hasActiveFilters ? 'matching ' : ''}members</span>
+          <select
+            value=""
+            onChange={(e) => handleExport(e.target.value)}
+            disabled={exporting}
+            className="filter-select export-select"
+            aria-label="Export these members"
+          >
+            <option value="">{exporting ? 'Exporting...' : '⬇️ Export...'}</option>
+            {EXPORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
       {/* Members Grid */}
       <div className="member-grid">
-        {filteredMembers.map(member => (
+        {members.map(member => (
           <div key={member.id} className="member-card">
             <div className="member-header">
               <div className="member-avatar">
-                {member.photo ? (
-                  <img src={member.photo} alt={member.name} className="avatar-image" />
+                {member.photoThumbnail ? (
+                  <img src={photoUrl(member.photoThumbnail)} alt={member.name} className="avatar-image" loading="lazy" />
                 ) : (
                   getInitials(member.name)
                 )}
@@ -509,7 +715,9 @@ const MemberList = () => {
               </div>
               <div className="detail-row">
                 <span className="detail-label">Phone:</span>
-                <span className="detail-value">{member.phone || 'Not provided'}</span>
+                <span className="detail-value">
+                  {member.phone || (member.hiddenFields?.includes('phone') ? 'Hidden' : 'Not provided')}
+                </span>
               </div>
               <div className="detail-row">
                 <span className="detail-label">Membership ID:</span>
@@ -521,6 +729,17 @@ const MemberList = () => {
                   {member.membershipType || 'Member'}
                 </span>
               </div>
+              {isAdmin && invitations[member.id] && (
+                <div className="detail-row">
+                  <span className="detail-label">Account:</span>
+                  <span
+                    className={`invitation-badge invitation-${invitations[member.id].hasAccount ? 'active' : invitations[member.id].status}`}
+                    title={invitations[member.id].expiresAt ? `Link expires ${new Date(invitations[member.id].expiresAt).toLocaleString()}` : undefined}
+                  >
+                    {getInvitationLabel(invitations[member.id])}
+                  </span>
+                </div>
+              )}
               {member.skills && member.skills.length > 0 && (
                 <div className="detail-row">
                   <span className="detail-label">Skills:</span>
@@ -547,6 +766,26 @@ const MemberList = () => {
                   Edit Info
                 </Link>
               )}
+              {isAdmin && invitations[member.id] && !invitations[member.id].hasAccount && member.email && (
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => handleSendInvitation(member)}
+                  disabled={invitingMemberId === member.id}
+                  title="Email a link to create their account"
+                >
+                  ✉️ {invitations[member.id].status === 'not_invited' ? 'Invite' : 'Resend'}
+                </button>
+              )}
+              {isAdmin && invitations[member.id]?.status === 'pending' && !invitations[member.id].hasAccount && (
+                <button
+                  className="btn btn-secondary"
+                  onClick={() => handleRevokeInvitation(member)}
+                  disabled={invitingMemberId === member.id}
+                  title="Stop the emailed link from working"
+                >
+                  Revoke Invite
+                </button>
+              )}
               {isAdmin && (
                 <button
                   className="btn btn-danger"
@@ -561,7 +800,28 @@ const MemberList = () => {
         ))}
       </div>
 
-      {filteredMembers.length === 0 && searchTerm && (
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="pagination">
+          <button
+            className="btn btn-secondary"
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+          >
+            ← Previous
+          </button>
+          <span className="pagination-info">Page {page} of {totalPages}</span>
+          <button
+            className="btn btn-secondary"
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages}
+          >
+            Next →
+          </button>
+        </div>
+      )}
+
+      {members.length === 0 && hasActiveFilters && (
         <div className="no-results">
           <h3>No members found matching your search criteria</h3>
           <p>Try adjusting your search terms</p>
@@ -574,10 +834,18 @@ const MemberList = () => {
           onClose={() => setShowAddModal(false)}
           onAdd={() => {
             setShowAddModal(false);
-            fetchMembers(); // Refresh the member list
+            refreshMembers(); // Refresh the member list
           }}
         />
       )}
+
+      {/* Bulk Import Modal - stays open to show the import summary */}
+      {showImportModal && (
+        <MemberImport
+          onClose={() => setShowImportModal(false)}
+          onImported={refreshMembers}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,83 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Password Requirements Component
+// =====================================================
+//
+// Live checklist of the admin-configured password policy, shown under
+// new-password fields (profile, first login, expired password, reset).
+// Length and character-class rules are checked as the user types;
+// common-password and reuse checks need the server and are listed as notes.
+//
+// Usage:
+//   <PasswordRequirements password={newPassword} policy={passwordPolicy} />
+//   meetsPasswordPolicy(newPassword, passwordPolicy) -> boolean
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React from 'react';
+
+const CHARACTER_CLASSES = {
+  uppercase: { pattern: /[A-Z]/, label: 'an uppercase letter' },
+  lowercase: { pattern: /[a-z]/, label: 'a lowercase letter' },
+  number: { pattern: /\d/, label: 'a number' },
+  special: { pattern: /[^A-Za-z0-9]/, label: 'a special character' }
+};
+
+/**
+ * Evaluate the client-checkable rules of a policy
+ * Returns an empty list while the policy is still loading
+ */
+export const checkPasswordRules = (password = '', policy) => {
+  if (!policy) return [];
+
+  const present = Object.keys(CHARACTER_CLASSES).filter(name => CHARACTER_CLASSES[name].pattern.test(password));
+  const rules = [
+    { key: 'length', label: `At least ${policy.minLength} characters`, met: password.length >= policy.minLength }
+  ];
+
+  policy.requiredClasses.forEach(name => {
+    rules.push({ key: name, label: `Contains ${CHARACTER_CLASSES[name].label}`, met: present.includes(name) });
+  });
+
+  if (policy.minCharacterClasses > 0) {
+    rules.push({
+      key: 'classes',
+      label: `Uses ${policy.minCharacterClasses} of: uppercase, lowercase, numbers, special characters`,
+      met: present.length >= policy.minCharacterClasses
+    });
+  }
+
+  return rules;
+};
+
+/**
+ * Whether a password satisfies every rule that can be checked in the browser
+ */
+export const meetsPasswordPolicy = (password, policy) => {
+  return checkPasswordRules(password, policy).every(rule => rule.met);
+};
+
+/**
+ * Checklist of password rules with met/unmet markers
+ */
+const PasswordRequirements = ({ password, policy }) => {
+  if (!policy) return null;
+
+  return (
+    <ul className="password-requirements">
+      {checkPasswordRules(password, policy).map(rule => (
+        <li key={rule.key} className={rule.met ? 'met' : ''}>
+          {rule.met ? '✓' : '○'} {rule.label}
+        </li>
+      ))}
+      {policy.blockCommonPasswords && (
+        <li className="note">Common or breached passwords are rejected</li>
+      )}
+      {policy.historyCount > 0 && (
+        <li className="note">Must differ from your last {policy.historyCount} passwords</li>
+      )}
+    </ul>
+  );
+};
+
+export default PasswordRequirements;
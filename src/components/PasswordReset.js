@@ -0,0 +1,215 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Password Reset Component
+// =====================================================
+//
+// Self-service password recovery for members who forgot their password.
+//
+// Reset Flow:
+// 1. /forgot-password - user enters username or email to request a link
+// 2. Backend emails a single-use, expiring reset link
+// 3. /reset-password?token=... - user chooses a new password
+// 4. Success: user is sent back to the sign in page
+//
+// Account setup links emailed to new users (?token=...&setup=1) use the
+// same token flow to let them choose their first password.
+//
+// Security Features:
+// - Request confirmation never reveals whether an account exists
+// - Password rules come from the admin-configured policy (checked live and on the server)
+// - Tokens are validated and consumed by the backend only
+//
+// Dependencies: React Router, Portal API, AuthContext, PasswordRequirements, Login.css
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { apiFetch } from '../utils/apiClient';
+import { useAuth } from '../context/AuthContext';
+import PasswordRequirements, { meetsPasswordPolicy } from './PasswordRequirements';
+import './Login.css';
+
+/**
+ * Password reset component - shows the request form, or the new password
+ * form when opened from an emailed link carrying a token
+ */
+const PasswordReset = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const isSetup = searchParams.get('setup') === '1';
+
+  // Form state management
+  const [identifier, setIdentifier] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [completed, setCompleted] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [passwordPolicy, setPasswordPolicy] = useState(null);
+  const { getPasswordPolicy } = useAuth();
+
+  // Password rules are only needed on the new password form
+  useEffect(() => {
+    if (token) {
+      getPasswordPolicy().then(setPasswordPolicy);
+    }
+  }, [token]);
+
+  /**
+   * Request a reset link for a username or email address
+   */
+  const handleRequestSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await apiFetch('/auth/password-reset/request', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ identifier })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setMessage(result.message);
+        setCompleted(true);
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      setError('Request failed. Please check your connection and try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Set a new password using the token from the emailed link
+   */
+  const handleResetSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (newPassword !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await apiFetch('/auth/password-reset/confirm', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, newPassword })
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setMessage(result.message);
+        setCompleted(true);
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      setError('Password reset failed. Please check your connection and try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-content">
+        <div className="login-form-section">
+          <div className="login-card">
+            <div className="login-header">
+              <h1>🔑 {isSetup ? 'Set Up Your Account' : token ? 'Choose a New Password' : 'Forgot Password'}</h1>
+              <p>
+                {isSetup
+                  ? 'Choose the password you will use to sign in'
+                  : token
+                    ? 'Enter a new password for your account'
+                    : 'Enter your username or email and we will send you a reset link'}
+              </p>
+            </div>
+
+            {completed ? (
+              <div className="login-form">
+                <div className="success">{message}</div>
+                <Link to="/login" className="btn btn-primary login-btn">Back to Sign In</Link>
+              </div>
+            ) : token ? (
+              <form onSubmit={handleResetSubmit} className="login-form">
+                {error && <div className="error">{error}</div>}
+
+                <div className="form-group">
+                  <label htmlFor="newPassword" className="form-label">New Password</label>
+                  <input
+                    type="password"
+                    id="newPassword"
+                    value={newPassword}
+                    onChange={(e) => setNewPassword(e.target.value)}
+                    className="form-input"
+                    required
+                    placeholder="Enter a new password"
+                  />
+                  <PasswordRequirements password={newPassword} policy={passwordPolicy} />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="confirmPassword" className="form-label">Confirm Password</label>
+                  <input
+                    type="password"
+                    id="confirmPassword"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    className="form-input"
+                    required
+                    placeholder="Re-enter the new password"
+                  />
+                </div>
+
+                <button
+                  type="submit"
+                  className="btn btn-primary login-btn"
+                  disabled={loading || !meetsPasswordPolicy(newPassword, passwordPolicy)}
+                >
+                  {loading ? 'Saving...' : isSetup ? 'Set Password' : 'Reset Password'}
+                </button>
+              </form>
+            ) : (
+              <form onSubmit={handleRequestSubmit} className="login-form">
+                {error && <div className="error">{error}</div>}
+
+                <div className="form-group">
+                  <label htmlFor="identifier" className="form-label">Username or Email</label>
+                  <input
+                    type="text"
+                    id="identifier"
+                    value={identifier}
+                    onChange={(e) => setIdentifier(e.target.value)}
+                    className="form-input"
+                    required
+                    placeholder="Enter your username or email"
+                  />
+                </div>
+
+                <button type="submit" className="btn btn-primary login-btn" disabled={loading}>
+                  {loading ? 'Sending...' : 'Send Reset Link'}
+                </button>
+              </form>
+            )}
+
+            <div className="login-links">
+              <Link to="/login">← Back to Sign In</Link>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PasswordReset;
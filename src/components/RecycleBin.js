@@ -0,0 +1,221 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Recycle Bin Component
+// =====================================================
+//
+// Admin view of deleted members, user accounts, blog posts and notices.
+// Deleting any of these moves it here instead of removing it, so a
+// mistaken delete can be undone.
+//
+// Actions:
+// - Restore: puts the item back as it was (a member comes back with
+//   their user account)
+// - Delete Permanently: removes the item for good
+//
+// Items are purged automatically by the maintenance tool once they have
+// been here longer than the retention period set on this page.
+//
+// Dependencies: AuthContext, App.css
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const TYPE_FILTERS = [
+  { value: '', label: 'Everything' },
+  { value: 'members', label: 'Members' },
+  { value: 'users', label: 'User accounts' },
+  { value: 'blogs', label: 'Blog posts' },
+  { value: 'notices', label: 'Notices' }
+];
+
+const TYPE_LABELS = {
+  members: 'Member',
+  users: 'User account',
+  blogs: 'Blog post',
+  notices: 'Notice'
+};
+
+/**
+ * Recycle bin with restore and permanent delete (admin only)
+ */
+const RecycleBin = () => {
+  const { user, getRecycleBin, restoreFromRecycleBin, purgeFromRecycleBin, updateRecycleBinRetention } = useAuth();
+  const [items, setItems] = useState([]);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [purgeAfterDays, setPurgeAfterDays] = useState(null);
+  const [retentionInput, setRetentionInput] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busyKey, setBusyKey] = useState(null); // Item with an action in progress
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const isAdmin = user?.role === 'admin';
+
+  useEffect(() => {
+    if (isAdmin) {
+      loadBin();
+    }
+  }, [typeFilter]);
+
+  const loadBin = async () => {
+    setLoading(true);
+    const bin = await getRecycleBin(typeFilter || null);
+    setItems(bin.items);
+    setPurgeAfterDays(bin.purgeAfterDays);
+    setRetentionInput(bin.purgeAfterDays === null ? '' : String(bin.purgeAfterDays));
+    setLoading(false);
+  };
+
+  /**
+   * Run an action on an item, then refresh the bin and report the outcome
+   */
+  const runAction = async (item, action) => {
+    setBusyKey(`${item.type}-${item.id}`);
+    setMessage('');
+    setError('');
+
+    const result = await action();
+    setBusyKey(null);
+
+    if (result.success) {
+      setMessage(result.message);
+      await loadBin();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleRestore = (item) => runAction(item, () => restoreFromRecycleBin(item.type, item.id));
+
+  const handlePurge = (item) => {
+    const extra = item.type === 'members' ? ' Their user account and photo are deleted with them.' : '';
+    if (!window.confirm(`Permanently delete ${item.title}?${extra} This cannot be undone.`)) {
+      return;
+    }
+    runAction(item, () => purgeFromRecycleBin(item.type, item.id));
+  };
+
+  const handleRetentionSave = async (e) => {
+    e.preventDefault();
+    setMessage('');
+    setError('');
+
+    const result = await updateRecycleBinRetention(Number(retentionInput));
+    if (result.success) {
+      setMessage(result.purgeAfterDays > 0
+        ? `Deleted items are now purged after ${result.purgeAfterDays} day(s)`
+        : 'Deleted items are now kept until they are deleted permanently');
+      await loadBin();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  if (!isAdmin) {
+    return <div className="error">Only administrators can open the recycle bin.</div>;
+  }
+
+  return (
+    <div>
+      <div className="members-page-header">
+        <h1>🗑️ Recycle Bin</h1>
+        <p>Deleted members, accounts, blog posts and notices can be restored until they are purged</p>
+      </div>
+
+      <div className="controls">
+        <div className="filters-row">
+          <div className="filter-group">
+            <label>Show</label>
+            <select
+              value={typeFilter}
+              onChange={(e) => setTypeFilter(e.target.value)}
+              className="filter-select"
+            >
+              {TYPE_FILTERS.map(filter => (
+                <option key={filter.value} value={filter.value}>{filter.label}</option>
+              ))}
+            </select>
+          </div>
+          <form className="filter-group recycle-bin-retention" onSubmit={handleRetentionSave}>
+            <label>Purge after (days, 0 = never)</label>
+            <div className="recycle-bin-retention-row">
+              <input
+                type="number"
+                min="0"
+                max="3650"
+                value={retentionInput}
+                onChange={(e) => setRetentionInput(e.target.value)}
+                className="filter-select"
+              />
+              <button
+                type="submit"
+                className="btn btn-secondary btn-sm"
+                disabled={retentionInput === '' || Number(retentionInput) === purgeAfterDays}
+              >
+                Save
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      {message && <div className="success">{message}</div>}
+      {error && <div className="error">{error}</div>}
+
+      {loading ? (
+        <div className="loading">Loading recycle bin...</div>
+      ) : items.length === 0 ? (
+        <div className="no-results">
+          <h3>The recycle bin is empty</h3>
+          <p>Deleted items appear here and can be restored</p>
+        </div>
+      ) : (
+        <div className="application-list">
+          {items.map(item => {
+            const key = `${item.type}-${item.id}`;
+            return (
+              <div key={key} className="application-card recycle-bin-item">
+                <div className="application-header">
+                  <div>
+                    <h3>{item.title}</h3>
+                    {item.detail && <p>{item.detail}</p>}
+                  </div>
+                  <span className={`recycle-bin-type type-${item.type}`}>{TYPE_LABELS[item.type]}</span>
+                </div>
+
+                <p className="application-dates">
+                  Deleted {new Date(item.deletedAt).toLocaleString()}
+                  {item.deletedBy && ` by ${item.deletedBy.name}`}
+                  {' · '}
+                  {item.purgeAt
+                    ? `purged automatically after ${new Date(item.purgeAt).toLocaleDateString()}`
+                    : 'kept until deleted permanently'}
+                </p>
+
+                <div className="member-actions">
+                  <button
+                    className="btn btn-primary"
+                    onClick={() => handleRestore(item)}
+                    disabled={busyKey === key}
+                  >
+                    ↩️ Restore
+                  </button>
+                  <button
+                    className="btn btn-danger"
+                    onClick={() => handlePurge(item)}
+                    disabled={busyKey === key}
+                  >
+                    Delete Permanently
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecycleBin;
@@ -0,0 +1,361 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Membership Registration Component
+// =====================================================
+//
+// Public application form for alumni who are not yet in the directory
+// (/register). Applications wait in the admin review queue; nothing is
+// created until an administrator approves them.
+//
+// Registration Flow:
+// 1. Applicant fills in their profile and chooses a username and password
+// 2. Backend stores the application and emails a confirmation
+// 3. Admin approves, rejects, or asks for more information
+// 4. Approved applicants sign in with the credentials chosen here
+//
+// When an admin asks for more information, the emailed link opens this
+// page as /register?application=<token>: the admin's message is shown and
+// the applicant corrects their profile and resubmits it for review.
+//
+// Dependencies: React Router, Portal API, AuthContext, PasswordRequirements, Login.css
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { apiFetch } from '../utils/apiClient';
+import { useAuth } from '../context/AuthContext';
+import PasswordRequirements, { meetsPasswordPolicy } from './PasswordRequirements';
+import './Login.css';
+
+const EMPTY_PROFILE = {
+  name: '',
+  email: '',
+  phone: '',
+  address: '',
+  passoutBatch: '',
+  branch: '',
+  industry: '',
+  company: '',
+  skills: '',
+  photo: null
+};
+
+/**
+ * Registration page - new application, or update of an application returned for more information
+ */
+const Registration = () => {
+  const [searchParams] = useSearchParams();
+  const updateToken = searchParams.get('application');
+
+  const [profile, setProfile] = useState(EMPTY_PROFILE);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [note, setNote] = useState('');
+  const [reviewMessage, setReviewMessage] = useState('');
+  const [options, setOptions] = useState({ branches: [], industries: [] });
+  const [passwordPolicy, setPasswordPolicy] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [completed, setCompleted] = useState(false);
+  const [linkValid, setLinkValid] = useState(true);
+  const [formLoading, setFormLoading] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const { getPasswordPolicy } = useAuth();
+
+  useEffect(() => {
+    const loadForm = async () => {
+      try {
+        const response = await apiFetch('/registration/options');
+        if (response.ok) {
+          setOptions(await response.json());
+        }
+
+        if (updateToken) {
+          const applicationResponse = await apiFetch(`/registration/application?token=${encodeURIComponent(updateToken)}`);
+          const result = await applicationResponse.json();
+
+          if (result.success) {
+            const { application } = result;
+            setProfile({
+              ...Object.fromEntries(Object.keys(EMPTY_PROFILE).map(key => [key, application[key] ?? ''])),
+              skills: application.skills.join(', '),
+              photo: application.photo
+            });
+            setReviewMessage(application.reviewMessage || '');
+          } else {
+            setError(result.error);
+            setLinkValid(false);
+          }
+        } else {
+          setPasswordPolicy(await getPasswordPolicy());
+        }
+      } catch (err) {
+        setError('Could not load the registration form. Please check your connection and try again.');
+      } finally {
+        setFormLoading(false);
+      }
+    };
+
+    loadForm();
+  }, [updateToken]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setProfile(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handlePhotoChange = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        setProfile(prev => ({
+          ...prev,
+          photo: e.target.result
+        }));
+      };
+      reader.readAsDataURL(file);
+    }
+  };
+
+  /**
+   * Submit a new application, or resubmit one returned for more information
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!updateToken && password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = updateToken
+        ? await apiFetch('/registration/application', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...profile, note, token: updateToken })
+          })
+        : await apiFetch('/registration', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...profile, username: username.trim(), password })
+          });
+      const result = await response.json();
+
+      if (result.success) {
+        setMessage(result.message);
+        setCompleted(true);
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      setError('Your application could not be sent. Please check your connection and try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderProfileFields = () => (
+    <>
+      <div className="photo-upload">
+        <label className="photo-upload-btn">
+          {profile.photo ? (
+            <img src={profile.photo} alt="Preview" className="photo-preview" />
+          ) : (
+            <div style={{ padding: '20px', color: '#6c757d', textAlign: 'center' }}>
+              📷<br />Add a photo (optional)
+            </div>
+          )}
+          <input
+            type="file"
+            accept="image/*"
+            onChange={handlePhotoChange}
+          />
+        </label>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="name" className="form-label">Full Name *</label>
+        <input type="text" id="name" name="name" value={profile.name} onChange={handleInputChange}
+          className="form-input" required placeholder="As it appears in college records" />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="email" className="form-label">Email *</label>
+        <input type="email" id="email" name="email" value={profile.email} onChange={handleInputChange}
+          className="form-input" required placeholder="you@example.com" />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="phone" className="form-label">Phone</label>
+        <input type="tel" id="phone" name="phone" value={profile.phone} onChange={handleInputChange}
+          className="form-input" placeholder="+91 98765 43210" />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="passoutBatch" className="form-label">Passout Batch *</label>
+        <input type="text" id="passoutBatch" name="passoutBatch" value={profile.passoutBatch} onChange={handleInputChange}
+          className="form-input" required placeholder="e.g. 2015" />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="branch" className="form-label">Branch *</label>
+        <select id="branch" name="branch" value={profile.branch} onChange={handleInputChange} className="form-input" required>
+          <option value="">Select your branch</option>
+          {options.branches.map(branch => (
+            <option key={branch} value={branch}>{branch}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="industry" className="form-label">Industry</label>
+        <select id="industry" name="industry" value={profile.industry} onChange={handleInputChange} className="form-input">
+          <option value="">Select your industry</option>
+          {options.industries.map(industry => (
+            <option key={industry} value={industry}>{industry}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="company" className="form-label">Company</label>
+        <input type="text" id="company" name="company" value={profile.company} onChange={handleInputChange}
+          className="form-input" placeholder="Current employer" />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="skills" className="form-label">Skills</label>
+        <input type="text" id="skills" name="skills" value={profile.skills} onChange={handleInputChange}
+          className="form-input" placeholder="Comma separated, e.g. Design, Python" />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="address" className="form-label">Address</label>
+        <textarea id="address" name="address" value={profile.address} onChange={handleInputChange}
+          className="form-input" rows="3" />
+      </div>
+    </>
+  );
+
+  return (
+    <div className="login-container">
+      <div className="login-content">
+        <div className="login-form-section">
+          <div className="login-card registration-card">
+            <div className="login-header">
+              <h1>🎓 Apply for Membership</h1>
+              <p>
+                {updateToken
+                  ? 'Update your application with the information requested below.'
+                  : 'Tell us about yourself. An administrator will review your application.'}
+              </p>
+            </div>
+
+            {completed ? (
+              <div className="login-form">
+                <div className="success">{message}</div>
+                <Link to="/login" className="btn btn-primary login-btn">Back to Sign In</Link>
+              </div>
+            ) : formLoading ? (
+              <div className="login-form">
+                <div className="loading">Loading the registration form...</div>
+              </div>
+            ) : !linkValid ? (
+              <div className="login-form">
+                <div className="error">{error}</div>
+                <p className="section-note">Contact a portal administrator if you still need to update your application.</p>
+              </div>
+            ) : (
+              <form onSubmit={handleSubmit} className="login-form">
+                {error && <div className="error">{error}</div>}
+
+                {reviewMessage && (
+                  <div className="review-message">
+                    <strong>Message from the administrator:</strong>
+                    <p>{reviewMessage}</p>
+                  </div>
+                )}
+
+                {renderProfileFields()}
+
+                {updateToken ? (
+                  <div className="form-group">
+                    <label htmlFor="note" className="form-label">Note for the reviewer</label>
+                    <textarea id="note" value={note} onChange={(e) => setNote(e.target.value)}
+                      className="form-input" rows="3" placeholder="Anything that answers the administrator's question" />
+                  </div>
+                ) : (
+                  <>
+                    <div className="form-group">
+                      <label htmlFor="username" className="form-label">Username *</label>
+                      <input
+                        type="text"
+                        id="username"
+                        value={username}
+                        onChange={(e) => setUsername(e.target.value)}
+                        className="form-input"
+                        required
+                        pattern="[a-zA-Z0-9_]{3,20}"
+                        title="3-20 letters, numbers or underscores"
+                        placeholder="Choose a username"
+                      />
+                    </div>
+
+                    <div className="form-group">
+                      <label htmlFor="password" className="form-label">Password *</label>
+                      <input
+                        type="password"
+                        id="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        className="form-input"
+                        required
+                        placeholder="Choose a password"
+                      />
+                      <PasswordRequirements password={password} policy={passwordPolicy} />
+                    </div>
+
+                    <div className="form-group">
+                      <label htmlFor="confirmPassword" className="form-label">Confirm Password *</label>
+                      <input
+                        type="password"
+                        id="confirmPassword"
+                        value={confirmPassword}
+                        onChange={(e) => setConfirmPassword(e.target.value)}
+                        className="form-input"
+                        required
+                        placeholder="Re-enter the password"
+                      />
+                    </div>
+                  </>
+                )}
+
+                <button
+                  type="submit"
+                  className="btn btn-primary login-btn"
+                  disabled={loading || (!updateToken && !meetsPasswordPolicy(password, passwordPolicy))}
+                >
+                  {loading ? 'Sending...' : updateToken ? 'Resubmit Application' : 'Submit Application'}
+                </button>
+              </form>
+            )}
+
+            <div className="login-links">
+              <Link to="/login">← Back to Sign In</Link>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Registration;
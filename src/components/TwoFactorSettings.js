@@ -0,0 +1,182 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Two-Factor Settings Component
+// =====================================================
+//
+// Profile Security tab section for managing two-factor authentication:
+// - Current status, enrolment date and remaining recovery codes
+// - Enabling 2FA through TwoFactorSetup
+// - Regenerating recovery codes (requires a current code)
+// - Disabling 2FA (requires a code; blocked when policy makes it mandatory)
+//
+// Dependencies: AuthContext, TwoFactorSetup
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import TwoFactorSetup, { RecoveryCodes } from './TwoFactorSetup';
+
+/**
+ * Two-factor authentication management for the signed-in user
+ */
+const TwoFactorSettings = () => {
+  const { getTwoFactorStatus, disableTwoFactor, regenerateRecoveryCodes } = useAuth();
+
+  const [status, setStatus] = useState(null);
+  const [mode, setMode] = useState('view'); // view | setup | disable | regenerate
+  const [code, setCode] = useState('');
+  const [newCodes, setNewCodes] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const loadStatus = async () => {
+    const result = await getTwoFactorStatus();
+    if (result) {
+      setStatus(result);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const resetForm = () => {
+    setMode('view');
+    setCode('');
+    setError('');
+  };
+
+  /**
+   * Disable 2FA or regenerate recovery codes, depending on the open form
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    // Accept either an authenticator code or a recovery code when disabling
+    const value = code.trim();
+    const result = mode === 'disable'
+      ? await disableTwoFactor(/^\d{6}$/.test(value) ? { code: value } : { recoveryCode: value })
+      : await regenerateRecoveryCodes(value);
+
+    if (result.success) {
+      if (mode === 'regenerate') {
+        setNewCodes(result.recoveryCodes);
+      } else {
+        setMessage(result.message);
+      }
+      resetForm();
+      await loadStatus();
+    } else {
+      setError(result.error);
+    }
+
+    setLoading(false);
+  };
+
+  const handleSetupComplete = async () => {
+    setMessage('Two-factor authentication is now enabled');
+    resetForm();
+    await loadStatus();
+  };
+
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <div className="two-factor-settings">
+      <div className="section-header">
+        <h3>Two-Factor Authentication</h3>
+        {mode === 'view' && !newCodes && (
+          status.enabled ? (
+            <div className="two-factor-actions">
+              <button onClick={() => setMode('regenerate')} className="btn btn-secondary">
+                New Recovery Codes
+              </button>
+              {!status.required && (
+                <button onClick={() => setMode('disable')} className="btn btn-danger">
+                  Disable
+                </button>
+              )}
+            </div>
+          ) : (
+            <button onClick={() => { setMessage(''); setMode('setup'); }} className="btn btn-primary">
+              Enable 2FA
+            </button>
+          )
+        )}
+      </div>
+
+      {message && <div className="success-text">{message}</div>}
+
+      {mode === 'view' && !newCodes && (
+        <div className="security-status">
+          <div className="status-item">
+            <span>Status:</span>
+            <span className={status.enabled ? 'status-active' : ''}>
+              {status.enabled ? 'Enabled' : 'Not enabled'}
+            </span>
+          </div>
+          {status.enabled && (
+            <>
+              <div className="status-item">
+                <span>Enabled Since:</span>
+                <span>{new Date(status.enabledAt).toLocaleDateString()}</span>
+              </div>
+              <div className="status-item">
+                <span>Unused Recovery Codes:</span>
+                <span>{status.recoveryCodesRemaining}</span>
+              </div>
+            </>
+          )}
+          {status.required && (
+            <p className="section-note">Two-factor authentication is required for your role.</p>
+          )}
+        </div>
+      )}
+
+      {mode === 'setup' && (
+        <TwoFactorSetup onComplete={handleSetupComplete} onCancel={resetForm} />
+      )}
+
+      {newCodes && (
+        <RecoveryCodes codes={newCodes} onDone={() => setNewCodes(null)} />
+      )}
+
+      {(mode === 'disable' || mode === 'regenerate') && (
+        <form onSubmit={handleSubmit} className="two-factor-confirm">
+          {error && <div className="error-text">{error}</div>}
+          <div className="form-group">
+            <label>
+              {mode === 'disable' ? 'Authenticator code or recovery code' : 'Current authenticator code'}
+            </label>
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+              required
+              placeholder={mode === 'disable' ? '123456 or XXXXX-XXXXX' : '123456'}
+            />
+          </div>
+          {mode === 'regenerate' && (
+            <p className="section-note">Your existing recovery codes will stop working.</p>
+          )}
+          <div className="form-actions">
+            <button type="submit" disabled={loading} className={`btn ${mode === 'disable' ? 'btn-danger' : 'btn-primary'}`}>
+              {loading ? 'Checking...' : mode === 'disable' ? 'Disable 2FA' : 'Generate New Codes'}
+            </button>
+            <button type="button" onClick={resetForm} className="btn btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
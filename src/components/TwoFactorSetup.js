@@ -0,0 +1,152 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Two-Factor Setup Component
+// =====================================================
+//
+// Guides a user through enrolling an authenticator app (TOTP).
+// Used from the profile Security tab, and from the login page when the
+// admin policy requires 2FA and the account has not enrolled yet.
+//
+// Enrolment Flow:
+// 1. Backend issues a new secret with an otpauth:// QR code
+// 2. User scans the QR code (or types the secret) into their app
+// 3. User confirms with the first 6-digit code
+// 4. Backend returns single-use recovery codes, shown exactly once
+//
+// Dependencies: AuthContext
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * List of freshly issued recovery codes with copy support
+ */
+export const RecoveryCodes = ({ codes, onDone }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      setCopied(true);
+    } catch (error) {
+      console.error('Clipboard copy failed:', error);
+    }
+  };
+
+  return (
+    <div className="recovery-codes">
+      <p>
+        Save these recovery codes somewhere safe. Each code signs you in once if you lose
+        access to your authenticator app. They will not be shown again.
+      </p>
+      <ul className="recovery-code-list">
+        {codes.map(code => <li key={code}><code>{code}</code></li>)}
+      </ul>
+      <div className="form-actions">
+        <button type="button" onClick={handleCopy} className="btn btn-secondary">
+          {copied ? '✓ Copied' : '📋 Copy codes'}
+        </button>
+        <button type="button" onClick={onDone} className="btn btn-primary">
+          I have saved my codes
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Authenticator enrolment - pass challengeToken when enrolling during login
+ * onComplete receives the confirmation result after recovery codes are acknowledged
+ */
+const TwoFactorSetup = ({ challengeToken = null, onComplete, onCancel }) => {
+  const { startTwoFactorEnrolment, confirmTwoFactorEnrolment } = useAuth();
+
+  const [enrolment, setEnrolment] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  // Request a new secret and QR code when the component opens
+  useEffect(() => {
+    const start = async () => {
+      const response = await startTwoFactorEnrolment(challengeToken);
+      if (response.success) {
+        setEnrolment(response);
+      } else {
+        setError(response.error || 'Failed to start two-factor setup');
+      }
+    };
+    start();
+  }, [challengeToken]);
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const response = await confirmTwoFactorEnrolment(code.trim(), challengeToken);
+    if (response.success) {
+      setResult(response);
+    } else {
+      setError(response.error);
+    }
+
+    setLoading(false);
+  };
+
+  if (result) {
+    return <RecoveryCodes codes={result.recoveryCodes} onDone={() => onComplete(result)} />;
+  }
+
+  return (
+    <form onSubmit={handleConfirm} className="two-factor-setup">
+      {error && <div className="error">{error}</div>}
+
+      {enrolment ? (
+        <>
+          <ol className="two-factor-steps">
+            <li>Install an authenticator app such as Google Authenticator, Authy or 1Password.</li>
+            <li>Scan this QR code with the app.</li>
+          </ol>
+          <img src={enrolment.qrCode} alt="Authenticator QR code" className="two-factor-qr" />
+          <p className="two-factor-secret">
+            Can't scan? Enter this key manually: <code>{enrolment.secret}</code>
+          </p>
+
+          <div className="form-group">
+            <label htmlFor="totpCode" className="form-label">6-digit code from the app</label>
+            <input
+              type="text"
+              id="totpCode"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="form-input"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={7}
+              required
+              placeholder="123456"
+            />
+          </div>
+
+          <div className="form-actions">
+            {onCancel && (
+              <button type="button" onClick={onCancel} className="btn btn-secondary">
+                Cancel
+              </button>
+            )}
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? 'Verifying...' : 'Verify and Enable'}
+            </button>
+          </div>
+        </>
+      ) : (
+        !error && <p>Preparing your authenticator key...</p>
+      )}
+    </form>
+  );
+};
+
+export default TwoFactorSetup;
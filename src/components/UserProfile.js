@@ -14,11 +14,13 @@
 // - Theme preferences and app settings
 // - Role-based information presentation
 // - Admin functions for user management
+// - Membership ID pattern and bulk assignment of missing IDs (admin)
 //
 // Security Features:
 // - Secure password change with current password verification
 // - Password strength validation with real-time feedback
 // - Username availability checking in real-time
+// - Two-factor authentication enrolment and recovery codes
 // - Account lockout status display
 // - Security event history (admin view)
 //
@@ -35,6 +37,10 @@
 
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
+import { apiFetch } from '../utils/apiClient';
+import TwoFactorSettings from './TwoFactorSettings';
+import ActiveSessions from './ActiveSessions';
+import PasswordRequirements, { meetsPasswordPolicy } from './PasswordRequirements';
 
 /**
  * Enhanced UserProfile component with comprehensive account management
@@ -45,22 +51,37 @@ const UserProfile = ({ onClose }) => {
     user, 
     updateProfile, 
     updateSettings, 
+    getPrivacySettings,
+    updatePrivacySettings,
     changePassword, 
     changeUsername,
     checkUsernameAvailability,
     isFirstLogin,
+    mustChangePassword,
+    getPasswordPolicy,
     isAdmin,
     adminResetPassword,
+    adminSendSetupLink,
+    adminResetTwoFactor,
+    adminForceLogout,
+    getSecurityPolicy,
+    updateSecurityPolicy,
+    updatePasswordPolicy,
+    getMembershipIdSettings,
+    updateMembershipIdPattern,
+    assignMissingMembershipIds,
     getAllUsers,
-    getSecurityLogs
+    getSecurityLogs,
+    getThrottledSources,
+    releaseThrottledSource
   } = useAuth();
   
   // Tab state management
-  const [activeTab, setActiveTab] = useState(isFirstLogin() ? 'security' : 'profile');
+  const [activeTab, setActiveTab] = useState(mustChangePassword() ? 'security' : 'profile');
   
   // Edit mode state management
   const [isEditingProfile, setIsEditingProfile] = useState(false);
-  const [isChangingPassword, setIsChangingPassword] = useState(isFirstLogin());
+  const [isChangingPassword, setIsChangingPassword] = useState(mustChangePassword());
   const [isChangingUsername, setIsChangingUsername] = useState(false);
   
   // Form data states
@@ -82,12 +103,12 @@ const UserProfile = ({ onClose }) => {
   });
 
   const [settingsData, setSettingsData] = useState({
-    theme: user?.settings?.theme || 'dark',
-    profileVisible: user?.settings?.profileVisible !== false,
-    emailVisible: user?.settings?.emailVisible !== false,
-    phoneVisible: user?.settings?.phoneVisible !== false
+    theme: user?.settings?.theme || 'dark'
   });
 
+  // Enforced by the server on member reads; loaded when the settings tab opens
+  const [privacyData, setPrivacyData] = useState(null);
+
   // Validation and status states
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
@@ -105,11 +126,19 @@ const UserProfile = ({ onClose }) => {
   const [adminData, setAdminData] = useState({
     users: [],
     securityLogs: [], 
+    throttledSources: null,
     selectedUserId: '',
     resetPasswordUserId: '',
     viewLogsUserId: ''
   });
   const [adminLoading, setAdminLoading] = useState(false);
+  // Temporary password from an admin reset - held in memory only and shown once
+  const [revealedCredential, setRevealedCredential] = useState(null);
+  const [securityPolicy, setSecurityPolicy] = useState(null);
+  const [passwordPolicy, setPasswordPolicy] = useState(null);
+  const [policyDraft, setPolicyDraft] = useState(null); // Admin edits to the password policy
+  const [membershipIdSettings, setMembershipIdSettings] = useState(null); // { pattern, example, missing }
+  const [patternDraft, setPatternDraft] = useState('');
 
   // Health System and Maintenance states
   const [healthData, setHealthData] = useState({
@@ -128,6 +157,8 @@ const UserProfile = ({ onClose }) => {
     testRunner: false,
     maintenanceTools: false,
     userManagement: false,
+    securityPolicy: false,
+    membershipIds: false,
     securityLogs: false
   });
 
@@ -180,7 +211,7 @@ const UserProfile = ({ onClose }) => {
     }
 
     setPasswordStrength({ score, message, color });
-    return score >= 3; // Require at least "Fair" strength
+    return meetsPasswordPolicy(password, passwordPolicy); // Strength is advisory; the policy decides
   };
 
   /**
@@ -272,6 +303,17 @@ const UserProfile = ({ onClose }) => {
     }));
   };
 
+  /**
+   * Handle privacy setting changes
+   */
+  const handlePrivacyChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setPrivacyData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
   /**
    * Save profile changes
    */
@@ -313,7 +355,7 @@ const UserProfile = ({ onClose }) => {
     if (!passwordData.newPassword) {
       newErrors.newPassword = 'New password is required';
     } else if (!validatePasswordStrength(passwordData.newPassword)) {
-      newErrors.newPassword = 'Password is too weak';
+      newErrors.newPassword = 'Password does not meet the password policy';
     }
     
     if (passwordData.newPassword !== passwordData.confirmPassword) {
@@ -396,7 +438,10 @@ const UserProfile = ({ onClose }) => {
     setLoading(true);
     
     try {
-      const result = await updateSettings(settingsData);
+      let result = await updateSettings(settingsData);
+      if (result.success && privacyData) {
+        result = await updatePrivacySettings(privacyData);
+      }
       
       if (result.success) {
         setSuccess('Settings saved successfully!');
@@ -438,8 +483,8 @@ const UserProfile = ({ onClose }) => {
     try {
       const result = await adminResetPassword(targetUserId);
       if (result.success) {
-        setSuccess(`Password reset successfully! Temporary password: ${result.temporaryPassword}`);
-        setTimeout(() => setSuccess(''), 10000); // Show for 10 seconds
+        const target = adminData.users.find(userItem => userItem.id === targetUserId);
+        setRevealedCredential({ username: target?.username, password: result.temporaryPassword });
       } else {
         setErrors({ admin: result.error });
       }
@@ -450,6 +495,199 @@ const UserProfile = ({ onClose }) => {
     }
   };
 
+  /**
+   * Admin function: Email a user a link to choose their own password
+   */
+  const handleSendSetupLink = async (targetUserId) => {
+    setAdminLoading(true);
+    try {
+      const result = await adminSendSetupLink(targetUserId);
+      if (result.success) {
+        setSuccess(result.message);
+        setTimeout(() => setSuccess(''), 5000);
+      } else {
+        setErrors({ admin: result.error });
+      }
+    } catch (error) {
+      setErrors({ admin: 'Failed to send setup link' });
+    } finally {
+      setAdminLoading(false);
+    }
+  };
+
+  /**
+   * Admin function: Reset a user's two-factor authentication
+   */
+  const handleResetTwoFactor = async (targetUser) => {
+    if (!window.confirm(`Reset two-factor authentication for ${targetUser.username}? They will sign in with their password only until they enrol again.`)) {
+      return;
+    }
+
+    setAdminLoading(true);
+    try {
+      const result = await adminResetTwoFactor(targetUser.id);
+      if (result.success) {
+        setSuccess(result.message);
+        setTimeout(() => setSuccess(''), 5000);
+        await handleLoadUsers();
+      } else {
+        setErrors({ admin: result.error });
+      }
+    } catch (error) {
+      setErrors({ admin: 'Failed to reset two-factor authentication' });
+    } finally {
+      setAdminLoading(false);
+    }
+  };
+
+  /**
+   * Admin function: Sign a user out of every device
+   */
+  const handleForceLogout = async (targetUser) => {
+    if (!window.confirm(`Sign ${targetUser.username} out of every device? They will need to sign in again.`)) {
+      return;
+    }
+
+    setAdminLoading(true);
+    try {
+      const result = await adminForceLogout(targetUser.id);
+      if (result.success) {
+        setSuccess(result.message);
+        setTimeout(() => setSuccess(''), 5000);
+      } else {
+        setErrors({ admin: result.error });
+      }
+    } catch (error) {
+      setErrors({ admin: 'Failed to sign the user out' });
+    } finally {
+      setAdminLoading(false);
+    }
+  };
+
+  /**
+   * Admin function: Toggle mandatory two-factor authentication for admins
+   */
+  const handleToggleAdminTwoFactor = async (e) => {
+    const requireAdminTwoFactor = e.target.checked;
+    setAdminLoading(true);
+    try {
+      const result = await updateSecurityPolicy({ requireAdminTwoFactor });
+      if (result.success) {
+        setSecurityPolicy({ requireAdminTwoFactor: result.requireAdminTwoFactor });
+        setSuccess(requireAdminTwoFactor
+          ? 'Admins must now use two-factor authentication. Admins without it will be asked to enrol at their next sign in.'
+          : 'Two-factor authentication is now optional for admins');
+        setTimeout(() => setSuccess(''), 5000);
+      } else {
+        setErrors({ admin: result.error });
+      }
+    } catch (error) {
+      setErrors({ admin: 'Failed to update security policy' });
+    } finally {
+      setAdminLoading(false);
+    }
+  };
+
+  /**
+   * Admin function: Track edits to the password policy form
+   */
+  const handlePolicyDraftChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setPolicyDraft(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : parseInt(value, 10) || 0
+    }));
+  };
+
+  const handleToggleRequiredClass = (characterClass) => {
+    setPolicyDraft(prev => ({
+      ...prev,
+      requiredClasses: prev.requiredClasses.includes(characterClass)
+        ? prev.requiredClasses.filter(name => name !== characterClass)
+        : [...prev.requiredClasses, characterClass]
+    }));
+  };
+
+  /**
+   * Admin function: Save the password policy
+   */
+  const handleSavePasswordPolicy = async () => {
+    setAdminLoading(true);
+    try {
+      const { success: saved, error: saveError, ...policy } = await updatePasswordPolicy(policyDraft);
+      if (saved) {
+        setPasswordPolicy(policy);
+        setPolicyDraft(policy);
+        setSuccess('Password policy updated. New rules apply the next time each password is changed.');
+        setTimeout(() => setSuccess(''), 5000);
+      } else {
+        setErrors({ admin: saveError });
+      }
+    } catch (error) {
+      setErrors({ admin: 'Failed to update password policy' });
+    } finally {
+      setAdminLoading(false);
+    }
+  };
+
+  /**
+   * Admin function: Load the membership ID pattern
+   */
+  const loadMembershipIdSettings = async () => {
+    const settings = await getMembershipIdSettings();
+    if (settings) {
+      setMembershipIdSettings(settings);
+      setPatternDraft(settings.pattern);
+    }
+  };
+
+  /**
+   * Admin function: Save the pattern of new membership IDs
+   */
+  const handleSaveMembershipIdPattern = async () => {
+    setAdminLoading(true);
+    try {
+      const { success: saved, error: saveError, ...settings } = await updateMembershipIdPattern(patternDraft);
+      if (saved) {
+        setMembershipIdSettings(settings);
+        setPatternDraft(settings.pattern);
+        setSuccess(`New members now get IDs like ${settings.example}. Existing IDs are unchanged.`);
+        setTimeout(() => setSuccess(''), 5000);
+      } else {
+        setErrors({ admin: saveError });
+      }
+    } catch (error) {
+      setErrors({ admin: 'Failed to update the membership ID pattern' });
+    } finally {
+      setAdminLoading(false);
+    }
+  };
+
+  /**
+   * Admin function: Give every member without a membership ID the next one
+   */
+  const handleAssignMembershipIds = async () => {
+    if (!window.confirm(`Assign membership IDs following ${membershipIdSettings.pattern} to ${membershipIdSettings.missing} member(s) without one?`)) {
+      return;
+    }
+
+    setAdminLoading(true);
+    try {
+      const result = await assignMissingMembershipIds();
+      if (result.success) {
+        setSuccess(result.message);
+        setTimeout(() => setSuccess(''), 5000);
+        await loadMembershipIdSettings();
+      } else {
+        setErrors({ admin: result.error });
+      }
+    } catch (error) {
+      setErrors({ admin: 'Failed to assign membership IDs' });
+    } finally {
+      setAdminLoading(false);
+    }
+  };
+
   /**
    * Admin function: Load security logs
    */
@@ -473,6 +711,45 @@ const UserProfile = ({ onClose }) => {
     }
   };
 
+  /**
+   * Admin function: Load sign-in sources currently refused by throttling
+   */
+  const handleLoadThrottledSources = async () => {
+    setAdminLoading(true);
+    try {
+      const result = await getThrottledSources();
+      if (result.success) {
+        setAdminData(prev => ({ ...prev, throttledSources: result.sources }));
+      } else {
+        setErrors({ admin: result.error });
+      }
+    } finally {
+      setAdminLoading(false);
+    }
+  };
+
+  /**
+   * Admin function: Lift throttling for one IP address or username
+   */
+  const handleReleaseThrottle = async (entry) => {
+    setAdminLoading(true);
+    try {
+      const result = await releaseThrottledSource(entry.scope, entry.source);
+      if (result.success) {
+        setSuccess(result.message);
+        setTimeout(() => setSuccess(''), 5000);
+        setAdminData(prev => ({
+          ...prev,
+          throttledSources: prev.throttledSources.filter(item => item !== entry)
+        }));
+      } else {
+        setErrors({ admin: result.error });
+      }
+    } finally {
+      setAdminLoading(false);
+    }
+  };
+
   /**
    * Health System Functions
    */
@@ -527,11 +804,10 @@ const UserProfile = ({ onClose }) => {
       addLogEntry('🔍 Initializing health system...');
       addLogEntry('📊 Running comprehensive analysis...');
       
-      const response = await fetch('/api/health/comprehensive-analysis', {
+      const response = await apiFetch('/api/health/comprehensive-analysis', {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
+          'Content-Type': 'application/json'
         }
       });
       
@@ -579,11 +855,10 @@ const UserProfile = ({ onClose }) => {
       addLogEntry(`🧪 Initializing ${categoryName} test suite...`);
       addLogEntry('🔧 Setting up test environment...');
       
-      const response = await fetch('/api/health/run-tests', {
+      const response = await apiFetch('/api/health/run-tests', {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
+          'Content-Type': 'application/json'
         },
         body: JSON.stringify({ category })
       });
@@ -637,11 +912,10 @@ const UserProfile = ({ onClose }) => {
       addLogEntry(`🔧 Initializing ${description}...`);
       addLogEntry('🔍 Connecting to maintenance system...');
       
-      const response = await fetch('/api/maintenance/run-function', {
+      const response = await apiFetch('/api/maintenance/run-function', {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
+          'Content-Type': 'application/json'
         },
         body: JSON.stringify({ functionName })
       });
@@ -696,26 +970,73 @@ const UserProfile = ({ onClose }) => {
     return { color: '#F44336', status: 'Poor', icon: '🔴' };
   };
 
-  // Load users when admin tab is opened
+  // Load the password policy for requirement hints (and the admin policy editor)
+  useEffect(() => {
+    getPasswordPolicy().then(policy => {
+      if (policy) {
+        setPasswordPolicy(policy);
+        setPolicyDraft(policy);
+      }
+    });
+  }, []);
+
+  // Load privacy settings when settings tab is opened
+  useEffect(() => {
+    if (activeTab === 'settings' && !privacyData) {
+      getPrivacySettings().then(settings => settings && setPrivacyData({
+        profileVisibility: settings.profile_visibility || 'members',
+        hidePhone: !!settings.hide_phone,
+        hideAddress: !!settings.hide_address,
+        hideEmail: !!settings.hide_email
+      }));
+    }
+  }, [activeTab]);
+
+  // Load users and security policy when admin tab is opened
   useEffect(() => {
     if (activeTab === 'admin' && isAdmin() && adminData.users.length === 0) {
       handleLoadUsers();
     }
+    if (activeTab === 'admin' && isAdmin() && !securityPolicy) {
+      getSecurityPolicy().then(policy => policy && setSecurityPolicy(policy));
+    }
+    if (activeTab === 'admin' && isAdmin() && !membershipIdSettings) {
+      loadMembershipIdSettings();
+    }
   }, [activeTab]);
 
-  // Show first-time password change modal if required
-  if (isFirstLogin() && isChangingPassword) {
+  // Show first-time / expired password change modal if required
+  if (mustChangePassword() && isChangingPassword) {
     return (
       <div className="modal-overlay">
         <div className="modal-content first-login-modal" onClick={e => e.stopPropagation()}>
           <div className="first-login-header">
-            <h2>🔐 First Time Login</h2>
-            <p>Please change your password to continue</p>
+            <h2>{isFirstLogin() ? '🔐 First Time Login' : '⏰ Password Expired'}</h2>
+            <p>
+              {isFirstLogin()
+                ? 'Please change your password to continue'
+                : `Passwords must be changed every ${passwordPolicy?.maxAgeDays || ''} days. Please choose a new one to continue`}
+            </p>
           </div>
 
           {errors.general && <div className="error">{errors.general}</div>}
           {success && <div className="success">{success}</div>}
 
+          {!isFirstLogin() && (
+            <div className="form-group">
+              <label>Current Password</label>
+              <input
+                type="password"
+                name="currentPassword"
+                value={passwordData.currentPassword}
+                onChange={handlePasswordChange}
+                className={errors.currentPassword ? 'error' : ''}
+                placeholder="Enter current password"
+              />
+              {errors.currentPassword && <div className="error-text">{errors.currentPassword}</div>}
+            </div>
+          )}
+
           <div className="form-group">
             <label>New Password</label>
             <input
@@ -731,6 +1052,7 @@ const UserProfile = ({ onClose }) => {
                 Strength: {passwordStrength.message}
               </div>
             )}
+            <PasswordRequirements password={passwordData.newPassword} policy={passwordPolicy} />
             {errors.newPassword && <div className="error-text">{errors.newPassword}</div>}
           </div>
 
@@ -750,7 +1072,7 @@ const UserProfile = ({ onClose }) => {
           <div className="modal-actions">
             <button 
               onClick={handleChangePassword}
-              disabled={loading || passwordStrength.score < 3}
+              disabled={loading || !meetsPasswordPolicy(passwordData.newPassword, passwordPolicy)}
               className="btn btn-primary"
             >
               {loading ? 'Changing Password...' : 'Change Password'}
@@ -981,6 +1303,7 @@ const UserProfile = ({ onClose }) => {
                         Strength: {passwordStrength.message}
                       </div>
                     )}
+                    <PasswordRequirements password={passwordData.newPassword} policy={passwordPolicy} />
                     {errors.newPassword && <div className="error-text">{errors.newPassword}</div>}
                   </div>
 
@@ -1000,7 +1323,7 @@ const UserProfile = ({ onClose }) => {
                   <div className="form-actions">
                     <button 
                       onClick={handleChangePassword}
-                      disabled={loading || passwordStrength.score < 3}
+                      disabled={loading || !meetsPasswordPolicy(passwordData.newPassword, passwordPolicy)}
                       className="btn btn-primary"
                     >
                       {loading ? 'Changing Password...' : 'Change Password'}
@@ -1082,6 +1405,10 @@ const UserProfile = ({ onClose }) => {
                 </>
               )}
 
+              <TwoFactorSettings />
+
+              <ActiveSessions />
+
               {/* Account Security Info */}
               <div className="security-info">
                 <h3>Account Security</h3>
@@ -1124,43 +1451,63 @@ const UserProfile = ({ onClose }) => {
 
               <h3>Privacy Settings</h3>
               
-              <div className="privacy-controls">
-                <div className="privacy-item">
-                  <label>
-                    <input
-                      type="checkbox"
-                      name="profileVisible"
-                      checked={settingsData.profileVisible}
-                      onChange={handleSettingsChange}
-                    />
-                    Make profile visible to other members
-                  </label>
-                </div>
+              {privacyData ? (
+                <>
+                  <div className="form-group">
+                    <label>Profile Visibility</label>
+                    <select
+                      name="profileVisibility"
+                      value={privacyData.profileVisibility}
+                      onChange={handlePrivacyChange}
+                    >
+                      <option value="public">Public</option>
+                      <option value="members">Members only</option>
+                      <option value="private">Private - hidden from the directory and search</option>
+                    </select>
+                  </div>
 
-                <div className="privacy-item">
-                  <label>
-                    <input
-                      type="checkbox"
-                      name="emailVisible"
-                      checked={settingsData.emailVisible}
-                      onChange={handleSettingsChange}
-                    />
-                    Show email address in profile
-                  </label>
-                </div>
+                  <div className="privacy-controls">
+                    <div className="privacy-item">
+                      <label>
+                        <input
+                          type="checkbox"
+                          name="hidePhone"
+                          checked={privacyData.hidePhone}
+                          onChange={handlePrivacyChange}
+                        />
+                        Hide my phone number from other members
+                      </label>
+                    </div>
 
-                <div className="privacy-item">
-                  <label>
-                    <input
-                      type="checkbox"
-                      name="phoneVisible"
-                      checked={settingsData.phoneVisible}
-                      onChange={handleSettingsChange}
-                    />
-                    Show phone number in profile
-                  </label>
-                </div>
-              </div>
+                    <div className="privacy-item">
+                      <label>
+                        <input
+                          type="checkbox"
+                          name="hideAddress"
+                          checked={privacyData.hideAddress}
+                          onChange={handlePrivacyChange}
+                        />
+                        Hide my address from other members
+                      </label>
+                    </div>
+
+                    <div className="privacy-item">
+                      <label>
+                        <input
+                          type="checkbox"
+                          name="hideEmail"
+                          checked={privacyData.hideEmail}
+                          onChange={handlePrivacyChange}
+                        />
+                        Hide my email address from other members
+                      </label>
+                    </div>
+                  </div>
+                  <p className="section-note">Administrators always see your full profile.</p>
+                </>
+              ) : (
+                <div className="loading">Loading privacy settings...</div>
+              )}
 
               <div className="form-actions">
                 <button 
@@ -1184,6 +1531,18 @@ const UserProfile = ({ onClose }) => {
               {/* Admin Error/Success Messages */}
               {errors.admin && <div className="error-text">{errors.admin}</div>}
               {success && <div className="success-text">{success}</div>}
+              {revealedCredential && (
+                <div className="password-display one-time-reveal">
+                  <span>Temporary password for <strong>{revealedCredential.username}</strong>:</span>
+                  <code className="system-password">{revealedCredential.password}</code>
+                  <span className="password-note">
+                    Shown once and not stored - share it securely now. The user must change it at next sign in.
+                  </span>
+                  <button onClick={() => setRevealedCredential(null)} className="btn btn-sm btn-secondary">
+                    Done
+                  </button>
+                </div>
+              )}
               
               {/* Health System Section */}
               <div className="admin-subsection">
@@ -1426,7 +1785,7 @@ const UserProfile = ({ onClose }) => {
                               <th>Username</th>
                               <th>Name</th>
                               <th>Role</th>
-                              <th>System Password</th>
+                              <th>Credentials</th>
                               <th>Last Login</th>
                               <th>Status</th>
                               <th>Actions</th>
@@ -1439,11 +1798,8 @@ const UserProfile = ({ onClose }) => {
                                 <td>{userItem.name}</td>
                                 <td className={`role-badge ${userItem.role}`}>{userItem.role}</td>
                                 <td className="system-password-cell">
-                                  {userItem.system_password ? (
-                                    <div className="password-display">
-                                      <code className="system-password">{userItem.system_password}</code>
-                                      <span className="password-note">📋 Copy to share</span>
-                                    </div>
+                                  {userItem.first_login ? (
+                                    <span className="password-pending">⏳ Awaiting first sign in</span>
                                   ) : (
                                     <span className="password-changed">🔒 User changed</span>
                                   )}
@@ -1453,6 +1809,7 @@ const UserProfile = ({ onClose }) => {
                                   <span className={`status-badge ${userItem.is_locked ? 'locked' : 'active'}`}>
                                     {userItem.is_locked ? 'Locked' : 'Active'}
                                   </span>
+                                  {userItem.totp_enabled ? <span className="status-badge two-factor" title="Two-factor authentication enabled">2FA</span> : null}
                                 </td>
                                 <td>
                                   <button 
@@ -1463,6 +1820,32 @@ const UserProfile = ({ onClose }) => {
                                   >
                                     🔄
                                   </button>
+                                  <button 
+                                    onClick={() => handleSendSetupLink(userItem.id)}
+                                    disabled={adminLoading || userItem.id === user.id}
+                                    className="btn btn-sm btn-secondary"
+                                    title="Email Setup Link"
+                                  >
+                                    ✉️
+                                  </button>
+                                  {userItem.totp_enabled ? (
+                                    <button 
+                                      onClick={() => handleResetTwoFactor(userItem)}
+                                      disabled={adminLoading || userItem.id === user.id}
+                                      className="btn btn-sm btn-warning"
+                                      title="Reset Two-Factor Authentication"
+                                    >
+                                      🔓
+                                    </button>
+                                  ) : null}
+                                  <button 
+                                    onClick={() => handleForceLogout(userItem)}
+                                    disabled={adminLoading || userItem.id === user.id}
+                                    className="btn btn-sm btn-secondary"
+                                    title="Sign Out of All Devices"
+                                  >
+                                    🚪
+                                  </button>
                                   <button 
                                     onClick={() => handleLoadSecurityLogs(userItem.id)}
                                     disabled={adminLoading}
@@ -1482,6 +1865,133 @@ const UserProfile = ({ onClose }) => {
                 )}
               </div>
 
+              {/* Security Policy Section */}
+              <div className="admin-subsection">
+                <div className="subsection-header" onClick={() => toggleSection('securityPolicy')}>
+                  <h4>🛡️ Security Policy</h4>
+                  <span className="toggle-icon">{collapsedSections.securityPolicy ? '▶' : '▼'}</span>
+                </div>
+                {!collapsedSections.securityPolicy && securityPolicy && (
+                  <div className="subsection-content">
+                    <div className="privacy-item">
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={securityPolicy.requireAdminTwoFactor}
+                          onChange={handleToggleAdminTwoFactor}
+                          disabled={adminLoading}
+                        />
+                        Require two-factor authentication for admin accounts
+                      </label>
+                    </div>
+
+                    {policyDraft && (
+                      <div className="password-policy-form">
+                        <h5>Password Policy</h5>
+                        <div className="password-policy-grid">
+                          <label>
+                            Minimum length
+                            <input type="number" name="minLength" min="8" max="128"
+                              value={policyDraft.minLength} onChange={handlePolicyDraftChange} />
+                          </label>
+                          <label>
+                            Character classes needed (of 4)
+                            <input type="number" name="minCharacterClasses" min="0" max="4"
+                              value={policyDraft.minCharacterClasses} onChange={handlePolicyDraftChange} />
+                          </label>
+                          <label>
+                            Block reuse of last N passwords (0 = off)
+                            <input type="number" name="historyCount" min="0" max="24"
+                              value={policyDraft.historyCount} onChange={handlePolicyDraftChange} />
+                          </label>
+                          <label>
+                            Maximum age in days (0 = never expires)
+                            <input type="number" name="maxAgeDays" min="0" max="3650"
+                              value={policyDraft.maxAgeDays} onChange={handlePolicyDraftChange} />
+                          </label>
+                        </div>
+                        <div className="privacy-item">
+                          <span>Always require:</span>
+                          {['uppercase', 'lowercase', 'number', 'special'].map(characterClass => (
+                            <label key={characterClass}>
+                              <input
+                                type="checkbox"
+                                checked={policyDraft.requiredClasses.includes(characterClass)}
+                                onChange={() => handleToggleRequiredClass(characterClass)}
+                              />
+                              {characterClass}
+                            </label>
+                          ))}
+                        </div>
+                        <div className="privacy-item">
+                          <label>
+                            <input
+                              type="checkbox"
+                              name="blockCommonPasswords"
+                              checked={policyDraft.blockCommonPasswords}
+                              onChange={handlePolicyDraftChange}
+                            />
+                            Reject common and breached passwords
+                          </label>
+                        </div>
+                        <button 
+                          onClick={handleSavePasswordPolicy}
+                          disabled={adminLoading}
+                          className="btn btn-primary"
+                        >
+                          Save Password Policy
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {/* Membership IDs Section */}
+              <div className="admin-subsection">
+                <div className="subsection-header" onClick={() => toggleSection('membershipIds')}>
+                  <h4>🪪 Membership IDs</h4>
+                  <span className="toggle-icon">{collapsedSections.membershipIds ? '▶' : '▼'}</span>
+                </div>
+                {!collapsedSections.membershipIds && membershipIdSettings && (
+                  <div className="subsection-content">
+                    <div className="password-policy-form">
+                      <label>
+                        Pattern for new membership IDs
+                        <input
+                          type="text"
+                          value={patternDraft}
+                          onChange={(e) => setPatternDraft(e.target.value)}
+                          className="form-input"
+                          maxLength={60}
+                        />
+                      </label>
+                      <p className="section-note">
+                        Tokens: {'{batch}'} passout batch, {'{year}'} year of assignment, {'{seq}'} number within the
+                        batch or year (3 digits; {'{seq:5}'} for 5). Currently gives IDs like <strong>{membershipIdSettings.example}</strong>.
+                      </p>
+                      <button
+                        onClick={handleSaveMembershipIdPattern}
+                        disabled={adminLoading || !patternDraft.trim() || patternDraft.trim() === membershipIdSettings.pattern}
+                        className="btn btn-primary"
+                      >
+                        Save Pattern
+                      </button>
+                    </div>
+                    <div className="privacy-item">
+                      <span>{membershipIdSettings.missing} member(s) have no membership ID</span>
+                      <button
+                        onClick={handleAssignMembershipIds}
+                        disabled={adminLoading || membershipIdSettings.missing === 0}
+                        className="btn btn-secondary"
+                      >
+                        Assign Missing IDs
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+
               {/* Security Logs Section */}
               <div className="admin-subsection">
                 <div className="subsection-header" onClick={() => toggleSection('securityLogs')}>
@@ -1498,7 +2008,44 @@ const UserProfile = ({ onClose }) => {
                       >
                         {adminLoading ? 'Loading...' : 'View All Logs'}
                       </button>
+                      <button 
+                        onClick={handleLoadThrottledSources}
+                        disabled={adminLoading}
+                        className="btn btn-secondary"
+                      >
+                        View Throttled Sources
+                      </button>
                     </div>
+
+                    {adminData.throttledSources && (
+                      <div className="logs-container">
+                        <h5>Throttled Sign-in Sources</h5>
+                        {adminData.throttledSources.length === 0 ? (
+                          <p className="section-note">No IP addresses or usernames are currently throttled.</p>
+                        ) : (
+                          <div className="logs-list">
+                            {adminData.throttledSources.map(entry => (
+                              <div key={`${entry.scope}:${entry.source}`} className="log-entry failed">
+                                <div className="log-header">
+                                  <span className="log-type">{entry.scope === 'ip' ? 'IP' : 'Username'}</span>
+                                  <span className="log-time">Blocked until {new Date(entry.blockedUntil).toLocaleTimeString()}</span>
+                                  <button 
+                                    onClick={() => handleReleaseThrottle(entry)}
+                                    disabled={adminLoading}
+                                    className="btn btn-sm btn-secondary"
+                                  >
+                                    Lift
+                                  </button>
+                                </div>
+                                <div className="log-details">
+                                  {entry.source} | {entry.failures} failed attempts in the last hour | Last: {new Date(entry.lastFailureAt).toLocaleString()}
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    )}
                     
                     {adminData.securityLogs.length > 0 && (
                       <div className="logs-container">
@@ -0,0 +1,98 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Verify Membership Component
+// =====================================================
+//
+// Public page opened by scanning the QR code on a membership card
+// (/verify/<token>). Partners use it at their events to check that a
+// card is genuine and that the membership is current.
+//
+// Only what is printed on the card (name, membership ID and type) and
+// the membership status are shown; no sign in is needed.
+//
+// Dependencies: React Router, Portal API, MemberDues, Login.css
+// Author: ISMAA Portal Team
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { apiFetch } from '../utils/apiClient';
+import { DUES_STATUS_LABELS, formatDay } from './MemberDues';
+import './Login.css';
+
+/**
+ * Result of checking a scanned membership card
+ */
+const VerifyMembership = () => {
+  const { token } = useParams();
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const verifyCard = async () => {
+      try {
+        const response = await apiFetch(`/verify/${encodeURIComponent(token)}`);
+        const data = await response.json();
+        if (data.success) {
+          setResult(data);
+        } else {
+          setError(data.error);
+        }
+      } catch (err) {
+        setError('Could not check this card. Please check your connection and try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    verifyCard();
+  }, [token]);
+
+  const outcome = !result?.valid ? 'invalid' : result.current ? 'current' : 'not-current';
+
+  return (
+    <div className="login-container">
+      <div className="login-content">
+        <div className="login-form-section">
+          <div className="login-card">
+            <div className="login-header">
+              <h1>🪪 Membership Check</h1>
+              <p>ISMAA Bengaluru membership card verification</p>
+            </div>
+
+            {loading ? (
+              <div className="loading">Checking the card...</div>
+            ) : (
+              <div className={`verify-result verify-${outcome}`}>
+                <div className="verify-headline">
+                  {outcome === 'current' && '✅ Valid and current'}
+                  {outcome === 'not-current' && '⚠️ Valid card, membership not current'}
+                  {outcome === 'invalid' && '❌ Not valid'}
+                </div>
+                <p>{result ? result.message : error}</p>
+
+                {result?.valid && (
+                  <dl className="verify-details">
+                    <dt>Name</dt>
+                    <dd>{result.member.name}</dd>
+                    <dt>Membership ID</dt>
+                    <dd>{result.member.membershipID}</dd>
+                    <dt>Type</dt>
+                    <dd>{result.member.membershipType}</dd>
+                    <dt>Membership</dt>
+                    <dd>
+                      {DUES_STATUS_LABELS[result.membership.status]}
+                      {result.membership.expiresOn && ` · ${result.membership.status === 'lapsed' ? 'ended' : 'valid until'} ${formatDay(result.membership.expiresOn)}`}
+                    </dd>
+                  </dl>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyMembership;
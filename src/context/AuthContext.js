@@ -16,6 +16,8 @@
 // Security Features:
 // - Account lockout protection against brute force attacks
 // - Failed login attempt tracking and logging
+// - Server-issued signed session tokens sent with every API request
+// - Optional TOTP two-factor authentication (mandatory for admins by policy)
 // - Secure session storage with user preferences
 // - Role-based access control (admin/member)
 //
@@ -33,6 +35,7 @@
 // =====================================================
 
 import React, { createContext, useContext, useState, useEffect } from 'react';
+import { apiFetch, SESSION_EXPIRED_EVENT } from '../utils/apiClient';
 
 // Create authentication context for global state management
 const AuthContext = createContext();
@@ -64,6 +67,18 @@ export const AuthProvider = ({ children }) => {
     restoreUserSession();
   }, []);
 
+  // Sign out when the backend rejects the stored session token
+  useEffect(() => {
+    const handleSessionExpired = () => {
+      clearUserSession();
+      setUser(null);
+      setSessionInfo(null);
+    };
+
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
+  }, []);
+
   /**
    * Restore user session from localStorage with validation
    * Includes user settings and preferences restoration
@@ -77,9 +92,9 @@ export const AuthProvider = ({ children }) => {
         const userData = JSON.parse(savedUser);
         const sessionData = JSON.parse(savedSession);
         
-        // Validate session hasn't expired (24 hours)
+        // Validate session token is present and hasn't expired
         const sessionExpiry = new Date(sessionData.expiresAt);
-        if (sessionExpiry > new Date()) {
+        if (sessionData.token && sessionExpiry > new Date()) {
           setUser(userData);
           setSessionInfo(sessionData);
         } else {
@@ -95,16 +110,53 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Persist a completed login returned by the backend
+   * Accepts any response carrying { user, token, expiresAt }
+   */
+  const establishSession = (result) => {
+    // Store user data with settings
+    const userData = {
+      ...result.user,
+      lastLogin: new Date().toISOString()
+    };
+
+    // Session information with the server-issued token
+    const sessionData = {
+      token: result.token,
+      loginTime: new Date().toISOString(),
+      expiresAt: result.expiresAt
+    };
+
+    // Persist authentication state
+    setUser(userData);
+    setSessionInfo(sessionData);
+    localStorage.setItem('ismaa_user', JSON.stringify(userData));
+    localStorage.setItem('ismaa_session', JSON.stringify(sessionData));
+
+    // Apply user theme preference immediately
+    if (userData.settings?.theme) {
+      document.documentElement.setAttribute('data-theme', userData.settings.theme);
+    }
+
+    return { 
+      success: true, 
+      user: userData,
+      firstLogin: userData.firstLogin 
+    };
+  };
+
   /**
    * Enhanced login function with comprehensive security features
    * Handles first-time login detection and settings synchronization
+   * Returns { twoFactorRequired, twoFactorStep, challengeToken } when a second step is needed
    */
   const login = async (username, password) => {
     try {
       setLoading(true);
 
       // Call enhanced authentication API
-      const response = await fetch('http://localhost:3001/auth/login', {
+      const response = await apiFetch('/auth/login', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -114,36 +166,10 @@ export const AuthProvider = ({ children }) => {
 
       const result = await response.json();
 
-      if (result.success) {
-        // Store user data with settings
-        const userData = {
-          ...result.user,
-          lastLogin: new Date().toISOString()
-        };
-
-        // Create session information
-        const sessionData = {
-          loginTime: new Date().toISOString(),
-          expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(), // 24 hours
-          sessionId: generateSessionId()
-        };
-
-        // Persist authentication state
-        setUser(userData);
-        setSessionInfo(sessionData);
-        localStorage.setItem('ismaa_user', JSON.stringify(userData));
-        localStorage.setItem('ismaa_session', JSON.stringify(sessionData));
-
-        // Apply user theme preference immediately
-        if (userData.settings?.theme) {
-          document.documentElement.setAttribute('data-theme', userData.settings.theme);
-        }
-
-        return { 
-          success: true, 
-          user: userData,
-          firstLogin: userData.firstLogin 
-        };
+      if (result.twoFactorRequired) {
+        return result; // Login component continues with the second step
+      } else if (result.success) {
+        return establishSession(result);
       } else {
         return result; // Return error from API
       }
@@ -158,15 +184,206 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Complete a two-factor login with an authenticator code or a recovery code
+   */
+  const verifyTwoFactor = async (challengeToken, { code, recoveryCode }) => {
+    try {
+      const response = await apiFetch('/auth/2fa/verify', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ challengeToken, code, recoveryCode }),
+      });
+
+      const result = await response.json();
+      return result.success ? establishSession(result) : result;
+    } catch (error) {
+      console.error('Two-factor verification error:', error);
+      return { 
+        success: false, 
+        error: 'Verification failed. Please check your connection and try again.' 
+      };
+    }
+  };
+
+  /**
+   * Start authenticator enrolment for the signed-in user, or mid-login with a challenge token
+   */
+  const startTwoFactorEnrolment = async (challengeToken = null) => {
+    try {
+      const response = await apiFetch('/auth/2fa/enrol/start', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ challengeToken }),
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Two-factor enrolment error:', error);
+      return { success: false, error: 'Failed to start two-factor setup' };
+    }
+  };
+
+  /**
+   * Confirm authenticator enrolment with a first code
+   * Mid-login the response also carries a session; the caller passes it to
+   * establishSession once the user has saved their recovery codes
+   */
+  const confirmTwoFactorEnrolment = async (code, challengeToken = null) => {
+    try {
+      const response = await apiFetch('/auth/2fa/enrol/confirm', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ code, challengeToken }),
+      });
+
+      const result = await response.json();
+      if (result.success && !challengeToken) {
+        updateStoredUser({ twoFactorEnabled: true });
+      }
+      return result;
+    } catch (error) {
+      console.error('Two-factor confirmation error:', error);
+      return { success: false, error: 'Failed to confirm two-factor setup' };
+    }
+  };
+
+  /**
+   * Get two-factor status for the signed-in user
+   */
+  const getTwoFactorStatus = async () => {
+    try {
+      const response = await apiFetch('/auth/2fa/status');
+      return await response.json();
+    } catch (error) {
+      console.error('Two-factor status error:', error);
+      return null;
+    }
+  };
+
+  /**
+   * List the signed-in user's active sessions (the current one is flagged)
+   */
+  const getSessions = async () => {
+    try {
+      const response = await apiFetch('/auth/sessions');
+      return response.ok ? await response.json() : [];
+    } catch (error) {
+      console.error('Sessions fetch error:', error);
+      return [];
+    }
+  };
+
+  /**
+   * Revoke one of the signed-in user's sessions
+   */
+  const revokeSession = async (sessionId) => {
+    try {
+      const response = await apiFetch(`/auth/sessions/${sessionId}`, { method: 'DELETE' });
+      return await response.json();
+    } catch (error) {
+      console.error('Session revoke error:', error);
+      return { success: false, error: 'Failed to revoke session' };
+    }
+  };
+
+  /**
+   * Sign out of every device, then clear this browser's session
+   */
+  const logoutEverywhere = async () => {
+    try {
+      const response = await apiFetch('/auth/logout-everywhere', { method: 'POST' });
+      const result = await response.json();
+
+      if (result.success) {
+        clearUserSession();
+        setUser(null);
+        setSessionInfo(null);
+        document.documentElement.setAttribute('data-theme', 'dark');
+      }
+      return result;
+    } catch (error) {
+      console.error('Logout everywhere error:', error);
+      return { success: false, error: 'Failed to sign out of other devices' };
+    }
+  };
+
+  /**
+   * Disable two-factor authentication (requires a current code or recovery code)
+   */
+  const disableTwoFactor = async ({ code, recoveryCode }) => {
+    try {
+      const response = await apiFetch('/auth/2fa/disable', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ code, recoveryCode }),
+      });
+
+      const result = await response.json();
+      if (result.success) {
+        updateStoredUser({ twoFactorEnabled: false });
+      }
+      return result;
+    } catch (error) {
+      console.error('Two-factor disable error:', error);
+      return { success: false, error: 'Failed to disable two-factor authentication' };
+    }
+  };
+
+  /**
+   * Replace recovery codes (requires a current authenticator code)
+   */
+  const regenerateRecoveryCodes = async (code) => {
+    try {
+      const response = await apiFetch('/auth/2fa/recovery-codes', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ code }),
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Recovery code regeneration error:', error);
+      return { success: false, error: 'Failed to regenerate recovery codes' };
+    }
+  };
+
+  /**
+   * Merge changes into the stored user without a new login
+   */
+  const updateStoredUser = (changes) => {
+    setUser(prev => {
+      const updated = { ...prev, ...changes };
+      localStorage.setItem('ismaa_user', JSON.stringify(updated));
+      return updated;
+    });
+  };
+
   /**
    * Secure logout with session cleanup
-   * Clears all stored authentication data
+   * Revokes the session on the server and clears all stored authentication data
    */
   const logout = () => {
     console.log('🚪 Logout called - clearing session...');
     console.log('Before logout - user:', user);
     console.log('Before logout - sessionInfo:', sessionInfo);
     
+    // apiFetch reads the token before the request goes out, so local cleanup can continue
+    if (sessionInfo?.token) {
+      apiFetch('/auth/logout', { method: 'POST' })
+        .catch(error => console.error('Server logout error:', error));
+    }
+
     clearUserSession();
     setUser(null);
     setSessionInfo(null);
@@ -188,13 +405,12 @@ export const AuthProvider = ({ children }) => {
         throw new Error('User not authenticated');
       }
 
-      const response = await fetch('http://localhost:3001/auth/change-password', {
+      const response = await apiFetch('/auth/change-password', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          userId: user.id,
           currentPassword,
           newPassword
         }),
@@ -206,7 +422,9 @@ export const AuthProvider = ({ children }) => {
         // Update user state to reflect password change
         const updatedUser = {
           ...user,
-          firstLogin: false // No longer first login after password change
+          firstLogin: false, // No longer first login after password change
+          passwordExpired: false,
+          passwordChangeRequired: false
         };
         
         setUser(updatedUser);
@@ -232,13 +450,12 @@ export const AuthProvider = ({ children }) => {
         throw new Error('User not authenticated');
       }
 
-      const response = await fetch('http://localhost:3001/auth/change-username', {
+      const response = await apiFetch('/auth/change-username', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          userId: user.id,
           newUsername
         }),
       });
@@ -276,7 +493,7 @@ export const AuthProvider = ({ children }) => {
         throw new Error('User not authenticated');
       }
 
-      const response = await fetch(`http://localhost:3001/auth/settings/${user.id}`, {
+      const response = await apiFetch(`/auth/settings/${user.id}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
@@ -324,7 +541,7 @@ export const AuthProvider = ({ children }) => {
         throw new Error('User not authenticated');
       }
 
-      const response = await fetch(`http://localhost:3001/auth/profile/${user.id}`, {
+      const response = await apiFetch(`/auth/profile/${user.id}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
@@ -355,6 +572,50 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Get the privacy settings other members see the profile through
+   */
+  const getPrivacySettings = async () => {
+    try {
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const response = await apiFetch(`/privacy/${user.id}`);
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      console.error('Privacy settings fetch error:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Update profile visibility and the hidden profile fields
+   */
+  const updatePrivacySettings = async (privacySettings) => {
+    try {
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const response = await apiFetch(`/privacy/${user.id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(privacySettings),
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Privacy settings update error:', error);
+      return {
+        success: false,
+        error: 'Privacy settings update failed. Please try again.'
+      };
+    }
+  };
+
   /**
    * Check if username is available
    */
@@ -363,7 +624,7 @@ export const AuthProvider = ({ children }) => {
       const excludeUserId = user ? user.id : null;
       const queryParam = excludeUserId ? `?excludeUserId=${excludeUserId}` : '';
       
-      const response = await fetch(`http://localhost:3001/auth/check-username/${username}${queryParam}`);
+      const response = await apiFetch(`/auth/check-username/${username}${queryParam}`);
       const result = await response.json();
       
       return result.available;
@@ -381,7 +642,7 @@ export const AuthProvider = ({ children }) => {
       const excludeUserId = user ? user.id : null;
       const queryParam = excludeUserId ? `?excludeUserId=${excludeUserId}` : '';
       
-      const response = await fetch(`http://localhost:3001/auth/check-email/${email}${queryParam}`);
+      const response = await apiFetch(`/auth/check-email/${email}${queryParam}`);
       const result = await response.json();
       
       return result.available;
@@ -400,13 +661,12 @@ export const AuthProvider = ({ children }) => {
         throw new Error('Admin privileges required');
       }
 
-      const response = await fetch('http://localhost:3001/admin/reset-password', {
+      const response = await apiFetch('/admin/reset-password', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          adminId: user.id,
           targetUserId,
           newPassword
         }),
@@ -423,102 +683,890 @@ export const AuthProvider = ({ children }) => {
   };
 
   /**
-   * Admin function to get all users
+   * Admin function to email a user an expiring link to choose their own password
    */
-  const getAllUsers = async () => {
+  const adminSendSetupLink = async (targetUserId) => {
     try {
       if (!user || user.role !== 'admin') {
         throw new Error('Admin privileges required');
       }
 
-      const response = await fetch(`http://localhost:3001/admin/users/${user.id}`, {
-        method: 'GET',
+      const response = await apiFetch('/admin/send-setup-link', {
+        method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
+        body: JSON.stringify({ targetUserId }),
       });
 
-      const users = await response.json();
-      return { success: true, users };
+      return await response.json();
     } catch (error) {
-      console.error('Get all users error:', error);
+      console.error('Admin setup link error:', error);
       return { 
         success: false, 
-        error: 'Failed to retrieve users. Please try again.' 
+        error: 'Failed to send setup link. Please try again.' 
       };
     }
   };
 
   /**
-   * Admin function to get security logs
+   * Admin function to reset a user's two-factor authentication
    */
-  const getSecurityLogs = async (targetUserId = null, limit = 50) => {
+  const adminResetTwoFactor = async (targetUserId) => {
     try {
-      if (!user || user.role !== 'admin') {
-        throw new Error('Admin privileges required');
-      }
+      const response = await apiFetch('/admin/reset-2fa', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ targetUserId }),
+      });
 
-      let url = `http://localhost:3001/admin/security-log/${user.id}`;
-      const params = new URLSearchParams();
-      if (targetUserId) params.append('targetUserId', targetUserId);
-      if (limit) params.append('limit', limit);
-      if (params.toString()) url += '?' + params.toString();
+      return await response.json();
+    } catch (error) {
+      console.error('Admin two-factor reset error:', error);
+      return { success: false, error: 'Failed to reset two-factor authentication' };
+    }
+  };
 
-      const response = await fetch(url, {
-        method: 'GET',
+  /**
+   * Admin function to sign a user out of every device
+   */
+  const adminForceLogout = async (targetUserId) => {
+    try {
+      const response = await apiFetch('/admin/force-logout', {
+        method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
+        body: JSON.stringify({ targetUserId }),
       });
 
-      const logs = await response.json();
-      return { success: true, logs };
+      return await response.json();
     } catch (error) {
-      console.error('Get security logs error:', error);
-      return { 
-        success: false, 
-        error: 'Failed to retrieve security logs. Please try again.' 
-      };
+      console.error('Admin force logout error:', error);
+      return { success: false, error: 'Failed to sign the user out' };
     }
   };
 
   /**
-   * Clear user session data from localStorage
+   * Admin function to read invitation status for every invited member
+   * Returns an object keyed by member ID
    */
-  const clearUserSession = () => {
-    localStorage.removeItem('ismaa_user');
-    localStorage.removeItem('ismaa_session');
+  const getInvitations = async () => {
+    try {
+      const response = await apiFetch('/admin/invitations');
+      return response.ok ? await response.json() : {};
+    } catch (error) {
+      console.error('Invitations fetch error:', error);
+      return {};
+    }
   };
 
   /**
-   * Generate unique session ID for tracking
+   * Admin function to invite a member, or resend their invitation with a fresh link
    */
-  const generateSessionId = () => {
-    return Math.random().toString(36).substring(2, 15) + 
-           Math.random().toString(36).substring(2, 15);
+  const sendInvitation = async (memberId) => {
+    try {
+      const response = await apiFetch(`/members/${memberId}/invitation`, {
+        method: 'POST',
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Send invitation error:', error);
+      return { success: false, error: 'Failed to send invitation' };
+    }
   };
 
   /**
-   * Check if user is authenticated - computed property
+   * Admin function to revoke a member's pending invitation
    */
-  const isAuthenticated = user !== null && sessionInfo !== null;
+  const revokeInvitation = async (memberId) => {
+    try {
+      const response = await apiFetch(`/members/${memberId}/invitation`, {
+        method: 'DELETE',
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Revoke invitation error:', error);
+      return { success: false, error: 'Failed to revoke invitation' };
+    }
+  };
 
   /**
-   * Check if user is admin
+   * Admin function to import members from a CSV or Excel file
+   * With dryRun (the default) nothing is saved and the per-row validation preview is returned
    */
-  const isAdmin = () => {
-    return user?.role === 'admin';
+  const importMembers = async ({ file, mapping = null, dryRun = true, skipInvalid = false, accountMode = 'none' }) => {
+    try {
+      const response = await apiFetch('/members/import', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ file, mapping, dryRun, skipInvalid, accountMode }),
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Member import error:', error);
+      return { success: false, error: 'Failed to import members' };
+    }
   };
 
   /**
-   * Check if this is user's first login
+   * Admin function to read a member's change history (newest first, with field-level changes)
    */
-  const isFirstLogin = () => {
-    return user?.firstLogin === true;
+  const getMemberHistory = async (memberId) => {
+    try {
+      const response = await apiFetch(`/members/${memberId}/history`);
+      return response.ok ? await response.json() : [];
+    } catch (error) {
+      console.error('Member history fetch error:', error);
+      return [];
+    }
   };
 
-  // Context value with all authentication functions and state
-  const value = {
+  /**
+   * Admin function to restore the member profile a revision left behind
+   */
+  const restoreMemberRevision = async (memberId, revisionId) => {
+    try {
+      const response = await apiFetch(`/members/${memberId}/history/${revisionId}/restore`, {
+        method: 'POST',
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Member restore error:', error);
+      return { success: false, error: 'Failed to restore this version' };
+    }
+  };
+
+  /**
+   * Admin function to list likely duplicate members, highest score first
+   * Returns [{ score, reasons, members: [profile, profile] }]
+   */
+  const getDuplicateMembers = async () => {
+    try {
+      const response = await apiFetch('/members/duplicates');
+      return response.ok ? (await response.json()).candidates : [];
+    } catch (error) {
+      console.error('Duplicate members fetch error:', error);
+      return [];
+    }
+  };
+
+  /**
+   * Admin function to merge a duplicate member into the surviving one
+   * choices maps profile fields to 'survivor' or 'duplicate'; skills are combined
+   */
+  const mergeMembers = async (survivorId, duplicateId, choices) => {
+    try {
+      const response = await apiFetch(`/members/${survivorId}/merge`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ duplicateId, choices }),
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Member merge error:', error);
+      return { success: false, error: 'Failed to merge members' };
+    }
+  };
+
+  /**
+   * Get a member's employment history, current positions first
+   */
+  const getMemberPositions = async (memberId) => {
+    try {
+      const response = await apiFetch(`/members/${memberId}/positions`);
+      return response.ok ? await response.json() : [];
+    } catch (error) {
+      console.error('Employment history fetch error:', error);
+      return [];
+    }
+  };
+
+  /**
+   * Add, edit or delete a position in a member's employment history (admin or the member)
+   * Returns { success, positions, company, industry } - the member's current company and industry follow their current position
+   */
+  const saveMemberPosition = async (memberId, method, path, body) => {
+    try {
+      const response = await apiFetch(`/members/${memberId}/positions${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Employment history update error:', error);
+      return { success: false, error: 'Failed to update employment history' };
+    }
+  };
+
+  const addMemberPosition = (memberId, position) => saveMemberPosition(memberId, 'POST', '', position);
+  const updateMemberPosition = (memberId, positionId, position) => saveMemberPosition(memberId, 'PUT', `/${positionId}`, position);
+  const deleteMemberPosition = (memberId, positionId) => saveMemberPosition(memberId, 'DELETE', `/${positionId}`);
+
+  /**
+   * Admin function to read the recycle bin (deleted members, accounts, blogs and notices)
+   * Returns { items, purgeAfterDays }
+   */
+  const getRecycleBin = async (type = null) => {
+    try {
+      const response = await apiFetch(`/admin/recycle-bin${type ? `?type=${encodeURIComponent(type)}` : ''}`);
+      return response.ok ? await response.json() : { items: [], purgeAfterDays: null };
+    } catch (error) {
+      console.error('Recycle bin fetch error:', error);
+      return { items: [], purgeAfterDays: null };
+    }
+  };
+
+  /**
+   * Admin function to restore an item from the recycle bin
+   */
+  const restoreFromRecycleBin = async (type, id) => {
+    try {
+      const response = await apiFetch(`/admin/recycle-bin/${type}/${id}/restore`, {
+        method: 'POST',
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Recycle bin restore error:', error);
+      return { success: false, error: 'Failed to restore item' };
+    }
+  };
+
+  /**
+   * Admin function to permanently delete an item in the recycle bin
+   */
+  const purgeFromRecycleBin = async (type, id) => {
+    try {
+      const response = await apiFetch(`/admin/recycle-bin/${type}/${id}`, {
+        method: 'DELETE',
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Recycle bin purge error:', error);
+      return { success: false, error: 'Failed to delete item permanently' };
+    }
+  };
+
+  /**
+   * Admin function to set how many days deleted items stay in the recycle bin (0 = until purged by hand)
+   */
+  const updateRecycleBinRetention = async (purgeAfterDays) => {
+    try {
+      const response = await apiFetch('/admin/settings/recycle-bin', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ purgeAfterDays }),
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Recycle bin settings error:', error);
+      return { success: false, error: 'Failed to update the retention period' };
+    }
+  };
+
+  /**
+   * Membership plans members can pay for; admins can include plans no longer offered
+   */
+  const getMembershipPlans = async (includeInactive = false) => {
+    try {
+      const response = await apiFetch(`/membership-plans${includeInactive ? '?all=true' : ''}`);
+      return response.ok ? await response.json() : [];
+    } catch (error) {
+      console.error('Membership plans fetch error:', error);
+      return [];
+    }
+  };
+
+  /**
+   * Send a membership dues change and return the server's { success, ... } reply
+   */
+  const sendDuesRequest = async (path, method, body, failure) => {
+    try {
+      const response = await apiFetch(path, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body || {}),
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Membership dues error:', error);
+      return { success: false, error: failure };
+    }
+  };
+
+  // Admin functions to create a plan (planId null) or edit one
+  const saveMembershipPlan = (planId, plan) => sendDuesRequest(
+    planId ? `/membership-plans/${planId}` : '/membership-plans', planId ? 'PUT' : 'POST', plan, 'Failed to save the plan'
+  );
+
+  /**
+   * Membership status and payments of a member (admin or the member), or null
+   */
+  const getMemberDues = async (memberId) => {
+    try {
+      const response = await apiFetch(`/members/${memberId}/dues`);
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      console.error('Membership dues fetch error:', error);
+      return null;
+    }
+  };
+
+  // Admin function to record a payment received outside the portal
+  const recordDuesPayment = (memberId, payment) => sendDuesRequest(
+    `/members/${memberId}/payments`, 'POST', payment, 'Failed to record the payment'
+  );
+
+  // Start paying a plan online; returns { success, payment, checkoutUrl }
+  const startDuesCheckout = (memberId, planId) => sendDuesRequest(
+    `/members/${memberId}/payments/checkout`, 'POST', { planId }, 'Failed to start the payment'
+  );
+
+  // Check an online payment after returning from checkout
+  const confirmDuesPayment = (memberId, paymentId) => sendDuesRequest(
+    `/members/${memberId}/payments/${paymentId}/confirm`, 'POST', null, 'Failed to check the payment'
+  );
+
+  // Admin function to void a payment recorded by mistake
+  const voidDuesPayment = (memberId, paymentId, reason) => sendDuesRequest(
+    `/members/${memberId}/payments/${paymentId}/void`, 'POST', { reason }, 'Failed to void the payment'
+  );
+
+  /**
+   * Save a file served by the API (receipts, membership cards) through the browser
+   */
+  const downloadFile = async (path, fallbackFilename, failureMessage) => {
+    try {
+      const response = await apiFetch(path);
+      if (!response.ok) {
+        const failure = await response.json();
+        return { success: false, error: failure.details || failure.error || failureMessage };
+      }
+
+      const filename = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '')?.[1] || fallbackFilename;
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+      return { success: true };
+    } catch (error) {
+      console.error('File download error:', error);
+      return { success: false, error: failureMessage };
+    }
+  };
+
+  /**
+   * Download the PDF receipt of a completed payment
+   */
+  const downloadDuesReceipt = (memberId, paymentId) => downloadFile(
+    `/members/${memberId}/payments/${paymentId}/receipt`, 'receipt.pdf', 'Failed to download the receipt'
+  );
+
+  /**
+   * Download a member's membership card ('png' or 'pdf') - admin or the member themselves
+   */
+  const downloadMembershipCard = (memberId, format) => downloadFile(
+    `/members/${memberId}/card?format=${format}`, `membership-card.${format}`, 'Failed to download the membership card'
+  );
+
+  /**
+   * Admin function to read the dues dashboard, or null
+   * Returns { counts, expiringWithinDays, collected, expiring, lapsed, recentPayments }
+   */
+  const getDuesDashboard = async () => {
+    try {
+      const response = await apiFetch('/admin/dues');
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      console.error('Dues dashboard fetch error:', error);
+      return null;
+    }
+  };
+
+  // Admin function to change how many days before its end a membership counts as expiring
+  const updateDuesSettings = (expiringWithinDays) => sendDuesRequest(
+    '/admin/settings/dues', 'PUT', { expiringWithinDays }, 'Failed to update the dues settings'
+  );
+
+  /**
+   * Upcoming or past events ('upcoming' or 'past'), each with the user's RSVP
+   */
+  const getEvents = async (scope = 'upcoming') => {
+    try {
+      const response = await apiFetch(`/events?scope=${scope}`);
+      return response.ok ? await response.json() : [];
+    } catch (error) {
+      console.error('Events fetch error:', error);
+      return [];
+    }
+  };
+
+  /**
+   * Send an event change and return the server's { success, ... } reply
+   */
+  const sendEventRequest = async (path, method, body, failure) => {
+    try {
+      const response = await apiFetch(path, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body || {}),
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Event request error:', error);
+      return { success: false, error: failure };
+    }
+  };
+
+  // Admin functions to create an event (eventId null) or edit one, and to cancel one
+  const saveEvent = (eventId, event) => sendEventRequest(
+    eventId ? `/events/${eventId}` : '/events', eventId ? 'PUT' : 'POST', event, 'Failed to save the event'
+  );
+
+  const cancelEvent = (eventId) => sendEventRequest(
+    `/events/${eventId}/cancel`, 'POST', null, 'Failed to cancel the event'
+  );
+
+  // RSVP to an event as yourself, or cancel your RSVP
+  const rsvpToEvent = (eventId) => sendEventRequest(
+    `/events/${eventId}/rsvp`, 'POST', null, 'Failed to RSVP'
+  );
+
+  const cancelEventRsvp = (eventId) => sendEventRequest(
+    `/events/${eventId}/rsvp`, 'DELETE', null, 'Failed to cancel your RSVP'
+  );
+
+  /**
+   * Admin function to read an event with everyone who responded, or null
+   * Returns { event, attendees }
+   */
+  const getEventAttendees = async (eventId) => {
+    try {
+      const response = await apiFetch(`/events/${eventId}/attendees`);
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      console.error('Event attendees fetch error:', error);
+      return null;
+    }
+  };
+
+  // Admin function to download the attendee list as CSV
+  const downloadEventAttendees = (eventId) => downloadFile(
+    `/events/${eventId}/attendees?format=csv`, 'attendees.csv', 'Failed to download the attendee list'
+  );
+
+  // Admin function to cancel a member's RSVP
+  const removeEventAttendee = (eventId, memberId) => sendEventRequest(
+    `/events/${eventId}/attendees/${memberId}`, 'DELETE', null, 'Failed to remove the attendee'
+  );
+
+  // Admin function to check a member in by { code } (scanned card QR) or { memberId }, optionally as a walk-in
+  const checkInToEvent = (eventId, entry) => sendEventRequest(
+    `/events/${eventId}/check-in`, 'POST', entry, 'Failed to check the member in'
+  );
+
+  /**
+   * Events a member responded to (admin or the member), or null
+   * Returns { attended, events }
+   */
+  const getMemberAttendance = async (memberId) => {
+    try {
+      const response = await apiFetch(`/members/${memberId}/events`);
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      console.error('Event attendance fetch error:', error);
+      return null;
+    }
+  };
+
+  // Download one event as an iCalendar (.ics) file
+  const downloadEventCalendar = (eventId) => downloadFile(
+    `/events/${eventId}/calendar`, 'event.ics', 'Failed to download the calendar file'
+  );
+
+  /**
+   * The current user's calendar feed link status, or null
+   * Returns { subscribed, createdAt, chapterFeedPath }
+   */
+  const getCalendarFeed = async () => {
+    try {
+      const response = await apiFetch('/auth/calendar-feed');
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      console.error('Calendar feed fetch error:', error);
+      return null;
+    }
+  };
+
+  // Create a personal calendar feed link (replacing any earlier one); the result's feedPath is only returned here
+  const createCalendarFeed = () => sendEventRequest(
+    '/auth/calendar-feed', 'POST', null, 'Failed to create a calendar feed link'
+  );
+
+  const disableCalendarFeed = () => sendEventRequest(
+    '/auth/calendar-feed', 'DELETE', null, 'Failed to turn off the calendar feed link'
+  );
+
+  /**
+   * Admin function to read membership applications
+   * status: 'open' (pending and awaiting information), 'all', or a single status
+   */
+  const getApplications = async (status = 'open') => {
+    try {
+      const response = await apiFetch(`/admin/applications?status=${encodeURIComponent(status)}`);
+      return response.ok ? await response.json() : [];
+    } catch (error) {
+      console.error('Applications fetch error:', error);
+      return [];
+    }
+  };
+
+  /**
+   * Admin function to approve an application, creating the member and their account
+   * Returns requiresConfirmation with the matching members when the applicant may be a duplicate
+   */
+  const approveApplication = async (applicationId, confirmDuplicate = false) => {
+    try {
+      const response = await apiFetch(`/admin/applications/${applicationId}/approve`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ confirmDuplicate }),
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Approve application error:', error);
+      return { success: false, error: 'Failed to approve application' };
+    }
+  };
+
+  /**
+   * Admin function to reject an application; the reason is emailed to the applicant
+   */
+  const rejectApplication = async (applicationId, reason) => {
+    try {
+      const response = await apiFetch(`/admin/applications/${applicationId}/reject`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ reason }),
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Reject application error:', error);
+      return { success: false, error: 'Failed to reject application' };
+    }
+  };
+
+  /**
+   * Admin function to ask an applicant for more information via an emailed update link
+   */
+  const requestApplicationInfo = async (applicationId, message) => {
+    try {
+      const response = await apiFetch(`/admin/applications/${applicationId}/request-info`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ message }),
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Request application info error:', error);
+      return { success: false, error: 'Failed to request information' };
+    }
+  };
+
+  /**
+   * Admin function to read the security policy
+   */
+  const getSecurityPolicy = async () => {
+    try {
+      const response = await apiFetch('/admin/settings/security');
+      return await response.json();
+    } catch (error) {
+      console.error('Security policy error:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Admin function to update the security policy
+   */
+  const updateSecurityPolicy = async (policy) => {
+    try {
+      const response = await apiFetch('/admin/settings/security', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(policy),
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Security policy update error:', error);
+      return { success: false, error: 'Failed to update security policy' };
+    }
+  };
+
+  /**
+   * Current password policy (public endpoint, also used by the reset page)
+   */
+  const getPasswordPolicy = async () => {
+    try {
+      const response = await apiFetch('/auth/password-policy');
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      console.error('Password policy error:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Admin function to update the password policy (any subset of its fields)
+   */
+  const updatePasswordPolicy = async (changes) => {
+    try {
+      const response = await apiFetch('/admin/settings/password-policy', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(changes),
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Password policy update error:', error);
+      return { success: false, error: 'Failed to update password policy' };
+    }
+  };
+
+  /**
+   * Admin function to read the membership ID pattern
+   * Returns { pattern, example, missing } - missing is the number of members without an ID
+   */
+  const getMembershipIdSettings = async () => {
+    try {
+      const response = await apiFetch('/admin/settings/membership-ids');
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      console.error('Membership ID settings error:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Admin function to change the pattern of new membership IDs
+   */
+  const updateMembershipIdPattern = async (pattern) => {
+    try {
+      const response = await apiFetch('/admin/settings/membership-ids', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ pattern }),
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Membership ID pattern update error:', error);
+      return { success: false, error: 'Failed to update the membership ID pattern' };
+    }
+  };
+
+  /**
+   * Admin function to give every member without a membership ID the next one
+   * Returns { success, assigned, skipped, message }
+   */
+  const assignMissingMembershipIds = async () => {
+    try {
+      const response = await apiFetch('/admin/membership-ids/assign', {
+        method: 'POST',
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Membership ID assignment error:', error);
+      return { success: false, error: 'Failed to assign membership IDs' };
+    }
+  };
+
+  /**
+   * Admin function to get all users
+   */
+  const getAllUsers = async () => {
+    try {
+      if (!user || user.role !== 'admin') {
+        throw new Error('Admin privileges required');
+      }
+
+      const response = await apiFetch('/admin/users', {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+
+      const users = await response.json();
+      return { success: true, users };
+    } catch (error) {
+      console.error('Get all users error:', error);
+      return { 
+        success: false, 
+        error: 'Failed to retrieve users. Please try again.' 
+      };
+    }
+  };
+
+  /**
+   * Admin function to get security logs
+   */
+  const getSecurityLogs = async (targetUserId = null, limit = 50) => {
+    try {
+      if (!user || user.role !== 'admin') {
+        throw new Error('Admin privileges required');
+      }
+
+      let url = '/admin/security-log';
+      const params = new URLSearchParams();
+      if (targetUserId) params.append('targetUserId', targetUserId);
+      if (limit) params.append('limit', limit);
+      if (params.toString()) url += '?' + params.toString();
+
+      const response = await apiFetch(url, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+
+      const logs = await response.json();
+      return { success: true, logs };
+    } catch (error) {
+      console.error('Get security logs error:', error);
+      return { 
+        success: false, 
+        error: 'Failed to retrieve security logs. Please try again.' 
+      };
+    }
+  };
+
+  /**
+   * Admin function to list sign-in sources currently refused by throttling
+   */
+  const getThrottledSources = async () => {
+    try {
+      const response = await apiFetch('/admin/login-throttle');
+      const sources = await response.json();
+      return response.ok ? { success: true, sources } : { success: false, error: sources.error };
+    } catch (error) {
+      console.error('Get throttled sources error:', error);
+      return { success: false, error: 'Failed to retrieve throttled sources' };
+    }
+  };
+
+  /**
+   * Admin function to lift throttling for an IP address or username
+   */
+  const releaseThrottledSource = async (scope, source) => {
+    try {
+      const response = await apiFetch('/admin/login-throttle/release', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ scope, source }),
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Release throttled source error:', error);
+      return { success: false, error: 'Failed to lift throttling' };
+    }
+  };
+
+  /**
+   * Clear user session data from localStorage
+   */
+  const clearUserSession = () => {
+    localStorage.removeItem('ismaa_user');
+    localStorage.removeItem('ismaa_session');
+  };
+
+  /**
+   * Check if user is authenticated - computed property
+   */
+  const isAuthenticated = user !== null && sessionInfo !== null;
+
+  /**
+   * Check if user is admin
+   */
+  const isAdmin = () => {
+    return user?.role === 'admin';
+  };
+
+  /**
+   * Check if this is user's first login
+   */
+  const isFirstLogin = () => {
+    return user?.firstLogin === true;
+  };
+
+  /**
+   * Check if the password is older than the policy's maximum age
+   */
+  const isPasswordExpired = () => {
+    return user?.passwordExpired === true;
+  };
+
+  /**
+   * Check if the user must choose a new password before continuing
+   * The backend refuses every other request until they do
+   */
+  const mustChangePassword = () => {
+    return user?.passwordChangeRequired === true || isFirstLogin() || isPasswordExpired();
+  };
+
+  // Context value with all authentication functions and state
+  const value = {
     // State
     user,
     loading,
@@ -527,26 +1575,101 @@ export const AuthProvider = ({ children }) => {
     // Authentication functions
     login,
     logout,
+    establishSession,
+    verifyTwoFactor,
+    
+    // Two-factor authentication
+    startTwoFactorEnrolment,
+    confirmTwoFactorEnrolment,
+    getTwoFactorStatus,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    
+    // Session management
+    getSessions,
+    revokeSession,
+    logoutEverywhere,
     
     // User management functions
     changePassword,
     changeUsername,
     updateSettings,
     updateProfile,
+    getPrivacySettings,
+    updatePrivacySettings,
     
     // Utility functions
+    getPasswordPolicy,
     checkUsernameAvailability,
     checkEmailAvailability,
     
     // Admin functions
     adminResetPassword,
+    adminSendSetupLink,
+    adminResetTwoFactor,
+    adminForceLogout,
+    getInvitations,
+    sendInvitation,
+    revokeInvitation,
+    importMembers,
+    getMemberHistory,
+    restoreMemberRevision,
+    getDuplicateMembers,
+    mergeMembers,
+    getMemberPositions,
+    addMemberPosition,
+    updateMemberPosition,
+    deleteMemberPosition,
+    getMembershipPlans,
+    saveMembershipPlan,
+    getMemberDues,
+    recordDuesPayment,
+    startDuesCheckout,
+    confirmDuesPayment,
+    voidDuesPayment,
+    downloadDuesReceipt,
+    downloadMembershipCard,
+    getDuesDashboard,
+    updateDuesSettings,
+    getEvents,
+    saveEvent,
+    cancelEvent,
+    rsvpToEvent,
+    cancelEventRsvp,
+    getEventAttendees,
+    downloadEventAttendees,
+    removeEventAttendee,
+    checkInToEvent,
+    getMemberAttendance,
+    downloadEventCalendar,
+    getCalendarFeed,
+    createCalendarFeed,
+    disableCalendarFeed,
+    getRecycleBin,
+    restoreFromRecycleBin,
+    purgeFromRecycleBin,
+    updateRecycleBinRetention,
+    getApplications,
+    approveApplication,
+    rejectApplication,
+    requestApplicationInfo,
+    getSecurityPolicy,
+    updateSecurityPolicy,
+    updatePasswordPolicy,
+    getMembershipIdSettings,
+    updateMembershipIdPattern,
+    assignMissingMembershipIds,
     getAllUsers,
     getSecurityLogs,
+    getThrottledSources,
+    releaseThrottledSource,
     
     // Status checks
     isAuthenticated,
     isAdmin,
-    isFirstLogin
+    isFirstLogin,
+    isPasswordExpired,
+    mustChangePassword
   };
 
   return (
@@ -0,0 +1,512 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Events and RSVPs
+// =====================================================
+//
+// Meetups and other events: date and time, venue, an optional capacity,
+// RSVP deadline and fee (collected at the event). Times are Bengaluru
+// local time, entered and shown as YYYY-MM-DDTHH:MM.
+//
+// - Members RSVP until the deadline (or until the event starts). Once
+//   the event is full, further RSVPs join a waitlist in the order they
+//   came in.
+// - When a place frees up (an RSVP is cancelled, or the capacity is
+//   raised) the first members on the waitlist are promoted; the caller
+//   lets them know. Lowering the capacity never takes a place away.
+// - Organisers check members in at the door by scanning the QR code on
+//   their membership card (see MembershipCards.js) or by name. Members
+//   without a place can be checked in as walk-ins.
+// - Cancelled events keep their RSVPs for the record.
+// - Every change raises the event's sequence number, so calendar apps
+//   subscribed to its feeds pick it up (see EventCalendar.js).
+//
+// Attendee lists, counts and waitlists leave out members in the recycle
+// bin.
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const MembershipDues = require('./MembershipDues');
+const MemberExport = require('./MemberExport');
+
+const EVENT_TIMEZONE = 'Asia/Kolkata';
+const DATETIME_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_CAPACITY = 100000;
+const CURRENCY = 'INR';
+
+// Events with their RSVP counts; RSVPs of members in the recycle bin do not count
+const EVENT_SELECT = `
+    SELECT e.*,
+        COUNT(CASE WHEN r.status = 'going' THEN 1 END) AS going_count,
+        COUNT(CASE WHEN r.status = 'waitlisted' THEN 1 END) AS waitlist_count,
+        COUNT(CASE WHEN r.status = 'going' AND r.checked_in_at IS NOT NULL THEN 1 END) AS checked_in_count
+    FROM events e
+    LEFT JOIN event_rsvps r ON r.event_id = e.id
+        AND r.member_id IN (SELECT id FROM members WHERE deleted_at IS NULL)`;
+
+const ATTENDEE_SELECT = `
+    SELECT r.*, COALESCE(m.legacy_id, m.id) AS member_api_id, m.name, m.email, m.phone,
+           m.passout_batch, m.membership_id
+    FROM event_rsvps r
+    JOIN members m ON m.id = r.member_id AND m.deleted_at IS NULL`;
+
+class AlumniEvents {
+    constructor(database, cards) {
+        this.db = database;
+        this.cards = cards; // MembershipCards, to read scanned membership cards
+    }
+
+    /**
+     * Current Bengaluru local time, in the format events are stored in
+     */
+    static now() {
+        return new Date().toLocaleString('sv-SE', { timeZone: EVENT_TIMEZONE }).replace(' ', 'T').slice(0, 16);
+    }
+
+    static parseDateTime(value, label, required = false) {
+        const text = typeof value === 'string' ? value.trim() : '';
+        if (!text) {
+            if (required) throw new Error(`${label} is required`);
+            return null;
+        }
+        if (!DATETIME_PATTERN.test(text) || Number.isNaN(Date.parse(`${text}:00Z`))) {
+            throw new Error(`${label} must be a date and time (YYYY-MM-DDTHH:MM)`);
+        }
+        return text;
+    }
+
+    /**
+     * Check the fields of an event; throws with a client-facing message when invalid
+     */
+    static parseEvent(data = {}) {
+        const title = typeof data.title === 'string' ? data.title.trim() : '';
+        if (!title || title.length > 200) {
+            throw new Error('Title must be 1 to 200 characters long');
+        }
+        const venue = typeof data.venue === 'string' ? data.venue.trim() : '';
+        if (!venue || venue.length > 300) {
+            throw new Error('Venue must be 1 to 300 characters long');
+        }
+        const description = typeof data.description === 'string' ? data.description.trim() : '';
+        if (description.length > 5000) {
+            throw new Error('Description must be at most 5000 characters');
+        }
+
+        const startsAt = AlumniEvents.parseDateTime(data.startsAt, 'Start', true);
+        const endsAt = AlumniEvents.parseDateTime(data.endsAt, 'End');
+        if (endsAt && endsAt <= startsAt) {
+            throw new Error('The event must end after it starts');
+        }
+        const rsvpDeadline = AlumniEvents.parseDateTime(data.rsvpDeadline, 'RSVP deadline');
+        if (rsvpDeadline && rsvpDeadline > startsAt) {
+            throw new Error('The RSVP deadline must not be after the event starts');
+        }
+
+        let capacity = null; // No limit
+        if (data.capacity !== null && data.capacity !== undefined && data.capacity !== '') {
+            capacity = Number(data.capacity);
+            if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_CAPACITY) {
+                throw new Error(`Capacity must be a whole number between 1 and ${MAX_CAPACITY}, or empty for no limit`);
+            }
+        }
+
+        const fee = data.fee === null || data.fee === undefined || data.fee === '' ? 0 : MembershipDues.toPaise(data.fee, 'Fee');
+        return { title, venue, description: description || null, startsAt, endsAt, rsvpDeadline, capacity, fee };
+    }
+
+    /**
+     * Event time for emails, e.g. "19 Oct 2026, 6:30 pm"
+     */
+    static describeTime(dateTime) {
+        return new Date(`${dateTime}:00Z`).toLocaleString('en-IN', { timeZone: 'UTC', dateStyle: 'medium', timeStyle: 'short' });
+    }
+
+    /**
+     * Start date and title for file names, e.g. "2026-10-19-annual-meetup"
+     */
+    static fileSlug(startsAt, title) {
+        const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'event';
+        return `${startsAt.slice(0, 10)}-${slug}`;
+    }
+
+    static rsvpOpen(row, now = AlumniEvents.now()) {
+        return row.status === 'scheduled' && now < row.starts_at && (!row.rsvp_deadline || now <= row.rsvp_deadline);
+    }
+
+    static formatEvent(row) {
+        return {
+            id: row.id,
+            title: row.title,
+            description: row.description,
+            venue: row.venue,
+            startsAt: row.starts_at,
+            endsAt: row.ends_at,
+            rsvpDeadline: row.rsvp_deadline,
+            capacity: row.capacity,
+            fee: MembershipDues.fromPaise(row.fee),
+            currency: CURRENCY,
+            status: row.status,
+            goingCount: row.going_count,
+            waitlistCount: row.waitlist_count,
+            checkedInCount: row.checked_in_count,
+            spotsLeft: row.capacity === null ? null : Math.max(row.capacity - row.going_count, 0),
+            rsvpOpen: AlumniEvents.rsvpOpen(row)
+        };
+    }
+
+    // ===== Events =====
+
+    eventRow(eventId) {
+        return this.db.prepare(`${EVENT_SELECT} WHERE e.id = ? GROUP BY e.id`).get(eventId) || null;
+    }
+
+    /**
+     * Upcoming events soonest first, or past events most recent first
+     * @param {string} scope - 'upcoming' (default) or 'past'
+     * @param {number|null} memberId - members.id of the viewer, to include their RSVP
+     */
+    listEvents(scope = 'upcoming', memberId = null) {
+        const past = scope === 'past';
+        return this.db.prepare(`
+            ${EVENT_SELECT}
+            WHERE COALESCE(e.ends_at, e.starts_at) ${past ? '<' : '>='} ?
+            GROUP BY e.id
+            ORDER BY e.starts_at ${past ? 'DESC' : 'ASC'}, e.id
+        `).all(AlumniEvents.now()).map(row => ({ ...AlumniEvents.formatEvent(row), myRsvp: this.rsvpOf(row.id, memberId) }));
+    }
+
+    /**
+     * One event, with the viewer's RSVP
+     * @returns {Object|null} Null when there is no such event
+     */
+    getEvent(eventId, memberId = null) {
+        const row = this.eventRow(eventId);
+        return row && { ...AlumniEvents.formatEvent(row), myRsvp: this.rsvpOf(row.id, memberId) };
+    }
+
+    /**
+     * Create an event, or replace the fields of an existing one
+     * @param {number|null} eventId - Event to update, or null to create one
+     * @returns {Object|null} { event, promoted } - null when the event to update does not exist;
+     *   promoted lists the members moved off the waitlist by a higher capacity
+     */
+    saveEvent(eventId, data, actorId = null) {
+        const event = AlumniEvents.parseEvent(data);
+        const now = new Date().toISOString();
+
+        return this.db.transaction(() => {
+            if (eventId === null) {
+                eventId = this.db.prepare(`
+                    INSERT INTO events (title, description, venue, starts_at, ends_at, rsvp_deadline, capacity, fee,
+                                        created_by, created_at, updated_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `).run(event.title, event.description, event.venue, event.startsAt, event.endsAt, event.rsvpDeadline,
+                    event.capacity, event.fee, actorId, now, now).lastInsertRowid;
+            } else if (this.db.prepare(`
+                UPDATE events SET title = ?, description = ?, venue = ?, starts_at = ?, ends_at = ?, rsvp_deadline = ?,
+                                  capacity = ?, fee = ?, sequence = sequence + 1, updated_at = ?
+                WHERE id = ?
+            `).run(event.title, event.description, event.venue, event.startsAt, event.endsAt, event.rsvpDeadline,
+                event.capacity, event.fee, now, eventId).changes === 0) {
+                return null;
+            }
+
+            const promoted = this.promote(eventId);
+            return { event: this.getEvent(eventId), promoted };
+        })();
+    }
+
+    /**
+     * Cancel an event; its RSVPs are kept
+     * @returns {Object|null} { event, attendees } - null when there is no such event; attendees
+     *   lists the members who were going or waitlisted, to let them know
+     */
+    cancelEvent(eventId) {
+        const row = this.eventRow(eventId);
+        if (!row) return null;
+        if (row.status === 'cancelled') {
+            throw new Error('This event has already been cancelled');
+        }
+
+        const now = new Date().toISOString();
+        this.db.prepare("UPDATE events SET status = 'cancelled', cancelled_at = ?, sequence = sequence + 1, updated_at = ? WHERE id = ?").run(now, now, eventId);
+        return {
+            event: this.getEvent(eventId),
+            attendees: this.db.prepare(`${ATTENDEE_SELECT} WHERE r.event_id = ? AND r.status IN ('going', 'waitlisted')`)
+                .all(eventId).map(AlumniEvents.formatContact)
+        };
+    }
+
+    // ===== RSVPs =====
+
+    static formatContact(row) {
+        return { id: row.member_api_id, name: row.name, email: row.email };
+    }
+
+    /**
+     * A member's RSVP to an event, with their place on the waitlist
+     * @returns {Object|null} { status, waitlistPosition, respondedAt, checkedIn } - null when they have not responded
+     */
+    rsvpOf(eventId, memberId) {
+        if (!memberId) return null;
+        const row = this.db.prepare('SELECT * FROM event_rsvps WHERE event_id = ? AND member_id = ?').get(eventId, memberId);
+        if (!row) return null;
+
+        return {
+            status: row.status,
+            waitlistPosition: row.status === 'waitlisted' ? this.waitlistPosition(row) : null,
+            respondedAt: row.responded_at,
+            checkedIn: !!row.checked_in_at
+        };
+    }
+
+    waitlistPosition(row) {
+        return this.db.prepare(`
+            SELECT COUNT(*) AS position FROM event_rsvps r
+            JOIN members m ON m.id = r.member_id AND m.deleted_at IS NULL
+            WHERE r.event_id = ? AND r.status = 'waitlisted' AND (r.responded_at < ? OR (r.responded_at = ? AND r.id <= ?))
+        `).get(row.event_id, row.responded_at, row.responded_at, row.id).position;
+    }
+
+    /**
+     * RSVP a member to an event: a place when there is one, otherwise the waitlist
+     * Responding again while going or waitlisted changes nothing
+     * @param {number} memberId - members.id
+     * @returns {Object|null} The RSVP (see rsvpOf) - null when there is no such event
+     */
+    rsvp(eventId, memberId) {
+        return this.db.transaction(() => {
+            const row = this.eventRow(eventId);
+            if (!row) return null;
+            if (row.status === 'cancelled') {
+                throw new Error('This event has been cancelled');
+            }
+            if (!AlumniEvents.rsvpOpen(row)) {
+                throw new Error(AlumniEvents.now() >= row.starts_at ? 'This event has already started' : 'RSVPs for this event have closed');
+            }
+
+            const current = this.rsvpOf(eventId, memberId);
+            if (current && current.status !== 'cancelled') return current;
+
+            const status = row.capacity === null || row.going_count < row.capacity ? 'going' : 'waitlisted';
+            const now = new Date().toISOString();
+            this.db.prepare(`
+                INSERT INTO event_rsvps (event_id, member_id, status, responded_at, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+                ON CONFLICT(event_id, member_id) DO UPDATE SET
+                    status = excluded.status, responded_at = excluded.responded_at, promoted_at = NULL,
+                    walk_in = 0, checked_in_at = NULL, checked_in_by = NULL, updated_at = excluded.updated_at
+            `).run(eventId, memberId, status, now, now, now);
+            return this.rsvpOf(eventId, memberId);
+        })();
+    }
+
+    /**
+     * Cancel a member's RSVP, giving their place to the waitlist
+     * @param {Object} options - organiser: true lets organisers remove attendees after the event started
+     * @returns {Object|null} { rsvp, promoted } - null when the member has no RSVP to cancel
+     */
+    cancelRsvp(eventId, memberId, { organiser = false } = {}) {
+        return this.db.transaction(() => {
+            const row = this.eventRow(eventId);
+            const current = row && this.rsvpOf(eventId, memberId);
+            if (!current || current.status === 'cancelled') return null;
+            if (!organiser && AlumniEvents.now() >= row.starts_at) {
+                throw new Error('This event has already started');
+            }
+
+            const now = new Date().toISOString();
+            this.db.prepare(`
+                UPDATE event_rsvps SET status = 'cancelled', responded_at = ?, updated_at = ? WHERE event_id = ? AND member_id = ?
+            `).run(now, now, eventId, memberId);
+            return { rsvp: this.rsvpOf(eventId, memberId), promoted: this.promote(eventId) };
+        })();
+    }
+
+    /**
+     * Give free places to the waitlist, first come first served
+     * Nobody is promoted once the event is cancelled or has started
+     * @returns {Array} The promoted members: [{ id, name, email }]
+     */
+    promote(eventId) {
+        const promoted = [];
+        let row = this.eventRow(eventId);
+        const now = new Date().toISOString();
+
+        while (row && row.waitlist_count > 0 && row.status === 'scheduled' && AlumniEvents.now() < row.starts_at
+            && (row.capacity === null || row.going_count < row.capacity)) {
+            const next = this.db.prepare(`${ATTENDEE_SELECT} WHERE r.event_id = ? AND r.status = 'waitlisted' ORDER BY r.responded_at, r.id LIMIT 1`)
+                .get(eventId);
+            this.db.prepare("UPDATE event_rsvps SET status = 'going', promoted_at = ?, updated_at = ? WHERE id = ?").run(now, now, next.id);
+            promoted.push(AlumniEvents.formatContact(next));
+            row = this.eventRow(eventId);
+        }
+        return promoted;
+    }
+
+    /**
+     * Organisers removing an attendee, at any time
+     * @param {number} memberId - API id of the member
+     * @returns {Object|null} { rsvp, promoted } - null when the member has no RSVP to cancel
+     */
+    removeAttendee(eventId, memberId) {
+        const member = this.db.prepare('SELECT id FROM members WHERE (legacy_id = ? OR id = ?) AND deleted_at IS NULL').get(memberId, memberId);
+        return member ? this.cancelRsvp(eventId, member.id, { organiser: true }) : null;
+    }
+
+    // ===== Attendees and check-in =====
+
+    static formatAttendee(row) {
+        return {
+            memberId: row.member_api_id,
+            name: row.name,
+            email: row.email,
+            phone: row.phone,
+            passoutBatch: row.passout_batch,
+            membershipID: row.membership_id,
+            status: row.status,
+            respondedAt: row.responded_at,
+            promoted: !!row.promoted_at,
+            walkIn: !!row.walk_in,
+            checkedInAt: row.checked_in_at
+        };
+    }
+
+    /**
+     * Everyone who responded to an event: going, then the waitlist in order, then cancellations
+     * @returns {Object|null} { event, attendees } - null when there is no such event
+     */
+    attendees(eventId) {
+        const event = this.getEvent(eventId);
+        if (!event) return null;
+
+        const attendees = this.db.prepare(`
+            ${ATTENDEE_SELECT}
+            WHERE r.event_id = ?
+            ORDER BY CASE r.status WHEN 'going' THEN 0 WHEN 'waitlisted' THEN 1 ELSE 2 END,
+                     CASE WHEN r.status = 'waitlisted' THEN r.responded_at END, m.name COLLATE NOCASE
+        `).all(eventId).map(AlumniEvents.formatAttendee);
+
+        let position = 0;
+        attendees.forEach(attendee => {
+            attendee.waitlistPosition = attendee.status === 'waitlisted' ? ++position : null;
+        });
+        return { event, attendees };
+    }
+
+    /**
+     * Attendee list as CSV
+     * @returns {Object|null} { filename, content } - null when there is no such event
+     */
+    attendeesCsv(eventId) {
+        const list = this.attendees(eventId);
+        if (!list) return null;
+
+        const rows = [
+            ['Name', 'Email', 'Phone', 'Passout Batch', 'Membership ID', 'RSVP', 'Waitlist Position', 'Responded At', 'Walk-in', 'Checked In At'],
+            ...list.attendees.map(attendee => [
+                attendee.name, attendee.email, attendee.phone, attendee.passoutBatch, attendee.membershipID,
+                attendee.status, attendee.waitlistPosition, attendee.respondedAt, attendee.walkIn ? 'Yes' : 'No', attendee.checkedInAt
+            ])
+        ];
+        return {
+            filename: `attendees-${AlumniEvents.fileSlug(list.event.startsAt, list.event.title)}.csv`,
+            content: MemberExport.csvLines(rows)
+        };
+    }
+
+    /**
+     * Check a member in at the door
+     * @param {Object} entry - { memberId } (API id) or { code } (scanned membership card QR);
+     *   walkIn: true also checks in members without a place
+     * @returns {Object|null} { outcome, message, attendee } - null when there is no such event;
+     *   outcome is 'checked-in', 'already-checked-in' or 'not-registered' (the member has no place
+     *   and walkIn was not set)
+     */
+    checkIn(eventId, { memberId, code, walkIn = false } = {}, actorId = null) {
+        const row = this.eventRow(eventId);
+        if (!row) return null;
+        if (row.status === 'cancelled') {
+            throw new Error('This event has been cancelled');
+        }
+
+        let member;
+        if (code) {
+            member = this.cards.memberForCard(code);
+            if (!member) throw new Error('This QR code is not a valid membership card');
+        } else {
+            member = this.db.prepare('SELECT * FROM members WHERE (legacy_id = ? OR id = ?) AND deleted_at IS NULL').get(memberId, memberId);
+            if (!member) throw new Error('Member not found');
+        }
+
+        const attendee = () => AlumniEvents.formatAttendee(
+            this.db.prepare(`${ATTENDEE_SELECT} WHERE r.event_id = ? AND r.member_id = ?`).get(eventId, member.id)
+        );
+        const current = this.rsvpOf(eventId, member.id);
+        const now = new Date().toISOString();
+
+        if (current && current.status === 'going') {
+            if (current.checkedIn) {
+                return { outcome: 'already-checked-in', message: `${member.name} is already checked in`, attendee: attendee() };
+            }
+            this.db.prepare('UPDATE event_rsvps SET checked_in_at = ?, checked_in_by = ?, updated_at = ? WHERE event_id = ? AND member_id = ?')
+                .run(now, actorId, now, eventId, member.id);
+            return { outcome: 'checked-in', message: `${member.name} checked in`, attendee: attendee() };
+        }
+
+        if (!walkIn) {
+            const reasons = {
+                waitlisted: `${member.name} is on the waitlist`,
+                cancelled: `${member.name} cancelled their RSVP`
+            };
+            return {
+                outcome: 'not-registered',
+                message: current ? reasons[current.status] : `${member.name} has not RSVPed`,
+                member: { id: member.legacy_id || member.id, name: member.name }
+            };
+        }
+
+        this.db.prepare(`
+            INSERT INTO event_rsvps (event_id, member_id, status, responded_at, walk_in, checked_in_at, checked_in_by, created_at, updated_at)
+            VALUES (?, ?, 'going', ?, 1, ?, ?, ?, ?)
+            ON CONFLICT(event_id, member_id) DO UPDATE SET
+                status = 'going', walk_in = 1, checked_in_at = excluded.checked_in_at,
+                checked_in_by = excluded.checked_in_by, updated_at = excluded.updated_at
+        `).run(eventId, member.id, now, now, actorId, now, now);
+        return { outcome: 'checked-in', message: `${member.name} checked in as a walk-in`, attendee: attendee() };
+    }
+
+    // ===== Member attendance =====
+
+    /**
+     * Events a member responded to, most recent first, with whether they attended
+     * @returns {Object|null} { attended, events } - null when the member does not exist
+     */
+    memberAttendance(id) {
+        const member = this.db.prepare('SELECT id FROM members WHERE (legacy_id = ? OR id = ?) AND deleted_at IS NULL').get(id, id);
+        if (!member) return null;
+
+        const now = AlumniEvents.now();
+        const events = this.db.prepare(`
+            SELECT e.id, e.title, e.venue, e.starts_at, e.ends_at, e.status AS event_status,
+                   r.status, r.walk_in, r.checked_in_at
+            FROM event_rsvps r
+            JOIN events e ON e.id = r.event_id
+            WHERE r.member_id = ? AND r.status != 'cancelled'
+            ORDER BY e.starts_at DESC
+        `).all(member.id).map(row => ({
+            eventId: row.id,
+            title: row.title,
+            venue: row.venue,
+            startsAt: row.starts_at,
+            eventStatus: row.event_status,
+            rsvp: row.status,
+            past: (row.ends_at || row.starts_at) < now,
+            attended: !!row.checked_in_at,
+            walkIn: !!row.walk_in
+        }));
+        return { attended: events.filter(event => event.attended).length, events };
+    }
+}
+
+module.exports = AlumniEvents;
+module.exports.EVENT_TIMEZONE = EVENT_TIMEZONE;
@@ -7,9 +7,12 @@
 //
 // Security Features:
 // - bcrypt password hashing with salt rounds
-// - Secure password validation and strength checking
+// - Admin-configurable password policy (length, classes, history, expiry, common passwords)
 // - Account lockout protection against brute force attacks
-// - Password reset token generation and validation
+// - Sliding-window throttling per IP and per attempted username (LoginThrottle)
+// - Password reset token generation and validation (hashed, single-use, expiring)
+// - HMAC-signed session tokens backed by revocable server-side sessions
+// - TOTP two-factor authentication with hashed single-use recovery codes
 // - Security event logging and audit trail
 //
 // User Management Features:
@@ -20,16 +23,51 @@
 //
 // Authentication Flow:
 // - Secure login with failed attempt tracking
-// - Session management with security logging
-// - Password change with history tracking
+// - Session management with idle/absolute expiry, revocation and security logging
+// - Password change with history tracking and maximum-age enforcement
 // - Admin password reset capabilities
 //
-// Dependencies: bcryptjs, crypto (built-in), DatabaseManager
+// Dependencies: bcryptjs, crypto (built-in), DatabaseManager, Totp, SystemSettings, LoginThrottle, PasswordPolicy,
+// PhotoStore
 // Author: ISMAA Portal Team
 // =====================================================
 
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const Totp = require('../utils/Totp');
+const SystemSettings = require('./SystemSettings');
+const LoginThrottle = require('./LoginThrottle');
+const PasswordPolicy = require('./PasswordPolicy');
+const PhotoStore = require('./PhotoStore');
+
+// Usernames chosen by users (invitations, registration, one-time change)
+const USERNAME_PATTERN = /^[a-zA-Z0-9_]{3,20}$/;
+
+// Recovery codes avoid look-alike characters (0/O, 1/I/L) so they can be typed from paper
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// Secret used to sign session tokens. Configure SESSION_SECRET in production so
+// issued tokens survive a server restart; otherwise a per-process secret is used.
+const TOKEN_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Browser and OS patterns used to label sessions, checked in order (Edge and Opera also claim Chrome)
+const BROWSER_PATTERNS = [['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]];
+const OS_PATTERNS = [['Windows', /Windows/], ['Android', /Android/], ['iOS', /iPhone|iPad/], ['macOS', /Mac OS X/], ['Linux', /Linux/]];
+
+/**
+ * Summarize a user agent as "Browser on OS" for the sessions list
+ */
+function describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = BROWSER_PATTERNS.find(([, pattern]) => pattern.test(userAgent));
+    const os = OS_PATTERNS.find(([, pattern]) => pattern.test(userAgent));
+    if (!browser && !os) {
+        return userAgent.slice(0, 60);
+    }
+
+    return `${browser ? browser[0] : 'Unknown browser'} on ${os ? os[0] : 'unknown OS'}`;
+}
 
 /**
  * AuthenticationUtils class providing comprehensive security and user management
@@ -42,6 +80,15 @@ class AuthenticationUtils {
         this.MAX_FAILED_ATTEMPTS = 5; // Maximum failed login attempts before lockout
         this.LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes lockout duration
         this.PASSWORD_RESET_TOKEN_EXPIRY = 24 * 60 * 60 * 1000; // 24 hours
+        this.ACCOUNT_SETUP_TOKEN_EXPIRY = 72 * 60 * 60 * 1000; // 72 hours
+        this.SESSION_TOKEN_EXPIRY = 24 * 60 * 60 * 1000; // 24 hours absolute session lifetime
+        this.SESSION_IDLE_TIMEOUT = 2 * 60 * 60 * 1000; // 2 hours without API activity
+        this.SESSION_TOUCH_INTERVAL = 60 * 1000; // Throttle last-seen updates to once a minute
+        this.TWO_FACTOR_CHALLENGE_EXPIRY = 5 * 60 * 1000; // 5 minutes to enter the second factor
+        this.RECOVERY_CODE_COUNT = 10;
+        this.settings = new SystemSettings(dbManager);
+        this.throttle = new LoginThrottle(dbManager);
+        this.passwordPolicy = new PasswordPolicy(this.settings);
     }
 
     /**
@@ -71,63 +118,131 @@ class AuthenticationUtils {
     }
 
     /**
-     * Validate password strength according to security requirements
+     * Validate password strength against the admin-configured password policy
      * Returns object with validation result and feedback
      */
     validatePasswordStrength(password) {
-        const requirements = {
-            minLength: password.length >= 8,
-            hasUppercase: /[A-Z]/.test(password),
-            hasLowercase: /[a-z]/.test(password),
-            hasNumber: /\d/.test(password),
-            hasSpecialChar: /[!@#$%^&*(),.?\":{}|<>]/.test(password)
-        };
+        return this.passwordPolicy.validate(password);
+    }
 
-        const score = Object.values(requirements).filter(Boolean).length;
-        const isValid = score >= 4 && requirements.minLength;
+    /**
+     * Whether a new password matches the current one or one of the last
+     * (historyCount - 1) previous passwords
+     */
+    async isPasswordReused(user, newPassword) {
+        const { historyCount } = this.passwordPolicy.getPolicy();
+        if (!historyCount) return false;
+
+        const previous = this.db.prepare(`
+            SELECT password_hash FROM password_history 
+            WHERE user_id = ? 
+            ORDER BY id DESC LIMIT ?
+        `).all(user.id, historyCount - 1);
+
+        for (const hash of [user.password_hash, ...previous.map(row => row.password_hash)]) {
+            if (await this.verifyPassword(newPassword, hash)) {
+                return true;
+            }
+        }
+        return false;
+    }
 
-        return {
-            isValid,
-            score,
-            requirements,
-            feedback: this.getPasswordFeedback(requirements, score)
-        };
+    /**
+     * Replace a user's password hash, keeping the outgoing hash in password_history
+     * @param {number} userId - User whose password changes
+     * @param {string} hash - New bcrypt hash
+     * @param {string} salt - New salt
+     * @param {boolean} temporary - True for admin-issued passwords that must be changed at next login
+     * @returns {number} Number of users updated (0 when the user does not exist)
+     */
+    storeNewPassword(userId, hash, salt, temporary = false) {
+        return this.db.transaction(() => {
+            this.db.prepare(`
+                INSERT INTO password_history (user_id, password_hash)
+                SELECT id, password_hash FROM users WHERE id = ? AND password_hash IS NOT NULL
+            `).run(userId);
+
+            // Keep only as many entries as the largest allowed history setting
+            this.db.prepare(`
+                DELETE FROM password_history 
+                WHERE user_id = ? AND id NOT IN (
+                    SELECT id FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT 24
+                )
+            `).run(userId, userId);
+
+            return this.db.prepare(`
+                UPDATE users 
+                SET password_hash = ?, 
+                    salt = ?, 
+                    first_login = ?,
+                    failed_login_attempts = 0,
+                    account_locked_until = NULL,
+                    password_last_changed = CURRENT_TIMESTAMP,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(hash, salt, temporary ? 1 : 0, userId).changes;
+        })();
     }
 
     /**
-     * Generate password strength feedback for user guidance
+     * Whether a user's password is older than the policy's maximum age
+     * Temporary (first login) passwords are handled by the first-login flow instead
      */
-    getPasswordFeedback(requirements, score) {
-        const feedback = [];
-        
-        if (!requirements.minLength) feedback.push('Password must be at least 8 characters long');
-        if (!requirements.hasUppercase) feedback.push('Include at least one uppercase letter');
-        if (!requirements.hasLowercase) feedback.push('Include at least one lowercase letter');
-        if (!requirements.hasNumber) feedback.push('Include at least one number');
-        if (!requirements.hasSpecialChar) feedback.push('Include at least one special character');
+    isPasswordExpired(userId) {
+        const { maxAgeDays } = this.passwordPolicy.getPolicy();
+        if (!maxAgeDays) return false;
+
+        const row = this.db.prepare(`
+            SELECT first_login, julianday('now') - julianday(password_last_changed) AS age_days 
+            FROM users WHERE id = ?
+        `).get(userId);
+
+        return !!row && !row.first_login && row.age_days !== null && row.age_days > maxAgeDays;
+    }
 
-        if (score < 3) return { strength: 'Weak', suggestions: feedback };
-        if (score < 4) return { strength: 'Fair', suggestions: feedback };
-        if (score === 4) return { strength: 'Good', suggestions: feedback };
-        return { strength: 'Strong', suggestions: [] };
+    /**
+     * Whether a user must change their password before using the portal:
+     * a temporary (first login) password or one past the policy's maximum age
+     */
+    isPasswordChangeRequired(userId) {
+        const row = this.db.prepare('SELECT first_login FROM users WHERE id = ?').get(userId);
+        return !!row && (!!row.first_login || this.isPasswordExpired(userId));
     }
 
     /**
      * Authenticate user with comprehensive security checking
-     * Handles account lockout and failed attempt tracking
+     * Handles throttling, account lockout and failed attempt tracking
+     * Throttled attempts return { throttled: true, retryAfter } without checking the password
      */
     async authenticateUser(username, password, clientInfo = {}) {
+        const attempt = { ip: clientInfo.ip, identifier: username };
+        // Accounts in the recycle bin cannot sign in
         const user = this.db.prepare(`
-            SELECT * FROM users WHERE username = ? OR email = ?
+            SELECT * FROM users WHERE (username = ? OR email = ?) AND deleted_at IS NULL
         `).get(username, username);
 
+        // Refuse throttled sources before spending a bcrypt comparison on them
+        const block = this.throttle.check(attempt);
+        if (block) {
+            await this.logSecurityEvent(user ? user.id : null, 'login_throttled', false, clientInfo,
+                `Throttled by ${block.scope} until ${block.blockedUntil} (${LoginThrottle.normalizeIdentifier(username)})`);
+            return {
+                success: false,
+                throttled: true,
+                retryAfter: block.retryAfter,
+                error: `Too many sign-in attempts. Please try again in ${this.formatWait(block.retryAfter)}.`
+            };
+        }
+
         if (!user) {
-            await this.logSecurityEvent(null, 'failed_login', false, clientInfo, 'User not found');
+            this.throttle.recordFailure(attempt);
+            await this.logSecurityEvent(null, 'failed_login', false, clientInfo, `User not found (${LoginThrottle.normalizeIdentifier(username)})`);
             return { success: false, error: 'Invalid credentials' };
         }
 
         // Check if account is locked
         if (user.account_locked_until && new Date(user.account_locked_until) > new Date()) {
+            this.throttle.recordFailure(attempt);
             await this.logSecurityEvent(user.id, 'failed_login', false, clientInfo, 'Account locked');
             return { 
                 success: false, 
@@ -140,10 +255,38 @@ class AuthenticationUtils {
         const isValidPassword = await this.verifyPassword(password, user.password_hash);
 
         if (!isValidPassword) {
+            this.throttle.recordFailure(attempt);
             await this.handleFailedLogin(user.id, clientInfo);
             return { success: false, error: 'Invalid credentials' };
         }
 
+        this.throttle.recordSuccess(attempt);
+
+        // Password accepted - accounts with 2FA enabled, or admins under a mandatory
+        // 2FA policy, must complete a second step before a session is issued
+        const twoFactorStep = this.getTwoFactorStep(user);
+        if (twoFactorStep) {
+            return {
+                success: true,
+                twoFactorRequired: true,
+                twoFactorStep,
+                challengeToken: this.signToken(
+                    { type: 'two-factor', sub: user.id, step: twoFactorStep },
+                    this.TWO_FACTOR_CHALLENGE_EXPIRY
+                )
+            };
+        }
+
+        return this.completeLogin(user.id, clientInfo);
+    }
+
+    /**
+     * Finish a login once every required factor has been verified
+     * Resets failed attempts, records the login and builds the client user profile
+     */
+    async completeLogin(userId, clientInfo = {}) {
+        const user = this.db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+
         // Successful login - reset failed attempts and update last login
         await this.handleSuccessfulLogin(user.id, clientInfo);
 
@@ -171,7 +314,7 @@ class AuthenticationUtils {
                     company_id: member.company_id,
                     membership_id: member.membership_id,
                     membership_type: member.membership_type,
-                    photo: member.photo
+                    photo: PhotoStore.urls(member.photo).photo
                 };
                 // Use member email if available, otherwise fall back to user email
                 if (member.email && member.email !== user.email) {
@@ -191,7 +334,10 @@ class AuthenticationUtils {
                 address: memberDetails.address,
                 role: user.role,
                 member_id: user.member_id,
-                firstLogin: user.first_login,
+                firstLogin: !!user.first_login,
+                passwordExpired: this.isPasswordExpired(user.id),
+                passwordChangeRequired: this.isPasswordChangeRequired(user.id),
+                twoFactorEnabled: !!user.totp_enabled,
                 // Member-specific details
                 passout_batch: memberDetails.passout_batch,
                 branch_id: memberDetails.branch_id,
@@ -210,10 +356,230 @@ class AuthenticationUtils {
         };
     }
 
+    /**
+     * Sign a payload into a compact tamper-evident token
+     * Format: base64url(JSON payload).base64url(HMAC-SHA256 signature)
+     */
+    signToken(payload, expiresInMs) {
+        const now = Date.now();
+        const body = { ...payload, iat: now, exp: now + expiresInMs };
+        const encoded = Buffer.from(JSON.stringify(body)).toString('base64url');
+        const signature = crypto.createHmac('sha256', TOKEN_SECRET).update(encoded).digest('base64url');
+        return `${encoded}.${signature}`;
+    }
+
+    /**
+     * Verify a signed token and return its payload
+     * Returns null for malformed, forged or expired tokens
+     */
+    verifySignedToken(token) {
+        if (typeof token !== 'string') return null;
+
+        const [encoded, signature] = token.split('.');
+        if (!encoded || !signature) return null;
+
+        const expected = crypto.createHmac('sha256', TOKEN_SECRET).update(encoded).digest('base64url');
+        if (signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            return null;
+        }
+
+        try {
+            const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+            return payload.exp && payload.exp > Date.now() ? payload : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Human-readable wait for throttling messages, e.g. "45 seconds" or "2 minutes"
+     */
+    formatWait(seconds) {
+        if (seconds < 60) {
+            return `${seconds} second${seconds === 1 ? '' : 's'}`;
+        }
+        const minutes = Math.ceil(seconds / 60);
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+
+    // ===== SESSIONS =====
+
+    /**
+     * Issue a session token for an authenticated user
+     * Records a server-side session so the login can be listed and revoked
+     */
+    issueSessionToken(user, clientInfo = {}) {
+        const sessionId = crypto.randomBytes(16).toString('hex');
+        const token = this.signToken({ type: 'session', sub: user.id, role: user.role, sid: sessionId }, this.SESSION_TOKEN_EXPIRY);
+        const { iat, exp } = this.verifySignedToken(token);
+        const now = new Date(iat).toISOString();
+        const expiresAt = new Date(exp).toISOString();
+
+        this.db.prepare(`
+            INSERT INTO user_sessions (session_id, user_id, device, ip_address, user_agent, created_at, last_seen_at, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(sessionId, user.id, describeDevice(clientInfo.userAgent), clientInfo.ip || null,
+            clientInfo.userAgent || null, now, now, expiresAt);
+
+        this.pruneSessions();
+
+        return { token, expiresAt, sessionId };
+    }
+
+    /**
+     * Resolve a session token to the current user record
+     * The user is re-read on every call so role changes and deletions apply immediately;
+     * revoked, idle and expired sessions resolve to null
+     */
+    resolveSessionToken(token) {
+        const payload = this.verifySignedToken(token);
+        if (!payload || payload.type !== 'session' || !payload.sid) return null;
+
+        const session = this.db.prepare('SELECT * FROM user_sessions WHERE session_id = ? AND user_id = ?')
+            .get(payload.sid, payload.sub);
+        if (!this.isSessionActive(session)) return null;
+
+        const user = this.db.prepare(`
+            SELECT id, username, name, email, role, member_id FROM users WHERE id = ? AND deleted_at IS NULL
+        `).get(payload.sub);
+        if (!user) return null;
+
+        this.touchSession(session);
+        return { ...user, sessionId: session.session_id, passwordChangeRequired: this.isPasswordChangeRequired(user.id) };
+    }
+
+    /**
+     * Whether a session row is still usable (not revoked, expired or idle)
+     */
+    isSessionActive(session, now = Date.now()) {
+        if (!session || session.revoked_at) return false;
+        if (new Date(session.expires_at).getTime() <= now) return false;
+        return new Date(session.last_seen_at).getTime() + this.SESSION_IDLE_TIMEOUT > now;
+    }
+
+    /**
+     * Record activity on a session, at most once per SESSION_TOUCH_INTERVAL
+     */
+    touchSession(session) {
+        const now = Date.now();
+        if (now - new Date(session.last_seen_at).getTime() >= this.SESSION_TOUCH_INTERVAL) {
+            this.db.prepare('UPDATE user_sessions SET last_seen_at = ? WHERE id = ?')
+                .run(new Date(now).toISOString(), session.id);
+        }
+    }
+
+    /**
+     * List a user's active sessions, most recently used first
+     * @param {number} userId - Session owner
+     * @param {string} currentSessionId - Session making the request, flagged as current
+     */
+    getActiveSessions(userId, currentSessionId = null) {
+        const sessions = this.db.prepare(`
+            SELECT * FROM user_sessions 
+            WHERE user_id = ? AND revoked_at IS NULL 
+            ORDER BY last_seen_at DESC
+        `).all(userId);
+
+        return sessions
+            .filter(session => this.isSessionActive(session))
+            .map(session => ({
+                id: session.id,
+                device: session.device,
+                ipAddress: session.ip_address,
+                userAgent: session.user_agent,
+                createdAt: session.created_at,
+                lastSeenAt: session.last_seen_at,
+                expiresAt: session.expires_at,
+                current: session.session_id === currentSessionId
+            }));
+    }
+
+    /**
+     * Revoke one of a user's sessions
+     * @param {number} userId - Session owner
+     * @param {number} sessionRowId - user_sessions.id
+     * @param {number} revokedBy - User performing the revocation
+     */
+    async revokeSession(userId, sessionRowId, revokedBy, clientInfo = {}) {
+        const result = this.db.prepare(`
+            UPDATE user_sessions 
+            SET revoked_at = ?, revoked_by = ? 
+            WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+        `).run(new Date().toISOString(), revokedBy, sessionRowId, userId);
+
+        if (result.changes === 0) {
+            throw new Error('Session not found');
+        }
+
+        await this.logSecurityEvent(userId, 'session_revoked', true, clientInfo, `Session ${sessionRowId} revoked`);
+        return { success: true, message: 'Session revoked' };
+    }
+
+    /**
+     * Revoke every active session a user holds
+     * @returns {number} Number of sessions revoked
+     */
+    revokeAllSessions(userId, revokedBy = null) {
+        return this.db.prepare(`
+            UPDATE user_sessions 
+            SET revoked_at = ?, revoked_by = ? 
+            WHERE user_id = ? AND revoked_at IS NULL
+        `).run(new Date().toISOString(), revokedBy, userId).changes;
+    }
+
+    /**
+     * End the session making the request
+     */
+    async logout(userId, sessionId, clientInfo = {}) {
+        this.db.prepare(`
+            UPDATE user_sessions 
+            SET revoked_at = ?, revoked_by = ? 
+            WHERE session_id = ? AND user_id = ? AND revoked_at IS NULL
+        `).run(new Date().toISOString(), userId, sessionId, userId);
+
+        await this.logSecurityEvent(userId, 'logout', true, clientInfo, 'User logged out');
+        return { success: true, message: 'Logged out' };
+    }
+
+    /**
+     * Sign a user out on every device, including the current one
+     */
+    async logoutEverywhere(userId, clientInfo = {}) {
+        const revoked = this.revokeAllSessions(userId, userId);
+        await this.logSecurityEvent(userId, 'session_revoked', true, clientInfo, `User logged out everywhere (${revoked} sessions)`);
+
+        return { success: true, revoked, message: `Signed out of ${revoked} session${revoked === 1 ? '' : 's'}` };
+    }
+
+    /**
+     * Force a user to sign in again on every device
+     */
+    async adminRevokeSessions(adminId, targetUserId) {
+        const user = this.db.prepare('SELECT id FROM users WHERE id = ?').get(targetUserId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        const revoked = this.revokeAllSessions(targetUserId, adminId);
+        await this.logSecurityEvent(targetUserId, 'session_revoked', true, {}, `${revoked} sessions revoked by admin ID: ${adminId}`);
+
+        return { success: true, revoked, message: `User signed out of ${revoked} session${revoked === 1 ? '' : 's'}` };
+    }
+
+    /**
+     * Delete session rows that ended more than 30 days ago
+     */
+    pruneSessions() {
+        const cutoff = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+        this.db.prepare('DELETE FROM user_sessions WHERE expires_at < ? OR revoked_at < ?').run(cutoff, cutoff);
+    }
+
     /**
      * Handle failed login attempt with security measures
+     * Wrong second factors count towards the same lockout as wrong passwords
      */
-    async handleFailedLogin(userId, clientInfo) {
+    async handleFailedLogin(userId, clientInfo, eventType = 'failed_login', details = 'Invalid password') {
         const updateStmt = this.db.prepare(`
             UPDATE users 
             SET failed_login_attempts = failed_login_attempts + 1,
@@ -225,7 +591,7 @@ class AuthenticationUtils {
         `);
 
         updateStmt.run(this.MAX_FAILED_ATTEMPTS, userId);
-        await this.logSecurityEvent(userId, 'failed_login', false, clientInfo, 'Invalid password');
+        await this.logSecurityEvent(userId, eventType, false, clientInfo, details);
     }
 
     /**
@@ -262,31 +628,40 @@ class AuthenticationUtils {
             }
         }
 
-        // Validate new password strength
+        // Validate new password against the policy, including recent password reuse
         const validation = this.validatePasswordStrength(newPassword);
         if (!validation.isValid) {
             throw new Error('Password does not meet security requirements: ' + validation.feedback.suggestions.join(', '));
         }
+        if (await this.isPasswordReused(user, newPassword)) {
+            throw new Error(`You cannot reuse any of your last ${this.passwordPolicy.getPolicy().historyCount} passwords`);
+        }
 
         // Hash new password
         const { hash, salt } = await this.hashPassword(newPassword);
 
-        // Update password in database and clear system password
-        const updateStmt = this.db.prepare(`
-            UPDATE users 
-            SET password_hash = ?, 
-                salt = ?, 
-                first_login = 0,
-                system_password = NULL
-            WHERE id = ?
-        `);
-
-        updateStmt.run(hash, salt, userId);
+        // Update password in database
+        this.storeNewPassword(userId, hash, salt);
         await this.logSecurityEvent(userId, 'password_change', true, {}, 'Password changed successfully');
 
         return { success: true, message: 'Password changed successfully' };
     }
 
+    /**
+     * Check that a username is well-formed and not used by another account
+     * Throws with a user-facing message otherwise
+     */
+    assertUsernameAvailable(username, exceptUserId = null) {
+        if (!USERNAME_PATTERN.test(String(username || ''))) {
+            throw new Error('Username must be 3-20 characters long and contain only letters, numbers, and underscores');
+        }
+
+        const existingUser = this.db.prepare('SELECT id FROM users WHERE username = ? AND id IS NOT ?').get(username, exceptUserId);
+        if (existingUser) {
+            throw new Error('Username is already taken');
+        }
+    }
+
     /**
      * Change username (one-time only)
      */
@@ -301,17 +676,7 @@ class AuthenticationUtils {
             throw new Error('Username can only be changed once');
         }
 
-        // Check if new username is available
-        const existingUser = this.db.prepare('SELECT id FROM users WHERE username = ? AND id != ?').get(newUsername, userId);
-        if (existingUser) {
-            throw new Error('Username is already taken');
-        }
-
-        // Validate username format
-        const usernameRegex = /^[a-zA-Z0-9_]{3,20}$/;
-        if (!usernameRegex.test(newUsername)) {
-            throw new Error('Username must be 3-20 characters long and contain only letters, numbers, and underscores');
-        }
+        this.assertUsernameAvailable(newUsername, userId);
 
         // Update username
         const updateStmt = this.db.prepare(`
@@ -379,17 +744,13 @@ class AuthenticationUtils {
 
     /**
      * Admin password reset functionality
+     * Caller authorization is enforced by the users:reset-password permission;
+     * adminId identifies the acting admin for the audit trail
      */
     async adminResetPassword(adminId, targetUserId, newPassword = null) {
-        // Verify admin privileges
-        const admin = this.db.prepare('SELECT role FROM users WHERE id = ?').get(adminId);
-        if (!admin || admin.role !== 'admin') {
-            throw new Error('Insufficient privileges for password reset');
-        }
-
         // Generate random password if none provided
         if (!newPassword) {
-            newPassword = this.generateSecurePassword();
+            newPassword = this.generateSecurePassword(this.passwordPolicy.getGeneratedPasswordLength());
         }
 
         // Validate password strength
@@ -401,18 +762,13 @@ class AuthenticationUtils {
         // Hash new password
         const { hash, salt } = await this.hashPassword(newPassword);
 
-        // Update target user password
-        const updateStmt = this.db.prepare(`
-            UPDATE users 
-            SET password_hash = ?, 
-                salt = ?, 
-                first_login = 1,
-                failed_login_attempts = 0,
-                account_locked_until = NULL
-            WHERE id = ?
-        `);
+        // Update target user password - must be changed at next login
+        if (this.storeNewPassword(targetUserId, hash, salt, true) === 0) {
+            throw new Error('User not found');
+        }
 
-        updateStmt.run(hash, salt, targetUserId);
+        // Whoever knew the old password may still be signed in
+        this.revokeAllSessions(targetUserId, adminId);
         await this.logSecurityEvent(targetUserId, 'password_reset', true, {}, `Password reset by admin ID: ${adminId}`);
 
         return { 
@@ -422,6 +778,408 @@ class AuthenticationUtils {
         };
     }
 
+    /**
+     * Hash a single-use token for storage (SHA-256)
+     * Raw tokens are only ever sent to the user, never persisted
+     */
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    /**
+     * Create a password reset token for a username or email address
+     * Returns null when no account with a deliverable email matches.
+     */
+    async createPasswordResetToken(identifier, clientInfo = {}) {
+        const user = this.db.prepare(`
+            SELECT u.id, u.username, u.name, COALESCE(m.email, u.email) AS email
+            FROM users u
+            LEFT JOIN members m ON u.member_id = m.id
+            WHERE (u.username = ? OR LOWER(u.email) = LOWER(?) OR LOWER(m.email) = LOWER(?)) AND u.deleted_at IS NULL
+        `).get(identifier, identifier, identifier);
+
+        if (!user || !user.email) {
+            return null;
+        }
+
+        const { token, expiresAt } = this.issuePasswordToken(user.id, this.PASSWORD_RESET_TOKEN_EXPIRY);
+        await this.logSecurityEvent(user.id, 'password_reset', true, clientInfo, 'Password reset link requested');
+
+        return { user, token, expiresAt };
+    }
+
+    /**
+     * Create an account setup (invitation) link so a user chooses their own
+     * password instead of receiving a generated one
+     * Returns null when the user has no deliverable email address
+     */
+    async createAccountSetupToken(userId, adminId = null) {
+        const user = this.db.prepare(`
+            SELECT u.id, u.username, u.name, COALESCE(m.email, u.email) AS email
+            FROM users u
+            LEFT JOIN members m ON u.member_id = m.id
+            WHERE u.id = ? AND u.deleted_at IS NULL
+        `).get(userId);
+
+        if (!user || !user.email) {
+            return null;
+        }
+
+        const { token, expiresAt } = this.issuePasswordToken(user.id, this.ACCOUNT_SETUP_TOKEN_EXPIRY);
+        await this.logSecurityEvent(user.id, 'password_reset', true, {},
+            adminId ? `Account setup link issued by admin ID: ${adminId}` : 'Account setup link issued');
+
+        return { user, token, expiresAt };
+    }
+
+    /**
+     * Store a new single-use password token for a user (hashed) and return the raw value
+     * Invalidates earlier unused tokens so only the latest link works
+     */
+    issuePasswordToken(userId, expiresInMs) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + expiresInMs).toISOString();
+
+        this.db.transaction(() => {
+            this.db.prepare('UPDATE password_reset_tokens SET used = 1 WHERE user_id = ? AND used = 0').run(userId);
+            this.db.prepare(`
+                INSERT INTO password_reset_tokens (user_id, token, expires_at)
+                VALUES (?, ?, ?)
+            `).run(userId, this.hashToken(token), expiresAt);
+        })();
+
+        return { token, expiresAt };
+    }
+
+    /**
+     * Complete a self-service password reset with an emailed token
+     * Tokens are single-use and rejected once expired
+     */
+    async resetPasswordWithToken(token, newPassword, clientInfo = {}) {
+        const record = this.db.prepare('SELECT * FROM password_reset_tokens WHERE token = ?')
+            .get(this.hashToken(token));
+
+        if (!record || record.used || new Date(record.expires_at) <= new Date()) {
+            throw new Error('This password reset link is invalid or has expired');
+        }
+
+        // Validate new password against the policy, including recent password reuse
+        const validation = this.validatePasswordStrength(newPassword);
+        if (!validation.isValid) {
+            throw new Error('Password does not meet security requirements: ' + validation.feedback.suggestions.join(', '));
+        }
+        const user = this.db.prepare('SELECT * FROM users WHERE id = ?').get(record.user_id);
+        if (await this.isPasswordReused(user, newPassword)) {
+            throw new Error(`You cannot reuse any of your last ${this.passwordPolicy.getPolicy().historyCount} passwords`);
+        }
+
+        const { hash, salt } = await this.hashPassword(newPassword);
+
+        // Update password, clear lockout and burn every outstanding token for the user
+        this.db.transaction(() => {
+            this.storeNewPassword(record.user_id, hash, salt);
+            this.db.prepare('UPDATE password_reset_tokens SET used = 1 WHERE user_id = ?').run(record.user_id);
+        })();
+
+        // Whoever knew the old password may still be signed in
+        this.revokeAllSessions(record.user_id);
+
+        await this.logSecurityEvent(record.user_id, 'password_reset', true, clientInfo, 'Password reset via emailed link');
+
+        return { success: true, message: 'Password has been reset. You can now sign in with your new password.' };
+    }
+
+    // ===== TWO-FACTOR AUTHENTICATION =====
+
+    /**
+     * Whether policy makes two-factor authentication mandatory for a role
+     */
+    isTwoFactorRequired(role) {
+        return role === 'admin' && this.settings.get('security.requireAdminTwoFactor') === true;
+    }
+
+    /**
+     * Second login step a user must complete: 'verify' a code, 'enrol' an
+     * authenticator (mandatory policy, not yet enrolled), or null for none
+     */
+    getTwoFactorStep(user) {
+        if (user.totp_enabled) return 'verify';
+        if (this.isTwoFactorRequired(user.role)) return 'enrol';
+        return null;
+    }
+
+    /**
+     * Resolve a login challenge token issued after a correct password
+     * Returns the user row, or null for invalid/expired tokens or the wrong step
+     */
+    resolveTwoFactorChallenge(challengeToken, step) {
+        const payload = this.verifySignedToken(challengeToken);
+        if (!payload || payload.type !== 'two-factor' || payload.step !== step) return null;
+
+        return this.db.prepare('SELECT * FROM users WHERE id = ? AND deleted_at IS NULL').get(payload.sub) || null;
+    }
+
+    /**
+     * Complete a login with an authenticator code or a recovery code
+     */
+    async verifyTwoFactorLogin(challengeToken, { code, recoveryCode } = {}, clientInfo = {}) {
+        const user = this.resolveTwoFactorChallenge(challengeToken, 'verify');
+        if (!user) {
+            return { success: false, error: 'Your sign in attempt has expired. Please sign in again.' };
+        }
+
+        if (user.account_locked_until && new Date(user.account_locked_until) > new Date()) {
+            return { 
+                success: false, 
+                error: 'Account is temporarily locked. Please try again later.',
+                lockedUntil: user.account_locked_until
+            };
+        }
+
+        const method = this.verifySecondFactor(user, { code, recoveryCode });
+        if (!method) {
+            await this.handleFailedLogin(user.id, clientInfo, 'two_factor_failed', 'Invalid two-factor code at login');
+            return { success: false, error: 'Invalid verification code' };
+        }
+
+        if (method === 'recovery') {
+            const remaining = this.countRecoveryCodes(user.id);
+            await this.logSecurityEvent(user.id, 'recovery_code_used', true, clientInfo, `Recovery code used at login (${remaining} remaining)`);
+        } else {
+            await this.logSecurityEvent(user.id, 'two_factor_verified', true, clientInfo, 'Authenticator code verified at login');
+        }
+
+        return this.completeLogin(user.id, clientInfo);
+    }
+
+    /**
+     * Check a second factor for an enrolled user
+     * Returns 'totp', 'recovery' (code consumed) or null when neither matches
+     */
+    verifySecondFactor(user, { code, recoveryCode } = {}) {
+        if (code && user.totp_secret && this.acceptTotpCode(user.id, user.totp_secret, code)) {
+            return 'totp';
+        }
+        if (recoveryCode && this.consumeRecoveryCode(user.id, recoveryCode)) {
+            return 'recovery';
+        }
+        return null;
+    }
+
+    /**
+     * Check an authenticator code and use it up
+     * RFC 6238 section 5.2: a code is accepted once, so the time step of the last accepted
+     * code is stored and codes from that step or earlier are refused, even within the
+     * drift window and even when a login challenge is replayed
+     */
+    acceptTotpCode(userId, secret, code) {
+        const step = Totp.matchStep(secret, code);
+        if (step === null) return false;
+
+        // The step is only recorded when it is newer, so concurrent uses of one code cannot both succeed
+        return this.db.prepare(`
+            UPDATE users SET totp_last_step = ?
+            WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)
+        `).run(step, userId, step).changes > 0;
+    }
+
+    /**
+     * Start authenticator enrolment with a new pending secret
+     * The active secret (if any) keeps working until the new one is confirmed
+     */
+    beginTwoFactorEnrolment(userId) {
+        const user = this.db.prepare('SELECT id, username FROM users WHERE id = ?').get(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        const secret = Totp.generateSecret();
+        this.db.prepare('UPDATE users SET totp_pending_secret = ? WHERE id = ?').run(secret, userId);
+
+        return {
+            secret,
+            otpauthUrl: Totp.buildProvisioningUri(secret, user.username)
+        };
+    }
+
+    /**
+     * Confirm enrolment with a code from the authenticator app
+     * Activates the pending secret and issues a fresh set of recovery codes (returned once)
+     */
+    async confirmTwoFactorEnrolment(userId, code, clientInfo = {}) {
+        const user = this.db.prepare('SELECT id, totp_pending_secret FROM users WHERE id = ?').get(userId);
+        if (!user || !user.totp_pending_secret) {
+            throw new Error('Start two-factor setup before confirming it');
+        }
+
+        if (!this.acceptTotpCode(userId, user.totp_pending_secret, code)) {
+            await this.logSecurityEvent(userId, 'two_factor_failed', false, clientInfo, 'Invalid code during enrolment');
+            throw new Error('Invalid verification code. Check the time on your device and try again.');
+        }
+
+        const recoveryCodes = this.db.transaction(() => {
+            this.db.prepare(`
+                UPDATE users 
+                SET totp_secret = totp_pending_secret,
+                    totp_pending_secret = NULL,
+                    totp_enabled = 1,
+                    totp_enabled_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(userId);
+            return this.generateRecoveryCodes(userId);
+        })();
+
+        await this.logSecurityEvent(userId, 'two_factor_enrolled', true, clientInfo, 'Authenticator app enrolled');
+
+        return { 
+            success: true, 
+            recoveryCodes,
+            message: 'Two-factor authentication is now enabled' 
+        };
+    }
+
+    /**
+     * Turn off two-factor authentication after re-verifying a second factor
+     * Not allowed when policy makes 2FA mandatory for the user's role
+     */
+    async disableTwoFactor(userId, factors, clientInfo = {}) {
+        const user = this.db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+        if (!user || !user.totp_enabled) {
+            throw new Error('Two-factor authentication is not enabled');
+        }
+
+        if (this.isTwoFactorRequired(user.role)) {
+            throw new Error('Two-factor authentication is mandatory for admin accounts');
+        }
+
+        if (!this.verifySecondFactor(user, factors)) {
+            await this.logSecurityEvent(userId, 'two_factor_failed', false, clientInfo, 'Invalid code when disabling 2FA');
+            throw new Error('Invalid verification code');
+        }
+
+        this.clearTwoFactor(userId);
+        await this.logSecurityEvent(userId, 'two_factor_disabled', true, clientInfo, 'Two-factor authentication disabled by user');
+
+        return { success: true, message: 'Two-factor authentication has been disabled' };
+    }
+
+    /**
+     * Admin reset for users who lost their authenticator and recovery codes
+     * Caller authorization is enforced by the users:reset-password permission
+     */
+    async adminResetTwoFactor(adminId, targetUserId) {
+        const result = this.clearTwoFactor(targetUserId);
+        if (result.changes === 0) {
+            throw new Error('User not found');
+        }
+
+        await this.logSecurityEvent(targetUserId, 'two_factor_disabled', true, {}, `Two-factor authentication reset by admin ID: ${adminId}`);
+
+        return { success: true, message: 'Two-factor authentication reset. The user can enrol again from their profile.' };
+    }
+
+    /**
+     * Remove a user's authenticator secrets and recovery codes
+     */
+    clearTwoFactor(userId) {
+        return this.db.transaction(() => {
+            this.db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId);
+            return this.db.prepare(`
+                UPDATE users 
+                SET totp_secret = NULL,
+                    totp_pending_secret = NULL,
+                    totp_enabled = 0,
+                    totp_enabled_at = NULL
+                WHERE id = ?
+            `).run(userId);
+        })();
+    }
+
+    /**
+     * Replace a user's recovery codes after verifying an authenticator code
+     */
+    async regenerateRecoveryCodes(userId, code, clientInfo = {}) {
+        const user = this.db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+        if (!user || !user.totp_enabled) {
+            throw new Error('Two-factor authentication is not enabled');
+        }
+
+        if (!this.acceptTotpCode(userId, user.totp_secret, code)) {
+            await this.logSecurityEvent(userId, 'two_factor_failed', false, clientInfo, 'Invalid code when regenerating recovery codes');
+            throw new Error('Invalid verification code');
+        }
+
+        const recoveryCodes = this.db.transaction(() => this.generateRecoveryCodes(userId))();
+        await this.logSecurityEvent(userId, 'recovery_codes_regenerated', true, clientInfo, 'Recovery codes regenerated');
+
+        return { success: true, recoveryCodes };
+    }
+
+    /**
+     * Replace all recovery codes for a user and return the new plaintext codes
+     * Only SHA-256 hashes are stored; callers show the codes to the user once
+     */
+    generateRecoveryCodes(userId) {
+        this.db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId);
+
+        const insertStmt = this.db.prepare('INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)');
+        const codes = [];
+
+        for (let i = 0; i < this.RECOVERY_CODE_COUNT; i++) {
+            const chars = Array.from(crypto.randomBytes(10), byte => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]);
+            const code = `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+            insertStmt.run(userId, this.hashRecoveryCode(code));
+            codes.push(code);
+        }
+
+        return codes;
+    }
+
+    /**
+     * Hash a recovery code, ignoring case, spaces and dashes as typed by the user
+     */
+    hashRecoveryCode(code) {
+        return this.hashToken(String(code).toUpperCase().replace(/[\s-]/g, ''));
+    }
+
+    /**
+     * Redeem an unused recovery code; each code works once
+     */
+    consumeRecoveryCode(userId, code) {
+        const result = this.db.prepare(`
+            UPDATE user_recovery_codes 
+            SET used_at = CURRENT_TIMESTAMP 
+            WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+        `).run(userId, this.hashRecoveryCode(code));
+
+        return result.changes > 0;
+    }
+
+    /**
+     * Count a user's unused recovery codes
+     */
+    countRecoveryCodes(userId) {
+        return this.db.prepare('SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL')
+            .get(userId).count;
+    }
+
+    /**
+     * Two-factor status for the profile security settings
+     */
+    getTwoFactorStatus(userId) {
+        const user = this.db.prepare('SELECT role, totp_enabled, totp_enabled_at FROM users WHERE id = ?').get(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        return {
+            enabled: !!user.totp_enabled,
+            enabledAt: user.totp_enabled_at,
+            required: this.isTwoFactorRequired(user.role),
+            recoveryCodesRemaining: user.totp_enabled ? this.countRecoveryCodes(userId) : 0
+        };
+    }
+
     /**
      * Generate secure random password
      */
@@ -468,15 +1226,10 @@ class AuthenticationUtils {
     }
 
     /**
-     * Get security log for user (admin only)
+     * Get security log, optionally filtered to one user
+     * Caller authorization is enforced by the security-log:read permission
      */
-    getSecurityLog(adminId, targetUserId = null, limit = 100) {
-        // Verify admin privileges
-        const admin = this.db.prepare('SELECT role FROM users WHERE id = ?').get(adminId);
-        if (!admin || admin.role !== 'admin') {
-            throw new Error('Insufficient privileges to view security logs');
-        }
-
+    getSecurityLog(targetUserId = null, limit = 100) {
         const query = targetUserId 
             ? 'SELECT * FROM user_security_log WHERE user_id = ? ORDER BY created_at DESC LIMIT ?'
             : 'SELECT * FROM user_security_log ORDER BY created_at DESC LIMIT ?';
@@ -490,28 +1243,35 @@ class AuthenticationUtils {
      */
     async createUser(userData, createdByAdminId = null) {
         const { username, email, name, role = 'member', password = null, memberId = null } = userData;
+        // Users who chose their own password (invitation, registration) skip the first-login change
+        const firstLogin = userData.firstLogin !== false;
 
-        // Generate secure password if none provided
-        const userPassword = password || this.generateSecurePassword();
-        
-        // Validate password strength
-        const validation = this.validatePasswordStrength(userPassword);
-        if (!validation.isValid) {
-            throw new Error('Password does not meet security requirements');
-        }
+        let userPassword = null;
+        let { passwordHash: hash = null, salt = null } = userData;
+
+        // Credentials chosen on the registration form arrive already hashed
+        if (!hash) {
+            // Generate secure password if none provided
+            userPassword = password || this.generateSecurePassword(this.passwordPolicy.getGeneratedPasswordLength());
+            
+            // Validate password strength
+            const validation = this.validatePasswordStrength(userPassword);
+            if (!validation.isValid) {
+                throw new Error('Password does not meet security requirements');
+            }
 
-        // Hash password
-        const { hash, salt } = await this.hashPassword(userPassword);
+            // Hash password
+            ({ hash, salt } = await this.hashPassword(userPassword));
+        }
 
-        // Create user record with system password tracking
+        // Create user record - only the hash is stored; a generated password is
+        // returned to the caller once and never persisted in plaintext
         const insertStmt = this.db.prepare(`
-            INSERT INTO users (username, password, password_hash, salt, name, email, role, first_login, system_password, member_id)
-            VALUES (?, '', ?, ?, ?, ?, ?, 1, ?, ?)
+            INSERT INTO users (username, password, password_hash, salt, name, email, role, first_login, member_id, password_last_changed)
+            VALUES (?, '', ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
         `);
 
-        // Store system password only if it was auto-generated
-        const systemPassword = password ? null : userPassword;
-        const result = insertStmt.run(username, hash, salt, name, email, role, systemPassword, memberId);
+        const result = insertStmt.run(username, hash, salt, name, email, role, firstLogin ? 1 : 0, memberId);
         
         if (createdByAdminId) {
             await this.logSecurityEvent(result.lastInsertRowid, 'user_created', true, {}, 
@@ -523,54 +1283,11 @@ class AuthenticationUtils {
             userId: result.lastInsertRowid,
             username: username,
             temporaryPassword: userPassword,
-            systemGenerated: !password,
+            systemGenerated: !password && !userData.passwordHash,
             message: 'User created successfully'
         };
     }
 
-    /**
-     * Create user from member data with auto-generated credentials
-     */
-    async createUserFromMember(memberData, createdByAdminId = null) {
-        const UsernameGenerator = require('../utils/UsernameGenerator');
-        
-        // Get existing usernames to avoid duplicates
-        const existingUsernames = this.db.prepare('SELECT username FROM users').all().map(u => u.username);
-        
-        // Generate username from member name
-        const username = UsernameGenerator.generateUsername(memberData.name, existingUsernames);
-        const password = UsernameGenerator.generatePassword(10);
-        
-        const userData = {
-            username: username,
-            name: memberData.name,
-            email: memberData.email,
-            role: 'member',
-            // Don't pass password - let createUser generate it to ensure system_password is set
-            memberId: memberData.memberId
-        };
-
-        const result = await this.createUser(userData, createdByAdminId);
-        
-        // Override the generated password with our custom one and update the system_password
-        if (result.success) {
-            const { hash, salt } = await this.hashPassword(password);
-            
-            const updateStmt = this.db.prepare(`
-                UPDATE users 
-                SET password_hash = ?, salt = ?, system_password = ?
-                WHERE id = ?
-            `);
-            
-            updateStmt.run(hash, salt, password, result.userId);
-            
-            // Update the result to return our custom password
-            result.temporaryPassword = password;
-        }
-
-        return result;
-    }
-
     /**
      * Admin reset password for any user
      */
@@ -580,19 +1297,13 @@ class AuthenticationUtils {
             const UsernameGenerator = require('../utils/UsernameGenerator');
             
             // Generate new temporary password
-            const newPassword = UsernameGenerator.generatePassword(10);
+            const newPassword = UsernameGenerator.generatePassword(this.passwordPolicy.getGeneratedPasswordLength());
             const { hash, salt } = await this.hashPassword(newPassword);
             
-            // Update user password and restore system_password
-            const updateStmt = this.db.prepare(`
-                UPDATE users 
-                SET password_hash = ?, salt = ?, system_password = ?, updated_at = CURRENT_TIMESTAMP
-                WHERE id = ?
-            `);
-            
-            const result = updateStmt.run(hash, salt, newPassword, userId);
+            // Update user password; the temporary password is only returned to the caller
+            const changes = this.storeNewPassword(userId, hash, salt, true);
             
-            if (result.changes > 0) {
+            if (changes > 0) {
                 await this.logSecurityEvent(userId, 'password_reset', true, {}, `Password reset by admin ${adminId}`);
                 return {
                     success: true,
@@ -616,7 +1327,7 @@ class AuthenticationUtils {
     }
 
     /**
-     * Delete user with comprehensive cascading cleanup
+     * Delete a user and their member profile (moved to the recycle bin together)
      * Implements data consistency and best practices
      */
     async deleteUserWithCascade(userId, adminUserId) {
@@ -624,16 +1335,8 @@ class AuthenticationUtils {
         const consistencyManager = new DataConsistencyManager(this.db);
         
         try {
+            // Caller authorization is enforced by the users:delete permission
             console.log(`🗑️  Admin user ${adminUserId} initiating cascading delete for user ${userId}`);
-            
-            // Validate admin permissions
-            const adminUser = this.db.prepare('SELECT role FROM users WHERE id = ?').get(adminUserId);
-            if (!adminUser || adminUser.role !== 'admin') {
-                return {
-                    success: false,
-                    error: 'Unauthorized: Only admin users can delete users'
-                };
-            }
 
             // Perform cascading delete with data consistency checks
             const result = await consistencyManager.deleteUserAndMemberCascade(userId, adminUserId);
@@ -641,7 +1344,7 @@ class AuthenticationUtils {
             return {
                 success: true,
                 ...result,
-                message: 'User and associated data deleted successfully with consistency validation'
+                message: 'User and associated member moved to the recycle bin'
             };
 
         } catch (error) {
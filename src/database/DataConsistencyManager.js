@@ -5,13 +5,14 @@
 // This module provides comprehensive data consistency management for the 
 // ISMAA Portal with the following capabilities:
 //
-// 1. Cascading Deletes: When admin deletes a user, automatically delete:
-//    - Associated member profile
-//    - Orphaned lookup records (branch, company, industry, skills)
-//    - User sessions and related data
+// 1. Cascading Deletes: When admin deletes a user, automatically:
+//    - Move the user and their member profile to the recycle bin together
+//    - End the user's sessions
+//    - Leave lookups, skills and the photo for the recycle bin purge
+//      (see RecycleBin.js), which also removes orphaned lookup records
 //
 // 2. Data Consistency Checks: Ensure 1:1 mapping between members and users
-//    - Each member must have exactly one user account
+//    - Each member must have exactly one user account (or a pending invitation)
 //    - Each user must reference exactly one member record
 //    - All personal data sourced from members table
 //
@@ -25,6 +26,7 @@
 // =====================================================
 
 const sqlite3 = require('better-sqlite3');
+const RecycleBin = require('./RecycleBin');
 
 class DataConsistencyManager {
     constructor(database) {
@@ -34,7 +36,7 @@ class DataConsistencyManager {
 
     /**
      * Comprehensive user deletion with cascading cleanup
-     * Deletes user, associated member, and orphaned lookup records
+     * Moves the user and their associated member to the recycle bin
      */
     async deleteUserAndMemberCascade(userId, adminUserId) {
         return new Promise((resolve, reject) => {
@@ -44,7 +46,7 @@ class DataConsistencyManager {
                     console.log(`🗑️  Starting cascading delete for user ID: ${userId}`);
                     
                     // Step 1: Get user and member information before deletion
-                    const userInfo = this.db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+                    const userInfo = this.db.prepare('SELECT * FROM users WHERE id = ? AND deleted_at IS NULL').get(userId);
                     if (!userInfo) {
                         throw new Error(`User with ID ${userId} not found`);
                     }
@@ -55,38 +57,15 @@ class DataConsistencyManager {
                     console.log(`   📋 User: ${userInfo.username} (${userInfo.name})`);
                     console.log(`   📋 Member: ${memberInfo ? memberInfo.name : 'No linked member'}`);
 
-                    // Step 2: Store lookup IDs for orphan cleanup
-                    const lookupIds = memberInfo ? {
-                        branchId: memberInfo.branch_id,
-                        industryId: memberInfo.industry_id,
-                        companyId: memberInfo.company_id
-                    } : {};
-
-                    // Step 3: Delete member skills relationships
-                    if (memberInfo) {
-                        const skillsDeleted = this.db.prepare('DELETE FROM member_skills WHERE member_id = ?')
-                            .run(memberInfo.id);
-                        console.log(`   🎯 Deleted ${skillsDeleted.changes} skill relationships`);
-                    }
-
-                    // Step 4: Delete member record
-                    if (memberInfo) {
-                        const memberDeleted = this.db.prepare('DELETE FROM members WHERE id = ?')
-                            .run(memberInfo.id);
-                        console.log(`   👤 Deleted member record: ${memberDeleted.changes > 0 ? '✅' : '❌'}`);
-                    }
-
-                    // Step 5: Delete user record
-                    const userDeleted = this.db.prepare('DELETE FROM users WHERE id = ?').run(userId);
-                    console.log(`   🔐 Deleted user record: ${userDeleted.changes > 0 ? '✅' : '❌'}`);
+                    // Step 2: Move the user and member to the recycle bin, ending the user's sessions
+                    // (the member's last profile is kept in their change history)
+                    const moved = new RecycleBin(this.db).moveToBin('users', userId, adminUserId);
+                    console.log(`   🗑️  Moved to the recycle bin: ${[...moved.users, ...moved.members].join(', ')}`);
 
-                    // Step 6: Clean up orphaned lookup records
-                    this.cleanupOrphanedLookups(lookupIds);
-
-                    // Step 7: Log the deletion for audit trail
+                    // Step 3: Log the deletion for audit trail
                     this.logDeletion(userInfo, memberInfo, adminUserId);
 
-                    // Step 8: Run data consistency check
+                    // Step 4: Run data consistency check
                     const consistencyResults = this.runDataConsistencyCheck();
 
                     return {
@@ -94,7 +73,7 @@ class DataConsistencyManager {
                         deletedUser: userInfo.username,
                         deletedMember: memberInfo?.name || null,
                         consistencyCheck: consistencyResults,
-                        message: 'User and associated data deleted successfully'
+                        message: 'User and associated member moved to the recycle bin'
                     };
 
                 } catch (error) {
@@ -138,8 +117,10 @@ class DataConsistencyManager {
 
         // Clean up orphaned industries
         if (lookupIds.industryId) {
-            const industryUsage = this.db.prepare('SELECT COUNT(*) as count FROM members WHERE industry_id = ?')
-                .get(lookupIds.industryId);
+            const industryUsage = this.db.prepare(`
+                SELECT (SELECT COUNT(*) FROM members WHERE industry_id = ?)
+                     + (SELECT COUNT(*) FROM member_positions WHERE industry_id = ?) as count
+            `).get(lookupIds.industryId, lookupIds.industryId);
             if (industryUsage.count === 0) {
                 const deleted = this.db.prepare('DELETE FROM industries WHERE id = ?').run(lookupIds.industryId);
                 cleanupResults.industries = deleted.changes;
@@ -149,8 +130,10 @@ class DataConsistencyManager {
 
         // Clean up orphaned companies
         if (lookupIds.companyId) {
-            const companyUsage = this.db.prepare('SELECT COUNT(*) as count FROM members WHERE company_id = ?')
-                .get(lookupIds.companyId);
+            const companyUsage = this.db.prepare(`
+                SELECT (SELECT COUNT(*) FROM members WHERE company_id = ?)
+                     + (SELECT COUNT(*) FROM member_positions WHERE company_id = ?) as count
+            `).get(lookupIds.companyId, lookupIds.companyId);
             if (companyUsage.count === 0) {
                 const deleted = this.db.prepare('DELETE FROM companies WHERE id = ?').run(lookupIds.companyId);
                 cleanupResults.companies = deleted.changes;
@@ -196,7 +179,7 @@ class DataConsistencyManager {
                 SELECT u.id, u.username, u.member_id 
                 FROM users u 
                 LEFT JOIN members m ON u.member_id = m.id 
-                WHERE u.member_id IS NOT NULL AND m.id IS NULL
+                WHERE u.member_id IS NOT NULL AND m.id IS NULL AND u.deleted_at IS NULL
             `).all();
 
             if (usersWithoutMembers.length > 0) {
@@ -209,12 +192,15 @@ class DataConsistencyManager {
             }
 
             // Check 2: Members without user records
+            // Members with a pending, unexpired invitation are still being onboarded
             const membersWithoutUsers = this.db.prepare(`
                 SELECT m.id, m.name 
                 FROM members m 
                 LEFT JOIN users u ON m.id = u.member_id 
-                WHERE u.member_id IS NULL
-            `).all();
+                LEFT JOIN member_invitations i ON m.id = i.member_id 
+                    AND i.status = 'pending' AND i.expires_at > ?
+                WHERE u.member_id IS NULL AND i.id IS NULL AND m.deleted_at IS NULL
+            `).all(new Date().toISOString());
 
             if (membersWithoutUsers.length > 0) {
                 results.issues.push({
@@ -243,12 +229,28 @@ class DataConsistencyManager {
                 results.status = 'FAILED';
             }
 
-            // Gather statistics
+            // Check 4: Plaintext passwords left in the legacy users.system_password column
+            const hasSystemPassword = this.db.prepare('PRAGMA table_info(users)').all()
+                .some(column => column.name === 'system_password');
+            const plaintextPasswords = hasSystemPassword
+                ? this.db.prepare('SELECT id, username FROM users WHERE system_password IS NOT NULL').all()
+                : [];
+
+            if (plaintextPasswords.length > 0) {
+                results.issues.push({
+                    type: 'PLAINTEXT_PASSWORDS',
+                    count: plaintextPasswords.length,
+                    details: plaintextPasswords.map(u => `User ${u.username} (ID ${u.id}) has a stored plaintext password`)
+                });
+                results.status = 'FAILED';
+            }
+
+            // Gather statistics (records in the recycle bin are not counted)
             results.statistics = {
-                totalUsers: this.db.prepare('SELECT COUNT(*) as count FROM users').get().count,
-                totalMembers: this.db.prepare('SELECT COUNT(*) as count FROM members').get().count,
-                linkedUsers: this.db.prepare('SELECT COUNT(*) as count FROM users WHERE member_id IS NOT NULL').get().count,
-                unlinkedUsers: this.db.prepare('SELECT COUNT(*) as count FROM users WHERE member_id IS NULL').get().count
+                totalUsers: this.db.prepare('SELECT COUNT(*) as count FROM users WHERE deleted_at IS NULL').get().count,
+                totalMembers: this.db.prepare('SELECT COUNT(*) as count FROM members WHERE deleted_at IS NULL').get().count,
+                linkedUsers: this.db.prepare('SELECT COUNT(*) as count FROM users WHERE member_id IS NOT NULL AND deleted_at IS NULL').get().count,
+                unlinkedUsers: this.db.prepare('SELECT COUNT(*) as count FROM users WHERE member_id IS NULL AND deleted_at IS NULL').get().count
             };
 
             console.log(`     📊 Total Users: ${results.statistics.totalUsers}`);
@@ -347,11 +349,14 @@ class DataConsistencyManager {
                     recommendations.push('Create missing member records or unlink users from non-existent members');
                     break;
                 case 'ORPHANED_MEMBER_RECORDS':
-                    recommendations.push('Create user accounts for orphaned members or delete unused member records');
+                    recommendations.push('Invite orphaned members from the member list or delete unused member records');
                     break;
                 case 'DUPLICATE_MEMBER_LINKS':
                     recommendations.push('Fix duplicate member linkages by ensuring 1:1 user-member mapping');
                     break;
+                case 'PLAINTEXT_PASSWORDS':
+                    recommendations.push('Clear stored plaintext passwords (maintenance --fix-issues) and send affected users a setup link');
+                    break;
             }
         });
 
@@ -3,10 +3,25 @@
  * 
  * This class provides a clean API interface for all database operations:
  * - Member CRUD operations with skill relationships
+ * - Paginated, filtered and sorted member directory queries
+ * - Ranked full-text search across members, blogs and notices
  * - Lookup table management (branches, industries, companies, skills)
  * - Blog and notice content management
  * - Enhanced user authentication and security features
+ * - Invitation-based onboarding for new members
+ * - Public self-registration applications with an admin review queue
+ * - Validated CSV/Excel bulk member import
+ * - Directory exports as CSV, vCard and printable PDF
  * - Data transformation between database format and API format
+ * - Profile visibility and hidden fields applied to member reads (see MemberPrivacy)
+ * - Member photos kept as resized image files on disk (see PhotoStore)
+ * - Member change history with field-level diffs and restore (see MemberRevisions)
+ * - Soft deletion with an admin recycle bin for members, accounts, blogs and notices (see RecycleBin)
+ * - Scored duplicate member detection and merging (see MemberDuplicates)
+ * - Employment history with "currently at" and "has worked at" company filters (see MemberPositions)
+ * - Membership plans, dues payments and membership status filters (see MembershipDues)
+ * - Membership IDs assigned and checked against a configurable pattern (see MembershipIds)
+ * - iCalendar files and feeds of events and dated notices (see EventCalendar)
  * 
  * Key Features:
  * - Automatic skill relationship handling
@@ -17,17 +32,70 @@
  * - SQL injection prevention via prepared statements
  * - Consistent error handling and logging
  * 
- * Dependencies: DatabaseManager, AuthenticationUtils
+ * Dependencies: DatabaseManager, AuthenticationUtils, SystemSettings, MemberInvitations, MemberApplications,
+ * FullTextSearch, MemberImport, MemberExport, MemberPrivacy, PhotoStore, MemberRevisions, RecycleBin,
+ * MemberDuplicates, MemberPositions, MembershipDues, MembershipIds, MembershipCards, AlumniEvents, EventCalendar
  */
 
 const DatabaseManager = require('./DatabaseManager');
 const AuthenticationUtils = require('./AuthenticationUtils');
+const SystemSettings = require('./SystemSettings');
+const MemberInvitations = require('./MemberInvitations');
+const MemberApplications = require('./MemberApplications');
+const FullTextSearch = require('./FullTextSearch');
+const MemberImport = require('./MemberImport');
+const MemberExport = require('./MemberExport');
+const MemberPrivacy = require('./MemberPrivacy');
+const PhotoStore = require('./PhotoStore');
+const MemberRevisions = require('./MemberRevisions');
+const RecycleBin = require('./RecycleBin');
+const MemberDuplicates = require('./MemberDuplicates');
+const MemberPositions = require('./MemberPositions');
+const MembershipDues = require('./MembershipDues');
+const MembershipIds = require('./MembershipIds');
+const MembershipCards = require('./MembershipCards');
+const AlumniEvents = require('./AlumniEvents');
+const EventCalendar = require('./EventCalendar');
+
+// Member directory query limits (GET /members)
+const DEFAULT_MEMBER_PAGE_SIZE = 24;
+const MAX_MEMBER_PAGE_SIZE = 100;
+
+// Company filter scopes: the member's current company, or any position they have held
+const COMPANY_SCOPES = ['current', 'ever'];
+
+// Sortable fields of the member directory and the column each sorts on
+const MEMBER_SORT_COLUMNS = {
+    name: 'm.name',
+    passoutBatch: 'm.passout_batch',
+    branch: 'b.name',
+    industry: 'i.name',
+    company: 'c.name',
+    membershipType: 'm.membership_type',
+    membershipID: 'm.membership_id'
+};
 
 class DatabaseAPI {
     constructor() {
         this.dbManager = new DatabaseManager();
         this.db = null; // Will hold the database connection after initialization
         this.auth = null; // Authentication utilities instance
+        this.settings = null; // Admin-editable system settings
+        this.invitations = null; // Member onboarding invitations
+        this.applications = null; // Self-registration review queue
+        this.search = null; // Full-text search across members, blogs and notices
+        this.imports = null; // CSV/Excel bulk member import
+        this.exports = null; // CSV, vCard and PDF directory exports
+        this.revisions = null; // Member change history
+        this.recycleBin = null; // Soft-deleted members, accounts, blogs and notices
+        this.duplicates = null; // Duplicate member detection and merging
+        this.positions = null; // Employment history
+        this.dues = null; // Membership plans, payments and status
+        this.membershipIds = null; // Membership ID pattern and sequences
+        this.cards = null; // Membership cards and their QR verification
+        this.events = null; // Events, RSVPs, waitlists and check-in
+        this.calendar = null; // iCalendar files and feeds of events and dated notices
+        this.photos = new PhotoStore(); // Member photo files
     }
 
     // Initialize the database connection and authentication utilities
@@ -35,12 +103,41 @@ class DatabaseAPI {
         await this.dbManager.initialize();
         this.db = this.dbManager.getDatabase();
         this.auth = new AuthenticationUtils(this.db);
+        this.settings = new SystemSettings(this.db);
+        this.invitations = new MemberInvitations(this.db, this.auth);
+        this.applications = new MemberApplications(this.db, this.auth, this);
+        this.search = new FullTextSearch(this.db);
+        this.imports = new MemberImport(this.db, this, this.auth);
+        this.exports = new MemberExport(this);
+        this.revisions = new MemberRevisions(this.db);
+        this.recycleBin = new RecycleBin(this.db, this.photos);
+        this.duplicates = new MemberDuplicates(this.db, this);
+        this.positions = new MemberPositions(this.db, this);
+        this.dues = new MembershipDues(this.db, this.settings);
+        this.membershipIds = new MembershipIds(this.db, this, this.settings);
+        this.cards = new MembershipCards(this.db, this.auth, this.dues, this.photos);
+        this.events = new AlumniEvents(this.db, this.cards);
+        this.calendar = new EventCalendar(this.db, this.auth);
+
+        // Photos saved as base64 data URLs by earlier releases move to the file store
+        const migrated = await this.photos.migrateDataUrls(this.db);
+        if (migrated.converted > 0) {
+            console.log(`🔧 Moved ${migrated.converted} member photo(s) to the photo store`);
+        }
+        if (migrated.failed.length > 0) {
+            console.warn(`⚠️  Could not convert the photos of member(s) ${migrated.failed.join(', ')}; they are not shown`);
+        }
+        this.photos.removeUnreferenced(this.db);
     }
 
     // ===== MEMBERS API =====
     // Get all members with their associated lookup data and skills
     // Returns denormalized data format for easy frontend consumption
-    getAllMembers() {
+    // With a viewer ({ id, role, member_id }), their privacy view applies (see MemberPrivacy)
+    // Members in the recycle bin are left out here and in every other member read
+    getAllMembers(viewer = null) {
+        const visibility = MemberPrivacy.visibilityCondition(viewer);
+
         // Complex JOIN query to fetch member data with all related information
         // Uses LEFT JOINs to include members even if they don't have all relationships
         const query = `
@@ -48,23 +145,26 @@ class DatabaseAPI {
                    b.name as branch_name,
                    i.name as industry_name,
                    c.name as company_name,
-                   GROUP_CONCAT(s.name) as skills
+                   GROUP_CONCAT(s.name) as skills,
+                   ${MemberPrivacy.COLUMNS}
             FROM members m
             LEFT JOIN branches b ON m.branch_id = b.id
             LEFT JOIN industries i ON m.industry_id = i.id
             LEFT JOIN companies c ON m.company_id = c.id
             LEFT JOIN member_skills ms ON m.id = ms.member_id
             LEFT JOIN skills s ON ms.skill_id = s.id
+            ${MemberPrivacy.JOIN}
+            WHERE m.deleted_at IS NULL${visibility.sql ? ` AND ${visibility.sql}` : ''}
             GROUP BY m.id
             ORDER BY m.name
         `;
         
-        const members = this.db.prepare(query).all();
+        const members = this.db.prepare(query).all(...visibility.params);
         
         // Transform database format to API format
         // Convert skills from comma-separated string to array for frontend
         // Use legacy_id for backward compatibility with existing frontend code
-        return members.map(member => ({
+        return members.map(member => MemberPrivacy.redact({
             id: member.legacy_id || member.id,
             name: member.name,
             email: member.email,
@@ -75,31 +175,242 @@ class DatabaseAPI {
             industry: member.industry_name,
             company: member.company_name,
             skills: member.skills ? member.skills.split(',') : [],
-            photo: member.photo,
+            ...PhotoStore.urls(member.photo),
             membershipID: member.membership_id,
             membershipType: member.membership_type
-        }));
+        }, member, viewer));
+    }
+
+    // Validate member directory query parameters (GET /members query string)
+    // Throws with a client-facing message for unknown sort fields or bad paging values
+    static parseMemberQuery(params = {}) {
+        const text = value => (typeof value === 'string' ? value.trim() : '');
+        const positiveInteger = (value, name, fallback) => {
+            if (value === undefined || value === '') return fallback;
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < 1) {
+                throw new Error(`${name} must be a positive whole number`);
+            }
+            return number;
+        };
+
+        const sort = text(params.sort) || 'name';
+        if (!MEMBER_SORT_COLUMNS[sort]) {
+            throw new Error(`sort must be one of: ${Object.keys(MEMBER_SORT_COLUMNS).join(', ')}`);
+        }
+
+        const order = (text(params.order) || 'asc').toLowerCase();
+        if (order !== 'asc' && order !== 'desc') {
+            throw new Error('order must be asc or desc');
+        }
+
+        // Skills may be repeated (?skills=a&skills=b) or comma separated (?skills=a,b)
+        const skills = [params.skills].flat().filter(value => typeof value === 'string')
+            .flatMap(value => value.split(','))
+            .map(skill => skill.trim())
+            .filter(Boolean);
+
+        const companyScope = text(params.companyScope) || 'current';
+        if (!COMPANY_SCOPES.includes(companyScope)) {
+            throw new Error(`companyScope must be one of: ${COMPANY_SCOPES.join(', ')}`);
+        }
+
+        const duesStatus = text(params.duesStatus);
+        if (duesStatus && !MembershipDues.DUES_STATUSES.includes(duesStatus)) {
+            throw new Error(`duesStatus must be one of: ${MembershipDues.DUES_STATUSES.join(', ')}`);
+        }
+
+        return {
+            search: text(params.search),
+            batch: text(params.batch),
+            branch: text(params.branch),
+            industry: text(params.industry),
+            company: text(params.company),
+            companyScope,
+            membershipType: text(params.membershipType),
+            duesStatus,
+            skills: [...new Set(skills)],
+            sort,
+            order,
+            page: positiveInteger(params.page, 'page', 1),
+            pageSize: Math.min(positiveInteger(params.pageSize, 'pageSize', DEFAULT_MEMBER_PAGE_SIZE), MAX_MEMBER_PAGE_SIZE),
+            includePhotos: params.includePhotos === 'true' || params.includePhotos === true
+        };
+    }
+
+    // Get one page of the member directory with filters and sorting applied
+    // Filters combine with AND; every listed skill must be present. Photos are omitted
+    // unless includePhotos is set (hasPhoto says whether one exists); photos are URLs (see PhotoStore)
+    // Returns { members, total, page, pageSize, totalPages }
+    // Pass paginate: false to get every match (exports); with a viewer ({ id, role, member_id }),
+    // private profiles and hidden fields are left out as described in MemberPrivacy
+    queryMembers(options = {}, { paginate = true, viewer = null } = {}) {
+        const query = DatabaseAPI.parseMemberQuery(options);
+        const conditions = ['m.deleted_at IS NULL'];
+        const params = [];
+
+        // Search uses the full-text index: every word must match (the last as a prefix)
+        // across name, email, batch, branch, industry, company and skills
+        const searchExpression = FullTextSearch.buildMatchExpression(query.search);
+        if (searchExpression) {
+            conditions.push('m.id IN (SELECT rowid FROM members_fts WHERE members_fts MATCH ?)');
+            params.push(searchExpression);
+
+            const hiddenEmail = MemberPrivacy.hiddenEmailSearchCondition(searchExpression, viewer);
+            if (hiddenEmail.sql) {
+                conditions.push(hiddenEmail.sql);
+                params.push(...hiddenEmail.params);
+            }
+        }
+        if (query.batch) {
+            conditions.push('m.passout_batch = ?');
+            params.push(query.batch);
+        }
+        if (query.branch) {
+            conditions.push('b.name = ? COLLATE NOCASE');
+            params.push(query.branch);
+        }
+        if (query.industry) {
+            conditions.push('i.name = ? COLLATE NOCASE');
+            params.push(query.industry);
+        }
+        if (query.company && query.companyScope === 'ever') {
+            conditions.push(`EXISTS (
+                SELECT 1 FROM member_positions fp JOIN companies fc ON fc.id = fp.company_id
+                WHERE fp.member_id = m.id AND fc.name = ? COLLATE NOCASE
+            )`);
+            params.push(query.company);
+        } else if (query.company) {
+            conditions.push('c.name = ? COLLATE NOCASE');
+            params.push(query.company);
+        }
+        if (query.membershipType) {
+            conditions.push('m.membership_type = ? COLLATE NOCASE');
+            params.push(query.membershipType);
+        }
+        if (query.duesStatus) {
+            const dues = this.dues.statusCondition(query.duesStatus);
+            conditions.push(dues.sql);
+            params.push(...dues.params);
+        }
+        query.skills.forEach(skill => {
+            conditions.push(`EXISTS (
+                SELECT 1 FROM member_skills fms JOIN skills fs ON fs.id = fms.skill_id
+                WHERE fms.member_id = m.id AND fs.name = ? COLLATE NOCASE
+            )`);
+            params.push(skill);
+        });
+        const visibility = MemberPrivacy.visibilityCondition(viewer);
+        if (visibility.sql) {
+            conditions.push(visibility.sql);
+            params.push(...visibility.params);
+        }
+
+        const from = `
+            FROM members m
+            LEFT JOIN branches b ON m.branch_id = b.id
+            LEFT JOIN industries i ON m.industry_id = i.id
+            LEFT JOIN companies c ON m.company_id = c.id
+            ${MemberPrivacy.JOIN}
+            WHERE ${conditions.join(' AND ')}
+        `;
+
+        const { total } = this.db.prepare(`SELECT COUNT(*) AS total ${from}`).get(...params);
+
+        // Members without a value in the sort column go last in either direction
+        const sortColumn = MEMBER_SORT_COLUMNS[query.sort];
+        const direction = query.order.toUpperCase();
+        const rows = this.db.prepare(`
+            SELECT m.id, m.legacy_id, m.name, m.email, m.phone, m.address, m.passout_batch,
+                   m.membership_id, m.membership_type,
+                   ${query.includePhotos ? 'm.photo' : 'NULL AS photo'},
+                   m.photo IS NOT NULL AND m.photo != '' AS has_photo,
+                   b.name as branch_name,
+                   i.name as industry_name,
+                   c.name as company_name,
+                   (SELECT GROUP_CONCAT(s.name) FROM member_skills ms JOIN skills s ON ms.skill_id = s.id
+                    WHERE ms.member_id = m.id) as skills,
+                   ${MemberPrivacy.COLUMNS}
+            ${from}
+            ORDER BY ${sortColumn} IS NULL OR ${sortColumn} = '', ${sortColumn} COLLATE NOCASE ${direction}, m.name COLLATE NOCASE, m.id
+            ${paginate ? 'LIMIT ? OFFSET ?' : ''}
+        `).all(...params, ...(paginate ? [query.pageSize, (query.page - 1) * query.pageSize] : []));
+
+        return {
+            members: rows.map(member => MemberPrivacy.redact({
+                id: member.legacy_id || member.id,
+                name: member.name,
+                email: member.email,
+                phone: member.phone,
+                address: member.address,
+                passoutBatch: member.passout_batch,
+                branch: member.branch_name,
+                industry: member.industry_name,
+                company: member.company_name,
+                skills: member.skills ? member.skills.split(',') : [],
+                ...PhotoStore.urls(member.photo),
+                hasPhoto: !!member.has_photo,
+                membershipID: member.membership_id,
+                membershipType: member.membership_type
+            }, member, viewer)),
+            total,
+            page: query.page,
+            pageSize: query.pageSize,
+            totalPages: Math.ceil(total / query.pageSize)
+        };
+    }
+
+    // Values present in the directory for each filter, with overall counts
+    // Feeds the member list's filter dropdowns and statistics without loading every member
+    getMemberFacets() {
+        const distinct = (sql) => this.db.prepare(sql).all().map(row => row.value);
+
+        return {
+            total: this.db.prepare('SELECT COUNT(*) AS count FROM members WHERE deleted_at IS NULL').get().count,
+            batches: distinct(`SELECT DISTINCT passout_batch AS value FROM members
+                               WHERE deleted_at IS NULL AND passout_batch IS NOT NULL AND passout_batch != '' ORDER BY passout_batch`),
+            branches: distinct(`SELECT DISTINCT b.name AS value FROM members m JOIN branches b ON m.branch_id = b.id
+                                WHERE m.deleted_at IS NULL ORDER BY b.name`),
+            industries: distinct(`SELECT DISTINCT i.name AS value FROM members m JOIN industries i ON m.industry_id = i.id
+                                  WHERE m.deleted_at IS NULL ORDER BY i.name`),
+            // Every company someone has worked at, current or not
+            companies: distinct(`SELECT DISTINCT c.name AS value FROM member_positions p JOIN companies c ON p.company_id = c.id
+                                 JOIN members m ON m.id = p.member_id AND m.deleted_at IS NULL
+                                 ORDER BY c.name COLLATE NOCASE`),
+            // Skills differing only in case ("AI", "Ai") are offered once; the filter ignores case
+            skills: distinct(`SELECT MIN(s.name) AS value FROM member_skills ms JOIN skills s ON ms.skill_id = s.id
+                              JOIN members m ON m.id = ms.member_id AND m.deleted_at IS NULL
+                              GROUP BY LOWER(s.name) ORDER BY value COLLATE NOCASE`),
+            membershipTypes: Object.fromEntries(this.db.prepare(`
+                SELECT COALESCE(membership_type, 'Member') AS type, COUNT(*) AS count FROM members
+                WHERE deleted_at IS NULL GROUP BY type
+            `).all().map(row => [row.type, row.count]))
+        };
     }
 
     // Get a specific member by ID (supports both legacy and new IDs)
     // Returns single member object or null if not found
-    getMemberById(id) {
+    // With a viewer ({ id, role, member_id }), a private profile is not found and hidden fields are null
+    getMemberById(id, viewer = null) {
         // Query with LEFT JOINs to get member data with lookup values
         // Supports both legacy_id (from old JSON system) and new SQLite id
         const query = `
             SELECT m.*, 
                    b.name as branch_name,
                    i.name as industry_name,
-                   c.name as company_name
+                   c.name as company_name,
+                   ${MemberPrivacy.COLUMNS}
             FROM members m
             LEFT JOIN branches b ON m.branch_id = b.id
             LEFT JOIN industries i ON m.industry_id = i.id
             LEFT JOIN companies c ON m.company_id = c.id
-            WHERE m.legacy_id = ? OR m.id = ?
+            ${MemberPrivacy.JOIN}
+            WHERE (m.legacy_id = ? OR m.id = ?) AND m.deleted_at IS NULL
         `;
         
         const member = this.db.prepare(query).get(id, id);
         if (!member) return null;
+        if (member.privacy_visibility === 'private' && !MemberPrivacy.seesFullRecord(viewer, member.id)) return null;
         
         // Get skills separately due to many-to-many relationship
         // Separate query prevents cartesian product issues with main query
@@ -113,7 +424,7 @@ class DatabaseAPI {
         const skills = this.db.prepare(skillsQuery).all(member.id).map(row => row.name);
         
         // Transform to API format with skills array
-        return {
+        return MemberPrivacy.redact({
             id: member.legacy_id || member.id,
             name: member.name,
             email: member.email,
@@ -124,94 +435,28 @@ class DatabaseAPI {
             industry: member.industry_name,
             company: member.company_name,
             skills: skills,
-            photo: member.photo,
+            ...PhotoStore.urls(member.photo),
             membershipID: member.membership_id,
             membershipType: member.membership_type
-        };
+        }, member, viewer);
     }
 
     // Create a new member with automatic lookup table management
     // Uses transaction to ensure data consistency across multiple tables
-    // Create a new member with automatic lookup table management and user account creation
-    // Uses transaction to ensure data consistency across multiple tables
-    async createMember(memberData) {
+    // No user account is created here - members are invited and set up their own (see MemberInvitations)
+    // actorId is the user creating the member, for the change history
+    async createMember(memberData, actorId = null) {
         return new Promise((resolve, reject) => {
             try {
                 // Execute database transaction first
-                const result = this.dbManager.executeTransaction(() => {
-                    // Get or create lookup table entries (branch, industry, company)
-                    // This ensures referential integrity and prevents orphaned records
-                    const branchId = this.getOrCreateLookup('branches', memberData.branch);
-                    const industryId = this.getOrCreateLookup('industries', memberData.industry);
-                    const companyId = this.getOrCreateLookup('companies', memberData.company);
-                    
-                    // Insert the main member record with foreign key references
-                    const insertMember = this.db.prepare(`
-                        INSERT INTO members (legacy_id, name, email, phone, address, passout_batch, 
-                                           branch_id, industry_id, company_id, photo, membership_id, membership_type)
-                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                    `);
-                    
-                    // Use provided ID or generate timestamp-based ID for backward compatibility
-                    const legacyId = memberData.id || Date.now();
-                    const insertResult = insertMember.run(
-                        legacyId,
-                        memberData.name,
-                        memberData.email,
-                        memberData.phone,
-                        memberData.address,
-                        memberData.passoutBatch,
-                        branchId,
-                        industryId,
-                        companyId,
-                        memberData.photo,
-                        memberData.membershipID,
-                        memberData.membershipType
-                    );
-                    
-                    const memberId = insertResult.lastInsertRowid;
-                    
-                    // Insert skills
-                    if (memberData.skills && Array.isArray(memberData.skills)) {
-                        this.updateMemberSkills(memberId, memberData.skills);
-                    }
-                    
-                    return { legacyId, memberId };
-                });
-
-                // Handle user account creation after successful database transaction
-                if (memberData.createUserAccount !== false) { // Default to true unless explicitly false
-                    console.log(`👤 Creating user account for new member: ${memberData.name}`);
-                    
-                    this.auth.createUserFromMember({
-                        name: memberData.name,
-                        email: memberData.email,
-                        memberId: result.memberId
-                    }).then(userResult => {
-                        if (userResult.success) {
-                            console.log(`✅ User account created: ${userResult.username}`);
-                        } else {
-                            console.warn(`⚠️  Failed to create user account: ${userResult.error}`);
-                        }
-                        
-                        // Run data consistency check after all operations
-                        this.runDataConsistencyCheck('ADD_MEMBER', result.legacyId);
-                        
-                        resolve({ id: result.legacyId, dbId: result.memberId, userCreated: userResult.success });
-                        
-                    }).catch(error => {
-                        console.warn(`⚠️  User account creation error: ${error.message}`);
-                        
-                        // Run data consistency check even if user creation failed
-                        this.runDataConsistencyCheck('ADD_MEMBER', result.legacyId);
-                        
-                        resolve({ id: result.legacyId, dbId: result.memberId, userCreated: false });
-                    });
-                } else {
-                    // No user account creation requested
-                    this.runDataConsistencyCheck('ADD_MEMBER', result.legacyId);
-                    resolve({ id: result.legacyId, dbId: result.memberId, userCreated: false });
-                }
+                // Use provided ID or generate timestamp-based ID for backward compatibility
+                const result = this.dbManager.executeTransaction(() =>
+                    this.insertMemberRecord(memberData, memberData.id || Date.now(), actorId)
+                );
+
+                // Run data consistency check after all operations
+                this.runDataConsistencyCheck('ADD_MEMBER', result.legacyId);
+                resolve({ id: result.legacyId, dbId: result.memberId });
                 
             } catch (error) {
                 console.error('Error creating member:', error);
@@ -220,24 +465,88 @@ class DatabaseAPI {
         });
     }
 
-    updateMember(id, memberData) {
+    // Insert a member with its lookups and skills; callers provide the surrounding transaction
+    // Shared by createMember and the bulk importer (MemberImport), which inserts many rows in one transaction
+    // Members without a membership ID get the next one from the configured pattern (see MembershipIds)
+    // Records the 'create' revision with the acting user
+    insertMemberRecord(memberData, legacyId, actorId = null) {
+        const membershipId = this.membershipIds.check(memberData.membershipID)
+            || this.membershipIds.allocate(memberData.passoutBatch);
+
+        // Get or create lookup table entries (branch, industry, company)
+        // This ensures referential integrity and prevents orphaned records
+        const branchId = this.getOrCreateLookup('branches', memberData.branch);
+        const industryId = this.getOrCreateLookup('industries', memberData.industry);
+        const companyId = this.getOrCreateLookup('companies', memberData.company);
+        
+        // Insert the main member record with foreign key references
+        const insertMember = this.db.prepare(`
+            INSERT INTO members (legacy_id, name, email, phone, address, passout_batch, 
+                               branch_id, industry_id, company_id, photo, membership_id, membership_type)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        
+        const insertResult = insertMember.run(
+            legacyId,
+            memberData.name,
+            memberData.email,
+            memberData.phone,
+            memberData.address,
+            memberData.passoutBatch,
+            branchId,
+            industryId,
+            companyId,
+            PhotoStore.isKey(memberData.photo) ? memberData.photo : null, // Key of an already stored photo
+            membershipId,
+            memberData.membershipType
+        );
+        
+        const memberId = insertResult.lastInsertRowid;
+        
+        // Insert skills
+        if (memberData.skills && Array.isArray(memberData.skills)) {
+            this.updateMemberSkills(memberId, memberData.skills);
+        }
+
+        // The company and industry start the member's employment history
+        this.positions.applyProfile(memberId, companyId, industryId);
+
+        this.revisions.record(memberId, 'create', { after: this.revisions.snapshot(memberId), actorId });
+        
+        return { legacyId, memberId };
+    }
+
+    // Update a member's fields and skills, recording the change in the member's history
+    // Options: actorId (user making the change), restoredFrom (revision id when restoring one),
+    // mergedFrom (members.id of a duplicate being merged in, see MemberDuplicates),
+    // selfService (a member editing their own profile: membership ID and type are kept as they are)
+    updateMember(id, memberData, { actorId = null, restoredFrom = null, mergedFrom = null, selfService = false } = {}) {
         return this.dbManager.executeTransaction(() => {
             // Get member's database ID
-            const member = this.db.prepare('SELECT id FROM members WHERE legacy_id = ? OR id = ?').get(id, id);
+            const member = this.db.prepare(`
+                SELECT id, membership_id, membership_type FROM members WHERE (legacy_id = ? OR id = ?) AND deleted_at IS NULL
+            `).get(id, id);
             if (!member) throw new Error('Member not found');
             
             const memberId = member.id;
+            const before = this.revisions.snapshot(memberId);
+
+            // Restores and merges bring back an ID the member already held; new IDs must follow the pattern
+            const membershipId = selfService ? member.membership_id
+                : restoredFrom || mergedFrom ? memberData.membershipID || null
+                : this.membershipIds.check(memberData.membershipID, memberId);
+            const membershipType = selfService ? member.membership_type : memberData.membershipType;
             
             // Get or create lookup IDs
             const branchId = this.getOrCreateLookup('branches', memberData.branch);
             const industryId = this.getOrCreateLookup('industries', memberData.industry);
             const companyId = this.getOrCreateLookup('companies', memberData.company);
             
-            // Update member
+            // Update member (the photo is changed through setMemberPhoto)
             const updateMember = this.db.prepare(`
                 UPDATE members 
                 SET name = ?, email = ?, phone = ?, address = ?, passout_batch = ?,
-                    branch_id = ?, industry_id = ?, company_id = ?, photo = ?,
+                    branch_id = ?, industry_id = ?, company_id = ?,
                     membership_id = ?, membership_type = ?
                 WHERE id = ?
             `);
@@ -251,16 +560,26 @@ class DatabaseAPI {
                 branchId,
                 industryId,
                 companyId,
-                memberData.photo,
-                memberData.membershipID,
-                memberData.membershipType,
+                membershipId,
+                membershipType,
                 memberId
             );
+
+            // A new company ends the current position in the employment history
+            this.positions.applyProfile(memberId, companyId, industryId);
             
             // Update skills
             if (memberData.skills && Array.isArray(memberData.skills)) {
                 this.updateMemberSkills(memberId, memberData.skills);
             }
+
+            this.revisions.record(memberId, mergedFrom ? 'merge' : restoredFrom ? 'restore' : 'update', {
+                before,
+                after: this.revisions.snapshot(memberId),
+                actorId,
+                restoredFrom,
+                mergedFrom
+            });
             
             // Run data consistency check after update
             this.runDataConsistencyCheck('UPDATE_MEMBER', id);
@@ -269,74 +588,90 @@ class DatabaseAPI {
         });
     }
 
+    // Change history of a member, newest first, with field-level diffs (see MemberRevisions)
+    // Returns null if the member does not exist
+    getMemberHistory(id) {
+        const member = this.db.prepare('SELECT id FROM members WHERE legacy_id = ? OR id = ?').get(id, id);
+        return member ? this.revisions.history(member.id) : null;
+    }
+
+    // Put a member back to the profile a revision left them with; recorded as a 'restore' revision
+    // Returns null if the member does not exist; throws if the revision is not one of theirs or was a delete
+    restoreMemberRevision(id, revisionId, actorId) {
+        const member = this.db.prepare('SELECT id FROM members WHERE legacy_id = ? OR id = ?').get(id, id);
+        if (!member) return null;
+
+        const profile = this.revisions.getProfileAfter(member.id, revisionId);
+        if (!profile) {
+            throw new Error('This revision cannot be restored for this member');
+        }
+        return this.updateMember(id, profile, { actorId, restoredFrom: Number(revisionId) });
+    }
+
+    // Store an uploaded image as the member's photo, replacing any previous one
+    // Throws with a client-facing message for files that are not a usable image
+    // Returns the member's new photo URLs, or null if the member does not exist
+    async setMemberPhoto(id, data) {
+        const member = this.db.prepare('SELECT id, photo FROM members WHERE (legacy_id = ? OR id = ?) AND deleted_at IS NULL').get(id, id);
+        if (!member) return null;
+
+        const key = await this.photos.save(data);
+        this.db.prepare("UPDATE members SET photo = ?, updated_at = datetime('now') WHERE id = ?").run(key, member.id);
+        this.photos.remove(member.photo);
+        return PhotoStore.urls(key);
+    }
+
+    // Remove a member's photo
+    // Returns false if the member does not exist
+    removeMemberPhoto(id) {
+        const member = this.db.prepare('SELECT id, photo FROM members WHERE (legacy_id = ? OR id = ?) AND deleted_at IS NULL').get(id, id);
+        if (!member) return false;
+
+        this.db.prepare("UPDATE members SET photo = NULL, updated_at = datetime('now') WHERE id = ?").run(member.id);
+        this.photos.remove(member.photo);
+        return true;
+    }
+
+    // Check whether a member record (legacy or database ID) is linked to the given user account
+    // Used by the authorization layer for "own profile" permissions
+    isMemberOwnedBy(memberId, userId) {
+        const owner = this.db.prepare(`
+            SELECT u.id FROM members m
+            JOIN users u ON u.member_id = m.id
+            WHERE (m.legacy_id = ? OR m.id = ?) AND u.id = ? AND m.deleted_at IS NULL
+        `).get(memberId, memberId, userId);
+
+        return !!owner;
+    }
+
     /**
-     * Enhanced member deletion with cascading cleanup and consistency checks
-     * This method should only be used for members without user accounts
-     * For members with users, use deleteUserWithCascade from AuthenticationUtils
+     * Move a member to the recycle bin, together with their user account if they have one
+     * Skills, lookups and the photo stay until the bin is purged, so a restore brings everything back
      */
     deleteMember(id, adminUserId) {
         try {
             console.log(`🗑️  Deleting member ID: ${id}`);
-            
-            // Check if member has associated user account
-            const associatedUser = this.db.prepare('SELECT id, username FROM users WHERE member_id = ?').get(id);
-            
-            if (associatedUser) {
-                console.log(`⚠️  Member ${id} has associated user account: ${associatedUser.username}`);
-                return {
-                    success: false,
-                    error: 'Cannot delete member with associated user account. Use deleteUserWithCascade instead.',
-                    hasUser: true,
-                    userId: associatedUser.id,
-                    username: associatedUser.username
-                };
-            }
 
-            // Get member info before deletion for logging
-            const memberInfo = this.db.prepare('SELECT * FROM members WHERE legacy_id = ? OR id = ?').get(id, id);
-            
-            if (!memberInfo) {
+            const result = this.recycleBin.moveToBin('members', id, adminUserId);
+            if (!result) {
                 return {
                     success: false,
                     error: 'Member not found'
                 };
             }
 
-            // Store lookup IDs for cleanup
-            const lookupIds = {
-                branchId: memberInfo.branch_id,
-                industryId: memberInfo.industry_id,
-                companyId: memberInfo.company_id
-            };
+            console.log(`✅ Member ${result.title} moved to the recycle bin` +
+                (result.users.length > 0 ? ` with user account ${result.users.join(', ')}` : ''));
 
-            // Delete member skills first
-            this.db.prepare('DELETE FROM member_skills WHERE member_id = ?').run(memberInfo.id);
-            
-            // Delete member record
-            const deleteMember = this.db.prepare('DELETE FROM members WHERE legacy_id = ? OR id = ?');
-            const result = deleteMember.run(id, id);
-            
-            if (result.changes > 0) {
-                console.log(`✅ Member ${memberInfo.name} deleted successfully`);
-                
-                // Clean up orphaned lookup records
-                this.cleanupOrphanedLookups(lookupIds);
-                
-                // Run data consistency check
-                this.runDataConsistencyCheck('DELETE_MEMBER', id, adminUserId);
-                
-                return {
-                    success: true,
-                    deletedMember: memberInfo.name,
-                    message: 'Member deleted successfully with consistency validation'
-                };
-            } else {
-                return {
-                    success: false,
-                    error: 'Failed to delete member'
-                };
-            }
-            
+            // Run data consistency check
+            this.runDataConsistencyCheck('DELETE_MEMBER', id, adminUserId);
+
+            return {
+                success: true,
+                deletedMember: result.title,
+                deletedUsers: result.users,
+                message: 'Member moved to the recycle bin'
+            };
         } catch (error) {
             console.error('Member deletion error:', error);
             return {
@@ -346,55 +681,6 @@ class DatabaseAPI {
         }
     }
 
-    /**
-     * Clean up orphaned lookup records
-     */
-    cleanupOrphanedLookups(lookupIds) {
-        console.log('🧹 Cleaning up orphaned lookup records...');
-        
-        // Clean up branches
-        if (lookupIds.branchId) {
-            const branchUsage = this.db.prepare('SELECT COUNT(*) as count FROM members WHERE branch_id = ?')
-                .get(lookupIds.branchId);
-            if (branchUsage.count === 0) {
-                this.db.prepare('DELETE FROM branches WHERE id = ?').run(lookupIds.branchId);
-                console.log(`   🏢 Deleted orphaned branch`);
-            }
-        }
-
-        // Clean up industries
-        if (lookupIds.industryId) {
-            const industryUsage = this.db.prepare('SELECT COUNT(*) as count FROM members WHERE industry_id = ?')
-                .get(lookupIds.industryId);
-            if (industryUsage.count === 0) {
-                this.db.prepare('DELETE FROM industries WHERE id = ?').run(lookupIds.industryId);
-                console.log(`   🏭 Deleted orphaned industry`);
-            }
-        }
-
-        // Clean up companies
-        if (lookupIds.companyId) {
-            const companyUsage = this.db.prepare('SELECT COUNT(*) as count FROM members WHERE company_id = ?')
-                .get(lookupIds.companyId);
-            if (companyUsage.count === 0) {
-                this.db.prepare('DELETE FROM companies WHERE id = ?').run(lookupIds.companyId);
-                console.log(`   🏬 Deleted orphaned company`);
-            }
-        }
-
-        // Clean up orphaned skills
-        const orphanedSkills = this.db.prepare(`
-            SELECT s.id, s.name FROM skills s
-            LEFT JOIN member_skills ms ON s.id = ms.skill_id
-            WHERE ms.skill_id IS NULL
-        `).all();
-
-        orphanedSkills.forEach(skill => {
-            this.db.prepare('DELETE FROM skills WHERE id = ?').run(skill.id);
-            console.log(`   🎯 Deleted orphaned skill: ${skill.name}`);
-        });
-    }
-
     /**
      * Run data consistency check after operations
      */
@@ -479,6 +765,7 @@ class DatabaseAPI {
             FROM blogs b
             LEFT JOIN blog_tag_relations btr ON b.id = btr.blog_id
             LEFT JOIN blog_tags bt ON btr.tag_id = bt.id
+            WHERE b.deleted_at IS NULL
             GROUP BY b.id
             ORDER BY b.created_at DESC
         `;
@@ -499,7 +786,7 @@ class DatabaseAPI {
     // Notices API
     getAllNotices() {
         const notices = this.db.prepare(`
-            SELECT * FROM notices ORDER BY created_at DESC
+            SELECT * FROM notices WHERE deleted_at IS NULL ORDER BY created_at DESC
         `).all();
         
         return notices.map(notice => ({
@@ -509,14 +796,15 @@ class DatabaseAPI {
             category: notice.category,
             priority: notice.priority,
             author: notice.author,
-            date: notice.created_at
+            date: notice.created_at,
+            calendarDate: notice.calendar_date
         }));
     }
 
     createNotice(noticeData) {
         const insertNotice = this.db.prepare(`
-            INSERT INTO notices (title, content, category, priority, author, created_at, legacy_id)
-            VALUES (?, ?, ?, ?, ?, datetime('now'), ?)
+            INSERT INTO notices (title, content, category, priority, author, calendar_date, created_at, legacy_id)
+            VALUES (?, ?, ?, ?, ?, ?, datetime('now'), ?)
         `);
         
         const legacyId = noticeData.id || Date.now();
@@ -526,6 +814,7 @@ class DatabaseAPI {
             noticeData.category || 'General',
             noticeData.priority || 'Medium',
             noticeData.author,
+            EventCalendar.parseCalendarDate(noticeData.calendarDate),
             legacyId
         );
         
@@ -535,8 +824,9 @@ class DatabaseAPI {
     updateNotice(id, noticeData) {
         const updateNotice = this.db.prepare(`
             UPDATE notices 
-            SET title = ?, content = ?, category = ?, priority = ?, author = ?
-            WHERE legacy_id = ? OR id = ?
+            SET title = ?, content = ?, category = ?, priority = ?, author = ?, calendar_date = ?,
+                sequence = sequence + 1 -- Calendar apps replace their copy of dated notices (see EventCalendar)
+            WHERE (legacy_id = ? OR id = ?) AND deleted_at IS NULL
         `);
         
         const result = updateNotice.run(
@@ -545,16 +835,17 @@ class DatabaseAPI {
             noticeData.category || 'General',
             noticeData.priority || 'Medium',
             noticeData.author,
+            EventCalendar.parseCalendarDate(noticeData.calendarDate),
             id, id
         );
         
         return { id: id, updated: result.changes > 0 };
     }
 
-    deleteNotice(id) {
-        const deleteNotice = this.db.prepare('DELETE FROM notices WHERE legacy_id = ? OR id = ?');
-        const result = deleteNotice.run(id, id);
-        return { id: id, deleted: result.changes > 0 };
+    // Move a notice to the recycle bin
+    deleteNotice(id, actorId = null) {
+        const result = this.recycleBin.moveToBin('notices', id, actorId);
+        return { id: id, deleted: !!result };
     }
 
     // Blog CRUD methods
@@ -606,7 +897,7 @@ class DatabaseAPI {
             const updateBlog = this.db.prepare(`
                 UPDATE blogs 
                 SET title = ?, content = ?, author = ?, category = ?
-                WHERE legacy_id = ? OR id = ?
+                WHERE (legacy_id = ? OR id = ?) AND deleted_at IS NULL
             `);
             
             const result = updateBlog.run(
@@ -652,26 +943,16 @@ class DatabaseAPI {
         return transaction();
     }
 
-    deleteBlog(id) {
-        const transaction = this.db.transaction(() => {
-            // Get the actual blog ID
-            const getBlogId = this.db.prepare('SELECT id FROM blogs WHERE legacy_id = ? OR id = ?');
-            const blogResult = getBlogId.get(id, id);
-            
-            if (blogResult) {
-                // Delete tag relations first
-                const deleteRelations = this.db.prepare('DELETE FROM blog_tag_relations WHERE blog_id = ?');
-                deleteRelations.run(blogResult.id);
-            }
-            
-            // Delete blog
-            const deleteBlog = this.db.prepare('DELETE FROM blogs WHERE legacy_id = ? OR id = ?');
-            const result = deleteBlog.run(id, id);
-            
-            return { id: id, deleted: result.changes > 0 };
-        });
-        
-        return transaction();
+    // Get the author username of a blog (legacy or database ID), used for ownership checks
+    getBlogAuthor(id) {
+        const blog = this.db.prepare('SELECT author FROM blogs WHERE (legacy_id = ? OR id = ?) AND deleted_at IS NULL').get(id, id);
+        return blog ? blog.author : null;
+    }
+
+    // Move a blog post to the recycle bin; its tags are kept until the bin is purged
+    deleteBlog(id, actorId = null) {
+        const result = this.recycleBin.moveToBin('blogs', id, actorId);
+        return { id: id, deleted: !!result };
     }
 
     // ===== AUTHENTICATION & USER MANAGEMENT API =====
@@ -720,17 +1001,10 @@ class DatabaseAPI {
     }
 
     /**
-     * Create user from member data with auto-generated credentials
-     */
-    async createUserFromMember(memberData, createdByAdminId = null) {
-        return await this.auth.createUserFromMember(memberData, createdByAdminId);
-    }
-
-    /**
-     * Get user security log (admin only)
+     * Get user security log (access controlled by the security-log:read permission)
      */
-    getSecurityLog(adminId, targetUserId = null, limit = 100) {
-        return this.auth.getSecurityLog(adminId, targetUserId, limit);
+    getSecurityLog(targetUserId = null, limit = 100) {
+        return this.auth.getSecurityLog(targetUserId, limit);
     }
 
     /**
@@ -741,27 +1015,21 @@ class DatabaseAPI {
             SELECT id, username, name, email, role, first_login, username_changed,
                    theme_preference, profile_visibility, email_notifications, 
                    language_preference, last_login, created_at
-            FROM users WHERE id = ?
+            FROM users WHERE id = ? AND deleted_at IS NULL
         `;
         return this.db.prepare(query).get(userId);
     }
 
     /**
-     * Get all users (admin only) with basic information
+     * Get all users with basic information (access controlled by the users:read permission)
      */
-    getAllUsers(adminId) {
-        // Verify admin privileges
-        const admin = this.db.prepare('SELECT role FROM users WHERE id = ?').get(adminId);
-        if (!admin || admin.role !== 'admin') {
-            throw new Error('Insufficient privileges to view user list');
-        }
-
+    getAllUsers() {
         const query = `
             SELECT id, username, name, email, role, first_login, username_changed,
                    last_login, created_at, failed_login_attempts, 
                    account_locked_until IS NOT NULL as is_locked,
-                   system_password, member_id
-            FROM users ORDER BY created_at DESC
+                   totp_enabled, member_id
+            FROM users WHERE deleted_at IS NULL ORDER BY created_at DESC
         `;
         return this.db.prepare(query).all();
     }
@@ -828,7 +1096,7 @@ class DatabaseAPI {
      */
     getUserPrivacySettings(userId) {
         const query = `
-            SELECT profile_visibility, email_notifications
+            SELECT profile_visibility, email_notifications, hide_phone, hide_address, hide_email
             FROM users WHERE id = ?
         `;
         return this.db.prepare(query).get(userId);
@@ -838,17 +1106,26 @@ class DatabaseAPI {
      * Update user privacy settings
      */
     updateUserPrivacySettings(userId, privacySettings) {
-        const { profileVisibility, emailNotifications } = privacySettings;
+        const { profileVisibility, emailNotifications, hidePhone, hideAddress, hideEmail } = privacySettings;
+        if (profileVisibility !== undefined && !['public', 'members', 'private'].includes(profileVisibility)) {
+            throw new Error('Profile visibility must be public, members or private');
+        }
+        // Flags are stored as 0/1; undefined leaves the current value
+        const flag = value => (value === undefined || value === null ? null : (value ? 1 : 0));
         
         const updateStmt = this.db.prepare(`
             UPDATE users 
             SET profile_visibility = COALESCE(?, profile_visibility),
                 email_notifications = COALESCE(?, email_notifications),
+                hide_phone = COALESCE(?, hide_phone),
+                hide_address = COALESCE(?, hide_address),
+                hide_email = COALESCE(?, hide_email),
                 updated_at = datetime('now')
             WHERE id = ?
         `);
 
-        const result = updateStmt.run(profileVisibility, emailNotifications, userId);
+        const result = updateStmt.run(profileVisibility ?? null, flag(emailNotifications), flag(hidePhone), flag(hideAddress),
+            flag(hideEmail), userId);
         
         if (result.changes === 0) {
             throw new Error('User not found or no changes made');
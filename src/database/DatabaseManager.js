@@ -3,6 +3,7 @@
  * 
  * This class handles all SQLite database operations for the ISMAA Portal:
  * - Database initialization with schema creation
+ * - Data migrations for databases created by earlier releases
  * - Connection management with WAL mode for better concurrency
  * - Transaction support for data integrity
  * - Database backup functionality
@@ -15,6 +16,7 @@
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
+const FullTextSearch = require('./FullTextSearch');
 
 class DatabaseManager {
     constructor(dbPath = null) {
@@ -47,6 +49,9 @@ class DatabaseManager {
             // Creates all tables, indexes, and constraints if they don't exist
             this.db.exec(schema);
             
+            // Bring databases created by earlier releases in line with the current schema
+            this.runMigrations(schema);
+            
             console.log('✅ Database initialized successfully');
             console.log(`📍 Database location: ${path.resolve(this.dbPath)}`);
             
@@ -57,6 +62,171 @@ class DatabaseManager {
         }
     }
 
+    // Apply idempotent migrations
+    // Each step checks current state first, so running on every start is safe
+    runMigrations(schema) {
+        // Early databases kept privacy choices only in the users.settings JSON
+        const hadProfileVisibility = this.hasColumn('users', 'profile_visibility');
+
+        // Columns added to existing tables since the first release
+        this.ensureColumns('users', {
+            totp_secret: 'TEXT',
+            totp_pending_secret: 'TEXT',
+            totp_enabled: 'BOOLEAN DEFAULT 0',
+            totp_enabled_at: 'DATETIME',
+            totp_last_step: 'INTEGER',
+            password_last_changed: 'DATETIME',
+            profile_visibility: "TEXT DEFAULT 'members' CHECK (profile_visibility IN ('public', 'members', 'private'))",
+            email_notifications: 'BOOLEAN DEFAULT 1',
+            theme_preference: "TEXT DEFAULT 'dark' CHECK (theme_preference IN ('light', 'dark', 'auto'))",
+            language_preference: "TEXT DEFAULT 'en'",
+            hide_phone: 'BOOLEAN DEFAULT 0',
+            hide_address: 'BOOLEAN DEFAULT 0',
+            hide_email: 'BOOLEAN DEFAULT 0',
+            calendar_token_hash: 'TEXT',
+            calendar_token_created_at: 'DATETIME'
+        });
+
+        // Calendar feeds (see EventCalendar.js)
+        this.ensureColumns('notices', {
+            calendar_date: 'TEXT',
+            sequence: 'INTEGER NOT NULL DEFAULT 0'
+        });
+        this.ensureColumns('events', {
+            sequence: 'INTEGER NOT NULL DEFAULT 0'
+        });
+
+        // Soft delete (see RecycleBin.js)
+        ['users', 'members', 'blogs', 'notices'].forEach(table => {
+            this.ensureColumns(table, {
+                deleted_at: 'DATETIME',
+                deleted_by: 'INTEGER'
+            });
+        });
+
+        if (!hadProfileVisibility) {
+            this.db.prepare(`
+                UPDATE users SET profile_visibility = json_extract(settings, '$.profileVisibility')
+                WHERE json_valid(settings) AND json_extract(settings, '$.profileVisibility') IN ('public', 'members', 'private')
+            `).run();
+        }
+
+        // Password age for accounts created before expiry was enforced counts from their last update
+        this.db.prepare(`
+            UPDATE users SET password_last_changed = COALESCE(updated_at, created_at, CURRENT_TIMESTAMP)
+            WHERE password_last_changed IS NULL
+        `).run();
+
+        // Members from before employment history get their company and industry as a current position
+        const now = new Date().toISOString();
+        const backfilled = this.db.prepare(`
+            INSERT INTO member_positions (member_id, company_id, industry_id, is_current, created_at, updated_at)
+            SELECT m.id, m.company_id, m.industry_id, 1, ?, ?
+            FROM members m
+            WHERE (m.company_id IS NOT NULL OR m.industry_id IS NOT NULL)
+              AND NOT EXISTS (SELECT 1 FROM member_positions p WHERE p.member_id = m.id)
+        `).run(now, now).changes;
+        if (backfilled > 0) {
+            console.log(`🔧 Added ${backfilled} current position(s) to employment history`);
+        }
+
+        // Tables whose CHECK constraints have changed (e.g. new security log event types)
+        this.syncTableDefinition(schema, 'user_security_log');
+        this.syncTableDefinition(schema, 'member_revisions');
+
+        // Search tables start empty on databases whose rows predate the full-text search triggers
+        const search = new FullTextSearch(this.db);
+        if (search.isOutOfSync()) {
+            search.rebuild();
+            console.log('🔧 Rebuilt full-text search index');
+        }
+
+        this.clearPlaintextSystemPasswords();
+    }
+
+    // Add any missing columns to an existing table
+    // Definitions must be valid for ALTER TABLE ADD COLUMN (constant defaults only)
+    ensureColumns(table, columns) {
+        Object.entries(columns).forEach(([column, definition]) => {
+            if (!this.hasColumn(table, column)) {
+                this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+                console.log(`🔧 Added column ${table}.${column}`);
+            }
+        });
+    }
+
+    // SQLite cannot alter constraints in place, so rebuild a table from its schema.sql
+    // definition when the stored definition differs, keeping its rows and indexes
+    syncTableDefinition(schema, table) {
+        const match = schema.match(new RegExp(`CREATE TABLE IF NOT EXISTS ${table} \\([\\s\\S]*?\\n\\);`));
+        const current = this.db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+        if (!match || !current) {
+            return false;
+        }
+
+        // Compare ignoring comments, whitespace and IF NOT EXISTS
+        const normalize = sql => sql
+            .replace(/--[^\n]*/g, '')
+            .replace(/IF NOT EXISTS\s+/i, '')
+            .replace(/\s+/g, ' ')
+            .replace(/\s*;\s*$/, '')
+            .trim();
+        if (normalize(current.sql) === normalize(match[0])) {
+            return false;
+        }
+
+        const oldColumns = this.db.prepare(`PRAGMA table_info(${table})`).all().map(info => info.name);
+        const indexes = this.db.prepare("SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL")
+            .all(table);
+
+        this.db.pragma('foreign_keys = OFF');
+        try {
+            this.db.transaction(() => {
+                this.db.exec(`ALTER TABLE ${table} RENAME TO ${table}_previous`);
+                this.db.exec(match[0]);
+
+                const shared = this.db.prepare(`PRAGMA table_info(${table})`).all()
+                    .map(info => info.name)
+                    .filter(column => oldColumns.includes(column))
+                    .join(', ');
+                this.db.exec(`INSERT INTO ${table} (${shared}) SELECT ${shared} FROM ${table}_previous`);
+                this.db.exec(`DROP TABLE ${table}_previous`);
+
+                indexes.forEach(index => this.db.exec(index.sql));
+            })();
+        } finally {
+            this.db.pragma('foreign_keys = ON');
+        }
+
+        console.log(`🔧 Rebuilt table ${table} to match schema.sql`);
+        return true;
+    }
+
+    // Check whether a table has a column (older databases carry legacy columns)
+    hasColumn(table, column) {
+        return this.db.prepare(`PRAGMA table_info(${table})`).all()
+            .some(info => info.name === column);
+    }
+
+    // Earlier releases stored generated passwords in plaintext in users.system_password
+    // Clear them; affected accounts keep first_login set and need a new setup link or reset
+    clearPlaintextSystemPasswords() {
+        if (!this.hasColumn('users', 'system_password')) {
+            return 0;
+        }
+
+        const result = this.db.prepare(`
+            UPDATE users
+            SET system_password = NULL, first_login = 1
+            WHERE system_password IS NOT NULL
+        `).run();
+
+        if (result.changes > 0) {
+            console.log(`🔐 Cleared ${result.changes} plaintext system password(s); send affected users a setup link or reset their password`);
+        }
+        return result.changes;
+    }
+
     // Get database instance for direct queries
     // Throws error if database hasn't been initialized yet
     getDatabase() {
@@ -120,10 +290,13 @@ class DatabaseManager {
         try {
             // Core data tables to count
             const tables = ['users', 'members', 'branches', 'industries', 'companies', 'skills', 'blogs', 'notices'];
+            // Rows in the recycle bin are not counted
+            const softDeleted = ['users', 'members', 'blogs', 'notices'];
             
             // Get count for each main table
             tables.forEach(table => {
-                const result = this.db.prepare(`SELECT COUNT(*) as count FROM ${table}`).get();
+                const where = softDeleted.includes(table) ? ' WHERE deleted_at IS NULL' : '';
+                const result = this.db.prepare(`SELECT COUNT(*) as count FROM ${table}${where}`).get();
                 stats[table] = result.count;
             });
             
@@ -0,0 +1,300 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Calendar Feeds
+// =====================================================
+//
+// iCalendar (RFC 5545) files for events and dated notices:
+// - one .ics file per event, to add it to a calendar app
+// - a personal feed per user of the events they RSVPed to (going, or
+//   tentative while waitlisted), subscribed to by a secret link
+// - a public chapter feed of every event and dated notice
+//
+// An event or notice has the same UID in every file and feed, and its
+// SEQUENCE goes up with every change, so calendar apps update their copy
+// instead of adding a second one. Cancelled events stay in the feeds with
+// STATUS:CANCELLED. Events are in Bengaluru local time; notices are
+// all-day entries on their calendar date.
+//
+// Feed links carry a random token, stored hashed like password reset
+// tokens. Creating a new link stops the previous one working.
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const crypto = require('crypto');
+const AlumniEvents = require('./AlumniEvents');
+const MembershipDues = require('./MembershipDues');
+
+const PRODUCT_ID = '-//ISMAA Bengaluru//Member Portal//EN';
+const UID_DOMAIN = 'ismaa-bengaluru-portal';
+const EVENT_TIMEZONE = 'Asia/Kolkata';
+const CHAPTER_FEED_NAME = 'ISMAA Bengaluru';
+const FEED_HISTORY_DAYS = 365; // Feeds leave out events and notices more than a year old
+const LINE_OCTETS = 75; // Longest content line before it is folded
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+// India has no daylight saving time, so one STANDARD rule describes the zone
+const TIMEZONE_LINES = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${EVENT_TIMEZONE}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    'TZOFFSETFROM:+0530',
+    'TZOFFSETTO:+0530',
+    'TZNAME:IST',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+class EventCalendar {
+    constructor(database, auth) {
+        this.db = database;
+        this.auth = auth;
+    }
+
+    /**
+     * Check the optional calendar date of a notice; throws with a client-facing message when invalid
+     * @returns {string|null} YYYY-MM-DD, or null for notices without a date
+     */
+    static parseCalendarDate(value) {
+        const text = typeof value === 'string' ? value.trim() : '';
+        if (!text) return null;
+        if (!DATE_PATTERN.test(text) || new Date(`${text}T00:00:00Z`).toISOString().slice(0, 10) !== text) {
+            throw new Error('Calendar date must be a date (YYYY-MM-DD)');
+        }
+        return text;
+    }
+
+    // ===== iCalendar text =====
+
+    // TEXT values escape backslashes, semicolons, commas and line breaks
+    static escapeText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r\n|\r|\n/g, '\\n');
+    }
+
+    /**
+     * Fold a content line into lines of at most 75 octets, never splitting a character
+     */
+    static foldLine(line) {
+        const lines = [];
+        let current = '';
+        let octets = 0;
+        for (const char of line) {
+            const size = Buffer.byteLength(char);
+            if (octets + size > LINE_OCTETS) {
+                lines.push(current);
+                current = ' ';
+                octets = 1;
+            }
+            current += char;
+            octets += size;
+        }
+        lines.push(current);
+        return lines.join('\r\n');
+    }
+
+    // 2026-10-19T18:30 (local) -> 20261019T183000
+    static localDateTime(value) {
+        return `${value.replace(/[-:]/g, '')}00`;
+    }
+
+    // ISO timestamps, or SQLite CURRENT_TIMESTAMP values (UTC), -> 20261019T130000Z
+    static utcDateTime(value) {
+        const date = new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+        return `${date.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+    }
+
+    static dayAfter(date) {
+        const next = new Date(`${date}T00:00:00Z`);
+        next.setUTCDate(next.getUTCDate() + 1);
+        return next.toISOString().slice(0, 10);
+    }
+
+    /**
+     * A complete VCALENDAR object, folded and with CRLF line endings
+     * @param {Array} components - Content lines of each component
+     */
+    static calendar(name, components) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${EventCalendar.escapeText(name)}`,
+            `X-WR-TIMEZONE:${EVENT_TIMEZONE}`,
+            ...TIMEZONE_LINES,
+            ...components.flat(),
+            'END:VCALENDAR'
+        ];
+        return `${lines.map(EventCalendar.foldLine).join('\r\n')}\r\n`;
+    }
+
+    /**
+     * VEVENT lines of an event
+     * @param {Object} row - events row
+     * @param {string} eventsUrl - Link to the events page of the portal
+     * @param {boolean} tentative - For members on the waitlist
+     */
+    static eventComponent(row, eventsUrl, tentative = false) {
+        const details = [
+            row.description,
+            row.fee > 0 && `Fee: INR ${MembershipDues.fromPaise(row.fee).toLocaleString('en-IN', { minimumFractionDigits: 2 })}, paid at the event`,
+            tentative && 'You are on the waitlist for this event.',
+            `RSVP and details: ${eventsUrl}`
+        ].filter(Boolean);
+        const status = row.status === 'cancelled' ? 'CANCELLED' : tentative ? 'TENTATIVE' : 'CONFIRMED';
+
+        return [
+            'BEGIN:VEVENT',
+            `UID:event-${row.id}@${UID_DOMAIN}`,
+            `SEQUENCE:${row.sequence}`,
+            `DTSTAMP:${EventCalendar.utcDateTime(row.updated_at)}`,
+            `CREATED:${EventCalendar.utcDateTime(row.created_at)}`,
+            `LAST-MODIFIED:${EventCalendar.utcDateTime(row.updated_at)}`,
+            `DTSTART;TZID=${EVENT_TIMEZONE}:${EventCalendar.localDateTime(row.starts_at)}`,
+            row.ends_at && `DTEND;TZID=${EVENT_TIMEZONE}:${EventCalendar.localDateTime(row.ends_at)}`,
+            `SUMMARY:${EventCalendar.escapeText(row.status === 'cancelled' ? `Cancelled: ${row.title}` : row.title)}`,
+            `LOCATION:${EventCalendar.escapeText(row.venue)}`,
+            `DESCRIPTION:${EventCalendar.escapeText(details.join('\n\n'))}`,
+            `URL:${eventsUrl}`,
+            `STATUS:${status}`,
+            'END:VEVENT'
+        ].filter(Boolean);
+    }
+
+    /**
+     * VEVENT lines of a dated notice: an all-day entry on its calendar date
+     * @param {string} noticesUrl - Link to the notices page of the portal
+     */
+    static noticeComponent(row, noticesUrl) {
+        return [
+            'BEGIN:VEVENT',
+            `UID:notice-${row.id}@${UID_DOMAIN}`,
+            `SEQUENCE:${row.sequence}`,
+            `DTSTAMP:${EventCalendar.utcDateTime(row.updated_at || row.created_at)}`,
+            `CREATED:${EventCalendar.utcDateTime(row.created_at)}`,
+            `LAST-MODIFIED:${EventCalendar.utcDateTime(row.updated_at || row.created_at)}`,
+            `DTSTART;VALUE=DATE:${row.calendar_date.replace(/-/g, '')}`,
+            `DTEND;VALUE=DATE:${EventCalendar.dayAfter(row.calendar_date).replace(/-/g, '')}`,
+            `SUMMARY:${EventCalendar.escapeText(row.title)}`,
+            `DESCRIPTION:${EventCalendar.escapeText(`${row.content}\n\n${noticesUrl}`)}`,
+            `CATEGORIES:${EventCalendar.escapeText(row.category || 'announcement')}`,
+            `URL:${noticesUrl}`,
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        ];
+    }
+
+    // Local date from which feeds include events and notices
+    static feedStart() {
+        const start = new Date(`${AlumniEvents.now().slice(0, 10)}T00:00:00Z`);
+        start.setUTCDate(start.getUTCDate() - FEED_HISTORY_DAYS);
+        return start.toISOString().slice(0, 10);
+    }
+
+    // ===== Calendars =====
+
+    /**
+     * One event as an .ics file
+     * @param {string} appUrl - Public URL of the portal, for links back to it
+     * @returns {Object|null} { filename, content } - null when there is no such event
+     */
+    eventFile(eventId, appUrl) {
+        const row = this.db.prepare('SELECT * FROM events WHERE id = ?').get(eventId);
+        if (!row) return null;
+
+        return {
+            filename: `event-${AlumniEvents.fileSlug(row.starts_at, row.title)}.ics`,
+            content: EventCalendar.calendar(row.title, [EventCalendar.eventComponent(row, `${appUrl}/events`)])
+        };
+    }
+
+    /**
+     * Public feed of every event and dated notice of the past year onwards
+     */
+    chapterFeed(appUrl) {
+        const start = EventCalendar.feedStart();
+        const events = this.db.prepare(`
+            SELECT * FROM events WHERE COALESCE(ends_at, starts_at) >= ? ORDER BY starts_at, id
+        `).all(start);
+        const notices = this.db.prepare(`
+            SELECT * FROM notices WHERE calendar_date >= ? AND deleted_at IS NULL ORDER BY calendar_date, id
+        `).all(start);
+
+        return EventCalendar.calendar(CHAPTER_FEED_NAME, [
+            ...events.map(row => EventCalendar.eventComponent(row, `${appUrl}/events`)),
+            ...notices.map(row => EventCalendar.noticeComponent(row, `${appUrl}/blogs?tab=notices&item=${row.legacy_id || row.id}`))
+        ]);
+    }
+
+    /**
+     * Personal feed of the events a user is going to or waitlisted for
+     * @param {string} token - Token from the feed link
+     * @returns {string|null} The feed - null when the token is not a current feed token
+     */
+    userFeed(token, appUrl) {
+        const user = this.userForFeedToken(token);
+        if (!user) return null;
+
+        const events = user.member_id ? this.db.prepare(`
+            SELECT e.*, r.status AS rsvp_status
+            FROM event_rsvps r
+            JOIN events e ON e.id = r.event_id
+            WHERE r.member_id = ? AND r.status IN ('going', 'waitlisted') AND COALESCE(e.ends_at, e.starts_at) >= ?
+            ORDER BY e.starts_at, e.id
+        `).all(user.member_id, EventCalendar.feedStart()) : [];
+
+        return EventCalendar.calendar(`${CHAPTER_FEED_NAME} - My Events`, events.map(row =>
+            EventCalendar.eventComponent(row, `${appUrl}/events`, row.rsvp_status === 'waitlisted')));
+    }
+
+    // ===== Feed links =====
+
+    userForFeedToken(token) {
+        if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) return null;
+        return this.db.prepare(`
+            SELECT u.id, m.id AS member_id
+            FROM users u
+            LEFT JOIN members m ON m.id = u.member_id AND m.deleted_at IS NULL
+            WHERE u.calendar_token_hash = ? AND u.deleted_at IS NULL
+        `).get(this.auth.hashToken(token)) || null;
+    }
+
+    /**
+     * Whether a user has a feed link, and since when
+     * @returns {Object} { subscribed, createdAt }
+     */
+    feedStatus(userId) {
+        const row = this.db.prepare('SELECT calendar_token_hash, calendar_token_created_at FROM users WHERE id = ?').get(userId);
+        const subscribed = !!(row && row.calendar_token_hash);
+        return { subscribed, createdAt: subscribed ? row.calendar_token_created_at : null };
+    }
+
+    /**
+     * Create a user's feed link token, replacing any earlier one
+     * @returns {string} The raw token; only its hash is stored, so it cannot be shown again
+     */
+    createFeedToken(userId) {
+        const token = crypto.randomBytes(32).toString('hex');
+        this.db.prepare('UPDATE users SET calendar_token_hash = ?, calendar_token_created_at = ? WHERE id = ?')
+            .run(this.auth.hashToken(token), new Date().toISOString(), userId);
+        return token;
+    }
+
+    /**
+     * Stop a user's feed link working
+     * @returns {boolean} False when the user had no feed link
+     */
+    revokeFeedToken(userId) {
+        return this.db.prepare(`
+            UPDATE users SET calendar_token_hash = NULL, calendar_token_created_at = NULL
+            WHERE id = ? AND calendar_token_hash IS NOT NULL
+        `).run(userId).changes > 0;
+    }
+}
+
+module.exports = EventCalendar;
@@ -0,0 +1,224 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Full-Text Search
+// =====================================================
+//
+// Ranked search across members, blogs and notices using the SQLite FTS5
+// tables defined in schema.sql (members_fts, blogs_fts, notices_fts).
+// Triggers keep those tables in sync with their source rows; rebuild()
+// repopulates them for databases created before search existed.
+//
+// Query handling:
+// - Free text is split into words; every word must match, and the last
+//   word also matches as a prefix so results appear while typing
+// - FTS5 operators typed by users are treated as plain text
+// - Results are ranked with bm25, weighting names and titles highest
+//
+// Snippets are returned as segments ({ text, match }) instead of HTML, so
+// the client can highlight matches without rendering stored content.
+//
+// Member results follow the searcher's privacy view (MemberPrivacy): private
+// profiles are left out, and a hidden email is neither matched nor shown.
+// Rows in the recycle bin (deleted_at set) are never returned.
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const MemberPrivacy = require('./MemberPrivacy');
+
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_LIMIT = 5;   // Results per type
+const MAX_LIMIT = 25;
+
+// Private-use markers placed around matches by snippet(), split out by toSegments()
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// Searchable types, the permission needed to see each, and how each is queried
+const SEARCH_TYPES = {
+    members: {
+        permission: 'members:read',
+        // bm25 weights follow the members_fts column order:
+        // name, email, passout_batch, branch, industry, company, skills
+        weights: [10, 4, 3, 2, 2, 3, 3],
+        query: `
+            SELECT m.id AS db_id, COALESCE(m.legacy_id, m.id) AS id, m.name AS title,
+                   TRIM(COALESCE(m.passout_batch, '') || ' ' || COALESCE(b.name, '')) AS subtitle,
+                   snippet(members_fts, -1, '${MATCH_START}', '${MATCH_END}', '…', 12) AS snippet,
+                   m.email, pu.hide_email
+            FROM members_fts
+            JOIN members m ON m.id = members_fts.rowid
+            LEFT JOIN branches b ON b.id = m.branch_id
+            ${MemberPrivacy.JOIN}
+            WHERE members_fts MATCH ? AND m.deleted_at IS NULL AND RESTRICT
+            ORDER BY bm25(members_fts, WEIGHTS)
+            LIMIT ?
+        `,
+        // Private profiles and matches on hidden emails, for searchers without the full view
+        restrict: (expression, viewer) => [
+            MemberPrivacy.visibilityCondition(viewer),
+            MemberPrivacy.hiddenEmailSearchCondition(expression, viewer)
+        ],
+        // A snippet taken from a hidden email is dropped
+        hidesSnippet: (row, snippetText, viewer) => !!row.hide_email && !!row.email
+            && !MemberPrivacy.seesFullRecord(viewer, row.db_id)
+            && row.email.toLowerCase().includes(snippetText.toLowerCase()),
+        url: row => `/member/${row.id}`
+    },
+    blogs: {
+        permission: 'blogs:read',
+        // title, content, author, category
+        weights: [10, 1, 3, 2],
+        query: `
+            SELECT b.id AS db_id, COALESCE(b.legacy_id, b.id) AS id, b.title AS title,
+                   'by ' || b.author AS subtitle,
+                   snippet(blogs_fts, 1, '${MATCH_START}', '${MATCH_END}', '…', 16) AS snippet
+            FROM blogs_fts
+            JOIN blogs b ON b.id = blogs_fts.rowid
+            WHERE blogs_fts MATCH ? AND b.deleted_at IS NULL
+            ORDER BY bm25(blogs_fts, WEIGHTS)
+            LIMIT ?
+        `,
+        url: row => `/blogs?tab=blogs&item=${row.id}`
+    },
+    notices: {
+        permission: 'notices:read',
+        // title, content, author, category
+        weights: [10, 1, 2, 2],
+        query: `
+            SELECT n.id AS db_id, COALESCE(n.legacy_id, n.id) AS id, n.title AS title,
+                   n.priority || ' priority' AS subtitle,
+                   snippet(notices_fts, 1, '${MATCH_START}', '${MATCH_END}', '…', 16) AS snippet
+            FROM notices_fts
+            JOIN notices n ON n.id = notices_fts.rowid
+            WHERE notices_fts MATCH ? AND n.deleted_at IS NULL
+            ORDER BY bm25(notices_fts, WEIGHTS)
+            LIMIT ?
+        `,
+        url: row => `/blogs?tab=notices&item=${row.id}`
+    }
+};
+
+class FullTextSearch {
+    constructor(database) {
+        this.db = database;
+    }
+
+    /**
+     * Turn free text into an FTS5 MATCH expression
+     * Each word is quoted (so operators and punctuation are literal); the last is a prefix match
+     * @returns {string|null} Null when the text contains nothing searchable
+     */
+    static buildMatchExpression(text) {
+        const words = String(text || '').slice(0, MAX_QUERY_LENGTH).match(/[\p{L}\p{N}]+/gu) || [];
+        if (words.length === 0) return null;
+
+        return words
+            .map((word, index) => `"${word}"${index === words.length - 1 ? '*' : ''}`)
+            .join(' ');
+    }
+
+    /**
+     * Split a marked-up snippet into { text, match } segments
+     */
+    static toSegments(snippet) {
+        const segments = [];
+        String(snippet || '').split(MATCH_START).forEach((part, index) => {
+            if (index === 0) {
+                if (part) segments.push({ text: part, match: false });
+                return;
+            }
+            const [matched, rest] = part.split(MATCH_END);
+            if (matched) segments.push({ text: matched, match: true });
+            if (rest) segments.push({ text: rest, match: false });
+        });
+        return segments;
+    }
+
+    /**
+     * Search the given types
+     * @param {string} text - What the user typed
+     * @param {Object} options - { types: ['members', 'blogs', 'notices'], limit: results per type,
+     *                  viewer: the searching user, whose member privacy view applies }
+     * @returns {Object} { query, total, results: { [type]: [{ id, title, subtitle, snippet, url }] } }
+     */
+    search(text, { types = Object.keys(SEARCH_TYPES), limit = DEFAULT_LIMIT, viewer = null } = {}) {
+        const expression = FullTextSearch.buildMatchExpression(text);
+        const perType = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const results = {};
+        let total = 0;
+
+        types.filter(type => SEARCH_TYPES[type]).forEach(type => {
+            if (!expression) {
+                results[type] = [];
+                return;
+            }
+
+            const { weights, query, restrict, hidesSnippet, url } = SEARCH_TYPES[type];
+            const conditions = (restrict ? restrict(expression, viewer) : []).filter(condition => condition.sql);
+            const sql = query
+                .replace('WEIGHTS', weights.join(', '))
+                .replace('RESTRICT', conditions.map(condition => condition.sql).join(' AND ') || '1');
+            const rows = this.db.prepare(sql).all(expression, ...conditions.flatMap(condition => condition.params), perType);
+
+            results[type] = rows.map(row => {
+                let snippet = FullTextSearch.toSegments(row.snippet);
+                const snippetText = snippet.map(segment => segment.text).join('').replace(/…/g, '').trim();
+                if (hidesSnippet && snippetText && hidesSnippet(row, snippetText, viewer)) {
+                    snippet = [];
+                }
+
+                return {
+                    id: row.id,
+                    title: row.title,
+                    subtitle: row.subtitle,
+                    snippet,
+                    url: url(row)
+                };
+            });
+            total += rows.length;
+        });
+
+        return { query: String(text || '').trim(), total, results };
+    }
+
+    /**
+     * Repopulate the search tables from their source tables
+     * Used as a migration for databases whose rows predate the FTS triggers
+     */
+    rebuild() {
+        this.db.transaction(() => {
+            this.db.exec(`
+                DELETE FROM members_fts;
+                INSERT INTO members_fts (rowid, name, email, passout_batch, branch, industry, company, skills)
+                SELECT m.id, m.name, m.email, m.passout_batch, b.name, i.name, c.name,
+                       (SELECT GROUP_CONCAT(s.name, ', ') FROM member_skills ms JOIN skills s ON s.id = ms.skill_id WHERE ms.member_id = m.id)
+                FROM members m
+                LEFT JOIN branches b ON b.id = m.branch_id
+                LEFT JOIN industries i ON i.id = m.industry_id
+                LEFT JOIN companies c ON c.id = m.company_id;
+
+                DELETE FROM blogs_fts;
+                INSERT INTO blogs_fts (rowid, title, content, author, category)
+                SELECT id, title, content, author, category FROM blogs;
+
+                DELETE FROM notices_fts;
+                INSERT INTO notices_fts (rowid, title, content, author, category)
+                SELECT id, title, content, author, category FROM notices;
+            `);
+        })();
+    }
+
+    /**
+     * Whether any search table is missing rows from its source table
+     */
+    isOutOfSync() {
+        return ['members', 'blogs', 'notices'].some(table => {
+            const source = this.db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+            const indexed = this.db.prepare(`SELECT COUNT(*) AS count FROM ${table}_fts`).get().count;
+            return source !== indexed;
+        });
+    }
+}
+
+module.exports = FullTextSearch;
+module.exports.SEARCH_TYPES = SEARCH_TYPES;
@@ -0,0 +1,165 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Login Throttle
+// =====================================================
+//
+// Sliding-window rate limiting for sign-in attempts, applied before any
+// credentials are checked. Failures are counted per source:
+// - ip:         the client address, across every username it tries
+// - identifier: the username/email being tried, known account or not
+//
+// Once a source reaches its limit within the window, each further attempt
+// is refused with an exponentially growing back-off (30s, 1m, 2m, ...),
+// capped at MAX_BACKOFF. Failures age out of the window on their own;
+// a successful password check clears the identifier (but not the IP).
+//
+// Usage:
+//   const throttle = new LoginThrottle(db);
+//   const block = throttle.check({ ip, identifier });
+//   if (block) -> refuse with Retry-After: block.retryAfter seconds
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const WINDOW = 60 * 60 * 1000; // Failures counted over the last hour
+const BASE_BACKOFF = 30 * 1000; // First block once the limit is reached
+const MAX_BACKOFF = 30 * 60 * 1000; // Longest single block
+
+// Failures allowed per source within the window before back-off starts
+const LIMITS = {
+    ip: 20,
+    identifier: 5
+};
+
+class LoginThrottle {
+    constructor(database) {
+        this.db = database;
+    }
+
+    /**
+     * Normalize the username/email a client tried, so case and spacing do not reset the count
+     */
+    static normalizeIdentifier(identifier) {
+        return String(identifier || '').trim().toLowerCase().slice(0, 254);
+    }
+
+    /**
+     * Sources to track for an attempt (IP is skipped when unknown)
+     */
+    getSources({ ip, identifier }) {
+        const sources = [];
+        if (ip) sources.push({ scope: 'ip', source: String(ip) });
+
+        const normalized = LoginThrottle.normalizeIdentifier(identifier);
+        if (normalized) sources.push({ scope: 'identifier', source: normalized });
+
+        return sources;
+    }
+
+    /**
+     * Check whether an attempt may proceed
+     * @param {Object} attempt - { ip, identifier }
+     * @returns {Object|null} null when allowed, otherwise { scope, retryAfter (seconds), blockedUntil }
+     */
+    check(attempt, now = Date.now()) {
+        let block = null;
+
+        this.getSources(attempt).forEach(({ scope, source }) => {
+            const state = this.getState(scope, source, now);
+            if (state.blockedUntil > now && (!block || state.blockedUntil > block.blockedUntil)) {
+                block = { scope, blockedUntil: state.blockedUntil };
+            }
+        });
+
+        if (!block) return null;
+
+        return {
+            scope: block.scope,
+            retryAfter: Math.ceil((block.blockedUntil - now) / 1000),
+            blockedUntil: new Date(block.blockedUntil).toISOString()
+        };
+    }
+
+    /**
+     * Failure count and block expiry for one source within the sliding window
+     */
+    getState(scope, source, now = Date.now()) {
+        const row = this.db.prepare(`
+            SELECT COUNT(*) AS failures, MAX(attempted_at) AS last_failure
+            FROM login_attempts
+            WHERE scope = ? AND source = ? AND attempted_at > ?
+        `).get(scope, source, new Date(now - WINDOW).toISOString());
+
+        return {
+            failures: row.failures,
+            lastFailureAt: row.last_failure,
+            blockedUntil: this.getBlockedUntil(scope, row.failures, row.last_failure)
+        };
+    }
+
+    /**
+     * When a source with this many recent failures may try again (0 when not blocked)
+     */
+    getBlockedUntil(scope, failures, lastFailureAt) {
+        const excess = failures - LIMITS[scope];
+        if (excess < 0 || !lastFailureAt) return 0;
+
+        const backoff = Math.min(BASE_BACKOFF * 2 ** excess, MAX_BACKOFF);
+        return new Date(lastFailureAt).getTime() + backoff;
+    }
+
+    /**
+     * Record a failed attempt against every source involved
+     */
+    recordFailure(attempt, now = Date.now()) {
+        const insert = this.db.prepare('INSERT INTO login_attempts (scope, source, attempted_at) VALUES (?, ?, ?)');
+        const attemptedAt = new Date(now).toISOString();
+
+        this.db.transaction(() => {
+            this.getSources(attempt).forEach(({ scope, source }) => insert.run(scope, source, attemptedAt));
+            this.db.prepare('DELETE FROM login_attempts WHERE attempted_at <= ?').run(new Date(now - WINDOW).toISOString());
+        })();
+    }
+
+    /**
+     * Forget failures for an identifier after its password was accepted
+     * The IP keeps its count so one valid account cannot launder guesses against others
+     */
+    recordSuccess({ identifier }) {
+        this.release('identifier', LoginThrottle.normalizeIdentifier(identifier));
+    }
+
+    /**
+     * Clear a source's failures (admin action or successful login)
+     * @returns {number} Number of failures removed
+     */
+    release(scope, source) {
+        return this.db.prepare('DELETE FROM login_attempts WHERE scope = ? AND source = ?').run(scope, source).changes;
+    }
+
+    /**
+     * Sources currently refused, longest block first
+     */
+    getThrottledSources(now = Date.now()) {
+        const rows = this.db.prepare(`
+            SELECT scope, source, COUNT(*) AS failures, MAX(attempted_at) AS last_failure
+            FROM login_attempts
+            WHERE attempted_at > ?
+            GROUP BY scope, source
+        `).all(new Date(now - WINDOW).toISOString());
+
+        return rows
+            .map(row => ({
+                scope: row.scope,
+                source: row.source,
+                failures: row.failures,
+                lastFailureAt: row.last_failure,
+                blockedUntil: this.getBlockedUntil(row.scope, row.failures, row.last_failure)
+            }))
+            .filter(row => row.blockedUntil > now)
+            .sort((a, b) => b.blockedUntil - a.blockedUntil)
+            .map(row => ({ ...row, blockedUntil: new Date(row.blockedUntil).toISOString() }));
+    }
+}
+
+module.exports = LoginThrottle;
+module.exports.LIMITS = LIMITS;
@@ -0,0 +1,488 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Member Applications
+// =====================================================
+//
+// Public alumni self-registration with an admin approval queue.
+// Applicants submit the same profile fields an admin enters in AddMember,
+// plus the username and password they want; nothing is created until an
+// admin reviews the application:
+// - approve:      creates the member and their user account
+// - reject:       closes the application with a reason for the applicant
+// - request info: emails the applicant a signed link to update and resubmit
+//
+// Statuses: pending -> (info_requested -> pending)* -> approved | rejected
+//
+// Possible duplicates are flagged for reviewers: existing members or other
+// applications with the same email, or the same name and passout batch.
+// A submission for an email that already has an account or an open
+// application is not stored; the public form answers exactly as for a new
+// application (so it cannot be used to find out who is registered) and the
+// address owner is emailed instead, at most once per OWNER_NOTICE_COOLDOWN.
+// Every submission counts towards the per-IP limit, stored or not.
+// The chosen password is stored only as a bcrypt hash and is cleared as
+// soon as the application is closed.
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const crypto = require('crypto');
+
+const OPEN_STATUSES = ['pending', 'info_requested'];
+const UPDATE_LINK_EXPIRY = 30 * 24 * 60 * 60 * 1000; // 30 days to answer a request for information
+const SUBMISSION_WINDOW = 60 * 60 * 1000; // Submissions counted per IP over the last hour
+const MAX_SUBMISSIONS_PER_IP = 5;
+const OWNER_NOTICE_COOLDOWN = 24 * 60 * 60 * 1000; // An address owner is told about repeat registrations once a day
+const MAX_PHOTO_LENGTH = 3 * 1024 * 1024; // Base64 characters (about 2 MB of image)
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class MemberApplications {
+    constructor(database, auth, members) {
+        this.db = database;
+        this.auth = auth; // Username rules, password policy, hashing and user creation
+        this.members = members; // DatabaseAPI, for member creation with lookup management
+    }
+
+    /**
+     * Validate and normalize the profile fields of a submission
+     * @returns {Object} Profile in API field names
+     */
+    static normalizeProfile(fields = {}) {
+        const text = (value, max = 200) => {
+            const trimmed = String(value ?? '').trim();
+            return trimmed ? trimmed.slice(0, max) : null;
+        };
+
+        const profile = {
+            name: text(fields.name, 100),
+            email: text(fields.email, 254)?.toLowerCase() || null,
+            phone: text(fields.phone, 30),
+            address: text(fields.address, 500),
+            passoutBatch: text(fields.passoutBatch, 20),
+            branch: text(fields.branch, 100),
+            industry: text(fields.industry, 100),
+            company: text(fields.company, 100),
+            photo: fields.photo || null
+        };
+
+        if (!profile.name) throw new Error('Name is required');
+        if (!profile.email || !EMAIL_PATTERN.test(profile.email)) throw new Error('A valid email address is required');
+        if (!profile.passoutBatch) throw new Error('Passout batch is required');
+        if (!profile.branch) throw new Error('Branch is required');
+
+        if (profile.photo && (typeof profile.photo !== 'string' || !profile.photo.startsWith('data:image/'))) {
+            throw new Error('Photo must be an image');
+        }
+        if (profile.photo && profile.photo.length > MAX_PHOTO_LENGTH) {
+            throw new Error('Photo is too large (maximum 2 MB)');
+        }
+
+        const skills = Array.isArray(fields.skills) ? fields.skills : String(fields.skills || '').split(',');
+        profile.skills = [...new Set(skills.map(skill => String(skill).trim()).filter(Boolean))].slice(0, 30);
+
+        return profile;
+    }
+
+    /**
+     * API shape of an application row (never includes credentials or tokens)
+     */
+    static format(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            email: row.email,
+            phone: row.phone,
+            address: row.address,
+            passoutBatch: row.passout_batch,
+            branch: row.branch,
+            industry: row.industry,
+            company: row.company,
+            skills: row.skills ? JSON.parse(row.skills) : [],
+            photo: row.photo,
+            username: row.username,
+            status: row.status,
+            reviewMessage: row.review_message,
+            applicantNote: row.applicant_note,
+            reviewedAt: row.reviewed_at,
+            memberId: row.member_id,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * Whether an IP has reached the hourly submission limit
+     */
+    isSubmissionLimited(ip, now = Date.now()) {
+        if (!ip) return false;
+
+        const { count } = this.db.prepare(`
+            SELECT COUNT(*) AS count FROM registration_attempts WHERE ip_address = ? AND attempted_at > ?
+        `).get(String(ip), new Date(now - SUBMISSION_WINDOW).toISOString());
+
+        return count >= MAX_SUBMISSIONS_PER_IP;
+    }
+
+    /**
+     * Record a submission against its IP, whether or not it is stored
+     * @returns {number} ID of the attempt
+     */
+    recordAttempt(ip, email, now = Date.now()) {
+        const normalized = String(email || '').trim().toLowerCase().slice(0, 254) || null;
+
+        return this.db.transaction(() => {
+            this.db.prepare('DELETE FROM registration_attempts WHERE attempted_at <= ?')
+                .run(new Date(now - Math.max(SUBMISSION_WINDOW, OWNER_NOTICE_COOLDOWN)).toISOString());
+            return this.db.prepare('INSERT INTO registration_attempts (ip_address, email, attempted_at) VALUES (?, ?, ?)')
+                .run(ip ? String(ip) : null, normalized, new Date(now).toISOString()).lastInsertRowid;
+        })();
+    }
+
+    /**
+     * Whether the owner of an in-use email may be emailed about this attempt
+     * Marks the attempt as notified when they may, so the next notice waits for the cooldown
+     */
+    claimOwnerNotice(email, attemptId, now = Date.now()) {
+        const recent = this.db.prepare(`
+            SELECT id FROM registration_attempts WHERE email = ? AND owner_notified = 1 AND attempted_at > ?
+        `).get(email, new Date(now - OWNER_NOTICE_COOLDOWN).toISOString());
+        if (recent) return false;
+
+        this.db.prepare('UPDATE registration_attempts SET owner_notified = 1 WHERE id = ?').run(attemptId);
+        return true;
+    }
+
+    /**
+     * What already uses an email: 'account', 'application' (under review) or null
+     */
+    findEmailInUse(email, exceptApplicationId = null) {
+        if (this.db.prepare('SELECT id FROM users WHERE LOWER(email) = LOWER(?)').get(email)) {
+            return 'account';
+        }
+
+        const open = this.db.prepare(`
+            SELECT id FROM member_applications
+            WHERE LOWER(email) = LOWER(?) AND status IN ('pending', 'info_requested') AND id IS NOT ?
+        `).get(email, exceptApplicationId);
+        return open ? 'application' : null;
+    }
+
+    /**
+     * Reject an email that already has an account or an application under review
+     */
+    assertEmailAvailable(email, exceptApplicationId = null) {
+        const inUse = this.findEmailInUse(email, exceptApplicationId);
+        if (inUse === 'account') {
+            throw new Error('An account already uses this email address. Use "Forgot password" on the sign in page instead.');
+        }
+        if (inUse === 'application') {
+            throw new Error('An application for this email address is already awaiting review');
+        }
+    }
+
+    /**
+     * Submit a new application from the public registration form
+     * @param {Object} fields - Profile fields plus username and password
+     * @param {Object} clientInfo - { ip, userAgent }
+     * @returns {Object} { application } when stored, or { application: null, emailInUse: { reason, name, email, notify } }
+     *                   when the email already has an account or an open application (notify: whether to email its owner)
+     */
+    async submit(fields, clientInfo = {}) {
+        const attemptId = this.recordAttempt(clientInfo.ip, fields.email);
+        const profile = MemberApplications.normalizeProfile(fields);
+        const username = String(fields.username || '').trim();
+
+        this.auth.assertUsernameAvailable(username);
+        const usernameReserved = this.db.prepare(`
+            SELECT id FROM member_applications WHERE username = ? AND status IN ('pending', 'info_requested')
+        `).get(username);
+        if (usernameReserved) {
+            throw new Error('Username is already taken');
+        }
+
+        const validation = this.auth.validatePasswordStrength(fields.password);
+        if (!validation.isValid) {
+            throw new Error('Password does not meet security requirements: ' + validation.feedback.suggestions.join(', '));
+        }
+        const { hash, salt } = await this.auth.hashPassword(fields.password);
+
+        // Checked only once the submission is otherwise valid, so errors never depend on who is registered
+        const reason = this.findEmailInUse(profile.email);
+        if (reason) {
+            const notify = this.claimOwnerNotice(profile.email, attemptId);
+            return { application: null, emailInUse: { reason, name: profile.name, email: profile.email, notify } };
+        }
+
+        const now = new Date().toISOString();
+        const result = this.db.prepare(`
+            INSERT INTO member_applications (name, email, phone, address, passout_batch, branch, industry, company,
+                                             skills, photo, username, password_hash, salt, ip_address, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(profile.name, profile.email, profile.phone, profile.address, profile.passoutBatch, profile.branch,
+            profile.industry, profile.company, JSON.stringify(profile.skills), profile.photo, username, hash, salt,
+            clientInfo.ip || null, now, now);
+
+        return { application: this.getById(result.lastInsertRowid) };
+    }
+
+    /**
+     * Get one application by ID (formatted), or null
+     */
+    getById(id) {
+        const row = this.db.prepare('SELECT * FROM member_applications WHERE id = ?').get(id);
+        return row ? MemberApplications.format(row) : null;
+    }
+
+    /**
+     * Applications for the review queue, oldest first, with possible duplicates
+     * @param {string} status - 'open' (pending and info_requested), 'all', or a single status
+     */
+    list(status = 'open') {
+        let rows;
+        if (status === 'all') {
+            rows = this.db.prepare('SELECT * FROM member_applications ORDER BY created_at').all();
+        } else {
+            const statuses = status === 'open' ? OPEN_STATUSES : [status];
+            rows = this.db.prepare(`
+                SELECT * FROM member_applications
+                WHERE status IN (${statuses.map(() => '?').join(', ')})
+                ORDER BY created_at
+            `).all(...statuses);
+        }
+
+        return rows.map(row => ({ ...MemberApplications.format(row), duplicates: this.findDuplicates(row) }));
+    }
+
+    /**
+     * Existing members and other applications that look like the same person
+     * Matches on email, or on name and passout batch together
+     */
+    findDuplicates(row) {
+        const members = this.db.prepare(`
+            SELECT COALESCE(legacy_id, id) AS id, name, email, passout_batch
+            FROM members
+            WHERE deleted_at IS NULL AND (LOWER(email) = LOWER(?)
+               OR (LOWER(TRIM(name)) = LOWER(TRIM(?)) AND passout_batch = ?))
+        `).all(row.email, row.name, row.passout_batch);
+
+        const applications = this.db.prepare(`
+            SELECT id, name, email, passout_batch, status
+            FROM member_applications
+            WHERE id != ? AND (LOWER(email) = LOWER(?)
+               OR (LOWER(TRIM(name)) = LOWER(TRIM(?)) AND passout_batch = ?))
+        `).all(row.id, row.email, row.name, row.passout_batch);
+
+        const matchedOn = match => (match.email && match.email.toLowerCase() === row.email.toLowerCase() ? 'email' : 'name and batch');
+
+        return [
+            ...members.map(member => ({ type: 'member', id: member.id, name: member.name, matchedOn: matchedOn(member) })),
+            ...applications.map(application => ({
+                type: 'application',
+                id: application.id,
+                name: application.name,
+                status: application.status,
+                matchedOn: matchedOn(application)
+            }))
+        ];
+    }
+
+    /**
+     * Load an application that is still open for review, or throw
+     */
+    getOpenApplication(id) {
+        const row = this.db.prepare('SELECT * FROM member_applications WHERE id = ?').get(id);
+        if (!row) {
+            throw new Error('Application not found');
+        }
+        if (!OPEN_STATUSES.includes(row.status)) {
+            throw new Error(`This application has already been ${row.status}`);
+        }
+        return row;
+    }
+
+    /**
+     * Approve an application: create the member and their user account
+     * Returns { success: false, requiresConfirmation, duplicates } when the applicant
+     * matches an existing member and the reviewer has not confirmed
+     */
+    async approve(id, adminId, { confirmDuplicate = false } = {}) {
+        const row = this.getOpenApplication(id);
+
+        const duplicateMembers = this.findDuplicates(row).filter(duplicate => duplicate.type === 'member');
+        if (duplicateMembers.length > 0 && !confirmDuplicate) {
+            return {
+                success: false,
+                requiresConfirmation: true,
+                duplicates: duplicateMembers,
+                error: 'This applicant may already be a member. Confirm to approve anyway.'
+            };
+        }
+
+        // Re-check credentials that may have been claimed since the application was submitted
+        this.auth.assertUsernameAvailable(row.username);
+        if (this.db.prepare('SELECT id FROM users WHERE LOWER(email) = LOWER(?)').get(row.email)) {
+            throw new Error('An account already uses this email address');
+        }
+
+        const profile = MemberApplications.format(row);
+
+        // The applicant's photo moves to the photo store; an unreadable one is dropped rather than blocking approval
+        let photo = null;
+        if (profile.photo) {
+            try {
+                photo = await this.members.photos.saveDataUrl(profile.photo);
+            } catch (error) {
+                console.warn(`Photo of application ${row.id} could not be stored: ${error.message}`);
+            }
+        }
+
+        const memberResult = await this.members.createMember({
+            name: profile.name,
+            email: profile.email,
+            phone: profile.phone,
+            address: profile.address,
+            passoutBatch: profile.passoutBatch,
+            branch: profile.branch,
+            industry: profile.industry,
+            company: profile.company,
+            skills: profile.skills,
+            photo,
+            membershipType: 'Member'
+        }, adminId);
+
+        let account;
+        try {
+            account = await this.auth.createUser({
+                username: row.username,
+                name: row.name,
+                email: row.email,
+                role: 'member',
+                passwordHash: row.password_hash,
+                salt: row.salt,
+                memberId: memberResult.dbId,
+                firstLogin: false
+            }, adminId);
+        } catch (error) {
+            // Don't leave a member behind without the account the applicant asked for
+            this.db.prepare('DELETE FROM members WHERE id = ?').run(memberResult.dbId);
+            this.members.photos.remove(photo);
+            throw error;
+        }
+
+        this.close(row.id, 'approved', adminId, null, memberResult.dbId);
+
+        return {
+            success: true,
+            application: this.getById(row.id),
+            memberId: memberResult.id,
+            userId: account.userId,
+            username: row.username
+        };
+    }
+
+    /**
+     * Reject an application with a reason shown to the applicant
+     */
+    reject(id, adminId, reason) {
+        const message = String(reason || '').trim();
+        if (!message) {
+            throw new Error('A reason is required to reject an application');
+        }
+
+        const row = this.getOpenApplication(id);
+        this.close(row.id, 'rejected', adminId, message);
+        return this.getById(row.id);
+    }
+
+    /**
+     * Mark an application approved or rejected and discard its credentials
+     */
+    close(id, status, adminId, message = null, memberId = null) {
+        this.db.prepare(`
+            UPDATE member_applications
+            SET status = ?, review_message = COALESCE(?, review_message), reviewed_by = ?, reviewed_at = ?,
+                member_id = ?, password_hash = NULL, salt = NULL, update_token_hash = NULL, updated_at = ?
+            WHERE id = ?
+        `).run(status, message, adminId, new Date().toISOString(), memberId, new Date().toISOString(), id);
+    }
+
+    /**
+     * Ask the applicant for more information
+     * @returns {Object} { application, token } - token is the raw update link token, to be emailed
+     */
+    requestInfo(id, adminId, message) {
+        const request = String(message || '').trim();
+        if (!request) {
+            throw new Error('Describe the information you need from the applicant');
+        }
+
+        const row = this.getOpenApplication(id);
+        const token = this.auth.signToken({
+            type: 'application',
+            app: row.id,
+            nonce: crypto.randomBytes(16).toString('hex')
+        }, UPDATE_LINK_EXPIRY);
+        const now = new Date().toISOString();
+
+        this.db.prepare(`
+            UPDATE member_applications
+            SET status = 'info_requested', review_message = ?, update_token_hash = ?,
+                reviewed_by = ?, reviewed_at = ?, updated_at = ?
+            WHERE id = ?
+        `).run(request, this.auth.hashToken(token), adminId, now, now, row.id);
+
+        return { application: this.getById(row.id), token };
+    }
+
+    /**
+     * Resolve an update link token to its application row
+     * Only the latest link for an application awaiting information works
+     */
+    resolveUpdateToken(token) {
+        const payload = this.auth.verifySignedToken(token);
+        if (!payload || payload.type !== 'application') return null;
+
+        const row = this.db.prepare('SELECT * FROM member_applications WHERE id = ?').get(payload.app);
+        if (!row || row.status !== 'info_requested' || row.update_token_hash !== this.auth.hashToken(token)) {
+            return null;
+        }
+        return row;
+    }
+
+    /**
+     * Applicant-facing view of an application opened from an update link
+     */
+    getForApplicant(token) {
+        const row = this.resolveUpdateToken(token);
+        return row ? MemberApplications.format(row) : null;
+    }
+
+    /**
+     * Update an application from the emailed link and return it to the queue
+     * Username and password stay as originally chosen
+     */
+    updateFromApplicant(token, fields) {
+        const row = this.resolveUpdateToken(token);
+        if (!row) {
+            throw new Error('This link is invalid or has expired');
+        }
+
+        const profile = MemberApplications.normalizeProfile(fields);
+        if (profile.email !== row.email) {
+            this.assertEmailAvailable(profile.email, row.id);
+        }
+
+        this.db.prepare(`
+            UPDATE member_applications
+            SET name = ?, email = ?, phone = ?, address = ?, passout_batch = ?, branch = ?, industry = ?, company = ?,
+                skills = ?, photo = ?, applicant_note = ?, status = 'pending', update_token_hash = NULL, updated_at = ?
+            WHERE id = ?
+        `).run(profile.name, profile.email, profile.phone, profile.address, profile.passoutBatch, profile.branch,
+            profile.industry, profile.company, JSON.stringify(profile.skills), profile.photo,
+            String(fields.note || '').trim().slice(0, 1000) || null, new Date().toISOString(), row.id);
+
+        return this.getById(row.id);
+    }
+}
+
+module.exports = MemberApplications;
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
@@ -0,0 +1,338 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Duplicate Members
+// =====================================================
+//
+// Finds members that are probably the same alumnus entered twice, and
+// merges such a pair into one record.
+//
+// Finding: pairs of active members are scored on normalized values
+// (see SCORE_WEIGHTS), so that case, punctuation, name order, titles,
+// "+tag" email aliases and phone country codes make no difference:
+// - same email
+// - same phone number
+// - same or similar name (edit distance on the normalized name)
+// - same passout batch and branch together
+// Only pairs that share at least one of these values are compared, and
+// pairs scoring MIN_SCORE or more are reported, highest first.
+//
+// Merging keeps one member (the survivor) and removes the other:
+// - each profile field takes the value chosen by the admin, by default
+//   the survivor's, or the duplicate's where the survivor has none
+// - skills are the union of both, and so is the employment history
+// - the duplicate's user account, application and dues payments now
+//   belong to the survivor, and so do its event RSVPs unless the
+//   survivor responded to the same event
+// - the survivor's history gets a 'merge' revision; the duplicate's
+//   history ends with a 'delete' revision
+// Members who both have an account cannot be merged: one account has to
+// be deleted first. Accounts of the duplicate that are in the recycle bin
+// are unlinked rather than moved, so restoring one later cannot give the
+// survivor a second account.
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const { MEMBER_FIELDS } = require('./MemberImport');
+const PhotoStore = require('./PhotoStore');
+const DataConsistencyManager = require('./DataConsistencyManager');
+
+const SCORE_WEIGHTS = {
+    email: 45,
+    phone: 30,
+    sameName: 30,
+    similarName: 25,
+    batchAndBranch: 15
+};
+const MIN_SCORE = 40;
+const SIMILAR_NAME_RATIO = 0.85; // 1 - edit distance / length, for names that are not identical
+const NAME_TITLES = ['dr', 'mr', 'mrs', 'ms', 'miss', 'prof', 'shri', 'sri', 'smt', 'er'];
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// Fields the admin chooses between when merging; skills are always combined
+const CHOOSABLE_FIELDS = [...Object.keys(MEMBER_FIELDS).filter(field => field !== 'skills'), 'photo'];
+
+class MemberDuplicates {
+    constructor(database, members) {
+        this.db = database;
+        this.members = members; // DatabaseAPI, for updates with history and lookup management
+    }
+
+    /**
+     * Name without case, accents, punctuation or titles, words in alphabetical order
+     */
+    static normalizeName(name) {
+        return String(name || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '') // Accents split off by NFKD
+            .toLowerCase()
+            .split(/[^a-z]+/)
+            .filter(word => word && !NAME_TITLES.includes(word))
+            .sort()
+            .join(' ');
+    }
+
+    /**
+     * Lowercased email without a "+tag", and without dots in Gmail addresses
+     */
+    static normalizeEmail(email) {
+        const [local, domain] = String(email || '').trim().toLowerCase().split('@');
+        if (!local || !domain) return null;
+
+        const address = local.split('+')[0];
+        return `${GMAIL_DOMAINS.includes(domain) ? address.replace(/\./g, '') : address}@${domain}`;
+    }
+
+    /**
+     * Last ten digits of a phone number, so country codes and trunk prefixes are ignored
+     */
+    static normalizePhone(phone) {
+        const digits = String(phone || '').replace(/\D/g, '');
+        return digits.length >= 7 ? digits.slice(-10) : null;
+    }
+
+    /**
+     * Similarity of two normalized names: 1 for identical, down to 0
+     */
+    static nameSimilarity(a, b) {
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+
+        // Levenshtein distance, one row at a time
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return 1 - previous[b.length] / Math.max(a.length, b.length);
+    }
+
+    /**
+     * Score how likely two members are the same person
+     * @param {Object} a - Candidate from candidateRows()
+     * @param {Object} b - Candidate from candidateRows()
+     * @returns {Object} { score (0-100), reasons: [text] }
+     */
+    static score(a, b) {
+        const reasons = [];
+        let score = 0;
+
+        if (a.emailKey && a.emailKey === b.emailKey) {
+            score += SCORE_WEIGHTS.email;
+            reasons.push('Same email');
+        }
+        if (a.phoneKey && a.phoneKey === b.phoneKey) {
+            score += SCORE_WEIGHTS.phone;
+            reasons.push('Same phone');
+        }
+
+        const similarity = MemberDuplicates.nameSimilarity(a.nameKey, b.nameKey);
+        if (similarity === 1) {
+            score += SCORE_WEIGHTS.sameName;
+            reasons.push('Same name');
+        } else if (similarity >= SIMILAR_NAME_RATIO) {
+            score += SCORE_WEIGHTS.similarName;
+            reasons.push('Similar name');
+        }
+
+        if (a.passout_batch && a.branch && a.passout_batch === b.passout_batch
+            && a.branch.toLowerCase() === b.branch.toLowerCase()) {
+            score += SCORE_WEIGHTS.batchAndBranch;
+            reasons.push('Same batch and branch');
+        }
+
+        return { score: Math.min(score, 100), reasons };
+    }
+
+    /**
+     * Active members with the normalized values they are compared on
+     */
+    candidateRows() {
+        return this.db.prepare(`
+            SELECT m.id, COALESCE(m.legacy_id, m.id) AS api_id, m.name, m.email, m.phone, m.passout_batch,
+                   b.name AS branch
+            FROM members m
+            LEFT JOIN branches b ON b.id = m.branch_id
+            WHERE m.deleted_at IS NULL
+        `).all().map(row => ({
+            ...row,
+            nameKey: MemberDuplicates.normalizeName(row.name),
+            emailKey: MemberDuplicates.normalizeEmail(row.email),
+            phoneKey: MemberDuplicates.normalizePhone(row.phone)
+        }));
+    }
+
+    /**
+     * Likely duplicate pairs, highest score first
+     * @param {Object} options - { minScore, limit }
+     * @returns {Array} [{ score, reasons, members: [profile, profile] }]
+     */
+    findCandidates({ minScore = MIN_SCORE, limit = 100 } = {}) {
+        // Group members by each value they can match on; only members sharing a group are compared
+        const groups = new Map();
+        const addTo = (key, row) => {
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        };
+        this.candidateRows().forEach(row => {
+            if (row.emailKey) addTo(`email:${row.emailKey}`, row);
+            if (row.phoneKey) addTo(`phone:${row.phoneKey}`, row);
+            row.nameKey.split(' ').filter(word => word.length >= 3).forEach(word => addTo(`name:${word}`, row));
+            if (row.passout_batch && row.branch) addTo(`batch:${row.passout_batch}|${row.branch.toLowerCase()}`, row);
+        });
+
+        const compared = new Set();
+        const pairs = [];
+        groups.forEach(rows => {
+            for (let i = 0; i < rows.length; i++) {
+                for (let j = i + 1; j < rows.length; j++) {
+                    const [a, b] = rows[i].id < rows[j].id ? [rows[i], rows[j]] : [rows[j], rows[i]];
+                    const pairKey = `${a.id}-${b.id}`;
+                    if (compared.has(pairKey)) continue;
+                    compared.add(pairKey);
+
+                    const { score, reasons } = MemberDuplicates.score(a, b);
+                    if (score >= minScore) pairs.push({ score, reasons, a, b });
+                }
+            }
+        });
+
+        return pairs
+            .sort((x, y) => y.score - x.score || x.a.id - y.a.id)
+            .slice(0, limit)
+            .map(({ score, reasons, a, b }) => ({ score, reasons, members: [this.profile(a), this.profile(b)] }));
+    }
+
+    /**
+     * Everything the merge screen shows of a member
+     */
+    profile(row) {
+        const { photo } = this.db.prepare('SELECT photo FROM members WHERE id = ?').get(row.id);
+        const accounts = this.db.prepare('SELECT username FROM users WHERE member_id = ? AND deleted_at IS NULL')
+            .all(row.id).map(user => user.username);
+
+        return {
+            id: row.api_id,
+            ...this.members.revisions.snapshot(row.id),
+            photoThumbnail: PhotoStore.urls(photo).photoThumbnail,
+            accounts
+        };
+    }
+
+    /**
+     * Active member by API id (legacy or database id), or throw
+     */
+    findMember(id, label) {
+        const member = this.db.prepare('SELECT * FROM members WHERE (legacy_id = ? OR id = ?) AND deleted_at IS NULL').get(id, id);
+        if (!member) {
+            throw new Error(`${label} member not found`);
+        }
+        return member;
+    }
+
+    /**
+     * Merge a duplicate member into the survivor
+     * @param {number|string} survivorId - API id of the member that is kept
+     * @param {number|string} duplicateId - API id of the member that is removed
+     * @param {Object} choices - { field: 'survivor' | 'duplicate' } for CHOOSABLE_FIELDS
+     * @param {number} actorId - Admin merging the members
+     * @returns {Object} { id, mergedName, movedAccounts: [usernames] }
+     */
+    merge(survivorId, duplicateId, choices = {}, actorId = null) {
+        Object.entries(choices || {}).forEach(([field, side]) => {
+            if (!CHOOSABLE_FIELDS.includes(field)) {
+                throw new Error(`Unknown field: ${field}`);
+            }
+            if (side !== 'survivor' && side !== 'duplicate') {
+                throw new Error(`Choose 'survivor' or 'duplicate' for ${field}`);
+            }
+        });
+
+        const survivor = this.findMember(survivorId, 'Surviving');
+        const duplicate = this.findMember(duplicateId, 'Duplicate');
+        if (survivor.id === duplicate.id) {
+            throw new Error('A member cannot be merged with itself');
+        }
+
+        const activeAccounts = member => this.db.prepare('SELECT username FROM users WHERE member_id = ? AND deleted_at IS NULL')
+            .all(member.id).map(user => user.username);
+        const movedAccounts = activeAccounts(duplicate);
+        if (movedAccounts.length > 0 && activeAccounts(survivor).length > 0) {
+            throw new Error('Both members have a user account. Delete one of the accounts before merging');
+        }
+
+        const kept = this.members.revisions.snapshot(survivor.id);
+        const removed = this.members.revisions.snapshot(duplicate.id);
+        const isEmpty = value => value === null || value === undefined || value === '';
+        const pick = (field, survivorValue, duplicateValue) => {
+            if (choices[field]) return choices[field] === 'duplicate' ? duplicateValue : survivorValue;
+            return isEmpty(survivorValue) ? duplicateValue : survivorValue;
+        };
+
+        const merged = { skills: [...new Set([...kept.skills, ...removed.skills])] };
+        CHOOSABLE_FIELDS.filter(field => field !== 'photo')
+            .forEach(field => { merged[field] = pick(field, kept[field], removed[field]); });
+        const photo = pick('photo', survivor.photo, duplicate.photo);
+        const positionLookups = this.db.prepare('SELECT company_id, industry_id FROM member_positions WHERE member_id = ?')
+            .all(duplicate.id);
+
+        this.db.transaction(() => {
+            this.db.prepare('UPDATE users SET member_id = ? WHERE member_id = ? AND deleted_at IS NULL').run(survivor.id, duplicate.id);
+            this.db.prepare('UPDATE users SET member_id = NULL WHERE member_id = ? AND deleted_at IS NOT NULL').run(duplicate.id);
+            this.db.prepare('UPDATE member_applications SET member_id = ? WHERE member_id = ?').run(survivor.id, duplicate.id);
+            this.db.prepare('UPDATE membership_payments SET member_id = ? WHERE member_id = ?').run(survivor.id, duplicate.id);
+
+            // Past positions move over unless the survivor already lists them; the
+            // merged company below decides the current one
+            this.db.prepare(`
+                UPDATE member_positions SET member_id = ?, is_current = 0
+                WHERE member_id = ? AND NOT EXISTS (
+                    SELECT 1 FROM member_positions kept
+                    WHERE kept.member_id = ? AND kept.company_id IS member_positions.company_id
+                      AND kept.title IS member_positions.title AND kept.start_date IS member_positions.start_date
+                )
+            `).run(survivor.id, duplicate.id, survivor.id);
+            this.db.prepare('DELETE FROM member_positions WHERE member_id = ?').run(duplicate.id);
+
+            // RSVPs move over for events the survivor has not responded to
+            this.db.prepare(`
+                UPDATE event_rsvps SET member_id = ?
+                WHERE member_id = ? AND event_id NOT IN (SELECT event_id FROM event_rsvps WHERE member_id = ?)
+            `).run(survivor.id, duplicate.id, survivor.id);
+            this.db.prepare('DELETE FROM event_rsvps WHERE member_id = ?').run(duplicate.id);
+
+            // The duplicate goes first, so the survivor can take over its membership ID
+            this.members.revisions.record(duplicate.id, 'delete', { before: removed, actorId });
+            this.db.prepare('DELETE FROM member_skills WHERE member_id = ?').run(duplicate.id);
+            this.db.prepare('DELETE FROM members WHERE id = ?').run(duplicate.id);
+
+            this.members.updateMember(survivor.id, merged, { actorId, mergedFrom: duplicate.id });
+            this.db.prepare('UPDATE members SET photo = ? WHERE id = ?').run(photo, survivor.id);
+        })();
+
+        // Photo files and lookups left without a member
+        [survivor.photo, duplicate.photo].filter(key => key !== photo).forEach(key => this.members.photos.remove(key));
+        const consistencyManager = new DataConsistencyManager(this.db);
+        [survivor, duplicate].forEach(member => consistencyManager.cleanupOrphanedLookups({
+            branchId: member.branch_id,
+            industryId: member.industry_id,
+            companyId: member.company_id
+        }));
+        positionLookups.forEach(position => consistencyManager.cleanupOrphanedLookups({
+            industryId: position.industry_id,
+            companyId: position.company_id
+        }));
+
+        return { id: survivor.legacy_id || survivor.id, mergedName: duplicate.name, movedAccounts };
+    }
+}
+
+module.exports = MemberDuplicates;
+module.exports.CHOOSABLE_FIELDS = CHOOSABLE_FIELDS;
+module.exports.MIN_SCORE = MIN_SCORE;
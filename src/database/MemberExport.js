@@ -0,0 +1,312 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Member Directory Export
+// =====================================================
+//
+// Exports the member directory, with the same filters and sorting as the
+// member list (DatabaseAPI.queryMembers), in three formats:
+// - csv: one row per member, columns named like the bulk import fields so
+//        an export can be edited and imported again
+// - vcf: multi-contact vCard 3.0 or 4.0 file with photos, for address books
+// - pdf: printable directory grouped by passout batch or branch, with photos
+//
+// Visibility: requesters who are not admins do not receive members whose
+// account has profile_visibility 'private' (their own profile excepted).
+// Every export is recorded in the security audit log by the server route.
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const { MEMBER_FIELDS } = require('./MemberImport');
+const PhotoStore = require('./PhotoStore');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    vcf: { contentType: 'text/vcard; charset=utf-8', extension: 'vcf' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+const VCARD_VERSIONS = ['3.0', '4.0'];
+const PDF_GROUPS = {
+    batch: { label: 'Batch', field: 'passoutBatch', missing: 'Batch not given' },
+    branch: { label: 'Branch', field: 'branch', missing: 'Branch not given' }
+};
+const VCARD_LINE_LENGTH = 75; // Octets per line before folding (RFC 6350 section 3.2)
+
+class MemberExport {
+    constructor(members) {
+        this.members = members; // DatabaseAPI, for filtered directory queries
+    }
+
+    /**
+     * Check the export options of a request
+     * @returns {Object} { format, version, groupBy }
+     */
+    static parseOptions({ format, version, groupBy } = {}) {
+        if (!EXPORT_FORMATS[format]) {
+            throw new Error(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+        const vcardVersion = version || '4.0';
+        if (!VCARD_VERSIONS.includes(vcardVersion)) {
+            throw new Error(`version must be one of: ${VCARD_VERSIONS.join(', ')}`);
+        }
+        const group = groupBy || 'batch';
+        if (!PDF_GROUPS[group]) {
+            throw new Error(`groupBy must be one of: ${Object.keys(PDF_GROUPS).join(', ')}`);
+        }
+        return { format, version: vcardVersion, groupBy: group };
+    }
+
+    /**
+     * Build an export file for the members matching a directory query
+     * @param {Object} query - Member list filters and sorting (see DatabaseAPI.parseMemberQuery)
+     * @param {Object} options - { format, version, groupBy } as returned by parseOptions
+     * @param {Object} viewer - The requesting user ({ id, role })
+     * @returns {Promise<Object>} { content (string or Buffer), contentType, filename, count }
+     */
+    async export(query, options, viewer) {
+        const { format, version, groupBy } = options;
+        const { members } = this.members.queryMembers(
+            { ...query, includePhotos: format !== 'csv' },
+            { paginate: false, viewer }
+        );
+        // vCards and the PDF embed the thumbnail JPEG (photoData) from the photo store
+        if (format !== 'csv') {
+            members.forEach(member => {
+                member.photoData = this.members.photos.read(PhotoStore.keyFromUrl(member.photo), 'thumb');
+            });
+        }
+
+        let content;
+        if (format === 'csv') {
+            content = MemberExport.toCsv(members);
+        } else if (format === 'vcf') {
+            content = MemberExport.toVCard(members, version);
+        } else {
+            content = await MemberExport.toPdf(members, groupBy, query);
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        return {
+            content,
+            contentType: EXPORT_FORMATS[format].contentType,
+            filename: `ismaa-members-${date}.${EXPORT_FORMATS[format].extension}`,
+            count: members.length
+        };
+    }
+
+    /**
+     * CSV with a header row of import field labels
+     * Starts with a BOM so spreadsheet applications read it as UTF-8; cells that a
+     * spreadsheet would run as a formula are prefixed with an apostrophe
+     */
+    static toCsv(members) {
+        const fields = Object.keys(MEMBER_FIELDS);
+        return MemberExport.csvLines([
+            fields.map(field => MEMBER_FIELDS[field].label),
+            ...members.map(member => fields.map(field => member[field]))
+        ]);
+    }
+
+    /**
+     * CSV document from rows of cell values (arrays are joined with '; ')
+     * Also used for event attendee lists (AlumniEvents)
+     */
+    static csvLines(rows) {
+        const cell = value => {
+            let text = Array.isArray(value) ? value.join('; ') : String(value ?? '');
+            // Phone numbers such as +91 98765 43210 are left as they are
+            if (/^[=@\t\r]|^[+-](?![\d\s()-]*$)/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return `\uFEFF${rows.map(row => row.map(cell).join(',')).join('\r\n')}\r\n`;
+    }
+
+    /**
+     * Escape a vCard text value (RFC 6350 section 3.4)
+     */
+    static escapeVCardText(value) {
+        return String(value ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/\r?\n/g, '\\n')
+            .replace(/([,;])/g, '\\$1');
+    }
+
+    /**
+     * Fold a content line to at most 75 octets per line, without splitting characters
+     */
+    static foldVCardLine(line) {
+        const parts = [];
+        let current = '';
+        let length = 0;
+        for (const char of line) {
+            const size = Buffer.byteLength(char);
+            // Continuation lines start with a space, which counts toward their length
+            if (length + size > VCARD_LINE_LENGTH) {
+                parts.push(current);
+                current = ' ';
+                length = 1;
+            }
+            current += char;
+            length += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n');
+    }
+
+    /**
+     * Multi-contact vCard file, one card per member
+     */
+    static toVCard(members, version = '4.0') {
+        const text = MemberExport.escapeVCardText;
+        const v4 = version === '4.0';
+
+        const cards = members.map(member => {
+            const nameParts = String(member.name || '').trim().split(/\s+/);
+            const familyName = nameParts.length > 1 ? nameParts.pop() : '';
+            const note = ['ISMAA Bengaluru', member.passoutBatch && `Batch ${member.passoutBatch}`, member.branch,
+                member.membershipType].filter(Boolean).join(' · ');
+
+            const lines = [
+                'BEGIN:VCARD',
+                `VERSION:${version}`,
+                ...(v4 ? ['KIND:individual'] : []),
+                `N:${text(familyName)};${text(nameParts.join(' '))};;;`,
+                `FN:${text(member.name)}`,
+                `UID:ismaa-member-${member.id}`
+            ];
+            if (member.company) lines.push(`ORG:${text(member.company)}`);
+            if (member.email) lines.push(v4 ? `EMAIL;TYPE=home:${text(member.email)}` : `EMAIL;TYPE=INTERNET:${text(member.email)}`);
+            if (member.phone) lines.push(v4 ? `TEL;VALUE=text;TYPE=cell:${text(member.phone)}` : `TEL;TYPE=CELL:${text(member.phone)}`);
+            if (member.address) lines.push(`ADR;TYPE=${v4 ? 'home' : 'HOME'}:;;${text(member.address)};;;;`);
+            if (member.skills.length > 0) lines.push(`CATEGORIES:${member.skills.map(text).join(',')}`);
+            lines.push(`NOTE:${text(note)}`);
+
+            if (member.photoData) {
+                const photo = member.photoData.toString('base64');
+                lines.push(v4 ? `PHOTO:data:image/jpeg;base64,${photo}` : `PHOTO;ENCODING=b;TYPE=JPEG:${photo}`);
+            }
+            lines.push('END:VCARD');
+
+            return lines.map(MemberExport.foldVCardLine).join('\r\n');
+        });
+
+        return cards.length > 0 ? `${cards.join('\r\n')}\r\n` : '';
+    }
+
+    /**
+     * Printable A4 directory grouped by batch or branch, with page numbers
+     * @returns {Promise<Buffer>}
+     */
+    static toPdf(members, groupBy = 'batch', query = {}) {
+        const PDFDocument = require('pdfkit');
+        const group = PDF_GROUPS[groupBy];
+        const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true, info: { Title: 'ISMAA Bengaluru Member Directory' } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        const finished = new Promise((resolve, reject) => {
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+        });
+
+        const pageBottom = () => doc.page.height - doc.page.margins.bottom - 20; // Leave room for the footer
+        const left = doc.page.margins.left;
+        const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+        const ENTRY_HEIGHT = 64;
+        const PHOTO_SIZE = 48;
+
+        // Groups in order: batches newest first, branches alphabetically; members without a value last
+        const groups = new Map();
+        members.forEach(member => {
+            const key = member[group.field] || '';
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(member);
+        });
+        const keys = [...groups.keys()].sort((a, b) => {
+            if (!a || !b) return a ? -1 : b ? 1 : 0;
+            return groupBy === 'batch' ? b.localeCompare(a, undefined, { numeric: true }) : a.localeCompare(b);
+        });
+
+        // Title block, with the filters that produced this directory
+        const filters = [
+            query.search && `matching "${query.search}"`,
+            query.batch && `batch ${query.batch}`,
+            query.branch && `branch ${query.branch}`,
+            query.industry && `industry ${query.industry}`,
+            query.company && `${query.companyScope === 'ever' ? 'has worked at' : 'at'} ${query.company}`,
+            query.membershipType && query.membershipType,
+            query.skills && query.skills.length > 0 && `skills: ${query.skills.join(', ')}`
+        ].filter(Boolean);
+        doc.font('Helvetica-Bold').fontSize(20).fillColor('#1e293b').text('ISMAA Bengaluru Member Directory');
+        doc.font('Helvetica').fontSize(10).fillColor('#64748b')
+            .text(`${members.length} member(s)${filters.length > 0 ? `, ${filters.join(', ')}` : ''} · grouped by ${group.label.toLowerCase()}`)
+            .text(`Generated ${new Date().toUTCString()}`);
+        doc.moveDown();
+
+        if (members.length === 0) {
+            doc.fontSize(12).fillColor('#1e293b').text('No members match the selected filters.');
+        }
+
+        keys.forEach(key => {
+            if (doc.y + 30 + ENTRY_HEIGHT > pageBottom()) doc.addPage();
+            doc.moveDown(0.5);
+            doc.font('Helvetica-Bold').fontSize(14).fillColor('#4f46e5')
+                .text(key ? `${group.label} ${key}` : group.missing, left)
+                .moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).strokeColor('#c7d2fe').stroke();
+            doc.moveDown(0.6);
+
+            groups.get(key).forEach(member => {
+                if (doc.y + ENTRY_HEIGHT > pageBottom()) doc.addPage();
+                const top = doc.y;
+
+                let photoDrawn = false;
+                if (member.photoData) {
+                    try {
+                        doc.image(member.photoData, left, top, { fit: [PHOTO_SIZE, PHOTO_SIZE], align: 'center', valign: 'center' });
+                        photoDrawn = true;
+                    } catch (error) {
+                        // Unreadable image data falls back to the initials placeholder
+                    }
+                }
+                if (!photoDrawn) {
+                    const initials = String(member.name || '?').split(/\s+/).map(part => part[0]).join('').slice(0, 2).toUpperCase();
+                    doc.rect(left, top, PHOTO_SIZE, PHOTO_SIZE).fillColor('#e0e7ff').fill();
+                    doc.font('Helvetica-Bold').fontSize(16).fillColor('#4f46e5')
+                        .text(initials, left, top + 16, { width: PHOTO_SIZE, align: 'center' });
+                }
+
+                const textLeft = left + PHOTO_SIZE + 12;
+                const textOptions = { width: width - PHOTO_SIZE - 12, ellipsis: true, lineBreak: false };
+                doc.font('Helvetica-Bold').fontSize(12).fillColor('#1e293b').text(member.name, textLeft, top, textOptions);
+                doc.font('Helvetica').fontSize(9).fillColor('#475569');
+                [
+                    [member.passoutBatch && `Batch ${member.passoutBatch}`, member.branch, member.membershipType, member.membershipID && `ID ${member.membershipID}`],
+                    [member.company, member.industry],
+                    [member.email, member.phone]
+                ].map(parts => parts.filter(Boolean).join(' · ')).filter(Boolean).forEach((line, index) => {
+                    doc.text(line, textLeft, top + 16 + index * 11, textOptions);
+                });
+
+                doc.x = left;
+                doc.y = top + ENTRY_HEIGHT;
+            });
+        });
+
+        // Footer with page numbers on every page
+        const range = doc.bufferedPageRange();
+        for (let page = range.start; page < range.start + range.count; page++) {
+            doc.switchToPage(page);
+            const bottomMargin = doc.page.margins.bottom;
+            doc.page.margins.bottom = 0; // Allow writing inside the margin without adding a page
+            doc.font('Helvetica').fontSize(8).fillColor('#94a3b8').text(
+                `ISMAA Bengaluru · For members only · Page ${page - range.start + 1} of ${range.count}`,
+                left, doc.page.height - bottomMargin + 15, { width, align: 'center' }
+            );
+            doc.page.margins.bottom = bottomMargin;
+        }
+
+        doc.end();
+        return finished;
+    }
+}
+
+module.exports = MemberExport;
+module.exports.EXPORT_FORMATS = EXPORT_FORMATS;
@@ -0,0 +1,359 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Bulk Member Import
+// =====================================================
+//
+// Imports members from a CSV or Excel (.xlsx) spreadsheet, typically an
+// existing alumni roster. Every import is validated first:
+// 1. The file is read into rows; the first row holds the column headers
+// 2. Each column is mapped to a member field (suggested from its header,
+//    adjustable by the admin; unmapped columns are ignored)
+// 3. Each row is checked and returned as a preview with its errors
+// 4. On commit, all valid rows are inserted in a single transaction, so an
+//    import either lands completely or not at all
+//
+// Row checks: name required, email format, email or membership ID already
+// used by a member or by an earlier row of the file, membership ID
+// following the configured pattern, passout batch within the college's
+// year range, and a known membership type. Rows without a membership ID
+// are given one from the pattern when they are imported (MembershipIds).
+//
+// Members are created through DatabaseAPI.insertMemberRecord, the same
+// path as createMember, so branches, industries, companies and skills go
+// through the usual lookup handling. Accounts are optional and handled
+// after the commit: members can be invited (MemberInvitations) or given
+// an account with an emailed setup link.
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const UsernameGenerator = require('../utils/UsernameGenerator');
+const MembershipIds = require('./MembershipIds');
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // Bytes, after base64 decoding
+const MAX_ROWS = 5000;
+const MIN_BATCH_YEAR = 1940;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MEMBERSHIP_TYPES = ['President', 'Vice-President', 'Treasurer', 'Secretary', 'Office-Bearer', 'Member', 'Non-Member'];
+const ACCOUNT_MODES = ['none', 'invite', 'account'];
+
+// Importable member fields and the column headers recognised for each (compared without case or punctuation)
+const MEMBER_FIELDS = {
+    name: { label: 'Name', aliases: ['name', 'fullname', 'membername', 'alumnusname'] },
+    email: { label: 'Email', aliases: ['email', 'emailaddress', 'emailid', 'mail'] },
+    phone: { label: 'Phone', aliases: ['phone', 'phonenumber', 'mobile', 'mobilenumber', 'contact', 'contactnumber'] },
+    address: { label: 'Address', aliases: ['address', 'city', 'location'] },
+    passoutBatch: { label: 'Passout Batch', aliases: ['passoutbatch', 'batch', 'passout', 'passoutyear', 'graduationyear', 'year'] },
+    branch: { label: 'Branch', aliases: ['branch', 'department', 'stream', 'discipline'] },
+    industry: { label: 'Industry', aliases: ['industry', 'sector'] },
+    company: { label: 'Company', aliases: ['company', 'employer', 'organisation', 'organization'] },
+    skills: { label: 'Skills', aliases: ['skills', 'expertise'] },
+    membershipID: { label: 'Membership ID', aliases: ['membershipid', 'memberid', 'membershipno', 'membershipnumber'] },
+    membershipType: { label: 'Membership Type', aliases: ['membershiptype', 'type', 'membership', 'role'] }
+};
+
+const normalizeHeader = header => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+class MemberImport {
+    constructor(database, members, auth) {
+        this.db = database;
+        this.members = members; // DatabaseAPI, for member inserts with lookup management
+        this.auth = auth; // User creation and account setup links
+    }
+
+    /**
+     * Parse CSV text into rows of strings
+     * Handles quoted fields (with embedded delimiters, quotes and newlines), a UTF-8 BOM,
+     * CRLF line endings, and comma, semicolon or tab delimiters (detected from the header line)
+     */
+    static parseCsv(text) {
+        const input = String(text || '').replace(/^\uFEFF/, '');
+        const headerLine = input.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t']
+            .map(candidate => ({ candidate, count: headerLine.split(candidate).length }))
+            .sort((a, b) => b.count - a.count)[0].candidate;
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Read an uploaded spreadsheet into { headers, rows }
+     * @param {Object} file - { name, data } with the file contents base64 encoded
+     */
+    async readFile(file) {
+        if (!file || !file.name || !file.data) {
+            throw new Error('A CSV or Excel file is required');
+        }
+
+        const buffer = Buffer.from(String(file.data).replace(/^data:[^,]*,/, ''), 'base64');
+        if (buffer.length === 0) throw new Error('The file is empty');
+        if (buffer.length > MAX_FILE_SIZE) throw new Error('The file is too large (maximum 5 MB)');
+
+        const extension = file.name.toLowerCase().split('.').pop();
+        let rows;
+        if (extension === 'csv' || extension === 'txt') {
+            rows = MemberImport.parseCsv(buffer.toString('utf8'));
+        } else if (extension === 'xlsx') {
+            const readXlsxFile = require('read-excel-file/node');
+            rows = await readXlsxFile(buffer);
+        } else {
+            throw new Error('Unsupported file type. Upload a .csv or .xlsx file');
+        }
+
+        // Cells from Excel may be numbers, booleans or dates
+        const cellText = cell => {
+            if (cell === null || cell === undefined) return '';
+            if (cell instanceof Date) return cell.toISOString().slice(0, 10);
+            return String(cell).trim();
+        };
+
+        const [headerRow = [], ...dataRows] = rows.map(row => row.map(cellText));
+        if (headerRow.every(header => !header)) {
+            throw new Error('The first row must contain column headers');
+        }
+        if (dataRows.length > MAX_ROWS) {
+            throw new Error(`Too many rows (maximum ${MAX_ROWS} per import)`);
+        }
+
+        return { headers: headerRow, rows: dataRows };
+    }
+
+    /**
+     * Suggest a member field for each column header
+     * @returns {Array} One field name (or '' to ignore the column) per header
+     */
+    static suggestMapping(headers) {
+        const used = new Set();
+        return headers.map(header => {
+            const normalized = normalizeHeader(header);
+            const field = Object.keys(MEMBER_FIELDS).find(key =>
+                !used.has(key) && MEMBER_FIELDS[key].aliases.includes(normalized)
+            );
+            if (!field) return '';
+            used.add(field);
+            return field;
+        });
+    }
+
+    /**
+     * Check a column mapping supplied by the client
+     * An unmapped Name column is not an error here: every row then fails validation,
+     * and the preview shows the admin which column to map
+     */
+    static checkMapping(mapping, headers) {
+        if (!Array.isArray(mapping) || mapping.length !== headers.length) {
+            throw new Error('The column mapping does not match the file');
+        }
+
+        const fields = mapping.filter(Boolean);
+        const unknown = fields.find(field => !MEMBER_FIELDS[field]);
+        if (unknown) throw new Error(`Unknown member field: ${unknown}`);
+
+        const repeated = fields.find((field, index) => fields.indexOf(field) !== index);
+        if (repeated) throw new Error(`${MEMBER_FIELDS[repeated].label} is mapped to more than one column`);
+    }
+
+    /**
+     * Map and validate every row of a file
+     * @param {Object} file - { name, data } as accepted by readFile
+     * @param {Array} mapping - Field per column; suggested from the headers when omitted
+     * @returns {Object} Preview: { headers, mapping, fields, totalRows, validRows, errorRows,
+     *                   rows: [{ row, member, errors, warnings }] }
+     */
+    async preview(file, mapping = null) {
+        const { headers, rows } = await this.readFile(file);
+        const columnMapping = mapping || MemberImport.suggestMapping(headers);
+        MemberImport.checkMapping(columnMapping, headers);
+
+        // Emails and membership IDs already in use, plus those claimed by earlier rows
+        // (members in the recycle bin count, since they may be restored)
+        const existingEmails = new Set(
+            this.db.prepare('SELECT LOWER(email) AS email FROM members WHERE email IS NOT NULL').all().map(row => row.email)
+        );
+        const existingMembershipIds = new Set(
+            this.db.prepare('SELECT membership_id FROM members WHERE membership_id IS NOT NULL').all().map(row => String(row.membership_id))
+        );
+        const fileEmails = new Map();
+        const fileMembershipIds = new Map();
+        const membershipIdPattern = this.members.membershipIds.pattern();
+        const membershipIdRegex = MembershipIds.regexFor(membershipIdPattern);
+        const maxBatchYear = new Date().getFullYear() + 5;
+
+        const previewRows = [];
+        rows.forEach((cells, index) => {
+            // Blank lines (common at the end of exported sheets) are skipped, not reported
+            if (cells.every(cell => !cell)) return;
+
+            const rowNumber = index + 2; // Spreadsheet row, counting the header row
+            const values = {};
+            columnMapping.forEach((field, column) => {
+                if (field) values[field] = (cells[column] || '').trim();
+            });
+
+            const errors = [];
+            const warnings = [];
+            const member = {
+                name: values.name || '',
+                email: values.email ? values.email.toLowerCase() : null,
+                phone: values.phone || null,
+                address: values.address || null,
+                passoutBatch: values.passoutBatch || null,
+                branch: values.branch || null,
+                industry: values.industry || null,
+                company: values.company || null,
+                skills: [...new Set((values.skills || '').split(/[,;]/).map(skill => skill.trim()).filter(Boolean))],
+                membershipID: values.membershipID || null,
+                membershipType: 'Member'
+            };
+
+            if (!member.name) errors.push('Name is required');
+
+            if (member.email) {
+                if (!EMAIL_PATTERN.test(member.email)) {
+                    errors.push(`Invalid email address: ${member.email}`);
+                } else if (existingEmails.has(member.email)) {
+                    errors.push(`A member with email ${member.email} already exists`);
+                } else if (fileEmails.has(member.email)) {
+                    errors.push(`Email ${member.email} is also used on row ${fileEmails.get(member.email)}`);
+                } else {
+                    fileEmails.set(member.email, rowNumber);
+                }
+            } else {
+                warnings.push('No email address; this member cannot be invited');
+            }
+
+            if (member.membershipID) {
+                if (!membershipIdRegex.test(member.membershipID)) {
+                    errors.push(`Membership ID ${member.membershipID} does not follow the pattern ${membershipIdPattern}`);
+                } else if (existingMembershipIds.has(member.membershipID)) {
+                    errors.push(`Membership ID ${member.membershipID} is already assigned`);
+                } else if (fileMembershipIds.has(member.membershipID)) {
+                    errors.push(`Membership ID ${member.membershipID} is also used on row ${fileMembershipIds.get(member.membershipID)}`);
+                } else {
+                    fileMembershipIds.set(member.membershipID, rowNumber);
+                }
+            }
+
+            if (member.passoutBatch) {
+                const year = Number(member.passoutBatch);
+                if (!/^\d{4}$/.test(member.passoutBatch) || year < MIN_BATCH_YEAR || year > maxBatchYear) {
+                    errors.push(`Passout batch must be a year between ${MIN_BATCH_YEAR} and ${maxBatchYear}`);
+                }
+            }
+
+            if (values.membershipType) {
+                const type = MEMBERSHIP_TYPES.find(known => known.toLowerCase() === values.membershipType.toLowerCase());
+                if (type) {
+                    member.membershipType = type;
+                } else {
+                    errors.push(`Unknown membership type: ${values.membershipType}`);
+                }
+            }
+
+            previewRows.push({ row: rowNumber, member, errors, warnings });
+        });
+
+        const errorRows = previewRows.filter(row => row.errors.length > 0).length;
+        return {
+            headers,
+            mapping: columnMapping,
+            fields: Object.fromEntries(Object.entries(MEMBER_FIELDS).map(([key, { label }]) => [key, label])),
+            totalRows: previewRows.length,
+            validRows: previewRows.length - errorRows,
+            errorRows,
+            rows: previewRows
+        };
+    }
+
+    /**
+     * Create the members of a validated preview in a single transaction
+     * Rows with errors are never imported; unless skipInvalid is set, any error aborts the import
+     * actorId is the importing admin, recorded in each member's change history
+     * @returns {Object} { imported: [{ row, id, dbId, name, email }], skipped }
+     */
+    commit(preview, { skipInvalid = false, actorId = null } = {}) {
+        if (preview.errorRows > 0 && !skipInvalid) {
+            throw new Error(`${preview.errorRows} row(s) have errors. Fix them or choose to skip invalid rows`);
+        }
+
+        const validRows = preview.rows.filter(row => row.errors.length === 0);
+        if (validRows.length === 0) {
+            throw new Error('There are no valid rows to import');
+        }
+
+        const imported = this.db.transaction(() => {
+            // Legacy IDs are unique: continue from the highest in use, like createMember's timestamp IDs
+            const { maxId } = this.db.prepare('SELECT MAX(legacy_id) AS maxId FROM members').get();
+            const firstId = Math.max(Date.now(), (maxId || 0) + 1);
+
+            return validRows.map(({ row, member }, index) => {
+                const { legacyId, memberId } = this.members.insertMemberRecord(member, firstId + index, actorId);
+                return { row, id: legacyId, dbId: memberId, name: member.name, email: member.email };
+            });
+        })();
+
+        this.members.runDataConsistencyCheck('IMPORT_MEMBERS', `${imported.length} members`);
+        return { imported, skipped: preview.rows.length - validRows.length };
+    }
+
+    /**
+     * Create a member account with a generated username and an account setup link
+     * The password is never shown; the member chooses one through the emailed link
+     * @returns {Object|null} { user, token, expiresAt } for sendAccountSetupEmail, or null without an email
+     */
+    async createAccount(member, adminId) {
+        if (!member.email) return null;
+
+        const existingUsernames = this.db.prepare('SELECT username FROM users').all().map(user => user.username);
+        const account = await this.auth.createUser({
+            username: UsernameGenerator.generateUsername(member.name, existingUsernames),
+            name: member.name,
+            email: member.email,
+            role: 'member',
+            memberId: member.dbId
+        }, adminId);
+
+        return this.auth.createAccountSetupToken(account.userId, adminId);
+    }
+}
+
+module.exports = MemberImport;
+module.exports.MEMBER_FIELDS = MEMBER_FIELDS;
+module.exports.ACCOUNT_MODES = ACCOUNT_MODES;
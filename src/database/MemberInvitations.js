@@ -0,0 +1,245 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Member Invitations
+// =====================================================
+//
+// Invitation-based onboarding: instead of creating an account with a
+// generated password when a member is added, the member is emailed a
+// signed, expiring link and chooses their own username and password.
+//
+// Each member has at most one invitation row. Sending again (resend)
+// rotates the token and expiry, so only the latest link works; revoking
+// invalidates the link until the member is invited again.
+//
+// Statuses reported to admins:
+// - pending:  sent, not yet used and not expired
+// - expired:  sent, not used before expires_at
+// - accepted: the member created their account from the link
+// - revoked:  withdrawn by an admin
+//
+// Links are signed with the session secret (AuthenticationUtils.signToken);
+// set SESSION_SECRET so outstanding links survive a server restart.
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const crypto = require('crypto');
+const UsernameGenerator = require('../utils/UsernameGenerator');
+
+const INVITATION_EXPIRY = 7 * 24 * 60 * 60 * 1000; // 7 days to accept
+
+class MemberInvitations {
+    constructor(database, auth) {
+        this.db = database;
+        this.auth = auth; // Token signing, password policy and user creation
+    }
+
+    /**
+     * Derive the admin-facing status of an invitation row
+     */
+    static getStatus(row, now = Date.now()) {
+        if (row.status === 'pending' && new Date(row.expires_at).getTime() <= now) {
+            return 'expired';
+        }
+        return row.status;
+    }
+
+    /**
+     * API shape of an invitation row (never includes the token)
+     */
+    static format(row) {
+        return {
+            id: row.id,
+            memberId: row.member_id,
+            email: row.email,
+            status: MemberInvitations.getStatus(row),
+            sentAt: row.sent_at,
+            sendCount: row.send_count,
+            expiresAt: row.expires_at,
+            acceptedAt: row.accepted_at,
+            revokedAt: row.revoked_at
+        };
+    }
+
+    /**
+     * Resolve a legacy or database member ID to the member row (members in the recycle bin are not found)
+     */
+    findMember(memberId) {
+        return this.db.prepare('SELECT id, legacy_id, name, email FROM members WHERE (legacy_id = ? OR id = ?) AND deleted_at IS NULL')
+            .get(memberId, memberId);
+    }
+
+    /**
+     * Invite a member, or resend their invitation with a fresh link
+     * @param {number|string} memberId - Legacy or database member ID
+     * @param {number} adminId - Admin sending the invitation
+     * @returns {Object} { invitation, token, member } - token is the raw link token, to be emailed
+     */
+    invite(memberId, adminId = null) {
+        const member = this.findMember(memberId);
+        if (!member) {
+            throw new Error('Member not found');
+        }
+        if (!member.email) {
+            throw new Error('Add an email address to this member before sending an invitation');
+        }
+        if (this.db.prepare('SELECT id FROM users WHERE member_id = ?').get(member.id)) {
+            throw new Error('This member already has a user account');
+        }
+        if (this.db.prepare('SELECT id FROM users WHERE LOWER(email) = LOWER(?)').get(member.email)) {
+            throw new Error('Another user account already uses this email address');
+        }
+
+        const existing = this.db.prepare('SELECT id FROM member_invitations WHERE member_id = ?').get(member.id);
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const now = new Date().toISOString();
+
+        const { invitationId, token } = this.db.transaction(() => {
+            let id = existing?.id;
+            if (!id) {
+                id = this.db.prepare(`
+                    INSERT INTO member_invitations (member_id, email, token_hash, invited_by, created_at, sent_at, send_count, expires_at)
+                    VALUES (?, ?, '', ?, ?, ?, 0, ?)
+                `).run(member.id, member.email, adminId, now, now, now).lastInsertRowid;
+            }
+
+            // The token names the invitation row, so it can only be built once the row exists
+            const signed = this.auth.signToken({ type: 'invite', inv: Number(id), nonce }, INVITATION_EXPIRY);
+            const { exp } = this.auth.verifySignedToken(signed);
+
+            this.db.prepare(`
+                UPDATE member_invitations
+                SET email = ?, token_hash = ?, status = 'pending', invited_by = ?, sent_at = ?,
+                    send_count = send_count + 1, expires_at = ?, revoked_at = NULL, revoked_by = NULL
+                WHERE id = ?
+            `).run(member.email, this.auth.hashToken(signed), adminId, now, new Date(exp).toISOString(), id);
+
+            return { invitationId: id, token: signed };
+        })();
+
+        const row = this.db.prepare('SELECT * FROM member_invitations WHERE id = ?').get(invitationId);
+        return { invitation: MemberInvitations.format(row), token, member };
+    }
+
+    /**
+     * Withdraw a member's outstanding invitation
+     * @returns {boolean} False when there is no pending invitation to revoke
+     */
+    revoke(memberId, adminId = null) {
+        const member = this.findMember(memberId);
+        if (!member) return false;
+
+        return this.db.prepare(`
+            UPDATE member_invitations
+            SET status = 'revoked', revoked_at = ?, revoked_by = ?
+            WHERE member_id = ? AND status = 'pending'
+        `).run(new Date().toISOString(), adminId, member.id).changes > 0;
+    }
+
+    /**
+     * Onboarding state of every member, keyed by legacy member ID (the ID the member list uses)
+     * Members never invited report status 'not_invited'; hasAccount covers accounts
+     * created before invitations existed or by an admin directly
+     */
+    getAll() {
+        const rows = this.db.prepare(`
+            SELECT i.*, COALESCE(m.legacy_id, m.id) AS list_id, u.id AS account_id
+            FROM members m
+            LEFT JOIN member_invitations i ON i.member_id = m.id
+            LEFT JOIN users u ON u.member_id = m.id
+            WHERE m.deleted_at IS NULL
+        `).all();
+
+        const invitations = {};
+        rows.forEach(row => {
+            invitations[row.list_id] = {
+                ...(row.id ? MemberInvitations.format(row) : { status: 'not_invited' }),
+                hasAccount: !!row.account_id
+            };
+        });
+        return invitations;
+    }
+
+    /**
+     * Resolve a raw link token to its usable invitation row
+     * Returns null for forged, superseded, revoked, accepted or expired links
+     */
+    resolve(token) {
+        const payload = this.auth.verifySignedToken(token);
+        if (!payload || payload.type !== 'invite') return null;
+
+        const row = this.db.prepare(`
+            SELECT i.*, m.name AS member_name
+            FROM member_invitations i
+            JOIN members m ON m.id = i.member_id AND m.deleted_at IS NULL
+            WHERE i.id = ?
+        `).get(payload.inv);
+
+        if (!row || row.token_hash !== this.auth.hashToken(token)) return null;
+        return MemberInvitations.getStatus(row) === 'pending' ? row : null;
+    }
+
+    /**
+     * Public details shown on the accept page
+     */
+    describe(token) {
+        const row = this.resolve(token);
+        if (!row) return null;
+
+        const existingUsernames = this.db.prepare('SELECT username FROM users').all().map(u => u.username);
+        let suggestedUsername = '';
+        try {
+            suggestedUsername = UsernameGenerator.generateUsername(row.member_name, existingUsernames);
+        } catch (error) {
+            // Names without latin letters have no suggestion; the member types their own
+        }
+
+        return {
+            name: row.member_name,
+            email: row.email,
+            expiresAt: row.expires_at,
+            suggestedUsername
+        };
+    }
+
+    /**
+     * Create the member's account from an invitation link
+     * @param {string} token - Raw link token
+     * @param {Object} credentials - { username, password } chosen by the member
+     * @param {Object} clientInfo - { ip, userAgent } for the security log
+     */
+    async accept(token, { username, password } = {}, clientInfo = {}) {
+        const row = this.resolve(token);
+        if (!row) {
+            throw new Error('This invitation link is invalid or has expired');
+        }
+
+        const chosenUsername = String(username || '').trim();
+        this.auth.assertUsernameAvailable(chosenUsername);
+
+        const validation = this.auth.validatePasswordStrength(password);
+        if (!validation.isValid) {
+            throw new Error('Password does not meet security requirements: ' + validation.feedback.suggestions.join(', '));
+        }
+
+        const account = await this.auth.createUser({
+            username: chosenUsername,
+            name: row.member_name,
+            email: row.email,
+            role: 'member',
+            password,
+            memberId: row.member_id,
+            firstLogin: false
+        });
+
+        this.db.prepare(`
+            UPDATE member_invitations SET status = 'accepted', accepted_at = ?, accepted_user_id = ? WHERE id = ?
+        `).run(new Date().toISOString(), account.userId, row.id);
+
+        await this.auth.logSecurityEvent(account.userId, 'user_created', true, clientInfo, 'Account created from member invitation');
+
+        return { success: true, username: chosenUsername, message: 'Your account is ready. You can now sign in.' };
+    }
+}
+
+module.exports = MemberInvitations;
+module.exports.INVITATION_EXPIRY = INVITATION_EXPIRY;
@@ -0,0 +1,242 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Member Employment History
+// =====================================================
+//
+// Every position a member has held: company, industry, job title, start
+// and end dates (YYYY or YYYY-MM) and whether it is current. This keeps
+// "who has worked at X" answerable after members change jobs.
+//
+// members.company_id and members.industry_id remain the member's current
+// company and industry, which the directory, search, exports and history
+// read. They always mirror the latest current position:
+// - editing positions here updates them (recorded in the member history)
+// - changing the company on the profile form ends the current position
+//   and starts a new one; changing only the industry updates it in place
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const DataConsistencyManager = require('./DataConsistencyManager');
+
+const DATE_PATTERN = /^\d{4}(-(0[1-9]|1[0-2]))?$/;
+const MAX_TEXT_LENGTH = 200;
+
+// Current positions first, then the most recently ended or started
+const ORDER_BY = `p.is_current DESC, COALESCE(p.end_date, '9999') DESC, COALESCE(p.start_date, '') DESC, p.id DESC`;
+
+class MemberPositions {
+    constructor(database, members) {
+        this.db = database;
+        this.members = members; // DatabaseAPI, for lookup management and member history
+    }
+
+    /**
+     * Check and normalize the fields of a position
+     * @param {Object} data - { company, industry, title, startDate, endDate, current }
+     * @returns {Object} Normalized fields; throws with a client-facing message when invalid
+     */
+    static parse(data = {}) {
+        const text = (value, label) => {
+            const trimmed = typeof value === 'string' ? value.trim() : '';
+            if (trimmed.length > MAX_TEXT_LENGTH) {
+                throw new Error(`${label} must be at most ${MAX_TEXT_LENGTH} characters`);
+            }
+            return trimmed || null;
+        };
+        const date = (value, label) => {
+            const trimmed = text(value, label);
+            if (trimmed && !DATE_PATTERN.test(trimmed)) {
+                throw new Error(`${label} must be a year (YYYY) or a month (YYYY-MM)`);
+            }
+            return trimmed;
+        };
+
+        const position = {
+            company: text(data.company, 'Company'),
+            industry: text(data.industry, 'Industry'),
+            title: text(data.title, 'Title'),
+            startDate: date(data.startDate, 'Start date'),
+            endDate: date(data.endDate, 'End date'),
+            current: data.current === true || data.current === 'true'
+        };
+
+        if (!position.company) {
+            throw new Error('Company is required');
+        }
+        if (position.current && position.endDate) {
+            throw new Error('A current position has no end date');
+        }
+        if (position.startDate && position.endDate && position.endDate < position.startDate) {
+            throw new Error('End date must not be before the start date');
+        }
+        return position;
+    }
+
+    /**
+     * Positions of a member, current first
+     * @param {number} memberId - members.id
+     * @returns {Array} [{ id, company, industry, title, startDate, endDate, current }]
+     */
+    list(memberId) {
+        return this.db.prepare(`
+            SELECT p.id, c.name AS company, i.name AS industry, p.title, p.start_date, p.end_date, p.is_current
+            FROM member_positions p
+            LEFT JOIN companies c ON c.id = p.company_id
+            LEFT JOIN industries i ON i.id = p.industry_id
+            WHERE p.member_id = ?
+            ORDER BY ${ORDER_BY}
+        `).all(memberId).map(row => ({
+            id: row.id,
+            company: row.company,
+            industry: row.industry,
+            title: row.title,
+            startDate: row.start_date,
+            endDate: row.end_date,
+            current: !!row.is_current
+        }));
+    }
+
+    /**
+     * members.id of an active member by API id (legacy or database id), or null
+     */
+    resolveMember(id) {
+        const member = this.db.prepare('SELECT id FROM members WHERE (legacy_id = ? OR id = ?) AND deleted_at IS NULL').get(id, id);
+        return member ? member.id : null;
+    }
+
+    /**
+     * Add a position to a member
+     * @returns {Object|null} { positions, company, industry } - null when the member does not exist
+     */
+    add(id, data, actorId = null) {
+        const position = MemberPositions.parse(data);
+        return this.change(id, actorId, memberId => {
+            const now = new Date().toISOString();
+            this.db.prepare(`
+                INSERT INTO member_positions (member_id, company_id, industry_id, title, start_date, end_date, is_current, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(memberId, ...this.columnValues(position), now, now);
+            return true;
+        });
+    }
+
+    /**
+     * Replace the fields of one of a member's positions
+     * @returns {Object|null} { positions, company, industry } - null when the member or position does not exist
+     */
+    update(id, positionId, data, actorId = null) {
+        const position = MemberPositions.parse(data);
+        return this.change(id, actorId, memberId => {
+            if (!this.db.prepare('SELECT 1 FROM member_positions WHERE id = ? AND member_id = ?').get(positionId, memberId)) {
+                return false;
+            }
+            this.db.prepare(`
+                UPDATE member_positions
+                SET company_id = ?, industry_id = ?, title = ?, start_date = ?, end_date = ?, is_current = ?, updated_at = ?
+                WHERE id = ?
+            `).run(...this.columnValues(position), new Date().toISOString(), positionId);
+            return true;
+        });
+    }
+
+    /**
+     * Delete one of a member's positions
+     * @returns {Object|null} { positions, company, industry } - null when the member or position does not exist
+     */
+    remove(id, positionId, actorId = null) {
+        return this.change(id, actorId, memberId => this.db.prepare('DELETE FROM member_positions WHERE id = ? AND member_id = ?')
+            .run(positionId, memberId).changes > 0);
+    }
+
+    columnValues(position) {
+        return [
+            this.members.getOrCreateLookup('companies', position.company),
+            this.members.getOrCreateLookup('industries', position.industry),
+            position.title,
+            position.startDate,
+            position.current ? null : position.endDate,
+            position.current ? 1 : 0
+        ];
+    }
+
+    /**
+     * Apply a change to a member's positions, then bring the member's current company and industry in line
+     * A change to those is recorded in the member history
+     * @param {Function} apply - Receives members.id; returns false when there was nothing to change
+     */
+    change(id, actorId, apply) {
+        const memberId = this.resolveMember(id);
+        if (!memberId) return null;
+
+        const previousLookups = this.db.prepare(`
+            SELECT company_id, industry_id FROM member_positions WHERE member_id = ?
+            UNION SELECT company_id, industry_id FROM members WHERE id = ?
+        `).all(memberId, memberId);
+        const changed = this.db.transaction(() => {
+            const before = this.members.revisions.snapshot(memberId);
+            if (!apply(memberId)) return false;
+
+            this.syncCurrent(memberId);
+            this.members.revisions.record(memberId, 'update', { before, after: this.members.revisions.snapshot(memberId), actorId });
+            return true;
+        })();
+        if (!changed) return null;
+
+        const consistencyManager = new DataConsistencyManager(this.db);
+        previousLookups.forEach(row => consistencyManager.cleanupOrphanedLookups({ companyId: row.company_id, industryId: row.industry_id }));
+        const { company, industry } = this.members.revisions.snapshot(memberId);
+        return { positions: this.list(memberId), company, industry };
+    }
+
+    /**
+     * Copy the latest current position's company and industry to the member (both NULL without one)
+     */
+    syncCurrent(memberId) {
+        const current = this.db.prepare(`
+            SELECT p.company_id, p.industry_id FROM member_positions p
+            WHERE p.member_id = ? AND p.is_current = 1
+            ORDER BY ${ORDER_BY}
+            LIMIT 1
+        `).get(memberId);
+
+        this.db.prepare("UPDATE members SET company_id = ?, industry_id = ?, updated_at = datetime('now') WHERE id = ?")
+            .run(current ? current.company_id : null, current ? current.industry_id : null, memberId);
+    }
+
+    /**
+     * Follow a change of the current company or industry made on the member profile
+     * Callers provide the surrounding transaction (DatabaseAPI.insertMemberRecord and updateMember)
+     * @param {number} memberId - members.id
+     * @param {number|null} companyId - New current company
+     * @param {number|null} industryId - New current industry
+     */
+    applyProfile(memberId, companyId, industryId) {
+        const now = new Date().toISOString();
+        const current = this.db.prepare(`
+            SELECT p.id, p.company_id, p.industry_id FROM member_positions p
+            WHERE p.member_id = ? AND p.is_current = 1
+            ORDER BY ${ORDER_BY}
+            LIMIT 1
+        `).get(memberId);
+
+        if (current && current.company_id === companyId) {
+            if (current.industry_id !== industryId) {
+                this.db.prepare('UPDATE member_positions SET industry_id = ?, updated_at = ? WHERE id = ?')
+                    .run(industryId, now, current.id);
+            }
+            return;
+        }
+
+        // A different company (or none) means the member has left their current positions
+        this.db.prepare('UPDATE member_positions SET is_current = 0, updated_at = ? WHERE member_id = ? AND is_current = 1')
+            .run(now, memberId);
+        if (companyId || industryId) {
+            this.db.prepare(`
+                INSERT INTO member_positions (member_id, company_id, industry_id, is_current, created_at, updated_at)
+                VALUES (?, ?, ?, 1, ?, ?)
+            `).run(memberId, companyId, industryId, now, now);
+        }
+    }
+}
+
+module.exports = MemberPositions;
@@ -0,0 +1,110 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Member Privacy
+// =====================================================
+//
+// Applies the privacy settings of a member's linked user account to the
+// member read APIs (directory, profile, search and exports):
+// - profile_visibility 'private': the member is left out of listings and
+//   search, and their profile is not found, for other members
+// - profile_visibility 'members' or 'public': visible to every signed-in
+//   member ('public' is the opt-in for anything shown without signing in)
+// - hide_phone, hide_address, hide_email: the field is returned as null
+//
+// Admins and the member themselves always see the full record. Members
+// without a user account have no privacy settings and are shown in full.
+//
+// Queries add MemberPrivacy.JOIN (alias pu) and MemberPrivacy.COLUMNS to
+// their member query (alias m), filter with visibilityCondition() (and
+// hiddenEmailSearchCondition() when searching), and pass each row
+// through redact().
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+// The member's active account; accounts in the recycle bin have no say over the profile,
+// and MIN(id) keeps the join from duplicating rows if several link to it
+const JOIN = 'LEFT JOIN users pu ON pu.id = (SELECT MIN(id) FROM users WHERE member_id = m.id AND deleted_at IS NULL)';
+const COLUMNS = 'pu.profile_visibility AS privacy_visibility, pu.hide_phone AS privacy_hide_phone, '
+    + 'pu.hide_address AS privacy_hide_address, pu.hide_email AS privacy_hide_email';
+
+// members_fts columns every member may search; email only matches members who show it
+const SEARCHABLE_WITHOUT_EMAIL = ['name', 'passout_batch', 'branch', 'industry', 'company', 'skills'];
+
+// Member fields a member can hide, and the privacy column for each
+const HIDEABLE_FIELDS = {
+    phone: 'privacy_hide_phone',
+    address: 'privacy_hide_address',
+    email: 'privacy_hide_email'
+};
+
+class MemberPrivacy {
+    /**
+     * Whether the viewer sees every field of a member
+     * @param {Object|null} viewer - Requesting user ({ id, role, member_id }); null for trusted internal callers
+     * @param {number} memberDbId - members.id of the record
+     */
+    static seesFullRecord(viewer, memberDbId) {
+        return !viewer || viewer.role === 'admin' || (viewer.member_id != null && Number(viewer.member_id) === Number(memberDbId));
+    }
+
+    /**
+     * SQL condition (with its parameters) leaving out private profiles the viewer may not see
+     * @returns {Object} { sql, params } - sql is null when nothing needs filtering
+     */
+    static visibilityCondition(viewer) {
+        if (!viewer || viewer.role === 'admin') {
+            return { sql: null, params: [] };
+        }
+        return {
+            sql: "(pu.profile_visibility IS NOT 'private' OR m.id = ?)",
+            params: [viewer.member_id ?? -1]
+        };
+    }
+
+    /**
+     * SQL condition (with its parameters) for a members_fts search, so a member's hidden
+     * email cannot be found by searching for it: such rows must also match without the email column
+     * @param {string} expression - MATCH expression from FullTextSearch.buildMatchExpression
+     * @returns {Object} { sql, params } - sql is null when nothing needs filtering
+     */
+    static hiddenEmailSearchCondition(expression, viewer) {
+        if (!viewer || viewer.role === 'admin') {
+            return { sql: null, params: [] };
+        }
+        return {
+            sql: `(COALESCE(pu.hide_email, 0) = 0 OR m.id = ?
+                   OR m.id IN (SELECT rowid FROM members_fts WHERE members_fts MATCH ?))`,
+            params: [viewer.member_id ?? -1, `{${SEARCHABLE_WITHOUT_EMAIL.join(' ')}} : (${expression})`]
+        };
+    }
+
+    /**
+     * Names of the fields a member row hides from other members
+     */
+    static hiddenFields(row) {
+        return Object.keys(HIDEABLE_FIELDS).filter(field => !!row[HIDEABLE_FIELDS[field]]);
+    }
+
+    /**
+     * Null out the fields the viewer may not see
+     * @param {Object} member - Member in API format
+     * @param {Object} row - Database row with the privacy COLUMNS and the member's id
+     * @returns {Object} Member with hiddenFields listing what the member chose to hide
+     */
+    static redact(member, row, viewer) {
+        const hiddenFields = MemberPrivacy.hiddenFields(row);
+        if (MemberPrivacy.seesFullRecord(viewer, row.id)) {
+            return { ...member, hiddenFields };
+        }
+
+        const redacted = { ...member, hiddenFields };
+        hiddenFields.forEach(field => {
+            redacted[field] = null;
+        });
+        return redacted;
+    }
+}
+
+module.exports = MemberPrivacy;
+module.exports.JOIN = JOIN;
+module.exports.COLUMNS = COLUMNS;
@@ -0,0 +1,159 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Member Revisions
+// =====================================================
+//
+// Change history for member profiles. Every create, update, restore, merge
+// and delete of a member writes one row to member_revisions with the profile
+// before and after the change and the user who made it, so that:
+// - history() lists field-level differences per change, newest first
+// - any revision's "after" profile can be restored (DatabaseAPI.restoreMemberRevision)
+//
+// Profiles are snapshots of the editable member fields (the bulk import
+// fields, see MemberImport.MEMBER_FIELDS), with lookups as names and skills
+// sorted. Photos are not versioned: the photo store keeps only the current one.
+//
+// Revisions outlive the member they describe; member_id is the members.id
+// the member had. A 'merge' revision names the duplicate merged into the
+// member (see MemberDuplicates); the duplicate's own history ends with a
+// 'delete'.
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const { MEMBER_FIELDS } = require('./MemberImport');
+
+const ACTIONS = ['create', 'update', 'restore', 'merge', 'delete'];
+
+class MemberRevisions {
+    constructor(database) {
+        this.db = database;
+    }
+
+    /**
+     * Current profile of a member, in the shape revisions store
+     * @param {number} memberId - members.id
+     * @returns {Object|null} Null when the member does not exist
+     */
+    snapshot(memberId) {
+        const member = this.db.prepare(`
+            SELECT m.name, m.email, m.phone, m.address, m.passout_batch, m.membership_id, m.membership_type,
+                   b.name AS branch, i.name AS industry, c.name AS company
+            FROM members m
+            LEFT JOIN branches b ON b.id = m.branch_id
+            LEFT JOIN industries i ON i.id = m.industry_id
+            LEFT JOIN companies c ON c.id = m.company_id
+            WHERE m.id = ?
+        `).get(memberId);
+        if (!member) return null;
+
+        const skills = this.db.prepare(`
+            SELECT s.name FROM member_skills ms JOIN skills s ON s.id = ms.skill_id
+            WHERE ms.member_id = ? ORDER BY s.name COLLATE NOCASE
+        `).all(memberId).map(row => row.name);
+
+        return {
+            name: member.name,
+            email: member.email,
+            phone: member.phone,
+            address: member.address,
+            passoutBatch: member.passout_batch,
+            branch: member.branch,
+            industry: member.industry,
+            company: member.company,
+            skills,
+            membershipID: member.membership_id,
+            membershipType: member.membership_type
+        };
+    }
+
+    /**
+     * Field-level differences between two profiles (either may be null)
+     * @returns {Array} [{ field, label, from, to }] in MEMBER_FIELDS order
+     */
+    static diff(before, after) {
+        const value = (profile, field) => {
+            const current = profile ? profile[field] : null;
+            if (Array.isArray(current)) return current.length > 0 ? current : null;
+            return current === undefined || current === '' ? null : current;
+        };
+
+        return Object.keys(MEMBER_FIELDS)
+            .map(field => ({ field, label: MEMBER_FIELDS[field].label, from: value(before, field), to: value(after, field) }))
+            .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+    }
+
+    /**
+     * Record a change to a member
+     * Updates that change nothing are not recorded
+     * @param {number} memberId - members.id
+     * @param {string} action - create, update, restore, merge or delete
+     * @param {Object} change - { before, after, actorId, restoredFrom, mergedFrom }
+     * @returns {number|null} Revision id, or null when nothing was recorded
+     */
+    record(memberId, action, { before = null, after = null, actorId = null, restoredFrom = null, mergedFrom = null } = {}) {
+        if (!ACTIONS.includes(action)) {
+            throw new Error(`Unknown revision action: ${action}`);
+        }
+        if (action === 'update' && MemberRevisions.diff(before, after).length === 0) {
+            return null;
+        }
+
+        const result = this.db.prepare(`
+            INSERT INTO member_revisions (member_id, action, before_data, after_data, restored_from, merged_from, changed_by, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            memberId,
+            action,
+            before ? JSON.stringify(before) : null,
+            after ? JSON.stringify(after) : null,
+            restoredFrom,
+            mergedFrom,
+            actorId,
+            new Date().toISOString()
+        );
+        return result.lastInsertRowid;
+    }
+
+    /**
+     * Change history of a member, newest first
+     * @returns {Array} [{ id, action, changedAt, changedBy: { id, name } | null, restoredFrom,
+     *                     mergedFrom: { id, name } | null, restorable, changes }]
+     */
+    history(memberId) {
+        return this.db.prepare(`
+            SELECT r.*, u.name AS changed_by_name, u.username AS changed_by_username,
+                   (SELECT json_extract(d.before_data, '$.name') FROM member_revisions d
+                    WHERE d.member_id = r.merged_from AND d.action = 'delete'
+                    ORDER BY d.id DESC LIMIT 1) AS merged_from_name
+            FROM member_revisions r
+            LEFT JOIN users u ON u.id = r.changed_by
+            WHERE r.member_id = ?
+            ORDER BY r.id DESC
+        `).all(memberId).map(row => {
+            const before = row.before_data ? JSON.parse(row.before_data) : null;
+            const after = row.after_data ? JSON.parse(row.after_data) : null;
+            return {
+                id: row.id,
+                action: row.action,
+                changedAt: row.created_at,
+                changedBy: row.changed_by ? { id: row.changed_by, name: row.changed_by_name || row.changed_by_username } : null,
+                restoredFrom: row.restored_from,
+                mergedFrom: row.merged_from ? { id: row.merged_from, name: row.merged_from_name } : null,
+                restorable: !!after,
+                changes: MemberRevisions.diff(before, after)
+            };
+        });
+    }
+
+    /**
+     * Profile a revision left the member with
+     * @returns {Object|null} Null when the revision does not belong to the member or was a delete
+     */
+    getProfileAfter(memberId, revisionId) {
+        const row = this.db.prepare('SELECT after_data FROM member_revisions WHERE id = ? AND member_id = ?')
+            .get(revisionId, memberId);
+        return row && row.after_data ? JSON.parse(row.after_data) : null;
+    }
+}
+
+module.exports = MemberRevisions;
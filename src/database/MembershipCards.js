@@ -0,0 +1,224 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Membership Cards
+// =====================================================
+//
+// Digital membership cards (PNG or PDF) showing a member's photo, name,
+// batch, branch, membership ID and type, with a QR code that partners
+// scan to check the membership at their events.
+//
+// The QR code holds a link to the public verify page with a signed token
+// naming the member and the membership ID printed on the card. Verifying
+// looks the member up again, so a card stops being valid when the member
+// is deleted or given another ID, and shows whether the membership is
+// current (dues paid up, or lifetime). Verification only reveals what is
+// printed on the card, plus the membership status.
+//
+// Tokens are signed with the session secret (SESSION_SECRET), so issued
+// cards keep working across restarts only when it is set.
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const QRCode = require('qrcode');
+const MembershipDues = require('./MembershipDues');
+
+const CARD_TOKEN_EXPIRY = 5 * 365 * 24 * 60 * 60 * 1000; // Printed cards stay scannable for 5 years
+const CURRENT_STATUSES = ['active', 'expiring', 'lifetime'];
+const NON_MEMBER = 'Non-Member';
+
+// PNG card: 1012x638 pixels, the ID-1 (credit card) shape at 300 dpi
+const PNG_WIDTH = 1012;
+const PNG_HEIGHT = 638;
+// PDF card: ID-1 size in points (85.6 x 54 mm)
+const PDF_SIZE = [242.65, 153.07];
+
+const escapeXml = (text) => String(text).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+
+class MembershipCards {
+    constructor(database, auth, dues, photos) {
+        this.db = database;
+        this.auth = auth;
+        this.dues = dues;
+        this.photos = photos;
+    }
+
+    findMember(id) {
+        return this.db.prepare(`
+            SELECT m.*, b.name AS branch_name
+            FROM members m
+            LEFT JOIN branches b ON m.branch_id = b.id
+            WHERE (m.legacy_id = ? OR m.id = ?) AND m.deleted_at IS NULL
+        `).get(id, id) || null;
+    }
+
+    /**
+     * Signed token for a member's card; throws with a client-facing message when they have no membership ID
+     */
+    issueToken(member) {
+        if (!member.membership_id) {
+            throw new Error(`${member.name} has no membership ID yet; assign one before issuing a card`);
+        }
+        return this.auth.signToken({ type: 'card', mem: member.id, mid: member.membership_id }, CARD_TOKEN_EXPIRY);
+    }
+
+    // ===== Cards =====
+
+    /**
+     * A member's card as a PNG image or a PDF
+     * @param {Function} verifyUrlFor - builds the link in the QR code from the card token
+     * @returns {Promise<Object|null>} { filename, contentType, content } - null when the member does not exist
+     */
+    async render(id, format, verifyUrlFor) {
+        if (!['png', 'pdf'].includes(format)) {
+            throw new Error('The card format must be png or pdf');
+        }
+        const member = this.findMember(id);
+        if (!member) return null;
+
+        const card = {
+            member,
+            verifyUrl: verifyUrlFor(this.issueToken(member)),
+            photo: this.photos.read(member.photo),
+            details: [member.passout_batch && `Batch ${member.passout_batch}`, member.branch_name].filter(Boolean),
+            issuedOn: new Date().toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })
+        };
+        const content = format === 'png' ? await this.png(card) : await this.pdf(card);
+        return {
+            filename: `membership-card-${member.membership_id.replace(/[^A-Za-z0-9._-]/g, '_')}.${format}`,
+            contentType: format === 'png' ? 'image/png' : 'application/pdf',
+            content
+        };
+    }
+
+    async png({ member, verifyUrl, photo, details, issuedOn }) {
+        const sharp = require('sharp');
+        const qrCode = await QRCode.toDataURL(verifyUrl, { margin: 1, width: 250 });
+        const photoPanel = photo
+            ? `<image x="48" y="170" width="240" height="300" preserveAspectRatio="xMidYMid slice" href="data:image/jpeg;base64,${photo.toString('base64')}"/>`
+            : `<rect x="48" y="170" width="240" height="300" fill="#e0e7ff"/>
+               <text x="168" y="345" font-size="96" text-anchor="middle" fill="#6366f1">${escapeXml(member.name.trim().charAt(0).toUpperCase())}</text>`;
+
+        // Long names and branches are cut off at the QR code rather than running under it
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${PNG_WIDTH}" height="${PNG_HEIGHT}" font-family="sans-serif">
+            <defs>
+                <clipPath id="card"><rect width="${PNG_WIDTH}" height="${PNG_HEIGHT}" rx="36"/></clipPath>
+                <clipPath id="details"><rect x="320" y="150" width="380" height="330"/></clipPath>
+            </defs>
+            <g clip-path="url(#card)">
+                <rect width="${PNG_WIDTH}" height="${PNG_HEIGHT}" fill="#ffffff"/>
+                <rect width="${PNG_WIDTH}" height="130" fill="#4f46e5"/>
+                <text x="48" y="78" font-size="44" font-weight="bold" fill="#ffffff">ISMAA Bengaluru</text>
+                <text x="48" y="112" font-size="24" fill="#c7d2fe">Membership Card</text>
+                ${photoPanel}
+                <g clip-path="url(#details)">
+                    <text x="320" y="200" font-size="38" font-weight="bold" fill="#1e293b">${escapeXml(member.name)}</text>
+                    ${details.map((line, index) => `<text x="320" y="${242 + index * 32}" font-size="22" fill="#475569">${escapeXml(line)}</text>`).join('')}
+                    <text x="320" y="335" font-size="20" fill="#64748b">MEMBERSHIP ID</text>
+                    <text x="320" y="372" font-size="32" font-weight="bold" fill="#1e293b">${escapeXml(member.membership_id)}</text>
+                    <text x="320" y="425" font-size="20" fill="#64748b">TYPE</text>
+                    <text x="320" y="460" font-size="28" fill="#1e293b">${escapeXml(member.membership_type || 'Member')}</text>
+                </g>
+                <image x="720" y="190" width="250" height="250" href="${qrCode}"/>
+                <text x="845" y="470" font-size="18" text-anchor="middle" fill="#64748b">Scan to verify</text>
+                <text x="48" y="590" font-size="18" fill="#94a3b8">Issued ${escapeXml(issuedOn)}</text>
+            </g>
+        </svg>`;
+        return sharp(Buffer.from(svg)).png().toBuffer();
+    }
+
+    async pdf({ member, verifyUrl, photo, details, issuedOn }) {
+        const PDFDocument = require('pdfkit');
+        const doc = new PDFDocument({ size: PDF_SIZE, margin: 0, info: { Title: `Membership card ${member.membership_id}` } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        const finished = new Promise((resolve, reject) => {
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+        });
+
+        doc.rect(0, 0, PDF_SIZE[0], 32).fill('#4f46e5');
+        doc.font('Helvetica-Bold').fontSize(11).fillColor('#ffffff').text('ISMAA Bengaluru', 12, 8);
+        doc.font('Helvetica').fontSize(6).fillColor('#c7d2fe').text('Membership Card', 12, 21);
+
+        if (photo) {
+            // cover scales the photo to fill the frame; the clip trims what overflows
+            doc.save().rect(12, 42, 56, 70).clip();
+            doc.image(photo, 12, 42, { cover: [56, 70], align: 'center', valign: 'center' });
+            doc.restore();
+        } else {
+            doc.rect(12, 42, 56, 70).fill('#e0e7ff');
+        }
+
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('#1e293b').text(member.name, 76, 42, { width: 92, height: 22, ellipsis: true });
+        doc.font('Helvetica').fontSize(6).fillColor('#475569').text(details.join(' · '), 76, doc.y + 1, { width: 92, height: 16, ellipsis: true });
+        doc.font('Helvetica').fontSize(5).fillColor('#64748b').text('MEMBERSHIP ID', 76, 82);
+        doc.font('Helvetica-Bold').fontSize(7).fillColor('#1e293b').text(member.membership_id, 76, 88, { width: 92 });
+        doc.font('Helvetica').fontSize(5).fillColor('#64748b').text('TYPE', 76, 100);
+        doc.font('Helvetica').fontSize(7).fillColor('#1e293b').text(member.membership_type || 'Member', 76, 106, { width: 92 });
+
+        doc.image(await QRCode.toBuffer(verifyUrl, { margin: 1, width: 240 }), 174, 42, { width: 60 });
+        doc.font('Helvetica').fontSize(5).fillColor('#64748b').text('Scan to verify', 174, 105, { width: 60, align: 'center' });
+        doc.font('Helvetica').fontSize(5).fillColor('#94a3b8').text(`Issued ${issuedOn}`, 12, 138);
+
+        doc.end();
+        return finished;
+    }
+
+    // ===== Verification =====
+
+    cardPayload(token) {
+        const payload = this.auth.verifySignedToken(token);
+        return payload && payload.type === 'card' ? payload : null;
+    }
+
+    // Active member a card names, while they still hold the membership ID printed on it
+    cardHolder(payload) {
+        const member = this.db.prepare('SELECT * FROM members WHERE id = ? AND deleted_at IS NULL').get(payload.mem);
+        return member && member.membership_id === payload.mid ? member : null;
+    }
+
+    /**
+     * Member holding a scanned card, e.g. at event check-in
+     * @param {string} scanned - The card token, or the verify link in its QR code
+     * @returns {Object|null} The member row - null for forged, expired or outdated cards
+     */
+    memberForCard(scanned) {
+        const payload = this.cardPayload(String(scanned || '').trim().split('/').pop());
+        return payload && this.cardHolder(payload);
+    }
+
+    /**
+     * Check the token of a scanned card
+     * @returns {Object|null} { valid, current, member, membership, message } - null when the token is not a genuine card token
+     */
+    verify(token) {
+        const payload = this.cardPayload(token);
+        if (!payload) return null;
+
+        const member = this.cardHolder(payload);
+        if (!member) {
+            return { valid: false, current: false, message: 'This membership card is no longer valid' };
+        }
+
+        const expiresOn = this.dues.expiryOf(member.id);
+        const status = MembershipDues.statusOf(expiresOn, MembershipDues.today(), this.dues.expiringWithinDays());
+        const current = CURRENT_STATUSES.includes(status) && member.membership_type !== NON_MEMBER;
+        return {
+            valid: true,
+            current,
+            member: {
+                name: member.name,
+                membershipID: member.membership_id,
+                membershipType: member.membership_type
+            },
+            membership: {
+                status,
+                expiresOn: expiresOn && status !== 'lifetime' ? expiresOn : null
+            },
+            message: current ? 'This is a current ISMAA Bengaluru membership' : 'This membership is not current'
+        };
+    }
+}
+
+module.exports = MembershipCards;
+module.exports.CARD_TOKEN_EXPIRY = CARD_TOKEN_EXPIRY;
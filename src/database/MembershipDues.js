@@ -0,0 +1,575 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Membership Dues
+// =====================================================
+//
+// Membership plans, the payments ledger and each member's membership
+// status. Amounts are stored in paise and exchanged with the API in
+// rupees.
+//
+// - Plans have a fee and a duration in months, or no duration for
+//   lifetime membership. Plans that have been paid for are deactivated
+//   rather than deleted.
+// - Payments are recorded by an admin (cash, bank transfer, UPI, ...) or
+//   paid online through the payment gateway (see utils/PaymentGateway.js).
+//   A completed payment covers the plan's duration from the day it was
+//   paid, or from the day after the current membership ends when it is
+//   renewed early, and gets a receipt number.
+// - A member's membership runs until the latest period end of their
+//   completed payments. Their status is derived from that date:
+//   active, expiring (within 'dues.expiringWithinDays'), lapsed,
+//   lifetime, or none when they have never paid.
+// - Payments recorded by mistake are voided, which keeps them in the
+//   ledger but no longer counts them.
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const SystemSettings = require('./SystemSettings');
+
+const PAYMENT_METHODS = ['cash', 'bank_transfer', 'upi', 'cheque', 'card', 'online', 'other'];
+const MANUAL_METHODS = PAYMENT_METHODS.filter(method => method !== 'online'); // 'online' is for gateway payments
+const DUES_STATUSES = ['active', 'expiring', 'lapsed', 'lifetime', 'none'];
+const LIFETIME_END = '9999-12-31'; // Stands in for "never" when comparing period ends
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const CURRENCY = 'INR';
+const ONLINE_PAYMENT_UNAVAILABLE = 'Online payment is not available; please pay the chapter directly and an admin will record it';
+
+// Last day of a member's membership (m is the members alias); NULL when they have never paid
+const EXPIRY_SQL = `(SELECT MAX(COALESCE(dp.period_end, '${LIFETIME_END}')) FROM membership_payments dp
+                     WHERE dp.member_id = m.id AND dp.status = 'completed')`;
+
+const PAYMENT_SELECT = `
+    SELECT p.*, COALESCE(m.legacy_id, m.id) AS member_api_id, pl.name AS plan_name,
+           ru.name AS recorded_by_name, ru.username AS recorded_by_username
+    FROM membership_payments p
+    LEFT JOIN members m ON m.id = p.member_id
+    LEFT JOIN membership_plans pl ON pl.id = p.plan_id
+    LEFT JOIN users ru ON ru.id = p.recorded_by
+`;
+
+class MembershipDues {
+    constructor(database, settings = new SystemSettings(database)) {
+        this.db = database;
+        this.settings = settings;
+    }
+
+    // ===== Dates and amounts =====
+
+    static today() {
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    static addDays(date, days) {
+        const result = new Date(`${date}T00:00:00Z`);
+        result.setUTCDate(result.getUTCDate() + days);
+        return result.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Same day of the month, months later (or the month's last day when it is shorter)
+     */
+    static addMonths(date, months) {
+        const [year, month, day] = date.split('-').map(Number);
+        const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+        return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay))).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Rupees from the API to paise; throws with a client-facing message when invalid
+     */
+    static toPaise(value, label) {
+        const rupees = typeof value === 'string' ? Number(value.trim()) : value;
+        if (typeof rupees !== 'number' || !Number.isFinite(rupees) || rupees < 0 || (typeof value === 'string' && !value.trim())) {
+            throw new Error(`${label} must be an amount in rupees`);
+        }
+        const paise = Math.round(rupees * 100);
+        if (Math.abs(paise - rupees * 100) > 1e-6) {
+            throw new Error(`${label} must have at most two decimal places`);
+        }
+        return paise;
+    }
+
+    static fromPaise(paise) {
+        return paise / 100;
+    }
+
+    // ===== Membership status =====
+
+    /**
+     * Status of a membership ending on expiresOn (LIFETIME_END for lifetime, null when never paid)
+     */
+    static statusOf(expiresOn, today, expiringWithinDays) {
+        if (!expiresOn) return 'none';
+        if (expiresOn === LIFETIME_END) return 'lifetime';
+        if (expiresOn < today) return 'lapsed';
+        return expiresOn <= MembershipDues.addDays(today, expiringWithinDays) ? 'expiring' : 'active';
+    }
+
+    expiringWithinDays() {
+        return this.settings.get('dues.expiringWithinDays');
+    }
+
+    /**
+     * Change how many days before its end a membership counts as expiring
+     */
+    setExpiringWithinDays(days, adminId) {
+        if (!Number.isInteger(days) || days < 1 || days > 365) {
+            throw new Error('expiringWithinDays must be a whole number of days between 1 and 365');
+        }
+        this.settings.set('dues.expiringWithinDays', days, adminId);
+        return days;
+    }
+
+    /**
+     * SQL condition (with its parameters) matching members (alias m) with a dues status
+     */
+    statusCondition(status, today = MembershipDues.today()) {
+        const soon = MembershipDues.addDays(today, this.expiringWithinDays());
+        const conditions = {
+            none: { sql: `${EXPIRY_SQL} IS NULL`, params: [] },
+            lifetime: { sql: `${EXPIRY_SQL} = ?`, params: [LIFETIME_END] },
+            lapsed: { sql: `${EXPIRY_SQL} < ?`, params: [today] },
+            expiring: { sql: `${EXPIRY_SQL} BETWEEN ? AND ?`, params: [today, soon] },
+            active: { sql: `${EXPIRY_SQL} > ? AND ${EXPIRY_SQL} < ?`, params: [soon, LIFETIME_END] }
+        };
+        return conditions[status];
+    }
+
+    /**
+     * Last covered day of a member's membership (LIFETIME_END for lifetime), or null
+     */
+    expiryOf(memberId) {
+        return this.db.prepare(`SELECT ${EXPIRY_SQL} AS expires_on FROM members m WHERE m.id = ?`).get(memberId)?.expires_on ?? null;
+    }
+
+    // ===== Plans =====
+
+    static parsePlan(data = {}) {
+        const name = typeof data.name === 'string' ? data.name.trim() : '';
+        if (!name || name.length > 100) {
+            throw new Error('Plan name is required (at most 100 characters)');
+        }
+        const description = typeof data.description === 'string' ? data.description.trim() : '';
+        if (description.length > 500) {
+            throw new Error('Description must be at most 500 characters');
+        }
+
+        let durationMonths = null; // Lifetime
+        if (data.durationMonths !== null && data.durationMonths !== undefined && data.durationMonths !== '') {
+            durationMonths = Number(data.durationMonths);
+            if (!Number.isInteger(durationMonths) || durationMonths < 1 || durationMonths > 120) {
+                throw new Error('Duration must be a whole number of months between 1 and 120, or empty for lifetime');
+            }
+        }
+
+        return {
+            name,
+            description: description || null,
+            fee: MembershipDues.toPaise(data.fee, 'Fee'),
+            durationMonths,
+            isActive: data.isActive !== false
+        };
+    }
+
+    static formatPlan(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            description: row.description,
+            fee: MembershipDues.fromPaise(row.fee),
+            currency: CURRENCY,
+            durationMonths: row.duration_months,
+            lifetime: row.duration_months === null,
+            isActive: !!row.is_active
+        };
+    }
+
+    /**
+     * Membership plans, cheapest first
+     * @param {boolean} includeInactive - Also list plans no longer offered (admins)
+     */
+    listPlans(includeInactive = false) {
+        return this.db.prepare(`
+            SELECT * FROM membership_plans ${includeInactive ? '' : 'WHERE is_active = 1'}
+            ORDER BY is_active DESC, fee, name
+        `).all().map(MembershipDues.formatPlan);
+    }
+
+    /**
+     * Create a plan, or replace the fields of an existing one
+     * @param {number|null} planId - Plan to update, or null to create one
+     * @returns {Object|null} The plan - null when the plan to update does not exist
+     */
+    savePlan(planId, data) {
+        const plan = MembershipDues.parsePlan(data);
+        const now = new Date().toISOString();
+
+        try {
+            if (planId === null) {
+                planId = this.db.prepare(`
+                    INSERT INTO membership_plans (name, description, fee, duration_months, is_active, created_at, updated_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `).run(plan.name, plan.description, plan.fee, plan.durationMonths, plan.isActive ? 1 : 0, now, now).lastInsertRowid;
+            } else if (this.db.prepare(`
+                UPDATE membership_plans SET name = ?, description = ?, fee = ?, duration_months = ?, is_active = ?, updated_at = ?
+                WHERE id = ?
+            `).run(plan.name, plan.description, plan.fee, plan.durationMonths, plan.isActive ? 1 : 0, now, planId).changes === 0) {
+                return null;
+            }
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                throw new Error(`A plan named "${plan.name}" already exists`);
+            }
+            throw error;
+        }
+
+        return MembershipDues.formatPlan(this.db.prepare('SELECT * FROM membership_plans WHERE id = ?').get(planId));
+    }
+
+    activePlan(planId) {
+        const plan = this.db.prepare('SELECT * FROM membership_plans WHERE id = ? AND is_active = 1').get(planId);
+        if (!plan) {
+            throw new Error('Choose a membership plan that is currently offered');
+        }
+        return plan;
+    }
+
+    // ===== Payments =====
+
+    /**
+     * Active member by API id (legacy or database id), or null
+     */
+    findMember(id) {
+        return this.db.prepare('SELECT * FROM members WHERE (legacy_id = ? OR id = ?) AND deleted_at IS NULL').get(id, id) || null;
+    }
+
+    static formatPayment(row) {
+        return {
+            id: row.id,
+            memberId: row.member_api_id,
+            payerName: row.payer_name,
+            planId: row.plan_id,
+            plan: row.plan_name,
+            amount: MembershipDues.fromPaise(row.amount),
+            currency: row.currency,
+            method: row.method,
+            reference: row.reference,
+            status: row.status,
+            periodStart: row.period_start,
+            periodEnd: row.period_end,
+            receiptNumber: row.receipt_number,
+            notes: row.notes,
+            paidAt: row.paid_at,
+            recordedBy: row.recorded_by ? { id: row.recorded_by, name: row.recorded_by_name || row.recorded_by_username || 'Deleted user' } : null,
+            voidedAt: row.voided_at,
+            createdAt: row.created_at
+        };
+    }
+
+    paymentRow(memberId, paymentId) {
+        return this.db.prepare(`${PAYMENT_SELECT} WHERE p.id = ? AND p.member_id = ?`).get(paymentId, memberId) || null;
+    }
+
+    /**
+     * A member's membership status with their payments, newest first
+     * @returns {Object|null} { status, expiresOn, expiringWithinDays, payments } - null when the member does not exist
+     */
+    getDues(id) {
+        const member = this.findMember(id);
+        if (!member) return null;
+
+        const expiresOn = this.expiryOf(member.id);
+        const expiringWithinDays = this.expiringWithinDays();
+        return {
+            status: MembershipDues.statusOf(expiresOn, MembershipDues.today(), expiringWithinDays),
+            expiresOn: expiresOn === LIFETIME_END ? null : expiresOn,
+            expiringWithinDays,
+            payments: this.db.prepare(`${PAYMENT_SELECT} WHERE p.member_id = ? ORDER BY p.created_at DESC, p.id DESC`)
+                .all(member.id).map(MembershipDues.formatPayment)
+        };
+    }
+
+    insertPending(member, plan, fields) {
+        const now = new Date().toISOString();
+        return this.db.prepare(`
+            INSERT INTO membership_payments (member_id, payer_name, plan_id, amount, currency, method, reference, status,
+                                             gateway, notes, recorded_by, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?)
+        `).run(member.id, member.name, plan.id, fields.amount, CURRENCY, fields.method, fields.reference || null,
+            fields.gateway || null, fields.notes || null, fields.actorId || null, now, now).lastInsertRowid;
+    }
+
+    /**
+     * Mark a pending payment completed: work out the period it covers and assign a receipt number
+     * The status is checked inside the transaction, so a payment confirmed twice (a reload, a double
+     * click, a gateway callback) is only completed, and its period only added, once
+     * @param {string} paidAt - ISO timestamp of the payment
+     * @returns {boolean} False when the payment was no longer pending
+     */
+    complete(paymentId, paidAt) {
+        return this.db.transaction(() => {
+            const payment = this.db.prepare('SELECT * FROM membership_payments WHERE id = ?').get(paymentId);
+            if (!payment || payment.status !== 'pending') return false;
+
+            const plan = this.db.prepare('SELECT * FROM membership_plans WHERE id = ?').get(payment.plan_id);
+            const paidOn = paidAt.slice(0, 10);
+
+            // An early renewal starts the day after the current membership ends
+            const currentEnd = this.expiryOf(payment.member_id);
+            const periodStart = currentEnd && currentEnd !== LIFETIME_END && currentEnd >= paidOn
+                ? MembershipDues.addDays(currentEnd, 1)
+                : paidOn;
+            const periodEnd = plan.duration_months
+                ? MembershipDues.addDays(MembershipDues.addMonths(periodStart, plan.duration_months), -1)
+                : null;
+
+            return this.db.prepare(`
+                UPDATE membership_payments
+                SET status = 'completed', paid_at = ?, period_start = ?, period_end = ?, receipt_number = ?, updated_at = ?
+                WHERE id = ? AND status = 'pending'
+            `).run(paidAt, periodStart, periodEnd, `ISMAA-${paidOn.slice(0, 4)}-${String(paymentId).padStart(5, '0')}`,
+                new Date().toISOString(), paymentId).changes > 0;
+        })();
+    }
+
+    /**
+     * Record a payment received outside the portal (admin)
+     * @param {Object} data - { planId, amount (rupees, defaults to the plan fee), method, reference, paidOn (YYYY-MM-DD), notes }
+     * @returns {Object|null} The completed payment - null when the member does not exist
+     */
+    recordPayment(id, data = {}, actorId = null) {
+        const member = this.findMember(id);
+        if (!member) return null;
+
+        const plan = this.activePlan(data.planId);
+        if (!MANUAL_METHODS.includes(data.method)) {
+            throw new Error(`Payment method must be one of: ${MANUAL_METHODS.join(', ')}`);
+        }
+        const amount = data.amount === undefined || data.amount === null || data.amount === ''
+            ? plan.fee
+            : MembershipDues.toPaise(data.amount, 'Amount');
+        const paidOn = data.paidOn || MembershipDues.today();
+        if (!DATE_PATTERN.test(paidOn) || paidOn > MembershipDues.today()) {
+            throw new Error('Payment date must be a date (YYYY-MM-DD) that is not in the future');
+        }
+        const reference = typeof data.reference === 'string' ? data.reference.trim().slice(0, 200) : '';
+        const notes = typeof data.notes === 'string' ? data.notes.trim().slice(0, 500) : '';
+
+        const paymentId = this.db.transaction(() => {
+            const insertedId = this.insertPending(member, plan, { amount, method: data.method, reference, notes, actorId });
+            this.complete(insertedId, paidOn === MembershipDues.today() ? new Date().toISOString() : `${paidOn}T00:00:00.000Z`);
+            return insertedId;
+        })();
+        return MembershipDues.formatPayment(this.paymentRow(member.id, paymentId));
+    }
+
+    /**
+     * Start an online payment of a plan's fee through the gateway
+     * @param {Object|null} gateway - See utils/PaymentGateway.js; null when online payment is not configured
+     * @param {Function} returnUrlFor - Receives the payment id, returns where the gateway sends the member back to
+     * @returns {Promise<Object|null>} { payment, checkoutUrl } - null when the member does not exist
+     */
+    async startCheckout(id, planId, gateway, returnUrlFor, actorId = null) {
+        const member = this.findMember(id);
+        if (!member) return null;
+        if (!gateway) {
+            throw new Error(ONLINE_PAYMENT_UNAVAILABLE);
+        }
+
+        const plan = this.activePlan(planId);
+        if (plan.fee === 0) {
+            throw new Error('This plan has no fee to pay');
+        }
+
+        const paymentId = this.insertPending(member, plan, { amount: plan.fee, method: 'online', gateway: gateway.name, actorId });
+        let checkout;
+        try {
+            checkout = await gateway.createCheckout({
+                reference: `payment-${paymentId}`,
+                amount: plan.fee,
+                currency: CURRENCY,
+                description: `${plan.name} membership - ISMAA Bengaluru`,
+                customer: { name: member.name, email: member.email },
+                returnUrl: returnUrlFor(paymentId)
+            });
+        } catch (error) {
+            this.db.prepare("UPDATE membership_payments SET status = 'failed', updated_at = ? WHERE id = ?")
+                .run(new Date().toISOString(), paymentId);
+            throw new Error(`The payment could not be started: ${error.message}`);
+        }
+
+        this.db.prepare('UPDATE membership_payments SET gateway_payment_id = ?, updated_at = ? WHERE id = ?')
+            .run(checkout.id, new Date().toISOString(), paymentId);
+        return { payment: MembershipDues.formatPayment(this.paymentRow(member.id, paymentId)), checkoutUrl: checkout.checkoutUrl };
+    }
+
+    /**
+     * Ask the gateway how an online payment went, once the member is back from checkout
+     * Payments that are no longer pending are returned as they are
+     * @returns {Promise<Object|null>} The payment - null when the member or payment does not exist
+     */
+    async confirmCheckout(id, paymentId, gateway) {
+        const member = this.findMember(id);
+        const payment = member && this.paymentRow(member.id, paymentId);
+        if (!payment) return null;
+        if (payment.status !== 'pending') return MembershipDues.formatPayment(payment);
+
+        if (!gateway) {
+            throw new Error(ONLINE_PAYMENT_UNAVAILABLE);
+        }
+        if (payment.gateway !== gateway.name || !payment.gateway_payment_id) {
+            throw new Error('This payment was not made through the current payment gateway');
+        }
+        const result = await gateway.getPayment(payment.gateway_payment_id);
+        if (result.status === 'completed') {
+            this.complete(payment.id, result.paidAt || new Date().toISOString());
+        } else if (result.status === 'failed') {
+            this.db.prepare("UPDATE membership_payments SET status = 'failed', updated_at = ? WHERE id = ? AND status = 'pending'")
+                .run(new Date().toISOString(), payment.id);
+        }
+        return MembershipDues.formatPayment(this.paymentRow(member.id, payment.id));
+    }
+
+    /**
+     * Void a payment recorded by mistake; it stays in the ledger but no longer counts
+     * @returns {Object|null} The payment - null when the member or payment does not exist
+     */
+    voidPayment(id, paymentId, reason, actorId = null) {
+        const member = this.findMember(id);
+        const payment = member && this.paymentRow(member.id, paymentId);
+        if (!payment) return null;
+        if (payment.status === 'void') {
+            throw new Error('This payment has already been voided');
+        }
+        const trimmed = typeof reason === 'string' ? reason.trim() : '';
+        if (!trimmed) {
+            throw new Error('A reason is required to void a payment');
+        }
+
+        const now = new Date().toISOString();
+        this.db.prepare(`
+            UPDATE membership_payments SET status = 'void', voided_by = ?, voided_at = ?, updated_at = ?,
+                   notes = TRIM(COALESCE(notes || char(10), '') || ?)
+            WHERE id = ?
+        `).run(actorId, now, now, `Voided: ${trimmed.slice(0, 200)}`, payment.id);
+        return MembershipDues.formatPayment(this.paymentRow(member.id, payment.id));
+    }
+
+    // ===== Dashboard =====
+
+    /**
+     * Dues overview for admins: members per status, money collected, and who to chase
+     * @returns {Object} { counts, expiringWithinDays, collected: { thisYear, last30Days, byPlan }, expiring, lapsed, recentPayments }
+     */
+    dashboard(today = MembershipDues.today()) {
+        const expiringWithinDays = this.expiringWithinDays();
+        const members = this.db.prepare(`
+            SELECT m.id, COALESCE(m.legacy_id, m.id) AS api_id, m.name, m.email, m.passout_batch, ${EXPIRY_SQL} AS expires_on
+            FROM members m
+            WHERE m.deleted_at IS NULL
+        `).all().map(row => ({
+            id: row.api_id,
+            name: row.name,
+            email: row.email,
+            passoutBatch: row.passout_batch,
+            expiresOn: row.expires_on === LIFETIME_END ? null : row.expires_on,
+            status: MembershipDues.statusOf(row.expires_on, today, expiringWithinDays)
+        }));
+
+        const counts = Object.fromEntries(DUES_STATUSES.map(status => [status, 0]));
+        members.forEach(member => { counts[member.status]++; });
+
+        const collectedSince = (since) => MembershipDues.fromPaise(this.db.prepare(`
+            SELECT COALESCE(SUM(amount), 0) AS total FROM membership_payments WHERE status = 'completed' AND paid_at >= ?
+        `).get(since).total);
+        const yearStart = `${today.slice(0, 4)}-01-01`;
+
+        return {
+            counts,
+            expiringWithinDays,
+            collected: {
+                thisYear: collectedSince(yearStart),
+                last30Days: collectedSince(MembershipDues.addDays(today, -30)),
+                byPlan: this.db.prepare(`
+                    SELECT pl.name AS plan, COUNT(*) AS payments, SUM(p.amount) AS total
+                    FROM membership_payments p JOIN membership_plans pl ON pl.id = p.plan_id
+                    WHERE p.status = 'completed' AND p.paid_at >= ?
+                    GROUP BY pl.id ORDER BY total DESC
+                `).all(yearStart).map(row => ({ plan: row.plan, payments: row.payments, total: MembershipDues.fromPaise(row.total) }))
+            },
+            expiring: members.filter(member => member.status === 'expiring')
+                .sort((a, b) => a.expiresOn.localeCompare(b.expiresOn)),
+            // Most recently lapsed first: the likeliest to renew
+            lapsed: members.filter(member => member.status === 'lapsed')
+                .sort((a, b) => b.expiresOn.localeCompare(a.expiresOn))
+                .slice(0, 100),
+            recentPayments: this.db.prepare(`${PAYMENT_SELECT} ORDER BY p.created_at DESC, p.id DESC LIMIT 20`)
+                .all().map(MembershipDues.formatPayment)
+        };
+    }
+
+    // ===== Receipts =====
+
+    /**
+     * PDF receipt for a completed payment
+     * @returns {Promise<Object|null>} { filename, content } - null when there is no such completed payment
+     */
+    async receipt(id, paymentId) {
+        const member = this.findMember(id);
+        const payment = member && this.paymentRow(member.id, paymentId);
+        if (!payment || payment.status !== 'completed') return null;
+
+        const PDFDocument = require('pdfkit');
+        const doc = new PDFDocument({ size: 'A5', margin: 40, info: { Title: `Receipt ${payment.receipt_number}` } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        const finished = new Promise((resolve, reject) => {
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+        });
+
+        const left = doc.page.margins.left;
+        const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+        const formatDate = (date) => new Date(`${date.slice(0, 10)}T00:00:00Z`)
+            .toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+        // The standard PDF fonts have no rupee sign
+        const amount = `${payment.currency} ${MembershipDues.fromPaise(payment.amount).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+
+        doc.font('Helvetica-Bold').fontSize(18).fillColor('#1e293b').text('ISMAA Bengaluru');
+        doc.font('Helvetica').fontSize(10).fillColor('#64748b').text('Membership dues receipt');
+        doc.moveTo(left, doc.y + 8).lineTo(left + width, doc.y + 8).strokeColor('#c7d2fe').stroke();
+        doc.moveDown(1.5);
+
+        [
+            ['Receipt number', payment.receipt_number],
+            ['Date', formatDate(payment.paid_at)],
+            ['Received from', payment.payer_name],
+            ['Membership ID', member.membership_id],
+            ['Plan', payment.plan_name],
+            ['Period', payment.period_end
+                ? `${formatDate(payment.period_start)} to ${formatDate(payment.period_end)}`
+                : `Lifetime, from ${formatDate(payment.period_start)}`],
+            ['Payment method', payment.method.replace('_', ' ')],
+            ['Reference', payment.reference]
+        ].filter(([, value]) => value).forEach(([label, value]) => {
+            const top = doc.y;
+            doc.font('Helvetica').fontSize(10).fillColor('#64748b').text(label, left, top, { width: 120 });
+            doc.font('Helvetica').fontSize(10).fillColor('#1e293b').text(String(value), left + 130, top, { width: width - 130 });
+            doc.moveDown(0.4);
+        });
+
+        doc.moveDown();
+        doc.font('Helvetica-Bold').fontSize(14).fillColor('#1e293b').text(`Amount received: ${amount}`, left);
+        doc.moveDown(2);
+        doc.font('Helvetica').fontSize(8).fillColor('#94a3b8')
+            .text('This receipt was generated by the ISMAA Bengaluru Portal and is valid without a signature.', left, doc.y, { width, align: 'center' });
+
+        doc.end();
+        return { filename: `receipt-${payment.receipt_number}.pdf`, content: await finished };
+    }
+}
+
+module.exports = MembershipDues;
+module.exports.PAYMENT_METHODS = PAYMENT_METHODS;
+module.exports.MANUAL_METHODS = MANUAL_METHODS;
+module.exports.DUES_STATUSES = DUES_STATUSES;
@@ -0,0 +1,239 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Membership IDs
+// =====================================================
+//
+// Membership IDs follow an admin-configurable pattern (the
+// 'membershipId.pattern' setting), e.g. ISMAA-BLR-{batch}-{seq}:
+//
+//   {batch}  the member's passout batch (YYYY)
+//   {year}   the year the ID is assigned (YYYY)
+//   {seq}    a sequence number, 3 digits by default; {seq:5} for 5
+//
+// Each scope - the pattern with every token but {seq} filled in, such as
+// ISMAA-BLR-2015-{seq} - has its own counter in membership_id_sequences,
+// so every batch is numbered from 1. A new counter starts after the
+// highest number already used in its scope, and numbers taken by hand
+// are skipped. Counters are advanced inside the caller's transaction
+// (createMember, the bulk importer), so two members never get one ID.
+//
+// IDs typed in by an admin must follow the pattern. IDs members already
+// hold are kept when they are saved again, even if the pattern has
+// changed since. Members without an ID can be given one in bulk
+// (assignMissing), from the admin panel or the maintenance tool.
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const SystemSettings = require('./SystemSettings');
+
+const TOKEN = /\{([a-z]+)(?::(\d+))?\}/g;
+const LITERAL_PATTERN = /^[A-Za-z0-9._/-]*$/;
+const MAX_PATTERN_LENGTH = 60;
+const DEFAULT_SEQ_WIDTH = 3;
+const BATCH_PATTERN = /^\d{4}$/;
+
+class MembershipIds {
+    constructor(database, members, settings = new SystemSettings(database)) {
+        this.db = database;
+        this.members = members; // DatabaseAPI, for member history
+        this.settings = settings;
+    }
+
+    // ===== Patterns =====
+
+    /**
+     * Check a pattern an admin entered
+     * @returns {string} The trimmed pattern; throws with a client-facing message when invalid
+     */
+    static parsePattern(pattern) {
+        const trimmed = typeof pattern === 'string' ? pattern.trim() : '';
+        if (!trimmed || trimmed.length > MAX_PATTERN_LENGTH) {
+            throw new Error(`The pattern must be 1 to ${MAX_PATTERN_LENGTH} characters long`);
+        }
+
+        let seqTokens = 0;
+        for (const [token, name, width] of trimmed.matchAll(TOKEN)) {
+            if (name === 'seq') {
+                seqTokens++;
+                if (width !== undefined && (Number(width) < 1 || Number(width) > 9)) {
+                    throw new Error('The {seq} width must be between 1 and 9 digits');
+                }
+            } else if (!['batch', 'year'].includes(name) || width !== undefined) {
+                throw new Error(`Unknown token ${token}; use {batch}, {year} and {seq}`);
+            }
+        }
+        if (seqTokens !== 1) {
+            throw new Error('The pattern must contain {seq} exactly once');
+        }
+        if (!LITERAL_PATTERN.test(trimmed.replace(TOKEN, ''))) {
+            throw new Error('Outside its tokens, the pattern may only use letters, digits and . _ / -');
+        }
+        return trimmed;
+    }
+
+    /**
+     * Regular expression matching the IDs of a pattern (or of a scope); the sequence number is captured
+     */
+    static regexFor(pattern) {
+        const parts = pattern.split(/(\{[a-z]+(?::\d+)?\})/);
+        const source = parts.map(part => {
+            const token = /^\{([a-z]+)(?::(\d+))?\}$/.exec(part);
+            if (!token) return part.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            return token[1] === 'seq' ? `(\\d{${token[2] || DEFAULT_SEQ_WIDTH},})` : '\\d{4}';
+        }).join('');
+        return new RegExp(`^${source}$`);
+    }
+
+    /**
+     * The scope a member's ID is numbered in, or null when the pattern needs a batch the member lacks
+     */
+    static scopeFor(pattern, passoutBatch, year = new Date().getFullYear()) {
+        const batch = passoutBatch === undefined || passoutBatch === null ? '' : String(passoutBatch).trim();
+        if (pattern.includes('{batch}') && !BATCH_PATTERN.test(batch)) {
+            return null;
+        }
+        return pattern.replace(/\{batch\}/g, batch).replace(/\{year\}/g, String(year));
+    }
+
+    /**
+     * Fill in the sequence number of a scope
+     */
+    static format(scope, value) {
+        return scope.replace(/\{seq(?::(\d+))?\}/, (token, width) => String(value).padStart(Number(width || DEFAULT_SEQ_WIDTH), '0'));
+    }
+
+    pattern() {
+        return this.settings.get('membershipId.pattern');
+    }
+
+    /**
+     * Change the pattern of new membership IDs; existing IDs are left as they are
+     */
+    setPattern(pattern, adminId) {
+        const parsed = MembershipIds.parsePattern(pattern);
+        this.settings.set('membershipId.pattern', parsed, adminId);
+        return parsed;
+    }
+
+    /**
+     * First ID of a pattern, for showing admins what it produces
+     */
+    static example(pattern) {
+        return MembershipIds.format(MembershipIds.scopeFor(pattern, '2015'), 1);
+    }
+
+    /**
+     * Current pattern with an example and how many members have no ID
+     */
+    getSettings() {
+        const pattern = this.pattern();
+        return {
+            pattern,
+            example: MembershipIds.example(pattern),
+            missing: this.db.prepare(`
+                SELECT COUNT(*) AS count FROM members
+                WHERE deleted_at IS NULL AND (membership_id IS NULL OR TRIM(membership_id) = '')
+            `).get().count
+        };
+    }
+
+    // ===== Assigning IDs =====
+
+    /**
+     * Whether an ID is held by a member other than memberId (members in the recycle bin count)
+     */
+    isTaken(membershipId, memberId = null) {
+        return !!this.db.prepare('SELECT 1 FROM members WHERE membership_id = ? AND id IS NOT ?').get(membershipId, memberId);
+    }
+
+    /**
+     * Highest sequence number already used in a scope, e.g. by IDs typed in by hand
+     */
+    highestInScope(scope) {
+        const regex = MembershipIds.regexFor(scope);
+        return this.db.prepare('SELECT membership_id FROM members WHERE membership_id IS NOT NULL').all()
+            .reduce((highest, row) => {
+                const match = regex.exec(row.membership_id);
+                return match ? Math.max(highest, Number(match[1])) : highest;
+            }, 0);
+    }
+
+    /**
+     * Next free ID for a member of a batch, advancing its scope's counter
+     * Call inside a transaction
+     * @returns {string|null} Null when the pattern needs a passout batch and there is none
+     */
+    allocate(passoutBatch) {
+        const scope = MembershipIds.scopeFor(this.pattern(), passoutBatch);
+        if (!scope) return null;
+
+        const counter = this.db.prepare('SELECT last_value FROM membership_id_sequences WHERE scope = ?').get(scope);
+        let value = counter ? counter.last_value : this.highestInScope(scope);
+        let membershipId;
+        do {
+            value++;
+            membershipId = MembershipIds.format(scope, value);
+        } while (this.isTaken(membershipId));
+
+        this.db.prepare(`
+            INSERT INTO membership_id_sequences (scope, last_value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(scope) DO UPDATE SET last_value = excluded.last_value, updated_at = CURRENT_TIMESTAMP
+        `).run(scope, value);
+        return membershipId;
+    }
+
+    /**
+     * Check a membership ID given for a member
+     * @param {number} memberId - members.id when updating; the member's current ID is always accepted
+     * @returns {string|null} The trimmed ID, null when blank; throws with a client-facing message when invalid
+     */
+    check(value, memberId = null) {
+        const membershipId = value === undefined || value === null ? '' : String(value).trim();
+        if (!membershipId) return null;
+
+        if (memberId !== null) {
+            const current = this.db.prepare('SELECT membership_id FROM members WHERE id = ?').get(memberId);
+            if (current && current.membership_id === membershipId) return membershipId;
+        }
+
+        const pattern = this.pattern();
+        if (!MembershipIds.regexFor(pattern).test(membershipId)) {
+            throw new Error(`Membership ID ${membershipId} does not follow the pattern ${pattern} (e.g. ${MembershipIds.example(pattern)})`);
+        }
+        if (this.isTaken(membershipId, memberId)) {
+            throw new Error(`Membership ID ${membershipId} is already assigned to another member`);
+        }
+        return membershipId;
+    }
+
+    /**
+     * Give every active member without a membership ID the next one, oldest batches first
+     * Each assignment is recorded in the member's history
+     * @returns {Object} { assigned: [{ id, name, membershipID }], skipped: [{ id, name, reason }] }
+     */
+    assignMissing(actorId = null) {
+        const { revisions } = this.members;
+        return this.db.transaction(() => {
+            const result = { assigned: [], skipped: [] };
+            this.db.prepare(`
+                SELECT id, COALESCE(legacy_id, id) AS api_id, name, passout_batch FROM members
+                WHERE deleted_at IS NULL AND (membership_id IS NULL OR TRIM(membership_id) = '')
+                ORDER BY passout_batch IS NULL, passout_batch, created_at, id
+            `).all().forEach(row => {
+                const membershipId = this.allocate(row.passout_batch);
+                if (!membershipId) {
+                    result.skipped.push({ id: row.api_id, name: row.name, reason: 'No passout batch for {batch}' });
+                    return;
+                }
+
+                const before = revisions.snapshot(row.id);
+                this.db.prepare("UPDATE members SET membership_id = ?, updated_at = datetime('now') WHERE id = ?").run(membershipId, row.id);
+                revisions.record(row.id, 'update', { before, after: revisions.snapshot(row.id), actorId });
+                result.assigned.push({ id: row.api_id, name: row.name, membershipID: membershipId });
+            });
+            return result;
+        })();
+    }
+}
+
+module.exports = MembershipIds;
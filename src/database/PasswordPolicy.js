@@ -0,0 +1,194 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Password Policy
+// =====================================================
+//
+// Admin-editable rules for new passwords, stored in SystemSettings under
+// the 'password.' namespace:
+// - minLength:            minimum number of characters
+// - requiredClasses:      character classes every password must contain
+// - minCharacterClasses:  how many of the four classes must appear overall
+// - historyCount:         reject reuse of the last N passwords (0 = off)
+// - maxAgeDays:           force a change after N days (0 = never expires)
+// - blockCommonPasswords: reject passwords on the common/breached list
+//
+// The common-password list ships in data/common-passwords.txt; set
+// BREACHED_PASSWORDS_FILE to add a larger local list (one per line).
+// History and expiry are enforced by AuthenticationUtils, which owns
+// the password hashes.
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_SETTINGS } = require('./SystemSettings');
+
+const SETTINGS_PREFIX = 'password.';
+
+const CHARACTER_CLASSES = {
+    uppercase: { pattern: /[A-Z]/, label: 'an uppercase letter' },
+    lowercase: { pattern: /[a-z]/, label: 'a lowercase letter' },
+    number: { pattern: /\d/, label: 'a number' },
+    special: { pattern: /[^A-Za-z0-9]/, label: 'a special character' }
+};
+
+// Accepted range for each numeric setting
+const NUMERIC_LIMITS = {
+    minLength: [8, 128],
+    minCharacterClasses: [0, 4],
+    historyCount: [0, 24],
+    maxAgeDays: [0, 3650]
+};
+
+// Common substitutions undone before the common-password lookup (p@ssw0rd -> password)
+const LEET_SUBSTITUTIONS = { '@': 'a', '4': 'a', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't' };
+
+const COMMON_PASSWORDS_FILE = path.join(__dirname, 'data', 'common-passwords.txt');
+let commonPasswords = null;
+
+/**
+ * Load the bundled list plus BREACHED_PASSWORDS_FILE, once per process
+ */
+function loadCommonPasswords() {
+    if (commonPasswords) return commonPasswords;
+
+    commonPasswords = new Set();
+    [COMMON_PASSWORDS_FILE, process.env.BREACHED_PASSWORDS_FILE].filter(Boolean).forEach(file => {
+        try {
+            fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach(line => {
+                const entry = line.trim().toLowerCase();
+                if (entry && !entry.startsWith('#')) {
+                    commonPasswords.add(entry);
+                }
+            });
+        } catch (error) {
+            console.warn(`⚠️  Could not load password list ${file}: ${error.message}`);
+        }
+    });
+
+    return commonPasswords;
+}
+
+class PasswordPolicy {
+    constructor(settings) {
+        this.settings = settings;
+    }
+
+    /**
+     * Current policy with defaults applied, keyed without the settings prefix
+     */
+    getPolicy() {
+        const policy = {};
+        Object.entries(this.settings.getGroup(SETTINGS_PREFIX)).forEach(([key, value]) => {
+            policy[key.slice(SETTINGS_PREFIX.length)] = value;
+        });
+        return policy;
+    }
+
+    /**
+     * Validate and save policy changes (only the keys provided are updated)
+     * @param {Object} changes - Partial policy
+     * @param {number} adminId - Admin making the change
+     * @returns {Object} Updated policy
+     */
+    updatePolicy(changes, adminId) {
+        const updates = {};
+
+        Object.entries(changes || {}).forEach(([key, value]) => {
+            if (!(`${SETTINGS_PREFIX}${key}` in DEFAULT_SETTINGS)) {
+                throw new Error(`Unknown password policy setting: ${key}`);
+            }
+
+            if (NUMERIC_LIMITS[key]) {
+                const [min, max] = NUMERIC_LIMITS[key];
+                if (!Number.isInteger(value) || value < min || value > max) {
+                    throw new Error(`${key} must be a whole number between ${min} and ${max}`);
+                }
+            } else if (key === 'requiredClasses') {
+                if (!Array.isArray(value) || value.some(name => !CHARACTER_CLASSES[name])) {
+                    throw new Error(`requiredClasses may only contain: ${Object.keys(CHARACTER_CLASSES).join(', ')}`);
+                }
+                value = [...new Set(value)];
+            } else if (typeof value !== 'boolean') {
+                throw new Error(`${key} must be true or false`);
+            }
+
+            updates[key] = value;
+        });
+
+        Object.entries(updates).forEach(([key, value]) => this.settings.set(`${SETTINGS_PREFIX}${key}`, value, adminId));
+        return this.getPolicy();
+    }
+
+    /**
+     * Check a candidate password against the policy (history excluded)
+     * Returns the same shape validatePasswordStrength always has:
+     * { isValid, score, requirements, feedback: { strength, suggestions } }
+     */
+    validate(password) {
+        const policy = this.getPolicy();
+        const value = String(password || '');
+
+        const classesPresent = Object.keys(CHARACTER_CLASSES)
+            .filter(name => CHARACTER_CLASSES[name].pattern.test(value));
+        const missingRequired = policy.requiredClasses.filter(name => !classesPresent.includes(name));
+
+        const requirements = {
+            minLength: value.length >= policy.minLength,
+            hasUppercase: classesPresent.includes('uppercase'),
+            hasLowercase: classesPresent.includes('lowercase'),
+            hasNumber: classesPresent.includes('number'),
+            hasSpecialChar: classesPresent.includes('special'),
+            hasRequiredClasses: missingRequired.length === 0,
+            hasEnoughClasses: classesPresent.length >= policy.minCharacterClasses,
+            notCommon: !policy.blockCommonPasswords || !PasswordPolicy.isCommonPassword(value)
+        };
+
+        const suggestions = [];
+        if (!requirements.minLength) suggestions.push(`Password must be at least ${policy.minLength} characters long`);
+        missingRequired.forEach(name => suggestions.push(`Include at least ${CHARACTER_CLASSES[name].label}`));
+        if (requirements.hasRequiredClasses && !requirements.hasEnoughClasses) {
+            suggestions.push(`Use at least ${policy.minCharacterClasses} of: uppercase letters, lowercase letters, numbers, special characters`);
+        }
+        if (!requirements.notCommon) suggestions.push('This password is too common or has appeared in a data breach');
+
+        const score = [requirements.minLength, ...classesPresent.map(() => true)].filter(Boolean).length;
+        const isValid = requirements.minLength && requirements.hasRequiredClasses &&
+            requirements.hasEnoughClasses && requirements.notCommon;
+
+        let strength = 'Strong';
+        if (score < 3) strength = 'Weak';
+        else if (score < 4) strength = 'Fair';
+        else if (score < 5) strength = 'Good';
+
+        return {
+            isValid,
+            score,
+            requirements,
+            feedback: { strength, suggestions }
+        };
+    }
+
+    /**
+     * Whether a password, or its base word, is on the common/breached list
+     * "Summer2024!" and "P@ssw0rd" match through their base words
+     */
+    static isCommonPassword(password) {
+        const list = loadCommonPasswords();
+        const lower = String(password).toLowerCase();
+        const stem = lower.replace(/^[^a-z]+|[^a-z]+$/g, '');
+        const deleeted = lower.replace(/[\d\W_]+$/, '').replace(/[@4310!$57]/g, char => LEET_SUBSTITUTIONS[char]);
+
+        return [lower, stem, deleeted].some(candidate => candidate.length >= 4 && list.has(candidate));
+    }
+
+    /**
+     * Length for system-generated temporary passwords under the current policy
+     */
+    getGeneratedPasswordLength() {
+        return Math.max(12, this.getPolicy().minLength);
+    }
+}
+
+module.exports = PasswordPolicy;
+module.exports.CHARACTER_CLASSES = CHARACTER_CLASSES;
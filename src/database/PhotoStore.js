@@ -0,0 +1,211 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Member Photo Store
+// =====================================================
+//
+// Keeps member photos as image files on disk instead of base64 data URLs
+// in the members table. Each upload is stored under a random key in two
+// sizes, both re-encoded as JPEG:
+// - <key>.jpg        full size, at most FULL_SIZE pixels on the long side
+// - <key>-thumb.jpg  thumbnail for the directory, at most THUMB_SIZE pixels
+//
+// Re-encoding applies the EXIF orientation and drops every other metadata
+// block (EXIF, GPS, XMP, ICC), so camera and location details never reach
+// other members. members.photo holds only the key.
+//
+// A new upload always gets a new key, so photo URLs never change content
+// and can be cached indefinitely. Keys are unguessable; the URL is only
+// handed out to viewers allowed to see the member.
+//
+// Configuration (environment variables):
+//   PHOTO_STORAGE_DIR   directory for the image files
+//                       (default: photos/ next to the database file)
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+const MAX_PHOTO_PIXELS = 50 * 1000 * 1000; // Refuse decompression bombs before resizing
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp'];
+const FULL_SIZE = 800;
+const THUMB_SIZE = 200;
+
+// Public URL prefix the server serves the store under
+const URL_PREFIX = '/photos/';
+const KEY_PATTERN = /^[a-f0-9]{32}$/;
+const FILE_PATTERN = /^[a-f0-9]{32}(-thumb)?\.jpg$/;
+
+class PhotoStore {
+    constructor(directory = process.env.PHOTO_STORAGE_DIR || path.join(__dirname, 'photos')) {
+        this.directory = directory;
+    }
+
+    /**
+     * Whether a members.photo value is a store key (earlier releases kept data URLs there)
+     */
+    static isKey(value) {
+        return typeof value === 'string' && KEY_PATTERN.test(value);
+    }
+
+    /**
+     * Photo URLs for a members.photo value
+     * @returns {Object} { photo, photoThumbnail } - both null when there is no stored photo
+     */
+    static urls(key) {
+        if (!PhotoStore.isKey(key)) {
+            return { photo: null, photoThumbnail: null };
+        }
+        return {
+            photo: `${URL_PREFIX}${key}.jpg`,
+            photoThumbnail: `${URL_PREFIX}${key}-thumb.jpg`
+        };
+    }
+
+    /**
+     * Key of a photo URL returned by urls(), or null
+     */
+    static keyFromUrl(url) {
+        const match = /^\/photos\/([a-f0-9]{32})(?:-thumb)?\.jpg$/.exec(url || '');
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Check and store an uploaded image
+     * @param {Buffer} data - Image file contents
+     * @returns {Promise<string>} Key of the stored photo
+     */
+    async save(data) {
+        if (!Buffer.isBuffer(data) || data.length === 0) {
+            throw new Error('No photo was uploaded');
+        }
+        if (data.length > MAX_PHOTO_BYTES) {
+            throw new Error(`Photo is too large (maximum ${MAX_PHOTO_BYTES / 1024 / 1024} MB)`);
+        }
+
+        let metadata;
+        try {
+            metadata = await sharp(data, { limitInputPixels: MAX_PHOTO_PIXELS }).metadata();
+        } catch (error) {
+            throw new Error('Photo must be a JPEG, PNG or WebP image');
+        }
+        if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+            throw new Error('Photo must be a JPEG, PNG or WebP image');
+        }
+
+        // Encode both sizes before writing, so a corrupt image leaves no files behind
+        const [full, thumbnail] = await Promise.all([FULL_SIZE, THUMB_SIZE].map(size =>
+            sharp(data, { limitInputPixels: MAX_PHOTO_PIXELS })
+                .rotate() // Apply the EXIF orientation; sharp writes no metadata unless asked
+                .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+                .flatten({ background: '#ffffff' }) // JPEG has no transparency
+                .jpeg({ quality: 85, mozjpeg: true })
+                .toBuffer()
+        )).catch(() => {
+            throw new Error('Photo could not be read; please try another image');
+        });
+
+        const key = crypto.randomBytes(16).toString('hex');
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(path.join(this.directory, `${key}.jpg`), full);
+        await fs.promises.writeFile(path.join(this.directory, `${key}-thumb.jpg`), thumbnail);
+        return key;
+    }
+
+    /**
+     * Store a base64 data URL (photos from registration applications and earlier releases)
+     * @returns {Promise<string>} Key of the stored photo
+     */
+    async saveDataUrl(dataUrl) {
+        const match = /^data:image\/[\w.+-]+;base64,(.*)$/s.exec(dataUrl || '');
+        if (!match) {
+            throw new Error('Photo must be an image');
+        }
+        return this.save(Buffer.from(match[1], 'base64'));
+    }
+
+    /**
+     * Absolute path of a stored file, for serving
+     * @param {string} fileName - Last segment of a photo URL
+     * @returns {string|null} Null for names the store never creates
+     */
+    filePath(fileName) {
+        return FILE_PATTERN.test(fileName || '') ? path.join(this.directory, fileName) : null;
+    }
+
+    /**
+     * Read a stored photo
+     * @param {string} key - members.photo value
+     * @param {string} size - 'full' or 'thumb'
+     * @returns {Buffer|null} JPEG data, or null when there is no such photo
+     */
+    read(key, size = 'full') {
+        if (!PhotoStore.isKey(key)) return null;
+        try {
+            return fs.readFileSync(path.join(this.directory, size === 'thumb' ? `${key}-thumb.jpg` : `${key}.jpg`));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Delete both sizes of a photo; missing files are ignored
+     */
+    remove(key) {
+        if (!PhotoStore.isKey(key)) return;
+        [`${key}.jpg`, `${key}-thumb.jpg`].forEach(fileName => {
+            fs.rmSync(path.join(this.directory, fileName), { force: true });
+        });
+    }
+
+    /**
+     * Move photos stored as base64 data URLs in the members table into the store
+     * Photos that cannot be decoded are left as they are and reported
+     * @param {Object} db - Database connection
+     * @returns {Promise<Object>} { converted, failed: [member ids] }
+     */
+    async migrateDataUrls(db) {
+        const rows = db.prepare("SELECT id, photo FROM members WHERE photo LIKE 'data:%'").all();
+        const result = { converted: 0, failed: [] };
+
+        for (const row of rows) {
+            try {
+                const key = await this.saveDataUrl(row.photo);
+                db.prepare('UPDATE members SET photo = ? WHERE id = ?').run(key, row.id);
+                result.converted++;
+            } catch (error) {
+                result.failed.push(row.id);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Delete stored files no member refers to any more (e.g. after a user and member were deleted together)
+     * @returns {number} Number of photos removed
+     */
+    removeUnreferenced(db) {
+        let fileNames;
+        try {
+            fileNames = fs.readdirSync(this.directory);
+        } catch (error) {
+            return 0; // Nothing stored yet
+        }
+
+        const referenced = new Set(db.prepare('SELECT photo FROM members WHERE photo IS NOT NULL').all().map(row => row.photo));
+        const orphans = new Set(fileNames
+            .filter(fileName => FILE_PATTERN.test(fileName))
+            .map(fileName => fileName.slice(0, 32))
+            .filter(key => !referenced.has(key)));
+
+        orphans.forEach(key => this.remove(key));
+        return orphans.size;
+    }
+}
+
+module.exports = PhotoStore;
+module.exports.MAX_PHOTO_BYTES = MAX_PHOTO_BYTES;
@@ -0,0 +1,321 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Recycle Bin
+// =====================================================
+//
+// Soft deletion for members, user accounts, blogs and notices. Deleting
+// sets deleted_at and deleted_by instead of removing the row, and normal
+// reads leave such rows out (deleted_at IS NULL). From the bin an admin can:
+// - restore an item, which puts it back exactly as it was
+// - purge an item, which removes it permanently together with its
+//   skills, employment history, blog tag links, photo files and any
+//   lookups nobody else uses; a purged member's dues payments stay in
+//   the ledger under their name
+//
+// A member and their user account move together. Deleting either one puts
+// both in the bin, where they appear as one item and are restored or
+// purged together. The account's sessions end when it is deleted.
+//
+// The maintenance tool (--purge-deleted) purges items that have been in
+// the bin longer than the 'recycleBin.purgeAfterDays' setting.
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const PhotoStore = require('./PhotoStore');
+const MemberRevisions = require('./MemberRevisions');
+const SystemSettings = require('./SystemSettings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Entities with a deleted_at column, and how each is listed in the bin
+const BIN_TYPES = {
+    members: {
+        table: 'members',
+        hasLegacyId: true,
+        query: `
+            SELECT m.id, COALESCE(m.legacy_id, m.id) AS item_id, m.name AS title, m.email, m.passout_batch,
+                   (SELECT GROUP_CONCAT(u.username, ', ') FROM users u
+                    WHERE u.member_id = m.id AND u.deleted_at IS NOT NULL) AS accounts,
+                   m.deleted_at, m.deleted_by
+            FROM members m
+            WHERE m.deleted_at IS NOT NULL
+        `,
+        describe: row => [row.email, row.passout_batch && `Batch ${row.passout_batch}`, row.accounts && `account: ${row.accounts}`]
+    },
+    users: {
+        table: 'users',
+        hasLegacyId: false,
+        // Accounts deleted with their member are part of the member's item
+        query: `
+            SELECT u.id, u.id AS item_id, u.name AS title, u.username, u.email, u.role, u.deleted_at, u.deleted_by
+            FROM users u
+            WHERE u.deleted_at IS NOT NULL
+              AND NOT EXISTS (SELECT 1 FROM members m WHERE m.id = u.member_id AND m.deleted_at IS NOT NULL)
+        `,
+        describe: row => [`@${row.username}`, row.email, row.role === 'admin' && 'admin']
+    },
+    blogs: {
+        table: 'blogs',
+        hasLegacyId: true,
+        query: `
+            SELECT b.id, COALESCE(b.legacy_id, b.id) AS item_id, b.title, b.author, b.category, b.deleted_at, b.deleted_by
+            FROM blogs b
+            WHERE b.deleted_at IS NOT NULL
+        `,
+        describe: row => [`by ${row.author}`, row.category]
+    },
+    notices: {
+        table: 'notices',
+        hasLegacyId: true,
+        query: `
+            SELECT n.id, COALESCE(n.legacy_id, n.id) AS item_id, n.title, n.priority, n.category, n.deleted_at, n.deleted_by
+            FROM notices n
+            WHERE n.deleted_at IS NOT NULL
+        `,
+        describe: row => [row.priority && `${row.priority} priority`, row.category]
+    }
+};
+
+class RecycleBin {
+    constructor(database, photos = new PhotoStore()) {
+        this.db = database;
+        this.photos = photos;
+        this.revisions = new MemberRevisions(database);
+        this.settings = new SystemSettings(database);
+    }
+
+    /**
+     * Whether a type name is one the bin holds
+     */
+    static isType(type) {
+        return Object.prototype.hasOwnProperty.call(BIN_TYPES, type);
+    }
+
+    /**
+     * Days an item stays in the bin before maintenance purges it (0 = until purged by hand)
+     */
+    getPurgeAfterDays() {
+        return this.settings.get('recycleBin.purgeAfterDays');
+    }
+
+    /**
+     * Change how long items stay in the bin
+     * @param {number} days - Whole number of days, 0 to keep items until purged by hand
+     */
+    setPurgeAfterDays(days, adminId) {
+        if (!Number.isInteger(days) || days < 0 || days > 3650) {
+            throw new Error('purgeAfterDays must be a whole number of days between 0 and 3650');
+        }
+        this.settings.set('recycleBin.purgeAfterDays', days, adminId);
+        return days;
+    }
+
+    /**
+     * Find a row by its API id (legacy or database id)
+     * @param {boolean} inBin - Look among deleted rows instead of active ones
+     */
+    findRow(type, id, inBin) {
+        const { table, hasLegacyId } = BIN_TYPES[type];
+        const match = hasLegacyId ? '(legacy_id = ? OR id = ?)' : 'id = ?';
+        return this.db.prepare(`SELECT * FROM ${table} WHERE ${match} AND deleted_at IS ${inBin ? 'NOT NULL' : 'NULL'}`)
+            .get(...(hasLegacyId ? [id, id] : [id]));
+    }
+
+    /**
+     * A member row or user row together with the rows linked to it, all in the same state
+     * @returns {Object} { members: [rows], users: [rows] }
+     */
+    linkedRecords(type, row, inBin) {
+        const state = `deleted_at IS ${inBin ? 'NOT NULL' : 'NULL'}`;
+        if (type === 'members') {
+            return {
+                members: [row],
+                users: this.db.prepare(`SELECT * FROM users WHERE member_id = ? AND ${state}`).all(row.id)
+            };
+        }
+
+        const member = row.member_id
+            ? this.db.prepare(`SELECT * FROM members WHERE id = ? AND ${state}`).get(row.member_id)
+            : null;
+        return { members: member ? [member] : [], users: [row] };
+    }
+
+    /**
+     * Move an item (and, for members and users, its linked record) to the bin
+     * @param {string} type - members, users, blogs or notices
+     * @param {number|string} id - API id of the item
+     * @param {number} actorId - User deleting the item
+     * @returns {Object|null} { title, members, users } - null when there is no such active item
+     */
+    moveToBin(type, id, actorId = null) {
+        const row = this.findRow(type, id, false);
+        if (!row) return null;
+
+        const deletedAt = new Date().toISOString();
+        const markDeleted = (table, rowId) => this.db.prepare(`UPDATE ${table} SET deleted_at = ?, deleted_by = ? WHERE id = ?`)
+            .run(deletedAt, actorId, rowId);
+
+        if (type !== 'members' && type !== 'users') {
+            markDeleted(BIN_TYPES[type].table, row.id);
+            return { title: row.title, members: [], users: [] };
+        }
+
+        const linked = this.linkedRecords(type, row, false);
+        this.db.transaction(() => {
+            linked.members.forEach(member => {
+                this.revisions.record(member.id, 'delete', { before: this.revisions.snapshot(member.id), actorId });
+                markDeleted('members', member.id);
+            });
+            linked.users.forEach(user => {
+                markDeleted('users', user.id);
+                this.db.prepare(`
+                    UPDATE user_sessions SET revoked_at = ?, revoked_by = ?
+                    WHERE user_id = ? AND revoked_at IS NULL
+                `).run(deletedAt, actorId, user.id);
+            });
+        })();
+
+        return {
+            title: row.name,
+            members: linked.members.map(member => member.name),
+            users: linked.users.map(user => user.username)
+        };
+    }
+
+    /**
+     * Items in the bin, most recently deleted first
+     * @param {string|null} type - Only this type, or every type
+     * @returns {Array} [{ type, id, title, detail, deletedAt, deletedBy: { id, name } | null, purgeAt }]
+     */
+    list(type = null) {
+        const purgeAfterDays = this.getPurgeAfterDays();
+
+        return Object.keys(BIN_TYPES)
+            .filter(name => !type || name === type)
+            .flatMap(name => this.db.prepare(`
+                SELECT item.*, du.name AS deleted_by_name, du.username AS deleted_by_username
+                FROM (${BIN_TYPES[name].query}) item
+                LEFT JOIN users du ON du.id = item.deleted_by
+            `).all().map(row => ({
+                type: name,
+                id: row.item_id,
+                title: row.title,
+                detail: BIN_TYPES[name].describe(row).filter(Boolean).join(' · '),
+                deletedAt: row.deleted_at,
+                deletedBy: row.deleted_by ? { id: row.deleted_by, name: row.deleted_by_name || row.deleted_by_username || 'Deleted user' } : null,
+                purgeAt: purgeAfterDays > 0 ? new Date(Date.parse(row.deleted_at) + purgeAfterDays * DAY_MS).toISOString() : null
+            })))
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    /**
+     * Take an item (and its linked member or account) out of the bin
+     * Restored members get a 'restore' entry in their change history
+     * @returns {Object|null} { title } - null when the item is not in the bin
+     */
+    restore(type, id, actorId = null) {
+        const row = this.findRow(type, id, true);
+        if (!row) return null;
+
+        const clearDeleted = (table, rowId) => this.db.prepare(`UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL WHERE id = ?`)
+            .run(rowId);
+
+        if (type !== 'members' && type !== 'users') {
+            clearDeleted(BIN_TYPES[type].table, row.id);
+            return { title: row.title };
+        }
+
+        const linked = this.linkedRecords(type, row, true);
+        this.db.transaction(() => {
+            linked.members.forEach(member => {
+                clearDeleted('members', member.id);
+                this.revisions.record(member.id, 'restore', { after: this.revisions.snapshot(member.id), actorId });
+            });
+            linked.users.forEach(user => clearDeleted('users', user.id));
+        })();
+
+        return { title: row.name };
+    }
+
+    /**
+     * Permanently delete an item in the bin with everything that depends on it
+     * @returns {Object|null} { title } - null when the item is not in the bin
+     */
+    purge(type, id) {
+        const row = this.findRow(type, id, true);
+        return row ? this.purgeRow(type, row) : null;
+    }
+
+    purgeRow(type, row) {
+        if (type === 'blogs' || type === 'notices') {
+            this.db.transaction(() => {
+                if (type === 'blogs') {
+                    this.db.prepare('DELETE FROM blog_tag_relations WHERE blog_id = ?').run(row.id);
+                }
+                this.db.prepare(`DELETE FROM ${type} WHERE id = ?`).run(row.id);
+            })();
+            return { title: row.title };
+        }
+
+        const linked = this.linkedRecords(type, row, true);
+        const positions = linked.members.flatMap(member => this.db.prepare(
+            'SELECT company_id, industry_id FROM member_positions WHERE member_id = ?'
+        ).all(member.id));
+        this.db.transaction(() => {
+            linked.users.forEach(user => this.db.prepare('DELETE FROM users WHERE id = ?').run(user.id));
+            linked.members.forEach(member => {
+                this.db.prepare('DELETE FROM member_skills WHERE member_id = ?').run(member.id);
+                this.db.prepare('DELETE FROM member_positions WHERE member_id = ?').run(member.id);
+                this.db.prepare('DELETE FROM event_rsvps WHERE member_id = ?').run(member.id);
+                this.db.prepare('UPDATE membership_payments SET member_id = NULL WHERE member_id = ?').run(member.id);
+                this.db.prepare('DELETE FROM members WHERE id = ?').run(member.id);
+            });
+        })();
+
+        // Lookups only the purged members used, and their photo files
+        const DataConsistencyManager = require('./DataConsistencyManager');
+        const consistencyManager = new DataConsistencyManager(this.db);
+        linked.members.forEach(member => {
+            consistencyManager.cleanupOrphanedLookups({
+                branchId: member.branch_id,
+                industryId: member.industry_id,
+                companyId: member.company_id
+            });
+            this.photos.remove(member.photo);
+        });
+        positions.forEach(position => consistencyManager.cleanupOrphanedLookups({
+            industryId: position.industry_id,
+            companyId: position.company_id
+        }));
+
+        return { title: row.name };
+    }
+
+    /**
+     * Purge every item deleted longer ago than the configured number of days
+     * @param {number} days - Defaults to the 'recycleBin.purgeAfterDays' setting; 0 purges nothing
+     * @returns {Object} Number of items purged per type, and the total
+     */
+    purgeExpired(days = this.getPurgeAfterDays()) {
+        const purged = { members: 0, users: 0, blogs: 0, notices: 0, total: 0 };
+        if (!days || days <= 0) return purged;
+
+        const cutoff = new Date(Date.now() - days * DAY_MS).toISOString();
+        Object.keys(BIN_TYPES).forEach(type => {
+            // Rows purged with an earlier linked item are skipped by the deleted_at check
+            this.db.prepare(`SELECT id FROM ${BIN_TYPES[type].table} WHERE deleted_at IS NOT NULL AND deleted_at < ?`)
+                .all(cutoff)
+                .forEach(({ id }) => {
+                    const row = this.db.prepare(`SELECT * FROM ${BIN_TYPES[type].table} WHERE id = ? AND deleted_at IS NOT NULL`).get(id);
+                    if (row && this.purgeRow(type, row)) {
+                        purged[type]++;
+                        purged.total++;
+                    }
+                });
+        });
+        return purged;
+    }
+}
+
+module.exports = RecycleBin;
+module.exports.BIN_TYPES = BIN_TYPES;
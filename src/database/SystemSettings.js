@@ -0,0 +1,98 @@
+// =====================================================
+// ISMAA Bengaluru Portal - System Settings Store
+// =====================================================
+//
+// Admin-editable configuration persisted in the system_settings table.
+// Values are stored JSON-encoded under namespaced keys and fall back to
+// the defaults below until an admin changes them.
+//
+// Usage:
+//   const settings = new SystemSettings(db);
+//   settings.get('security.requireAdminTwoFactor');
+//   settings.set('security.requireAdminTwoFactor', true, adminId);
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const DEFAULT_SETTINGS = {
+    'security.requireAdminTwoFactor': false, // Admins must enrol in TOTP 2FA before signing in
+
+    // Password policy (see PasswordPolicy.js)
+    'password.minLength': 8,
+    'password.requiredClasses': [], // Any of: uppercase, lowercase, number, special
+    'password.minCharacterClasses': 3, // How many of the four classes must appear
+    'password.historyCount': 5, // Reject reuse of the last N passwords (0 = off)
+    'password.maxAgeDays': 0, // Force a change after N days (0 = never expires)
+    'password.blockCommonPasswords': true,
+
+    // Recycle bin (see RecycleBin.js)
+    'recycleBin.purgeAfterDays': 30, // Maintenance purges items deleted longer ago than this (0 = keep until purged by hand)
+
+    // Membership dues (see MembershipDues.js)
+    'dues.expiringWithinDays': 30, // Memberships ending within this many days count as expiring
+
+    // Membership IDs (see MembershipIds.js)
+    'membershipId.pattern': 'ISMAA-BLR-{batch}-{seq}' // Format of new membership IDs
+};
+
+class SystemSettings {
+    constructor(database) {
+        this.db = database;
+    }
+
+    /**
+     * Read a setting, falling back to its default
+     * @param {string} key - Setting key
+     * @returns {*} Decoded value
+     */
+    get(key) {
+        const row = this.db.prepare('SELECT value FROM system_settings WHERE key = ?').get(key);
+        if (!row) {
+            return DEFAULT_SETTINGS[key] ?? null;
+        }
+
+        try {
+            return JSON.parse(row.value);
+        } catch (error) {
+            console.warn(`Invalid JSON in system setting ${key}, using default`);
+            return DEFAULT_SETTINGS[key] ?? null;
+        }
+    }
+
+    /**
+     * Persist a setting value
+     * @param {string} key - Setting key
+     * @param {*} value - JSON-serializable value
+     * @param {number} updatedBy - ID of the admin making the change
+     */
+    set(key, value, updatedBy = null) {
+        this.db.prepare(`
+            INSERT INTO system_settings (key, value, updated_by, updated_at)
+            VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(key) DO UPDATE SET
+                value = excluded.value,
+                updated_by = excluded.updated_by,
+                updated_at = CURRENT_TIMESTAMP
+        `).run(key, JSON.stringify(value), updatedBy);
+    }
+
+    /**
+     * Read every setting under a key prefix, with defaults applied
+     * @param {string} prefix - Namespace, e.g. 'security.'
+     * @returns {Object} Map of key to value
+     */
+    getGroup(prefix) {
+        const keys = new Set(Object.keys(DEFAULT_SETTINGS).filter(key => key.startsWith(prefix)));
+        this.db.prepare('SELECT key FROM system_settings WHERE key LIKE ?').all(`${prefix}%`)
+            .forEach(row => keys.add(row.key));
+
+        const group = {};
+        keys.forEach(key => {
+            group[key] = this.get(key);
+        });
+        return group;
+    }
+}
+
+module.exports = SystemSettings;
+module.exports.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
@@ -2,7 +2,7 @@
  * cleanup.js - Database Maintenance and Cleanup Utility
  * 
  * This utility removes unused data from lookup tables and optimizes the database:
- * - Removes unused branches, industries, companies not referenced by members
+ * - Removes unused branches, industries, companies not referenced by members or their employment history
  * - Cleans up orphaned skills and blog tags
  * - Removes orphaned relationship records
  * - Runs VACUUM to reclaim disk space
@@ -108,6 +108,7 @@ class DatabaseCleanup {
             FROM industries i 
             LEFT JOIN members m ON i.id = m.industry_id 
             WHERE m.id IS NULL
+              AND NOT EXISTS (SELECT 1 FROM member_positions p WHERE p.industry_id = i.id)
         `).all();
         
         if (unusedIndustries.length > 0) {
@@ -143,6 +144,7 @@ class DatabaseCleanup {
             FROM companies c 
             LEFT JOIN members m ON c.id = m.company_id 
             WHERE m.id IS NULL
+              AND NOT EXISTS (SELECT 1 FROM member_positions p WHERE p.company_id = c.id)
         `).all();
         
         if (unusedCompanies.length > 0) {
@@ -45,14 +45,30 @@ CREATE TABLE IF NOT EXISTS users (
     failed_login_attempts INTEGER DEFAULT 0, -- Track failed login attempts for security
     account_locked_until DATETIME,          -- Account lockout timestamp for security
     
+    -- Two-Factor Authentication (TOTP, RFC 6238)
+    totp_secret TEXT,                        -- Base32 shared secret of the active authenticator
+    totp_pending_secret TEXT,                -- Secret awaiting confirmation during enrolment
+    totp_enabled BOOLEAN DEFAULT 0,          -- Flag for accounts that require a second factor
+    totp_enabled_at DATETIME,                -- When the current authenticator was enrolled
+    totp_last_step INTEGER,                  -- Time step of the last accepted code; codes from it or earlier are refused
+    
     -- Privacy and App Settings
     profile_visibility TEXT DEFAULT 'members' CHECK (profile_visibility IN ('public', 'members', 'private')), -- Profile visibility setting
+    hide_phone BOOLEAN DEFAULT 0,            -- Hide the linked member's phone from other members
+    hide_address BOOLEAN DEFAULT 0,          -- Hide the linked member's address from other members
+    hide_email BOOLEAN DEFAULT 0,            -- Hide the linked member's email from other members
     email_notifications BOOLEAN DEFAULT 1,   -- Email notification preferences
     theme_preference TEXT DEFAULT 'dark' CHECK (theme_preference IN ('light', 'dark', 'auto')), -- User theme preference
     language_preference TEXT DEFAULT 'en',   -- Language preference
     
+    -- Calendar feed (see EventCalendar.js)
+    calendar_token_hash TEXT,                -- SHA-256 of the personal feed link token; NULL without a feed link
+    calendar_token_created_at DATETIME,      -- When the current feed link was created
+    
     -- System Information
     last_login DATETIME,                     -- Track last login for security monitoring
+    deleted_at DATETIME,                     -- Moved to the recycle bin (soft delete); NULL for active accounts
+    deleted_by INTEGER,                      -- Admin who deleted the account
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
@@ -60,8 +76,10 @@ CREATE TABLE IF NOT EXISTS users (
 -- User security audit log for tracking authentication events
 CREATE TABLE IF NOT EXISTS user_security_log (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER NOT NULL,
-    event_type TEXT NOT NULL CHECK (event_type IN ('login', 'logout', 'password_change', 'username_change', 'failed_login', 'account_locked', 'password_reset')),
+    user_id INTEGER,                         -- NULL for sign-in attempts against unknown usernames
+    event_type TEXT NOT NULL CHECK (event_type IN ('login', 'logout', 'password_change', 'username_change', 'failed_login', 'account_locked', 'password_reset', 'user_created',
+                                                   'two_factor_enrolled', 'two_factor_disabled', 'two_factor_verified', 'two_factor_failed', 'recovery_code_used', 'recovery_codes_regenerated',
+                                                   'session_revoked', 'login_throttled', 'member_export')),
     ip_address TEXT,
     user_agent TEXT,
     success BOOLEAN DEFAULT 1,
@@ -81,6 +99,61 @@ CREATE TABLE IF NOT EXISTS password_reset_tokens (
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
+-- Previous password hashes, checked against the policy's reuse limit (historyCount)
+CREATE TABLE IF NOT EXISTS password_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    password_hash TEXT NOT NULL,             -- bcrypt hash of a password the user no longer has
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP, -- When the password was replaced
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Single-use recovery codes for two-factor authentication (stored as SHA-256 hashes)
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL,                 -- SHA-256 of the normalized recovery code
+    used_at DATETIME,                        -- Set when the code is redeemed
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Server-side login sessions; each bearer token carries the session_id it belongs to
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT UNIQUE NOT NULL,         -- Random identifier embedded in the signed token
+    user_id INTEGER NOT NULL,
+    device TEXT,                             -- Browser and OS summary derived from the user agent
+    ip_address TEXT,
+    user_agent TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP, -- Drives the idle timeout
+    expires_at DATETIME NOT NULL,            -- Absolute expiry, regardless of activity
+    revoked_at DATETIME,                     -- Set on logout or revocation
+    revoked_by INTEGER,                      -- User who revoked the session (self or admin)
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Failed sign-in attempts per source, for sliding-window login throttling (see LoginThrottle.js)
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scope TEXT NOT NULL CHECK (scope IN ('ip', 'identifier')),
+    source TEXT NOT NULL,                    -- Client IP, or the normalized username/email tried
+    attempted_at DATETIME NOT NULL           -- ISO timestamp of the failure
+);
+
+-- ===== SYSTEM CONFIGURATION =====
+
+-- Admin-editable settings (security policy and similar), JSON-encoded values
+CREATE TABLE IF NOT EXISTS system_settings (
+    key TEXT PRIMARY KEY,                    -- Namespaced setting key, e.g. 'security.requireAdminTwoFactor'
+    value TEXT NOT NULL,                     -- JSON-encoded value
+    updated_by INTEGER,                      -- Admin who last changed the setting
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
 -- ===== LOOKUP TABLES =====
 -- These tables store reference data used by members and other entities
 -- Normalized design prevents data duplication and ensures consistency
@@ -138,11 +211,13 @@ CREATE TABLE IF NOT EXISTS members (
     company_id INTEGER,                     -- Current employer (references companies table)
     
     -- Membership Information
-    photo TEXT,                             -- Base64 encoded profile image data
-    membership_id TEXT UNIQUE,              -- Unique membership identifier
+    photo TEXT,                             -- Photo store key (image files on disk, see PhotoStore.js)
+    membership_id TEXT UNIQUE,              -- Unique membership identifier, following the configured pattern (see MembershipIds.js)
     membership_type TEXT DEFAULT 'Member',  -- Type of membership (Member, Life Member, etc.)
     
     -- System Information
+    deleted_at DATETIME,                    -- Moved to the recycle bin (soft delete); NULL for active members
+    deleted_by INTEGER,                     -- User who deleted the member
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     
@@ -152,6 +227,202 @@ CREATE TABLE IF NOT EXISTS members (
     FOREIGN KEY (company_id) REFERENCES companies(id)
 );
 
+-- Last sequence number handed out per membership ID scope (see MembershipIds.js)
+CREATE TABLE IF NOT EXISTS membership_id_sequences (
+    scope TEXT PRIMARY KEY,                  -- The pattern with every token but {seq} filled in, e.g. 'ISMAA-BLR-2015-{seq}'
+    last_value INTEGER NOT NULL DEFAULT 0,   -- Last sequence number assigned in this scope
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Onboarding invitations: one signed, expiring link per member to create their own account
+-- (see MemberInvitations.js). 'expired' is derived from expires_at rather than stored.
+CREATE TABLE IF NOT EXISTS member_invitations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    member_id INTEGER UNIQUE NOT NULL,       -- Invited member (resending reuses the row)
+    email TEXT NOT NULL,                     -- Address the latest link was sent to
+    token_hash TEXT NOT NULL,                -- SHA-256 of the latest link token; older links stop working
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'revoked')),
+    invited_by INTEGER,                      -- Admin who last sent the invitation
+    created_at DATETIME NOT NULL,            -- ISO timestamp of the first invitation
+    sent_at DATETIME NOT NULL,               -- ISO timestamp of the latest send
+    send_count INTEGER NOT NULL DEFAULT 1,   -- Number of times the invitation was sent
+    expires_at DATETIME NOT NULL,            -- ISO timestamp after which the latest link is refused
+    accepted_at DATETIME,
+    accepted_user_id INTEGER,                -- Account created from the invitation
+    revoked_at DATETIME,
+    revoked_by INTEGER,
+    FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+    FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (accepted_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Public self-registration applications awaiting admin review (see MemberApplications.js)
+-- Approval creates the member and their user account from the chosen credentials
+CREATE TABLE IF NOT EXISTS member_applications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    
+    -- Profile fields, as captured by the registration form
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    phone TEXT,
+    address TEXT,
+    passout_batch TEXT,
+    branch TEXT,
+    industry TEXT,
+    company TEXT,
+    skills TEXT,                             -- JSON array of skill names
+    photo TEXT,                              -- Base64 data URL, moved to the photo store on approval
+    
+    -- Credentials chosen by the applicant; the hash is cleared once the application is closed
+    username TEXT NOT NULL,
+    password_hash TEXT,
+    salt TEXT,
+    
+    -- Review workflow
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'info_requested', 'approved', 'rejected')),
+    review_message TEXT,                     -- Rejection reason or the information requested
+    applicant_note TEXT,                     -- Applicant's reply when updating after a request for information
+    update_token_hash TEXT,                  -- SHA-256 of the emailed "update your application" link
+    reviewed_by INTEGER,
+    reviewed_at DATETIME,
+    member_id INTEGER,                       -- Member created on approval
+    ip_address TEXT,                         -- Submitting client, for per-IP submission limits
+    created_at DATETIME NOT NULL,            -- ISO timestamps
+    updated_at DATETIME NOT NULL,
+    FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE SET NULL
+);
+
+-- Every public registration submission, stored or not, for per-IP limits and for
+-- limiting "this email is already registered" notices per address (see MemberApplications.js)
+CREATE TABLE IF NOT EXISTS registration_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ip_address TEXT,                         -- Submitting client
+    email TEXT,                              -- Lower-cased email submitted, if any
+    owner_notified BOOLEAN NOT NULL DEFAULT 0, -- Whether the address owner was emailed about this attempt
+    attempted_at DATETIME NOT NULL           -- ISO timestamp
+);
+
+-- Member profile history: one row per create, update, restore, merge or delete (see MemberRevisions.js)
+-- Each row holds the profile before and after the change, so changes can be diffed and restored
+CREATE TABLE IF NOT EXISTS member_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    member_id INTEGER NOT NULL,              -- members.id; not a foreign key, history outlives the member
+    action TEXT NOT NULL CHECK (action IN ('create', 'update', 'restore', 'merge', 'delete')),
+    before_data TEXT,                        -- JSON profile before the change (NULL for create)
+    after_data TEXT,                         -- JSON profile after the change (NULL for delete)
+    restored_from INTEGER,                   -- Revision whose profile a restore went back to
+    merged_from INTEGER,                     -- members.id of the duplicate a merge removed (see MemberDuplicates.js)
+    changed_by INTEGER,                      -- Acting user; NULL for changes made by the system
+    created_at DATETIME NOT NULL,            -- ISO timestamp
+    FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Employment history: every job a member has held (see MemberPositions.js)
+-- members.company_id and members.industry_id mirror the latest current position
+CREATE TABLE IF NOT EXISTS member_positions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    member_id INTEGER NOT NULL,
+    company_id INTEGER,                      -- Employer (references companies table)
+    industry_id INTEGER,                     -- Industry of the role (references industries table)
+    title TEXT,                              -- Job title
+    start_date TEXT,                         -- YYYY or YYYY-MM
+    end_date TEXT,                           -- YYYY or YYYY-MM; NULL while current or when unknown
+    is_current BOOLEAN NOT NULL DEFAULT 0,   -- Member still holds this position
+    created_at DATETIME NOT NULL,            -- ISO timestamps
+    updated_at DATETIME NOT NULL,
+    FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+    FOREIGN KEY (company_id) REFERENCES companies(id),
+    FOREIGN KEY (industry_id) REFERENCES industries(id)
+);
+
+-- ===== MEMBERSHIP DUES =====
+
+-- Membership plans members pay for (see MembershipDues.js); plans with payments are deactivated, not deleted
+CREATE TABLE IF NOT EXISTS membership_plans (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE, -- e.g. "Annual", "Life Member"
+    description TEXT,
+    fee INTEGER NOT NULL CHECK (fee >= 0),   -- In paise (1/100 rupee)
+    duration_months INTEGER CHECK (duration_months IS NULL OR duration_months > 0), -- NULL for lifetime plans
+    is_active BOOLEAN NOT NULL DEFAULT 1,    -- Offered for new payments
+    created_at DATETIME NOT NULL,            -- ISO timestamps
+    updated_at DATETIME NOT NULL
+);
+
+-- Payments ledger: dues recorded by an admin or paid online through the payment gateway
+-- A member's membership runs until the latest period_end of their completed payments
+CREATE TABLE IF NOT EXISTS membership_payments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    member_id INTEGER,                       -- NULL once the member is purged; payer_name keeps the ledger readable
+    payer_name TEXT NOT NULL,                -- Member name when the payment was made
+    plan_id INTEGER,
+    amount INTEGER NOT NULL CHECK (amount >= 0), -- In paise (1/100 rupee)
+    currency TEXT NOT NULL DEFAULT 'INR',
+    method TEXT NOT NULL CHECK (method IN ('cash', 'bank_transfer', 'upi', 'cheque', 'card', 'online', 'other')),
+    reference TEXT,                          -- Cheque number, bank or UPI transaction ID
+    status TEXT NOT NULL CHECK (status IN ('pending', 'completed', 'failed', 'void')),
+    gateway TEXT,                            -- Payment gateway name for online payments
+    gateway_payment_id TEXT,                 -- The gateway's ID of the payment
+    period_start TEXT,                       -- YYYY-MM-DD, set when the payment completes
+    period_end TEXT,                         -- YYYY-MM-DD, last day covered; NULL for lifetime plans
+    receipt_number TEXT UNIQUE,              -- Assigned when the payment completes
+    notes TEXT,
+    paid_at DATETIME,                        -- ISO timestamps
+    recorded_by INTEGER,                     -- Admin who recorded a manual payment, or the paying user
+    voided_by INTEGER,
+    voided_at DATETIME,
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NOT NULL,
+    FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE SET NULL,
+    FOREIGN KEY (plan_id) REFERENCES membership_plans(id),
+    FOREIGN KEY (recorded_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (voided_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- ===== EVENTS =====
+
+-- Meetups and other events members RSVP for (see AlumniEvents.js)
+-- Times are Bengaluru local time (YYYY-MM-DDTHH:MM)
+CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL,
+    description TEXT,
+    venue TEXT NOT NULL,
+    starts_at TEXT NOT NULL,
+    ends_at TEXT,                            -- NULL when open-ended
+    rsvp_deadline TEXT,                      -- NULL to take RSVPs until the event starts
+    capacity INTEGER CHECK (capacity IS NULL OR capacity > 0), -- NULL for no limit
+    fee INTEGER NOT NULL DEFAULT 0 CHECK (fee >= 0), -- In paise (1/100 rupee), collected at the event
+    status TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'cancelled')),
+    sequence INTEGER NOT NULL DEFAULT 0,     -- iCalendar SEQUENCE, raised on every change so calendar apps update
+    created_by INTEGER,
+    cancelled_at DATETIME,                   -- ISO timestamps
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NOT NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- One RSVP per member and event; the waitlist is ordered by responded_at
+CREATE TABLE IF NOT EXISTS event_rsvps (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id INTEGER NOT NULL,
+    member_id INTEGER NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('going', 'waitlisted', 'cancelled')),
+    responded_at DATETIME NOT NULL,          -- ISO timestamps; when the member last RSVPed
+    promoted_at DATETIME,                    -- Moved off the waitlist
+    walk_in BOOLEAN NOT NULL DEFAULT 0,      -- Checked in at the door without a place
+    checked_in_at DATETIME,
+    checked_in_by INTEGER,
+    created_at DATETIME NOT NULL,
+    updated_at DATETIME NOT NULL,
+    UNIQUE (event_id, member_id),
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+    FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+    FOREIGN KEY (checked_in_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
 -- ===== MANY-TO-MANY RELATIONSHIPS =====
 
 -- Member skills junction table - implements many-to-many relationship
@@ -185,6 +456,8 @@ CREATE TABLE IF NOT EXISTS blogs (
     category TEXT DEFAULT 'education',     -- Blog category for organization
     
     -- System Information
+    deleted_at DATETIME,                    -- Moved to the recycle bin (soft delete); NULL for published posts
+    deleted_by INTEGER,                     -- User who deleted the post
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
@@ -223,12 +496,36 @@ CREATE TABLE IF NOT EXISTS notices (
     category TEXT DEFAULT 'announcement',  -- Notice category for organization
     priority TEXT DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high')), -- Priority level with constraint
     author TEXT NOT NULL,                   -- Author name or username
+    calendar_date TEXT,                     -- YYYY-MM-DD to list the notice in the calendar feed; NULL for undated notices
+    sequence INTEGER NOT NULL DEFAULT 0,    -- iCalendar SEQUENCE, raised on every change so calendar apps update
     
     -- System Information
+    deleted_at DATETIME,                    -- Moved to the recycle bin (soft delete); NULL for published notices
+    deleted_by INTEGER,                     -- User who deleted the notice
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- ===== FULL-TEXT SEARCH =====
+
+-- FTS5 indexes behind the global search (GET /search)
+-- Each rowid is the id of the source row; the triggers at the end of this file keep them in sync
+-- Member lookup names (branch, industry, company) and skills are copied in so they are searchable too
+CREATE VIRTUAL TABLE IF NOT EXISTS members_fts USING fts5(
+    name, email, passout_batch, branch, industry, company, skills,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS blogs_fts USING fts5(
+    title, content, author, category,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS notices_fts USING fts5(
+    title, content, author, category,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
 -- ===== PERFORMANCE OPTIMIZATION =====
 
 -- Database indexes for improved query performance
@@ -242,6 +539,20 @@ CREATE INDEX IF NOT EXISTS idx_members_branch ON members(branch_id);         --
 CREATE INDEX IF NOT EXISTS idx_members_industry ON members(industry_id);     -- Industry-based filtering
 CREATE INDEX IF NOT EXISTS idx_members_company ON members(company_id);       -- Company-based filtering
 CREATE INDEX IF NOT EXISTS idx_members_legacy_id ON members(legacy_id);      -- Legacy ID compatibility
+CREATE INDEX IF NOT EXISTS idx_members_name ON members(name);                -- Default directory sort
+CREATE INDEX IF NOT EXISTS idx_members_passout_batch ON members(passout_batch); -- Batch filtering and sorting
+CREATE INDEX IF NOT EXISTS idx_members_membership_type ON members(membership_type); -- Membership type filtering
+CREATE INDEX IF NOT EXISTS idx_applications_status ON member_applications(status, created_at); -- Review queue
+CREATE INDEX IF NOT EXISTS idx_applications_email ON member_applications(email); -- Duplicate submissions
+CREATE INDEX IF NOT EXISTS idx_registration_attempts_ip ON registration_attempts(ip_address, attempted_at); -- Per-IP submission limit
+CREATE INDEX IF NOT EXISTS idx_registration_attempts_email ON registration_attempts(email, attempted_at); -- Owner notice cooldown
+CREATE INDEX IF NOT EXISTS idx_member_revisions_member ON member_revisions(member_id, id); -- Member history
+CREATE INDEX IF NOT EXISTS idx_member_positions_member ON member_positions(member_id); -- Member's employment history
+CREATE INDEX IF NOT EXISTS idx_member_positions_company ON member_positions(company_id); -- "Has worked at" search
+CREATE INDEX IF NOT EXISTS idx_membership_payments_member ON membership_payments(member_id, status, period_end); -- Membership status and expiry
+CREATE INDEX IF NOT EXISTS idx_membership_payments_paid ON membership_payments(status, paid_at); -- Dues dashboard totals
+CREATE INDEX IF NOT EXISTS idx_events_starts_at ON events(starts_at);         -- Upcoming and past events
+CREATE INDEX IF NOT EXISTS idx_event_rsvps_member ON event_rsvps(member_id);  -- Member attendance history
 
 -- Junction table indexes for efficient many-to-many relationship queries
 CREATE INDEX IF NOT EXISTS idx_member_skills_member ON member_skills(member_id); -- Member's skills lookup
@@ -252,6 +563,12 @@ CREATE INDEX IF NOT EXISTS idx_blogs_author ON blogs(author);                --
 CREATE INDEX IF NOT EXISTS idx_blogs_category ON blogs(category);            -- Category-based filtering
 CREATE INDEX IF NOT EXISTS idx_blogs_legacy_id ON blogs(legacy_id);          -- Legacy ID compatibility
 
+-- Authentication table indexes
+CREATE INDEX IF NOT EXISTS idx_password_history_user ON password_history(user_id); -- Reuse check lookup
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON user_recovery_codes(user_id); -- User's recovery codes lookup
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON user_sessions(user_id); -- User's active sessions lookup
+CREATE INDEX IF NOT EXISTS idx_login_attempts_source ON login_attempts(scope, source, attempted_at); -- Throttle window counts
+
 -- Notice table indexes for priority and category-based queries
 CREATE INDEX IF NOT EXISTS idx_notices_priority ON notices(priority);        -- Priority-based sorting
 CREATE INDEX IF NOT EXISTS idx_notices_category ON notices(category);        -- Category-based filtering
@@ -290,3 +607,97 @@ CREATE TRIGGER IF NOT EXISTS update_notices_timestamp
     BEGIN 
         UPDATE notices SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id; 
     END;
+
+-- Full-text search triggers
+-- Update triggers list their columns so the timestamp triggers above do not re-index rows
+
+-- Members: index on insert, re-index when searchable columns change, drop on delete
+CREATE TRIGGER IF NOT EXISTS members_fts_insert 
+    AFTER INSERT ON members 
+    BEGIN 
+        INSERT INTO members_fts (rowid, name, email, passout_batch, branch, industry, company, skills)
+        VALUES (NEW.id, NEW.name, NEW.email, NEW.passout_batch,
+                (SELECT name FROM branches WHERE id = NEW.branch_id),
+                (SELECT name FROM industries WHERE id = NEW.industry_id),
+                (SELECT name FROM companies WHERE id = NEW.company_id),
+                (SELECT GROUP_CONCAT(s.name, ', ') FROM member_skills ms JOIN skills s ON s.id = ms.skill_id WHERE ms.member_id = NEW.id));
+    END;
+
+CREATE TRIGGER IF NOT EXISTS members_fts_update 
+    AFTER UPDATE OF name, email, passout_batch, branch_id, industry_id, company_id ON members 
+    BEGIN 
+        DELETE FROM members_fts WHERE rowid = OLD.id;
+        INSERT INTO members_fts (rowid, name, email, passout_batch, branch, industry, company, skills)
+        VALUES (NEW.id, NEW.name, NEW.email, NEW.passout_batch,
+                (SELECT name FROM branches WHERE id = NEW.branch_id),
+                (SELECT name FROM industries WHERE id = NEW.industry_id),
+                (SELECT name FROM companies WHERE id = NEW.company_id),
+                (SELECT GROUP_CONCAT(s.name, ', ') FROM member_skills ms JOIN skills s ON s.id = ms.skill_id WHERE ms.member_id = NEW.id));
+    END;
+
+CREATE TRIGGER IF NOT EXISTS members_fts_delete 
+    AFTER DELETE ON members 
+    BEGIN 
+        DELETE FROM members_fts WHERE rowid = OLD.id;
+    END;
+
+-- Member skills: refresh the member's skill list when one is added or removed
+CREATE TRIGGER IF NOT EXISTS member_skills_fts_insert 
+    AFTER INSERT ON member_skills 
+    BEGIN 
+        UPDATE members_fts 
+        SET skills = (SELECT GROUP_CONCAT(s.name, ', ') FROM member_skills ms JOIN skills s ON s.id = ms.skill_id WHERE ms.member_id = NEW.member_id)
+        WHERE rowid = NEW.member_id;
+    END;
+
+CREATE TRIGGER IF NOT EXISTS member_skills_fts_delete 
+    AFTER DELETE ON member_skills 
+    BEGIN 
+        UPDATE members_fts 
+        SET skills = (SELECT GROUP_CONCAT(s.name, ', ') FROM member_skills ms JOIN skills s ON s.id = ms.skill_id WHERE ms.member_id = OLD.member_id)
+        WHERE rowid = OLD.member_id;
+    END;
+
+-- Blogs
+CREATE TRIGGER IF NOT EXISTS blogs_fts_insert 
+    AFTER INSERT ON blogs 
+    BEGIN 
+        INSERT INTO blogs_fts (rowid, title, content, author, category) 
+        VALUES (NEW.id, NEW.title, NEW.content, NEW.author, NEW.category);
+    END;
+
+CREATE TRIGGER IF NOT EXISTS blogs_fts_update 
+    AFTER UPDATE OF title, content, author, category ON blogs 
+    BEGIN 
+        DELETE FROM blogs_fts WHERE rowid = OLD.id;
+        INSERT INTO blogs_fts (rowid, title, content, author, category) 
+        VALUES (NEW.id, NEW.title, NEW.content, NEW.author, NEW.category);
+    END;
+
+CREATE TRIGGER IF NOT EXISTS blogs_fts_delete 
+    AFTER DELETE ON blogs 
+    BEGIN 
+        DELETE FROM blogs_fts WHERE rowid = OLD.id;
+    END;
+
+-- Notices
+CREATE TRIGGER IF NOT EXISTS notices_fts_insert 
+    AFTER INSERT ON notices 
+    BEGIN 
+        INSERT INTO notices_fts (rowid, title, content, author, category) 
+        VALUES (NEW.id, NEW.title, NEW.content, NEW.author, NEW.category);
+    END;
+
+CREATE TRIGGER IF NOT EXISTS notices_fts_update 
+    AFTER UPDATE OF title, content, author, category ON notices 
+    BEGIN 
+        DELETE FROM notices_fts WHERE rowid = OLD.id;
+        INSERT INTO notices_fts (rowid, title, content, author, category) 
+        VALUES (NEW.id, NEW.title, NEW.content, NEW.author, NEW.category);
+    END;
+
+CREATE TRIGGER IF NOT EXISTS notices_fts_delete 
+    AFTER DELETE ON notices 
+    BEGIN 
+        DELETE FROM notices_fts WHERE rowid = OLD.id;
+    END;
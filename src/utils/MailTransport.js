@@ -0,0 +1,109 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Mail Transport
+// =====================================================
+//
+// Pluggable outgoing mail delivery for account emails (password resets,
+// notifications). Every transport implements:
+//
+//   async send({ to, subject, text }) -> { delivered: boolean, id }
+//
+// Built-in transports for development:
+// - console: prints messages to the server log (default)
+// - file:    writes each message as an .eml file to MAIL_OUTBOX_DIR
+//
+// Production deployments plug in a real provider by setting
+// MAIL_TRANSPORT_MODULE to a module exporting an object (or class)
+// with the same send() signature.
+//
+// Environment:
+//   MAIL_TRANSPORT        console | file (default: console)
+//   MAIL_TRANSPORT_MODULE path to a custom transport module
+//   MAIL_OUTBOX_DIR       output directory for the file transport
+//   MAIL_FROM             sender address
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FROM = 'ISMAA Bengaluru Portal <no-reply@ismaa-bengaluru.org>';
+
+/**
+ * Development transport that prints messages to the console
+ */
+class ConsoleMailTransport {
+    constructor(from = DEFAULT_FROM) {
+        this.from = from;
+    }
+
+    async send({ to, subject, text }) {
+        const id = crypto.randomUUID();
+        console.log('📧 Outgoing email (console transport)');
+        console.log(`   From: ${this.from}`);
+        console.log(`   To: ${to}`);
+        console.log(`   Subject: ${subject}`);
+        console.log(text.split('\n').map(line => `   | ${line}`).join('\n'));
+        return { delivered: true, id };
+    }
+}
+
+/**
+ * Development transport that writes each message to an .eml file
+ */
+class FileMailTransport {
+    constructor(outboxDir, from = DEFAULT_FROM) {
+        this.outboxDir = outboxDir;
+        this.from = from;
+    }
+
+    async send({ to, subject, text }) {
+        const id = crypto.randomUUID();
+        fs.mkdirSync(this.outboxDir, { recursive: true });
+
+        const message = [
+            `Message-ID: <${id}@ismaa-portal>`,
+            `Date: ${new Date().toUTCString()}`,
+            `From: ${this.from}`,
+            `To: ${to}`,
+            `Subject: ${subject}`,
+            'Content-Type: text/plain; charset=utf-8',
+            '',
+            text
+        ].join('\r\n');
+
+        const filePath = path.join(this.outboxDir, `${Date.now()}-${id}.eml`);
+        fs.writeFileSync(filePath, message, 'utf8');
+        console.log(`📧 Email to ${to} written to ${filePath}`);
+        return { delivered: true, id };
+    }
+}
+
+/**
+ * Build the transport selected by environment configuration
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Transport exposing async send(message)
+ */
+function createMailTransport(env = process.env) {
+    const from = env.MAIL_FROM || DEFAULT_FROM;
+
+    if (env.MAIL_TRANSPORT_MODULE) {
+        const CustomTransport = require(path.resolve(env.MAIL_TRANSPORT_MODULE));
+        return typeof CustomTransport === 'function' ? new CustomTransport({ from }) : CustomTransport;
+    }
+
+    if (env.MAIL_TRANSPORT === 'file') {
+        const outboxDir = env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'ismaa-mail-outbox');
+        return new FileMailTransport(outboxDir, from);
+    }
+
+    return new ConsoleMailTransport(from);
+}
+
+module.exports = {
+    ConsoleMailTransport,
+    FileMailTransport,
+    createMailTransport
+};
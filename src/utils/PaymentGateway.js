@@ -0,0 +1,85 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Payment Gateway
+// =====================================================
+//
+// Pluggable online payment of membership dues. Every gateway implements:
+//
+//   name
+//   async createCheckout({ reference, amount, currency, description, customer, returnUrl })
+//       -> { id, checkoutUrl }
+//   async getPayment(id) -> { status: 'pending' | 'completed' | 'failed', paidAt }
+//
+// Amounts are in paise (1/100 rupee). The member is sent to checkoutUrl
+// and comes back to returnUrl, after which the portal asks the gateway
+// for the payment's status (see MembershipDues.confirmCheckout).
+//
+// Built-in gateway for development:
+// - fake: approves every payment at once and sends the member straight
+//   back to returnUrl. Members could pay themselves a membership for
+//   free with it, so it is only used when asked for (PAYMENT_GATEWAY=fake)
+//   or when NODE_ENV is development.
+//
+// Production deployments plug in a real provider by setting
+// PAYMENT_GATEWAY_MODULE to a module exporting an object (or class)
+// with the same interface. Without either, online payment is turned off
+// and dues are recorded by admins only.
+//
+// Environment:
+//   PAYMENT_GATEWAY        fake (default: none, or fake when NODE_ENV=development)
+//   PAYMENT_GATEWAY_MODULE path to a custom gateway module
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Development gateway that approves every payment without taking money
+ */
+class FakePaymentGateway {
+    constructor() {
+        this.name = 'fake';
+        this.payments = new Map();
+    }
+
+    async createCheckout({ reference, amount, currency, returnUrl }) {
+        const id = `fake_${crypto.randomUUID()}`;
+        this.payments.set(id, { reference, amount, currency, status: 'completed', paidAt: new Date().toISOString() });
+        console.log(`💳 Fake gateway approved payment ${id} of ${currency} ${(amount / 100).toFixed(2)} (${reference})`);
+        return { id, checkoutUrl: returnUrl };
+    }
+
+    async getPayment(id) {
+        const payment = this.payments.get(id);
+        return payment
+            ? { status: payment.status, paidAt: payment.paidAt }
+            : { status: 'failed', paidAt: null }; // Unknown after a server restart
+    }
+}
+
+/**
+ * Build the gateway selected by environment configuration
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object|null} Gateway exposing createCheckout() and getPayment() - null when online payment is not configured
+ */
+function createPaymentGateway(env = process.env) {
+    if (env.PAYMENT_GATEWAY_MODULE) {
+        const CustomGateway = require(path.resolve(env.PAYMENT_GATEWAY_MODULE));
+        return typeof CustomGateway === 'function' ? new CustomGateway() : CustomGateway;
+    }
+
+    if (env.PAYMENT_GATEWAY && env.PAYMENT_GATEWAY !== 'fake') {
+        throw new Error(`Unknown PAYMENT_GATEWAY: ${env.PAYMENT_GATEWAY}`);
+    }
+
+    if (env.PAYMENT_GATEWAY === 'fake' || env.NODE_ENV === 'development') {
+        return new FakePaymentGateway();
+    }
+    return null;
+}
+
+module.exports = {
+    FakePaymentGateway,
+    createPaymentGateway
+};
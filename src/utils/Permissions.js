@@ -0,0 +1,116 @@
+// =====================================================
+// ISMAA Bengaluru Portal - Role Permission Matrix
+// =====================================================
+//
+// Declarative mapping of roles to the API permissions they hold.
+// Each grant is either:
+// - 'any' - the permission applies to every record
+// - 'own' - the permission applies only to records owned by the acting user
+//
+// Routes declare the permission they need via ISMAAServer.authorize();
+// roles not listed here, and permissions missing from a role, are denied.
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const ROLE_PERMISSIONS = {
+    admin: {
+        'members:read': 'any',
+        'members:create': 'any',
+        'members:update': 'any',
+        'members:delete': 'any',
+        'members:invite': 'any',
+        'members:export': 'any',
+        'members:history': 'any',
+        'members:merge': 'any',
+        'recycle-bin:manage': 'any',
+        'dues:read': 'any',
+        'dues:pay': 'any',
+        'dues:manage': 'any',
+        'cards:read': 'any',
+        'events:read': 'any',
+        'events:rsvp': 'any',
+        'events:manage': 'any',
+        'attendance:read': 'any',
+        'applications:review': 'any',
+        'users:read': 'any',
+        'users:create': 'any',
+        'users:update': 'any',
+        'users:delete': 'any',
+        'users:reset-password': 'any',
+        'users:revoke-sessions': 'any',
+        'security-log:read': 'any',
+        'security-log:manage': 'any',
+        'lookups:read': 'any',
+        'blogs:read': 'any',
+        'blogs:create': 'any',
+        'blogs:update': 'any',
+        'blogs:delete': 'any',
+        'notices:read': 'any',
+        'notices:create': 'any',
+        'notices:update': 'any',
+        'notices:delete': 'any',
+        'system:health': 'any',
+        'system:maintenance': 'any',
+        'system:settings': 'any',
+        'stats:read': 'any'
+    },
+    member: {
+        'members:read': 'any',
+        'members:update': 'own',
+        'members:export': 'any',
+        'dues:read': 'own',
+        'dues:pay': 'own',
+        'cards:read': 'own',
+        'events:read': 'any',
+        'events:rsvp': 'any',
+        'attendance:read': 'own',
+        'users:read': 'own',
+        'users:update': 'own',
+        'lookups:read': 'any',
+        'blogs:read': 'any',
+        'blogs:create': 'any',
+        'blogs:update': 'own',
+        'blogs:delete': 'own',
+        'notices:read': 'any'
+    }
+};
+
+class Permissions {
+    /**
+     * Get the grant ('any', 'own' or null) a role holds for a permission
+     * @param {string} role - User role (admin, member)
+     * @param {string} permission - Permission key, e.g. 'members:update'
+     * @returns {string|null} Grant scope or null when denied
+     */
+    static getGrant(role, permission) {
+        const rolePermissions = ROLE_PERMISSIONS[role];
+        return (rolePermissions && rolePermissions[permission]) || null;
+    }
+
+    /**
+     * Check whether a user may perform an action
+     * @param {Object} user - Authenticated user ({ id, role, ... })
+     * @param {string} permission - Permission key
+     * @param {boolean} isOwner - Whether the user owns the target record
+     * @returns {boolean} True if permitted
+     */
+    static can(user, permission, isOwner = false) {
+        if (!user) return false;
+
+        const grant = Permissions.getGrant(user.role, permission);
+        return grant === 'any' || (grant === 'own' && isOwner);
+    }
+
+    /**
+     * List the permissions held by a role (for client-side UI decisions)
+     * @param {string} role - User role
+     * @returns {Object} Map of permission key to grant scope
+     */
+    static forRole(role) {
+        return { ...(ROLE_PERMISSIONS[role] || {}) };
+    }
+}
+
+module.exports = Permissions;
+module.exports.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
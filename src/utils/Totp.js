@@ -0,0 +1,170 @@
+// =====================================================
+// ISMAA Bengaluru Portal - TOTP (RFC 6238) Utilities
+// =====================================================
+//
+// Time-based one-time passwords for two-factor authentication, compatible
+// with standard authenticator apps (Google Authenticator, Authy, 1Password).
+//
+// - Secrets are random 160-bit keys, exchanged as RFC 4648 base32
+// - Codes are 6 digits from HMAC-SHA1 over 30 second time steps
+// - Verification accepts one step of clock drift either side and reports
+//   the time step that matched, so callers can refuse a code that was
+//   already used (RFC 6238 section 5.2)
+// - Provisioning URIs follow the otpauth:// Key URI format for QR codes
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+class Totp {
+    /**
+     * Generate a new random shared secret
+     * @returns {string} Base32-encoded secret
+     */
+    static generateSecret() {
+        return Totp.base32Encode(crypto.randomBytes(20));
+    }
+
+    /**
+     * Encode bytes as unpadded RFC 4648 base32
+     * @param {Buffer} buffer - Bytes to encode
+     * @returns {string} Base32 string
+     */
+    static base32Encode(buffer) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    /**
+     * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+     * @param {string} encoded - Base32 string
+     * @returns {Buffer} Decoded bytes
+     */
+    static base32Decode(encoded) {
+        const clean = String(encoded).toUpperCase().replace(/[\s=]/g, '');
+        let bits = 0;
+        let value = 0;
+        const bytes = [];
+
+        for (const char of clean) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error(`Invalid base32 character: ${char}`);
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * Generate the code for a secret at a point in time
+     * @param {string} secret - Base32-encoded secret
+     * @param {number} timestamp - Milliseconds since epoch (defaults to now)
+     * @returns {string} Zero-padded numeric code
+     */
+    static generateCode(secret, timestamp = Date.now()) {
+        const counter = Math.floor(timestamp / 1000 / PERIOD_SECONDS);
+        return Totp.generateHotp(Totp.base32Decode(secret), counter);
+    }
+
+    /**
+     * HOTP (RFC 4226) code for a key and counter
+     */
+    static generateHotp(key, counter) {
+        const counterBuffer = Buffer.alloc(8);
+        counterBuffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+        counterBuffer.writeUInt32BE(counter % 0x100000000, 4);
+
+        const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = ((hmac[offset] & 0x7f) << 24) |
+                       (hmac[offset + 1] << 16) |
+                       (hmac[offset + 2] << 8) |
+                       hmac[offset + 3];
+
+        return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+    }
+
+    /**
+     * Verify a submitted code, allowing for clock drift
+     * @param {string} secret - Base32-encoded secret
+     * @param {string} code - Code entered by the user
+     * @param {number} window - Time steps accepted either side of now
+     * @param {number} timestamp - Milliseconds since epoch (defaults to now)
+     * @returns {boolean} True if the code matches
+     */
+    static verifyCode(secret, code, window = 1, timestamp = Date.now()) {
+        return Totp.matchStep(secret, code, window, timestamp) !== null;
+    }
+
+    /**
+     * Time step (counter) a submitted code belongs to, allowing for clock drift
+     * @returns {number|null} The matching time step, or null if the code does not match
+     */
+    static matchStep(secret, code, window = 1, timestamp = Date.now()) {
+        const normalized = String(code || '').replace(/\s/g, '');
+        if (!secret || !/^\d{6}$/.test(normalized)) {
+            return null;
+        }
+
+        const current = Math.floor(timestamp / 1000 / PERIOD_SECONDS);
+        for (let step = current - window; step <= current + window; step++) {
+            const candidate = Totp.generateHotp(Totp.base32Decode(secret), step);
+            if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+                return step;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Build an otpauth:// provisioning URI for authenticator apps
+     * @param {string} secret - Base32-encoded secret
+     * @param {string} accountName - Account label shown in the app (username)
+     * @param {string} issuer - Service name shown in the app
+     * @returns {string} otpauth URI, suitable for encoding in a QR code
+     */
+    static buildProvisioningUri(secret, accountName, issuer = 'ISMAA Bengaluru Portal') {
+        // Encode with %20 rather than '+', which some authenticator apps show literally
+        const label = encodeURIComponent(`${issuer}:${accountName}`);
+        const params = [
+            `secret=${secret}`,
+            `issuer=${encodeURIComponent(issuer)}`,
+            'algorithm=SHA1',
+            `digits=${DIGITS}`,
+            `period=${PERIOD_SECONDS}`
+        ];
+
+        return `otpauth://totp/${label}?${params.join('&')}`;
+    }
+}
+
+module.exports = Totp;
@@ -0,0 +1,79 @@
+// =====================================================
+// ISMAA Bengaluru Portal - API Client
+// =====================================================
+//
+// Thin wrapper around fetch for calls to the portal backend.
+// Attaches the session token issued at login as a Bearer header and
+// announces rejected sessions so the auth context can sign the user out.
+//
+// Usage:
+//   const response = await apiFetch('/members');
+//   <img src={photoUrl(member.photoThumbnail)} />
+//
+// Author: ISMAA Portal Team
+// =====================================================
+
+export const API_BASE_URL = 'http://localhost:3001';
+
+// Fired on window when the backend rejects the stored session token
+export const SESSION_EXPIRED_EVENT = 'ismaa:session-expired';
+
+/**
+ * Read the session token persisted by AuthContext
+ */
+export const getSessionToken = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem('ismaa_session'));
+    return session?.token || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Absolute URL of a member photo path returned by the backend (/photos/...)
+ * Photos are served without the session token, so they work in <img> tags
+ */
+export const photoUrl = (path) => {
+  if (!path) return null;
+  return path.startsWith('/') ? `${API_BASE_URL}${path}` : path;
+};
+
+/**
+ * Fetch a backend path with the current session token attached
+ * Accepts paths relative to API_BASE_URL or absolute URLs
+ */
+export const apiFetch = async (path, options = {}) => {
+  const token = getSessionToken();
+  const headers = { ...options.headers };
+
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const url = path.startsWith('http') ? path : `${API_BASE_URL}${path}`;
+  const response = await fetch(url, { ...options, headers });
+
+  // A token that was valid at login can expire or be invalidated server-side
+  if (response.status === 401 && token) {
+    window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+  }
+
+  return response;
+};
+
+/**
+ * Upload an image file as a member's photo
+ * Resolves to { success, photo, photoThumbnail } or { success: false, error }
+ */
+export const uploadMemberPhoto = async (memberId, file) => {
+  const response = await apiFetch(`/members/${memberId}/photo`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': file.type,
+    },
+    body: file,
+  });
+
+  return response.json();
+};
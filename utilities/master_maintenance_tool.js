@@ -14,6 +14,8 @@
  * - Database integrity verification
  * - Access control validation
  * - User-member relationship management
+ * - Purging recycle bin items past their retention period
+ * - Assigning membership IDs to members who have none
  * - Comprehensive system diagnostics
  * 
  * Usage:
@@ -24,6 +26,8 @@
  *   --fix-issues     Automatically fix detected issues
  *   --deep-clean     Perform comprehensive cleanup
  *   --health-report  Generate detailed system health report
+ *   --purge-deleted  Permanently delete recycle bin items older than the retention setting
+ *   --assign-membership-ids  Give members without a membership ID the next one from the pattern
  *   --help           Show this help message
  */
 
@@ -276,12 +280,14 @@ class MasterMaintenanceTool {
                 SELECT c.id, c.name FROM companies c
                 LEFT JOIN members m ON c.id = m.company_id
                 WHERE m.company_id IS NULL
+                  AND NOT EXISTS (SELECT 1 FROM member_positions p WHERE p.company_id = c.id)
             `).all();
 
             const orphanedIndustries = this.db.prepare(`
                 SELECT i.id, i.name FROM industries i
                 LEFT JOIN members m ON i.id = m.industry_id
                 WHERE m.industry_id IS NULL
+                  AND NOT EXISTS (SELECT 1 FROM member_positions p WHERE p.industry_id = i.id)
             `).all();
 
             const orphanedSkills = this.db.prepare(`
@@ -368,6 +374,18 @@ class MasterMaintenanceTool {
                 }
             }
 
+            // Clear plaintext passwords left in the legacy system_password column
+            const plaintextIssue = this.issues.find(issue => issue.type === 'PLAINTEXT_PASSWORDS');
+            if (plaintextIssue) {
+                console.log('🔐 Clearing stored plaintext passwords...');
+                const cleared = this.dbManager.clearPlaintextSystemPasswords();
+                if (cleared > 0) {
+                    console.log(`   ✅ Cleared ${cleared} plaintext password(s)`);
+                    fixedCount += cleared;
+                    this.fixes.push(`Cleared ${cleared} plaintext system password(s)`);
+                }
+            }
+
             // Fix orphaned data
             const orphanedIssue = this.issues.find(issue => issue.type === 'ORPHANED_DATA');
             if (orphanedIssue) {
@@ -424,6 +442,60 @@ class MasterMaintenanceTool {
         }
     }
 
+    /**
+     * Recycle Bin Purge
+     * Items deleted longer ago than the 'recycleBin.purgeAfterDays' setting are removed for good
+     */
+    async purgeDeletedRecords() {
+        console.log('\n🗑️  RECYCLE BIN PURGE');
+        console.log('-'.repeat(25));
+
+        try {
+            const days = this.dbAPI.recycleBin.getPurgeAfterDays();
+            if (!days) {
+                console.log('ℹ️  Automatic purging is off (recycleBin.purgeAfterDays is 0)');
+                return { issuesResolved: 0, purged: null };
+            }
+
+            const purged = this.dbAPI.recycleBin.purgeExpired(days);
+            console.log(`Purged ${purged.total} item(s) deleted more than ${days} day(s) ago:`);
+            ['members', 'users', 'blogs', 'notices'].forEach(type => {
+                console.log(`   ${type}: ${purged[type]}`);
+            });
+            if (purged.total > 0) {
+                this.fixes.push(`Purged ${purged.total} recycle bin item(s) older than ${days} day(s)`);
+            }
+            return { issuesResolved: purged.total, purged };
+        } catch (error) {
+            console.error('❌ Recycle bin purge failed:', error.message);
+            return { issuesResolved: 0, error: error.message };
+        }
+    }
+
+    /**
+     * Membership ID Assignment
+     * Members without a membership ID get the next one from the 'membershipId.pattern' setting
+     */
+    async assignMembershipIds() {
+        console.log('\n🪪 MEMBERSHIP ID ASSIGNMENT');
+        console.log('-'.repeat(30));
+
+        try {
+            const { assigned, skipped } = this.dbAPI.membershipIds.assignMissing();
+            console.log(`Pattern: ${this.dbAPI.membershipIds.pattern()}`);
+            assigned.forEach(member => console.log(`   ${member.membershipID}  ${member.name}`));
+            skipped.forEach(member => console.log(`   ⚠️  Skipped ${member.name} (ID: ${member.id}): ${member.reason}`));
+            console.log(`Assigned ${assigned.length} membership ID(s), skipped ${skipped.length}`);
+            if (assigned.length > 0) {
+                this.fixes.push(`Assigned ${assigned.length} missing membership ID(s)`);
+            }
+            return { issuesResolved: assigned.length, assigned, skipped };
+        } catch (error) {
+            console.error('❌ Membership ID assignment failed:', error.message);
+            return { issuesResolved: 0, error: error.message };
+        }
+    }
+
     /**
      * Deep System Cleanup
      */
@@ -488,7 +560,9 @@ class MasterMaintenanceTool {
             deepClean = false, 
             healthReport = false,
             inspectSchema = false,
-            verifySystem = false
+            verifySystem = false,
+            purgeDeleted = false,
+            assignMembershipIds = false
         } = options;
 
         const initialized = await this.initialize();
@@ -523,7 +597,15 @@ class MasterMaintenanceTool {
                 await this.performDeepClean();
             }
 
-            if (healthReport || fixIssues || deepClean || inspectSchema || verifySystem) {
+            if (purgeDeleted) {
+                await this.purgeDeletedRecords();
+            }
+
+            if (assignMembershipIds) {
+                await this.assignMembershipIds();
+            }
+
+            if (healthReport || fixIssues || deepClean || inspectSchema || verifySystem || purgeDeleted || assignMembershipIds) {
                 this.generateReport();
             }
 
@@ -556,6 +638,8 @@ Options:
   --health-report  Generate detailed system health report
   --inspect-schema Inspect database schema and structure
   --verify-system  Run complete system integration verification
+  --purge-deleted  Permanently delete recycle bin items older than the retention setting
+  --assign-membership-ids  Give members without a membership ID the next one from the pattern
   --help           Show this help message
 
 Examples:
@@ -563,6 +647,8 @@ Examples:
   node utilities/master_maintenance_tool.js --fix-issues
   node utilities/master_maintenance_tool.js --deep-clean --health-report
   node utilities/master_maintenance_tool.js --inspect-schema --verify-system
+  node utilities/master_maintenance_tool.js --purge-deleted
+  node utilities/master_maintenance_tool.js --assign-membership-ids
         `);
     }
 }
@@ -582,7 +668,9 @@ if (require.main === module) {
         deepClean: args.includes('--deep-clean'),
         healthReport: args.includes('--health-report'),
         inspectSchema: args.includes('--inspect-schema'),
-        verifySystem: args.includes('--verify-system')
+        verifySystem: args.includes('--verify-system'),
+        purgeDeleted: args.includes('--purge-deleted'),
+        assignMembershipIds: args.includes('--assign-membership-ids')
     };
 
     // Default to health check if no options specified